@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Prints a resolved layout spec as JSON, for build scripts
+ *
+ * Usage: node bin/kdp-layout.js --size "Paperback - 6 x 9" --margins mirrored --pages 240
+ *
+ * The output holds the layout spec, the page size and margins it gives the document (in inches
+ * and points) and any validation issues. The exit code is 1 if there are errors, 2 for bad arguments.
+ *
+ * @license GPL-3.0
+ * @link https://github.com/attackant/custom-page-size-for-google-docs
+ */
+
+const { parseArgs } = require('node:util');
+const layout = require('../layout-spec.js');
+const i18n = require('../messages.js');
+
+const USAGE = `Usage: kdp-layout --size <name> [options]
+
+Options:
+  --size <name>        Trim size name, e.g. "Paperback - 6 x 9" or "Letter", or "Custom"
+  --width <inches>     Trim width for a custom size
+  --height <inches>    Trim height for a custom size
+  --book-type <type>   paperback or hardcover (defaults to the size's type, or paperback)
+  --paper <type>       white or cream (default white)
+  --ink <type>         black, premium or standard (default black)
+  --platform <key>     ${Object.keys(layout.PLATFORMS).join(', ')} (default ${layout.DEFAULT_PLATFORM})
+  --margins <type>     ${layout.MARGIN_TYPES.join(', ')} (default default)
+  --top, --bottom, --inside, --outside <inches>
+                       Margins for the custom and customMirrored margin types
+  --pages <count>      Page count, used for the minimum mirrored margins
+  --bleed              Full-bleed interior
+  --unit <key>         ${Object.keys(layout.UNITS).join(', ')} for lengths in notes and messages (default in)
+  --list-sizes         List the platform's trim sizes and the common paper sizes
+  --help               Show this help`;
+
+const OPTIONS = {
+    'size': { type: 'string' },
+    'width': { type: 'string' },
+    'height': { type: 'string' },
+    'book-type': { type: 'string' },
+    'paper': { type: 'string', default: 'white' },
+    'ink': { type: 'string', default: 'black' },
+    'platform': { type: 'string', default: layout.DEFAULT_PLATFORM },
+    'margins': { type: 'string', default: 'default' },
+    'top': { type: 'string' },
+    'bottom': { type: 'string' },
+    'inside': { type: 'string' },
+    'outside': { type: 'string' },
+    'pages': { type: 'string' },
+    'bleed': { type: 'boolean', default: false },
+    'unit': { type: 'string', default: layout.DEFAULT_UNIT },
+    'list-sizes': { type: 'boolean', default: false },
+    'help': { type: 'boolean', default: false }
+};
+
+/**
+ * Parses a numeric option
+ *
+ * @param {Object} values - Parsed option values
+ * @param {string} name - Option name
+ * @return {number|null} Number, or null if the option wasn't given
+ */
+function parseNumberOption(values, name) {
+    if (values[name] === undefined) {
+        return null;
+    }
+    const number = Number(values[name]);
+    if (values[name].trim() === '' || isNaN(number)) {
+        throw new Error(`--${name} must be a number.`);
+    }
+    return number;
+}
+
+/**
+ * Builds the margin settings for the --margins option
+ *
+ * @param {Object} values - Parsed option values
+ * @return {Object} Margin settings (a type, or custom margins in inches)
+ */
+function buildMarginSettings(values) {
+    const marginType = values.margins;
+
+    if (layout.MARGIN_TYPES.indexOf(marginType) === -1) {
+        throw new Error(`--margins must be one of ${layout.MARGIN_TYPES.join(', ')}.`);
+    }
+    if (marginType !== 'custom' && marginType !== 'customMirrored') {
+        return { type: marginType };
+    }
+
+    const marginSettings = {};
+    ['top', 'bottom', 'inside', 'outside'].forEach(function(side) {
+        const value = parseNumberOption(values, side);
+        if (value === null) {
+            throw new Error(`--${side} is required for ${marginType} margins.`);
+        }
+        marginSettings[side] = value;
+    });
+    if (marginType === 'customMirrored') {
+        marginSettings.isMirrored = true;
+    }
+    return marginSettings;
+}
+
+/**
+ * Builds the layout spec described by the command-line options
+ *
+ * @param {Object} values - Parsed option values
+ * @return {Object} Layout spec from resolveLayoutSpec
+ */
+function buildLayoutSpec(values) {
+    if (!values.size) {
+        throw new Error('--size is required.');
+    }
+
+    const size = layout.findSize(values.size, values.platform);
+    const bookType = values['book-type'] || (size && size.type ? size.type : 'paperback');
+
+    return layout.resolveLayoutSpec(layout.createLayoutSpec(values.size,
+        parseNumberOption(values, 'width'), parseNumberOption(values, 'height'),
+        bookType, values.paper, values.ink, buildMarginSettings(values), values.margins, {
+            platform: values.platform,
+            pageCount: parseNumberOption(values, 'pages'),
+            bleed: values.bleed
+        }));
+}
+
+/**
+ * Lists the trim sizes for a platform and the common paper sizes
+ *
+ * @param {string} platformKey - Print platform key from PLATFORMS
+ * @return {Object} Sizes by name, with width and height in inches and type
+ */
+function listSizes(platformKey) {
+    return Object.assign({}, layout.getPlatform(platformKey).sizes, layout.COMMON_SIZES);
+}
+
+/**
+ * Converts lengths in inches to inches and points
+ *
+ * @param {Object} lengths - Lengths in inches by name
+ * @return {Object} Lengths by name, each with inches and points
+ */
+function withPoints(lengths) {
+    const result = {};
+    Object.keys(lengths).forEach(function(key) {
+        result[key] = { inches: lengths[key], points: lengths[key] * layout.POINTS_PER_INCH };
+    });
+    return result;
+}
+
+/**
+ * Runs the command line
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @return {Object} Output text and exit code
+ */
+function main(argv) {
+    let values;
+    let spec;
+
+    try {
+        values = parseArgs({ args: argv, options: OPTIONS, strict: true }).values;
+        if (values.help) {
+            return { output: USAGE, exitCode: 0 };
+        }
+        if (!layout.PLATFORMS[values.platform]) {
+            throw new Error(`--platform must be one of ${Object.keys(layout.PLATFORMS).join(', ')}.`);
+        }
+        if (!layout.UNITS[values.unit]) {
+            throw new Error(`--unit must be one of ${Object.keys(layout.UNITS).join(', ')}.`);
+        }
+        if (values['list-sizes']) {
+            return { output: JSON.stringify(listSizes(values.platform), null, 2), exitCode: 0 };
+        }
+        spec = buildLayoutSpec(values);
+    } catch (e) {
+        return { output: `${e.message}\n\n${USAGE}`, exitCode: 2 };
+    }
+
+    const issues = layout.validateLayout(spec, values.unit);
+    const hasErrors = issues.some(function(issue) {
+        return issue.severity === 'error';
+    });
+    const result = { spec: spec, issues: issues };
+
+    // Sizes and margins can't be worked out for a layout with errors
+    if (!hasErrors) {
+        const page = layout.resolvePageLayout(spec, values.unit);
+        result.page = withPoints({ width: page.pageWidth, height: page.pageHeight });
+        result.margins = withPoints(page.margins);
+        result.notes = page.notes.map(function(note) {
+            return i18n.formatIssue(i18n.DEFAULT_LANGUAGE, note);
+        });
+    }
+
+    return { output: JSON.stringify(result, null, 2), exitCode: hasErrors ? 1 : 0 };
+}
+
+if (require.main === module) {
+    const result = main(process.argv.slice(2));
+    (result.exitCode === 2 ? process.stderr : process.stdout).write(result.output + '\n');
+    process.exitCode = result.exitCode;
+}
+
+module.exports = { main };
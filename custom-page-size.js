@@ -7,11 +7,37 @@
  *
  * Features:
  * - Standard KDP paperback and hardcover sizes
+ * - Square and landscape picture book sizes with an orientation toggle
  * - Common paper sizes (Letter, A4, etc.)
  * - Custom sizing with KDP-compliant validation
  * - Paper type selection (white/cream)
  * - Ink type selection (black/color)
  * - Margin presets and custom margins
+ * - Page-count-aware KDP minimum gutter for mirrored margins
+ * - Cover calculator (spine width and full-wrap cover size)
+ * - Bleed mode for full-bleed interiors
+ * - Manuscript preflight check for common KDP problems
+ * - Printing cost and royalty calculator per marketplace
+ * - Print platform profiles (KDP, IngramSpark, Lulu, Barnes & Noble Press)
+ * - Inch, millimetre, centimetre and point units, saved per user
+ * - Interior typography presets (Classic Novel, Non-fiction, Large Print) sized to the trim
+ * - Chapter page breaks with optional right-hand (recto) chapter starts
+ * - Front matter generator (title, copyright, dedication and contents pages)
+ * - Running heads with the author on left-hand pages and the title on right-hand pages
+ * - Footer distance and numbering that starts after the front matter for page numbers inserted in Google Docs
+ * - Named layout presets saved per user
+ * - Layout spec export and import as versioned JSON files
+ * - Page setup history with one-click restore
+ * - Batch apply of the layout to a Drive folder or list of documents
+ * - Live SVG page preview with a two-page spread view
+ * - Print PDF export with a file naming convention and a page size check
+ * - Images and tables scaled to fit the content area after a page size change
+ * - JSON web app and API for listing presets, reading settings and applying layouts
+ * - Page size dialog, margins report and status messages in English, German, Spanish and French
+ * - Large-print edition converter with a list of what still needs attention, and undo
+ *
+ * The size tables, validation, margin and cover math live in layout-spec.js, and the translated
+ * messages in messages.js; both must be added to the same Apps Script project.
  *
  * @license GPL-3.0
  * This program is free software: you can redistribute it and/or modify
@@ -27,172 +53,366 @@
 // CONSTANTS AND DATA
 // ========================
 
-// Conversion constants
-const POINTS_PER_INCH = 72;
-
 // Color constants
 const COLOR_WHITE = '#FFFFFF';
 const COLOR_CREAM = '#F8F3E6';
 
-// KDP size constraints
-const MIN_WIDTH = 4; // Minimum width in inches
-const MAX_WIDTH = 8.5; // Maximum width in inches
-const MIN_HEIGHT = 6; // Minimum height in inches
-const MAX_HEIGHT = 11.69; // Maximum height in inches
-
-// Define KDP book sizes (in inches)
-const KDP_SIZES = {
-    // Paperback sizes
-    'Paperback - 5 x 8': {
-        width: 5,
-        height: 8,
-        type: 'paperback'
-    },
-    'Paperback - 5.06 x 7.81': {
-        width: 5.06,
-        height: 7.81,
-        type: 'paperback'
-    },
-    'Paperback - 5.25 x 8': {
-        width: 5.25,
-        height: 8,
-        type: 'paperback'
-    },
-    'Paperback - 5.5 x 8.5': {
-        width: 5.5,
-        height: 8.5,
-        type: 'paperback'
-    },
-    'Paperback - 6 x 9': {
-        width: 6,
-        height: 9,
-        type: 'paperback'
-    },
-    'Paperback - 6.14 x 9.21': {
-        width: 6.14,
-        height: 9.21,
-        type: 'paperback'
-    },
-    'Paperback - 6.69 x 9.61': {
-        width: 6.69,
-        height: 9.61,
-        type: 'paperback'
-    },
-    'Paperback - 7 x 10': {
-        width: 7,
-        height: 10,
-        type: 'paperback'
-    },
-    'Paperback - 7.44 x 9.69': {
-        width: 7.44,
-        height: 9.69,
-        type: 'paperback'
-    },
-    'Paperback - 7.5 x 9.25': {
-        width: 7.5,
-        height: 9.25,
-        type: 'paperback'
-    },
-    'Paperback - 8 x 10': {
-        width: 8,
-        height: 10,
-        type: 'paperback'
-    },
-    'Paperback - 8.25 x 6': {
-        width: 8.25,
-        height: 6,
-        type: 'paperback'
-    },
-    'Paperback - 8.25 x 8.25': {
-        width: 8.25,
-        height: 8.25,
-        type: 'paperback'
-    },
-    'Paperback - 8.5 x 8.5': {
-        width: 8.5,
-        height: 8.5,
-        type: 'paperback'
-    },
-    'Paperback - 8.5 x 11': {
-        width: 8.5,
-        height: 11,
-        type: 'paperback'
-    },
+// Preflight check constants
+const MIN_IMAGE_DPI = 300; // KDP minimum image resolution at placed size
+const SPACER_PARAGRAPH_RUN = 3; // Consecutive empty paragraphs reported as a page spacer
+const SIZE_TOLERANCE = 0.01; // Tolerance (in inches) when matching page sizes
 
-    // Hardcover sizes
-    'Hardcover - 5 x 8': {
-        width: 5,
-        height: 8,
-        type: 'hardcover'
-    },
-    'Hardcover - 5.5 x 8.5': {
-        width: 5.5,
-        height: 8.5,
-        type: 'hardcover'
-    },
-    'Hardcover - 6 x 9': {
-        width: 6,
-        height: 9,
-        type: 'hardcover'
-    },
-    'Hardcover - 7 x 10': {
-        width: 7,
-        height: 10,
-        type: 'hardcover'
-    },
-    'Hardcover - 8 x 10': {
-        width: 8,
-        height: 10,
-        type: 'hardcover'
-    },
-    'Hardcover - 8.25 x 8.25': {
-        width: 8.25,
-        height: 8.25,
-        type: 'hardcover'
-    },
-    'Hardcover - 8.5 x 8.5': {
-        width: 8.5,
-        height: 8.5,
-        type: 'hardcover'
-    },
-    'Hardcover - 8.5 x 11': {
-        width: 8.5,
-        height: 11,
-        type: 'hardcover'
-    },
+// KDP trim sizes above these dimensions (in inches) are priced as "large"
+const REGULAR_TRIM_MAX_WIDTH = 6.12;
+const REGULAR_TRIM_MAX_HEIGHT = 9;
+
+// KDP royalty rate for paperbacks and hardcovers
+const ROYALTY_RATE = 0.6;
+
+// KDP marketplaces (vat is the book VAT rate included in the list price)
+const KDP_MARKETPLACES = {
+    'US': { name: 'Amazon.com', currency: 'USD', symbol: '$', vat: 0 },
+    'UK': { name: 'Amazon.co.uk', currency: 'GBP', symbol: '£', vat: 0 },
+    'DE': { name: 'Amazon.de', currency: 'EUR', symbol: '€', vat: 0.07 },
+    'FR': { name: 'Amazon.fr', currency: 'EUR', symbol: '€', vat: 0.055 },
+    'ES': { name: 'Amazon.es', currency: 'EUR', symbol: '€', vat: 0.04 },
+    'IT': { name: 'Amazon.it', currency: 'EUR', symbol: '€', vat: 0.04 },
+    'NL': { name: 'Amazon.nl', currency: 'EUR', symbol: '€', vat: 0.09 }
 };
 
-// Common non-KDP paper sizes
-const COMMON_SIZES = {
-    'Letter': {
-        width: 8.5,
-        height: 11
-    },
-    'Legal': {
-        width: 8.5,
-        height: 14
-    },
-    'Tabloid': {
-        width: 11,
-        height: 17
+// KDP printing costs by currency, book type, ink type and trim category (published rates as of March 2025)
+// Each tier costs fixed + perPage × page count for page counts in its range
+const KDP_PRINTING_COSTS = {
+    'USD': {
+        paperback: {
+            black: {
+                regular: [
+                    { minPages: 24, maxPages: 108, fixed: 2.30, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 1.00, perPage: 0.012 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 108, fixed: 2.84, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 1.00, perPage: 0.017 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 24, maxPages: 40, fixed: 3.65, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 1.00, perPage: 0.07 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 40, fixed: 4.20, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 1.00, perPage: 0.0835 }
+                ]
+            },
+            standard: {
+                regular: [
+                    { minPages: 72, maxPages: 600, fixed: 1.00, perPage: 0.0255 }
+                ],
+                large: [
+                    { minPages: 72, maxPages: 600, fixed: 1.00, perPage: 0.0362 }
+                ]
+            }
+        },
+        hardcover: {
+            black: {
+                regular: [
+                    { minPages: 75, maxPages: 108, fixed: 6.80, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 5.65, perPage: 0.012 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 108, fixed: 7.49, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 5.65, perPage: 0.017 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 75, maxPages: 550, fixed: 5.65, perPage: 0.07 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 550, fixed: 5.65, perPage: 0.0835 }
+                ]
+            }
+        }
     },
-    'A4': {
-        width: 8.27,
-        height: 11.69
+    'GBP': {
+        paperback: {
+            black: {
+                regular: [
+                    { minPages: 24, maxPages: 108, fixed: 1.93, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 0.85, perPage: 0.010 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 108, fixed: 2.15, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 0.85, perPage: 0.012 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 24, maxPages: 40, fixed: 2.93, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 0.85, perPage: 0.058 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 40, fixed: 3.45, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 0.85, perPage: 0.070 }
+                ]
+            },
+            standard: {
+                regular: [
+                    { minPages: 72, maxPages: 600, fixed: 0.85, perPage: 0.0195 }
+                ],
+                large: [
+                    { minPages: 72, maxPages: 600, fixed: 0.85, perPage: 0.0254 }
+                ]
+            }
+        },
+        hardcover: {
+            black: {
+                regular: [
+                    { minPages: 75, maxPages: 108, fixed: 5.23, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 4.15, perPage: 0.010 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 108, fixed: 5.45, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 4.15, perPage: 0.012 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 75, maxPages: 550, fixed: 4.15, perPage: 0.058 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 550, fixed: 4.15, perPage: 0.070 }
+                ]
+            }
+        }
     },
-    'A5': {
-        width: 5.83,
-        height: 8.27
+    'EUR': {
+        paperback: {
+            black: {
+                regular: [
+                    { minPages: 24, maxPages: 108, fixed: 2.05, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 0.75, perPage: 0.012 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 108, fixed: 2.35, perPage: 0 },
+                    { minPages: 110, maxPages: 828, fixed: 0.75, perPage: 0.014 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 24, maxPages: 40, fixed: 3.55, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 0.75, perPage: 0.070 }
+                ],
+                large: [
+                    { minPages: 24, maxPages: 40, fixed: 4.10, perPage: 0 },
+                    { minPages: 42, maxPages: 828, fixed: 0.75, perPage: 0.084 }
+                ]
+            },
+            standard: {
+                regular: [
+                    { minPages: 72, maxPages: 600, fixed: 0.75, perPage: 0.023 }
+                ],
+                large: [
+                    { minPages: 72, maxPages: 600, fixed: 0.75, perPage: 0.032 }
+                ]
+            }
+        },
+        hardcover: {
+            black: {
+                regular: [
+                    { minPages: 75, maxPages: 108, fixed: 5.95, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 4.85, perPage: 0.012 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 108, fixed: 6.25, perPage: 0 },
+                    { minPages: 110, maxPages: 550, fixed: 4.85, perPage: 0.014 }
+                ]
+            },
+            premium: {
+                regular: [
+                    { minPages: 75, maxPages: 550, fixed: 4.85, perPage: 0.070 }
+                ],
+                large: [
+                    { minPages: 75, maxPages: 550, fixed: 4.85, perPage: 0.084 }
+                ]
+            }
+        }
+    }
+};
+
+// Interior style presets for body text (spaceAfter in points)
+// Font size and first-line indent (in inches) step up with the trim width; each
+// trim band covers widths up to maxWidth, and wider pages use the last band.
+const INTERIOR_STYLES = {
+    classicNovel: {
+        name: 'Classic Novel',
+        fontFamily: 'EB Garamond',
+        lineSpacing: 1.15,
+        spaceAfter: 0,
+        alignment: 'justify',
+        indentFirstParagraph: false,
+        trims: [
+            { maxWidth: 5.25, fontSize: 11, firstLineIndent: 0.25 },
+            { maxWidth: 6.14, fontSize: 11.5, firstLineIndent: 0.3 },
+            { maxWidth: 7.5, fontSize: 12, firstLineIndent: 0.35 },
+            { maxWidth: 8.5, fontSize: 12.5, firstLineIndent: 0.4 }
+        ]
     },
-    'A3': {
-        width: 11.69,
-        height: 16.54
+    nonFiction: {
+        name: 'Non-fiction',
+        fontFamily: 'Georgia',
+        lineSpacing: 1.2,
+        spaceAfter: 6,
+        alignment: 'left',
+        indentFirstParagraph: false,
+        trims: [
+            { maxWidth: 5.25, fontSize: 10.5, firstLineIndent: 0 },
+            { maxWidth: 6.14, fontSize: 11, firstLineIndent: 0 },
+            { maxWidth: 7.5, fontSize: 11.5, firstLineIndent: 0 },
+            { maxWidth: 8.5, fontSize: 12, firstLineIndent: 0 }
+        ]
     },
-    'Custom': {
-        width: 0,
-        height: 0
+    largePrint: {
+        name: 'Large Print',
+        fontFamily: 'Verdana',
+        lineSpacing: 1.5,
+        spaceAfter: 0,
+        alignment: 'left',
+        indentFirstParagraph: true,
+        trims: [
+            { maxWidth: 5.25, fontSize: 16, firstLineIndent: 0.35 },
+            { maxWidth: 6.14, fontSize: 16, firstLineIndent: 0.4 },
+            { maxWidth: 7.5, fontSize: 17, firstLineIndent: 0.45 },
+            { maxWidth: 8.5, fontSize: 18, firstLineIndent: 0.5 }
+        ]
     }
 };
+const DEFAULT_INTERIOR_STYLE = 'classicNovel';
+
+// Limits for interior style values entered by hand
+const INTERIOR_STYLE_LIMITS = {
+    fontSize: { min: 6, max: 36 }, // points
+    lineSpacing: { min: 1, max: 3 }, // multiple of single spacing
+    firstLineIndent: { min: 0, max: 1 }, // inches
+    spaceAfter: { min: 0, max: 36 } // points
+};
+
+// Chapter break constants
+const CHAPTER_BREAK_RANGE_NAME = 'kdpFormatterChapterBreak'; // Named range marking inserted breaks
+const CHAPTER_HEADINGS = ['HEADING1', 'HEADING2', 'HEADING3', 'TITLE']; // ParagraphHeading keys
+const DEFAULT_CHAPTER_HEADING = 'HEADING1';
+
+// Space above chapter titles as a fraction of the page height
+const CHAPTER_DROPS = {
+    none: { name: 'None', fraction: 0 },
+    small: { name: 'Small (1/8 page)', fraction: 1 / 8 },
+    medium: { name: 'Medium (1/6 page)', fraction: 1 / 6 },
+    large: { name: 'Large (1/4 page)', fraction: 1 / 4 },
+    deep: { name: 'Deep (1/3 page)', fraction: 1 / 3 }
+};
+const DEFAULT_CHAPTER_DROP = 'medium';
+const CHAPTER_TITLE_SPACE_AFTER = 1 / 24; // Space below chapter titles as a fraction of the page height
+
+// Page estimates for recto starts (Google Docs doesn't report page numbers)
+const AVERAGE_CHAR_WIDTH = 0.5; // Average character width as a fraction of the font size
+const LINE_HEIGHT = 1.2; // Single-spaced line height as a multiple of the font size
+const DEFAULT_FONT_SIZE = 11; // Google Docs normal text, in points
+const DEFAULT_LINE_SPACING = 1.15; // Google Docs normal text
+
+// Front matter constants
+const FRONT_MATTER_RANGE_NAME = 'kdpFormatterFrontMatter'; // Named range marking the inserted pages
+const TITLE_FONT_SIZE_PER_INCH = 4.5; // Title size in points per inch of trim width
+const DEFAULT_RIGHTS_TEXT = 'All rights reserved. No part of this book may be reproduced in any form or by any ' +
+    'electronic or mechanical means, including information storage and retrieval systems, without written ' +
+    'permission from the author, except for the use of brief quotations in a book review.';
+
+// Running heads and page numbers are set this many points smaller than the body text
+const RUNNING_HEAD_SIZE_OFFSET = 2;
+const MIN_RUNNING_HEAD_SIZE = 8; // points
+
+// Document settings storage; bump SETTINGS_VERSION and add a migration whenever the saved shape changes
+const SETTINGS_PROPERTY = 'kdpFormatterSettings';
+const SETTINGS_BACKUP_PROPERTY = 'kdpFormatterSettingsBackup'; // Unreadable settings are kept here
+const SETTINGS_VERSION = 1;
+const SETTINGS_MIGRATIONS = [migrateSettingsToV1]; // Each entry upgrades settings from version i to i + 1
+
+// Page setup history, saved before each change to the page size or margins
+const PAGE_HISTORY_PROPERTY = 'kdpFormatterPageHistory';
+const MAX_PAGE_HISTORY_ENTRIES = 20;
+const MAX_PROPERTY_LENGTH = 9000; // Apps Script limits each property value to 9 KB
+
+// Batch apply; progress is saved after each document so a run can resume after the execution time limit
+const BATCH_JOB_PROPERTY = 'kdpFormatterBatchJob';
+const BATCH_ITEM_PREFIX = 'kdpFormatterBatchItem.'; // One property per document, so large folders fit
+const BATCH_TIME_BUDGET_MS = 4 * 60 * 1000; // Apps Script stops executions after 6 minutes
+
+// Print PDF export
+const PRINT_PDF_FOLDER_PROPERTY = 'kdpFormatterPdfFolder'; // Folder last chosen for this document
+const PDF_SIZE_TOLERANCE = 0.5; // Tolerance (in points) when comparing PDF page boxes
+
+// Content that can't be fitted after a page size change is listed in the status message, up to this many items
+const MAX_FIT_MESSAGES = 3;
+
+// Web app and API requests; every request must include the key set in the script properties, and without one the API is off
+const API_KEY_PROPERTY = 'kdpFormatterApiKey';
+const API_ACTIONS = {
+    listPresets: listPresetsAction,
+    getSettings: getSettingsAction,
+    applyLayout: applyLayoutAction
+};
+
+// Large print conversion; body text takes the size and line spacing of the Large Print interior style
+const LARGE_PRINT_MIN_FONT_SIZE = 16; // points; captions, tables and footnotes below this are listed
+const LARGE_PRINT_TRIMS = [ // Trim sizes offered, in inches, when the platform lists them for the book type
+    { width: 6, height: 9 },
+    { width: 7, height: 10 },
+    { width: 8.5, height: 11 }
+];
+const LARGE_PRINT_MIN_MARGINS = { top: 1, bottom: 1, inside: 1, outside: 0.875 }; // inches; wider margins are kept
+const LARGE_PRINT_MAX_TABLE_COLUMNS = 3; // Tables with more columns are listed as hard to read
+const LARGE_PRINT_UNDO_PROPERTY = 'kdpFormatterLargePrintUndo'; // Number of parts in the saved original
+const LARGE_PRINT_UNDO_PREFIX = 'kdpFormatterLargePrintUndo.'; // Parts of the saved original, to fit the size limit
+
+// Google Docs default sizes (in points) for headings without a size of their own, by ParagraphHeading key
+const HEADING_FONT_SIZES = {
+    TITLE: 26,
+    SUBTITLE: 15,
+    HEADING1: 20,
+    HEADING2: 16,
+    HEADING3: 14,
+    HEADING4: 12,
+    HEADING5: 11,
+    HEADING6: 11
+};
+
+// Language chosen in the page size dialog, saved per user; without it the Google account locale is used
+const USER_LANGUAGE_PROPERTY = 'kdpFormatterLanguage';
+
+// Named layout presets, saved per user so they can be applied to any document
+const LAYOUT_PRESETS_PROPERTY = 'kdpFormatterPresets';
+const MAX_PRESET_NAME_LENGTH = 50;
+
+// Layout spec files passed between documents and accounts
+const LAYOUT_SPEC_FORMAT = 'kdp-formatter-layout';
+const LAYOUT_SPEC_VERSION = 1;
+
+// Fields of the layout in a spec file; optional fields may be null or left out
+const LAYOUT_SPEC_FIELDS = {
+    sizeName: { type: 'string', required: true },
+    width: { type: 'number' },
+    height: { type: 'number' },
+    bookType: { type: 'string', required: true },
+    paperType: { type: 'string', required: true },
+    inkType: { type: 'string', required: true },
+    platform: { type: 'string' },
+    marginType: { type: 'string', required: true },
+    pageCount: { type: 'number' },
+    bleed: { type: 'boolean' },
+    customMargins: { type: 'margins' },
+    customMirroredMargins: { type: 'margins' },
+    lastUpdated: { type: 'string' }
+};
 
 // ========================
 // MAIN FUNCTIONS
@@ -207,43 +427,98 @@ function onOpen() {
         .createMenu('Page Tools')
         .addItem('Set Custom Page Size', 'setCustomPageSize')
         .addItem('Show Current Margins', 'showCurrentMargins')
+        .addItem('Preflight Check', 'showPreflightCheck')
+        .addItem('Cover Calculator', 'showCoverCalculator')
+        .addItem('Printing Cost & Royalty', 'showRoyaltyCalculator')
+        .addItem('Book Interior Style', 'showInteriorStyle')
+        .addItem('Chapter Breaks', 'showChapterBreaks')
+        .addItem('Insert Front Matter', 'showFrontMatter')
+        .addItem('Headers & Page Numbers', 'showHeadersAndPageNumbers')
+        .addItem('Convert to Large Print', 'showLargePrintConverter')
+        .addSeparator()
+        .addItem('Page Setup History', 'showPageSetupHistory')
+        .addItem('Apply Layout to Other Docs', 'showBatchApply')
+        .addItem('Export Print PDF', 'showExportPrintPdf')
+        .addItem('Export Layout Spec', 'showExportLayoutSpec')
+        .addItem('Import Layout Spec', 'showImportLayoutSpec')
         .addToUi();
 }
 
 /**
  * Retrieves stored document settings
+ * Settings saved by older versions of the script are migrated to the current shape, and
+ * unreadable settings are replaced by the defaults with a warning.
  * @return {Object} Saved document settings or default values
  */
 function getDocumentSettings() {
     const properties = PropertiesService.getDocumentProperties();
-    const settingsJson = properties.getProperty('kdpFormatterSettings');
+    const settingsJson = properties.getProperty(SETTINGS_PROPERTY);
 
-    if (settingsJson) {
-        return JSON.parse(settingsJson);
-    } else {
+    if (!settingsJson) {
         // Return default settings if none found
-        return {
-            sizeName: '',
-            width: 6,
-            height: 9,
-            bookType: 'paperback',
-            paperType: 'white',
-            inkType: 'black',
-            marginType: 'default',
-            customMargins: {
-                top: 1,
-                bottom: 1,
-                inside: 1,
-                outside: 1
-            },
-            customMirroredMargins: {
-                top: 1,
-                bottom: 1,
-                inside: 1.25,
-                outside: 0.75
-            }
-        };
+        return getDefaultDocumentSettings();
+    }
+
+    let settings;
+    try {
+        settings = JSON.parse(settingsJson);
+    } catch (error) {
+        settings = null;
+    }
+
+    if (!isPlainObject(settings)) {
+        // Keep the damaged value so it can be recovered, and stop it breaking every dialog
+        properties.setProperty(SETTINGS_BACKUP_PROPERTY, settingsJson);
+        properties.deleteProperty(SETTINGS_PROPERTY);
+        showSettingsWarning(formatMessage(getUserLanguage(), 'settings.unreadable'));
+        return getDefaultDocumentSettings();
     }
+
+    // Current settings are checked too, so one damaged value can't break every dialog
+    settings = repairDocumentSettings(settings.version === SETTINGS_VERSION ? settings : migrateDocumentSettings(settings));
+    const repairedJson = JSON.stringify(settings);
+    if (repairedJson !== settingsJson) {
+        properties.setProperty(SETTINGS_PROPERTY, repairedJson);
+    }
+
+    return settings;
+}
+
+/**
+ * Gets the settings used for documents without saved settings
+ * @return {Object} Default document settings
+ */
+function getDefaultDocumentSettings() {
+    return {
+        version: SETTINGS_VERSION,
+        sizeName: '',
+        width: 6,
+        height: 9,
+        bookType: 'paperback',
+        paperType: 'white',
+        inkType: 'black',
+        platform: DEFAULT_PLATFORM,
+        marginType: 'default',
+        pageCount: null,
+        bleed: false,
+        interiorStyle: null,
+        chapterBreaks: null,
+        frontMatter: null,
+        headerFooter: null,
+        customMargins: {
+            top: 1,
+            bottom: 1,
+            inside: 1,
+            outside: 1
+        },
+        customMirroredMargins: {
+            top: 1,
+            bottom: 1,
+            inside: 1.25,
+            outside: 0.75,
+            isMirrored: true
+        }
+    };
 }
 
 /**
@@ -252,32 +527,70 @@ function getDocumentSettings() {
 function setCustomPageSize() {
     const ui = DocumentApp.getUi();
 
-    // Get current document settings
+    // Get current document settings, the user's display unit and language, and saved presets
     const currentSettings = getDocumentSettings();
+    const unit = getUserUnit();
+    const language = getUserLanguage();
+    const presetNames = getLayoutPresetNames();
+    const t = function(key, values) {
+        return formatMessage(language, key, values);
+    };
+    const displayName = function(name) {
+        return translateName(language, name);
+    };
 
-    // Create grouped dropdown lists for KDP sizes
-    let paperbackDropdownHtml = '<optgroup label="Paperback Sizes">';
-    let hardcoverDropdownHtml = '<optgroup label="Hardcover Sizes">';
+    // Create the unit dropdown
+    let unitOptionsHtml = '';
+    for (const unitKey in UNITS) {
+        unitOptionsHtml += `<option value="${unitKey}">${displayName(UNITS[unitKey].name)}</option>`;
+    }
 
-    for (const size in KDP_SIZES) {
-        const option = `<option value="${size}">${size.replace(/^(Paperback|Hardcover) - /, '')} (${KDP_SIZES[size].width}" × ${KDP_SIZES[size].height}")</option>`;
-        if (KDP_SIZES[size].type === 'paperback') {
-            paperbackDropdownHtml += option;
-        } else {
-            hardcoverDropdownHtml += option;
-        }
+    // Create the language dropdown; the first option follows the Google account locale
+    const languageSetting = PropertiesService.getUserProperties().getProperty(USER_LANGUAGE_PROPERTY) || '';
+    let languageOptionsHtml = `<option value="">${t('pageSize.languageAuto', {
+        language: LANGUAGES[getLanguageForLocale(Session.getActiveUserLocale())]
+    })}</option>`;
+    for (const languageKey in LANGUAGES) {
+        languageOptionsHtml += `<option value="${languageKey}"${languageKey === languageSetting ? ' selected' : ''}>${LANGUAGES[languageKey]}</option>`;
     }
 
-    paperbackDropdownHtml += '</optgroup>';
-    hardcoverDropdownHtml += '</optgroup>';
+    // Create grouped dropdown lists for each platform's sizes
+    // Option labels are filled in by the dialog in the selected unit
+    const platformDropdownHtml = {};
+    let platformOptionsHtml = '';
+
+    for (const platformKey in PLATFORMS) {
+        const sizes = PLATFORMS[platformKey].sizes;
+        // Square and landscape sizes (mostly picture books) are listed after the portrait sizes of each book type
+        const groups = {
+            paperback: { label: t('pageSize.paperbackSizes'), html: '' },
+            paperbackWide: { label: t('pageSize.paperbackWideSizes'), html: '' },
+            hardcover: { label: t('pageSize.hardcoverSizes'), html: '' },
+            hardcoverWide: { label: t('pageSize.hardcoverWideSizes'), html: '' }
+        };
+
+        for (const size in sizes) {
+            const option = `<option value="${size}" data-label="${size.replace(/^(Paperback|Hardcover) - /, '')}" data-width="${sizes[size].width}" data-height="${sizes[size].height}"></option>`;
+            const group = sizes[size].type + (getOrientation(sizes[size].width, sizes[size].height) === 'portrait' ? '' : 'Wide');
+            groups[group].html += option;
+        }
+
+        platformDropdownHtml[platformKey] = '';
+        for (const group in groups) {
+            if (groups[group].html) {
+                platformDropdownHtml[platformKey] += `<optgroup label="${groups[group].label}">${groups[group].html}</optgroup>`;
+            }
+        }
+        platformOptionsHtml += `<option value="${platformKey}">${PLATFORMS[platformKey].name}</option>`;
+    }
 
-    // Create a dropdown list HTML for common sizes
-    let commonDropdownHtml = '<optgroup label="Common Sizes">';
+    // Create a dropdown list HTML for common sizes; the values stay the English names
+    let commonDropdownHtml = `<optgroup label="${t('pageSize.commonSizes')}">`;
     for (const size in COMMON_SIZES) {
         if (size !== 'Custom') {
-            commonDropdownHtml += `<option value="${size}">${size} (${COMMON_SIZES[size].width}" × ${COMMON_SIZES[size].height}")</option>`;
+            commonDropdownHtml += `<option value="${size}" data-label="${displayName(size)}" data-width="${COMMON_SIZES[size].width}" data-height="${COMMON_SIZES[size].height}"></option>`;
         } else {
-            commonDropdownHtml += `<option value="${size}">${size}</option>`;
+            commonDropdownHtml += `<option value="${size}">${displayName(size)}</option>`;
         }
     }
     commonDropdownHtml += '</optgroup>';
@@ -290,131 +603,463 @@ function setCustomPageSize() {
         .form-group { margin-bottom: 15px; }
         label { display: block; margin-bottom: 5px; font-weight: bold; }
         select, input { width: 100%; padding: 5px; margin-bottom: 10px; }
+        input[type="checkbox"], input[type="radio"] { width: auto; margin-right: 5px; }
+        label.checkbox { font-weight: normal; }
+        label.radio { display: inline-block; font-weight: normal; margin-right: 15px; }
         .button-group { text-align: right; }
         button { padding: 5px 10px; margin-left: 10px; }
         .custom-fields { display: none; }
         .note { font-size: 12px; color: #666; margin-top: 5px; }
         .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .field-issue { font-size: 12px; margin: -5px 0 10px; }
+        .field-issue.error { color: #c5221f; }
+        .field-issue.warning { color: #b06000; }
+        #generalIssues { display: none; margin-bottom: 15px; }
+        .preset-buttons button { margin: 0 5px 5px 0; }
+        .preview { background-color: #e8eaed; padding: 10px; border-radius: 5px; text-align: center; margin-bottom: 5px; }
+        .preview svg { display: block; margin: 0 auto; }
       </style>
       
-      <h3>Set Page Size</h3>
+      <h3>${t('pageSize.heading')}</h3>
       
       <div class="info-box">
-        Select a KDP book size or a common paper size, or enter custom dimensions compatible with KDP requirements.
+        ${t('pageSize.intro')}
+      </div>
+      
+      <div class="form-group">
+        <label for="preset">${t('pageSize.presets')}:</label>
+        <select id="preset"></select>
+        <div class="preset-buttons">
+          <button id="loadPresetBtn" onclick="loadPreset()">${t('pageSize.presetLoad')}</button>
+          <button id="applyPresetBtn" onclick="applyPreset()">${t('pageSize.presetApply')}</button>
+          <button onclick="savePreset()">${t('pageSize.presetSaveAsNew')}</button>
+          <button id="updatePresetBtn" onclick="updatePreset()">${t('pageSize.presetUpdate')}</button>
+          <button id="renamePresetBtn" onclick="renamePreset()">${t('pageSize.presetRename')}</button>
+          <button id="deletePresetBtn" onclick="deletePreset()">${t('pageSize.presetDelete')}</button>
+        </div>
+        <div class="note" id="presetNote">${t('pageSize.presetNote')}</div>
+      </div>
+      
+      <div class="form-group">
+        <label>${t('pageSize.preview')}:</label>
+        <div id="preview" class="preview"></div>
+        <label class="checkbox"><input type="checkbox" id="previewSpread">${t('pageSize.previewSpread')}</label>
+        <div class="note" id="previewNote"></div>
+      </div>
+      
+      <div class="form-group">
+        <label for="unit">${t('pageSize.units')}:</label>
+        <select id="unit">
+          ${unitOptionsHtml}
+        </select>
+      </div>
+      
+      <div class="form-group">
+        <label for="language">${t('pageSize.language')}:</label>
+        <select id="language">
+          ${languageOptionsHtml}
+        </select>
+        <div class="note">${t('pageSize.languageNote')}</div>
+      </div>
+      
+      <div class="form-group">
+        <label for="platform">${t('pageSize.platform')}:</label>
+        <select id="platform">
+          ${platformOptionsHtml}
+        </select>
       </div>
       
       <div class="form-group">
-        <label for="bookSize">Select Book Size:</label>
+        <label for="bookSize">${t('pageSize.bookSize')}:</label>
         <select id="bookSize">
-          <option value="">-- Select a Size --</option>
-          ${paperbackDropdownHtml}
-          ${hardcoverDropdownHtml}
-          ${commonDropdownHtml}
+          <option value="">${t('pageSize.selectSize')}</option>
         </select>
       </div>
       
+      <div class="form-group">
+        <label>${t('pageSize.orientation')}:</label>
+        <label class="radio"><input type="radio" name="orientation" value="portrait" checked>${displayName('Portrait')}</label>
+        <label class="radio"><input type="radio" name="orientation" value="landscape">${displayName('Landscape')}</label>
+        <div class="note" id="orientationNote"></div>
+      </div>
+      
       <div id="customFields" class="custom-fields">
         <div class="form-group">
-          <label for="customWidth">Custom Width (inches):</label>
-          <input type="number" id="customWidth" step="0.01" min="${MIN_WIDTH}" max="${MAX_WIDTH}" placeholder="Width (${MIN_WIDTH}-${MAX_WIDTH} inches)">
-          <div class="note">KDP paperback width must be between ${MIN_WIDTH}" and ${MAX_WIDTH}"</div>
+          <label for="customWidth">${t('pageSize.customWidth')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="customWidth" class="length" step="0.01">
+          <div class="note" id="customWidthNote"></div>
         </div>
         
         <div class="form-group">
-          <label for="customHeight">Custom Height (inches):</label>
-          <input type="number" id="customHeight" step="0.01" min="${MIN_HEIGHT}" max="${MAX_HEIGHT}" placeholder="Height (${MIN_HEIGHT}-${MAX_HEIGHT} inches)">
-          <div class="note">KDP paperback height must be between ${MIN_HEIGHT}" and ${MAX_HEIGHT}"</div>
+          <label for="customHeight">${t('pageSize.customHeight')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="customHeight" class="length" step="0.01">
+          <div class="note" id="customHeightNote"></div>
         </div>
       </div>
       
       <div class="form-group">
-        <label for="bookType">Book Type:</label>
+        <label for="bookType">${t('pageSize.bookType')}:</label>
         <select id="bookType">
-          <option value="paperback">Paperback</option>
-          <option value="hardcover">Hardcover</option>
+          <option value="paperback">${displayName('Paperback')}</option>
+          <option value="hardcover">${displayName('Hardcover')}</option>
         </select>
-        <div class="note">Note: Not all sizes are available for hardcover</div>
+        <div class="note">${t('pageSize.hardcoverNote')}</div>
       </div>
       
       <div class="form-group">
-        <label for="paperType">Paper Type:</label>
-        <select id="paperType">
-          <option value="white">White</option>
-          <option value="cream">Cream</option>
-        </select>
+        <label for="paperType">${t('pageSize.paperType')}:</label>
+        <select id="paperType"></select>
       </div>
       
       <div class="form-group">
-        <label for="inkType">Ink Type:</label>
-        <select id="inkType">
-          <option value="black">Black</option>
-          <option value="premium">Premium Color</option>
-          <option value="standard">Standard Color (Paperback only)</option>
-        </select>
+        <label for="inkType">${t('pageSize.inkType')}:</label>
+        <select id="inkType"></select>
       </div>
       
       <div class="form-group">
-        <label for="margins">Set Standard Margins:</label>
+        <label for="margins">${t('pageSize.margins')}:</label>
         <select id="margins">
-          <option value="default">Default (1" all sides)</option>
-          <option value="narrow">Narrow (0.5" all sides)</option>
-          <option value="wide">Wide (1.25" all sides)</option>
-          <option value="mirrored">Mirrored (Book-style)</option>
-          <option value="customMirrored">Custom Mirrored (Book-style)</option>
-          <option value="custom">Custom</option>
+          <option value="default" data-label="${displayName('Default')}" data-margin="1"></option>
+          <option value="narrow" data-label="${displayName('Narrow')}" data-margin="0.5"></option>
+          <option value="wide" data-label="${displayName('Wide')}" data-margin="1.25"></option>
+          <option value="mirrored">${displayName('Mirrored (Book-style)')}</option>
+          <option value="customMirrored">${displayName('Custom Mirrored (Book-style)')}</option>
+          <option value="custom">${displayName('Custom')}</option>
         </select>
       </div>
       
+      <div class="form-group">
+        <label for="pageCount">${t('pageSize.pageCount')}:</label>
+        <input type="number" id="pageCount" step="1">
+        <div class="note" id="gutterNote"></div>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="bleed">${t('pageSize.bleed')}</label>
+        <div class="note" id="bleedNote"></div>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="fitContent" checked>${t('pageSize.fitContent')}</label>
+        <div class="note">${t('pageSize.fitContentNote')}</div>
+      </div>
+      
       <div id="customMargins" style="display: none;">
         <div class="form-group">
-          <label for="topMargin">Top Margin (inches):</label>
-          <input type="number" id="topMargin" step="0.1" min="0.25" value="1">
+          <label for="topMargin">${t('pageSize.topMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="topMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
         <div class="form-group">
-          <label for="bottomMargin">Bottom Margin (inches):</label>
-          <input type="number" id="bottomMargin" step="0.1" min="0.25" value="1">
+          <label for="bottomMargin">${t('pageSize.bottomMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="bottomMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
         <div class="form-group">
-          <label for="insideMargin">Inside/Left Margin (inches):</label>
-          <input type="number" id="insideMargin" step="0.1" min="0.25" value="1">
+          <label for="insideMargin">${t('pageSize.insideLeftMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="insideMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
         <div class="form-group">
-          <label for="outsideMargin">Outside/Right Margin (inches):</label>
-          <input type="number" id="outsideMargin" step="0.1" min="0.25" value="1">
+          <label for="outsideMargin">${t('pageSize.outsideRightMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="outsideMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
       </div>
       
       <div id="customMirroredMargins" style="display: none;">
         <div class="form-group">
-          <label for="topMirroredMargin">Top Margin (inches):</label>
-          <input type="number" id="topMirroredMargin" step="0.1" min="0.25" value="1">
+          <label for="topMirroredMargin">${t('pageSize.topMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="topMirroredMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
         <div class="form-group">
-          <label for="bottomMirroredMargin">Bottom Margin (inches):</label>
-          <input type="number" id="bottomMirroredMargin" step="0.1" min="0.25" value="1">
+          <label for="bottomMirroredMargin">${t('pageSize.bottomMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="bottomMirroredMargin" class="length" step="0.1" min="0.25" value="1">
         </div>
         <div class="form-group">
-          <label for="insideMirroredMargin">Inside Margin (inches):</label>
-          <input type="number" id="insideMirroredMargin" step="0.1" min="0.25" value="1.25">
-          <div class="note">Inside margin should be larger for binding space</div>
+          <label for="insideMirroredMargin">${t('pageSize.insideMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="insideMirroredMargin" class="length" step="0.1" min="0.25" value="1.25">
+          <div class="note">${t('pageSize.insideMarginNote')}</div>
         </div>
         <div class="form-group">
-          <label for="outsideMirroredMargin">Outside Margin (inches):</label>
-          <input type="number" id="outsideMirroredMargin" step="0.1" min="0.25" value="0.75">
+          <label for="outsideMirroredMargin">${t('pageSize.outsideMargin')} (<span class="unit-name">${displayName(UNITS.in.name)}</span>):</label>
+          <input type="number" id="outsideMirroredMargin" class="length" step="0.1" min="0.25" value="0.75">
         </div>
       </div>
       
+      <div id="generalIssues"></div>
+      
       <div class="button-group">
-        <button id="cancelBtn" onclick="google.script.host.close()">Cancel</button>
-        <button id="applyBtn" onclick="applySize()">Apply</button>
+        <button id="cancelBtn" onclick="google.script.host.close()">${t('pageSize.cancel')}</button>
+        <button id="applyBtn" onclick="applySize()">${t('pageSize.apply')}</button>
       </div>
       
       <script>
         // Current document settings
-        const currentSettings = ${JSON.stringify(currentSettings)};
+        const currentSettings = ${toScriptJson(currentSettings)};
+        
+        // Orientation, size limit and margin rules from layout-spec.js, so the dialog matches what Apply sets
+        ${getLayoutLibraryScript()}
+        
+        // Platform profiles and their size dropdown options
+        const platforms = ${toScriptJson(PLATFORMS)};
+        const platformDropdownHtml = ${toScriptJson(platformDropdownHtml)};
+        const commonDropdownHtml = ${toScriptJson(commonDropdownHtml)};
+        
+        // Messages in the user's language (see formatMessage and translateName in messages.js)
+        const messages = ${toScriptJson(getMessages(language))};
+        
+        function t(key, values) {
+          const message = messages[key] !== undefined ? messages[key] : key;
+          return message.replace(/\\{(\\w+)\\}/g, function(placeholder, name) {
+            return values && values[name] !== undefined ? String(values[name]) : placeholder;
+          });
+        }
+        
+        function displayName(name) {
+          return messages['name.' + name] !== undefined ? messages['name.' + name] : name;
+        }
+        
+        // Display units; fields start out in inches and are converted by setUnit
+        const units = ${toScriptJson(UNITS)};
+        let currentUnit = 'in';
+        
+        // Convert inches to a number in the current unit
+        function toUnit(inches) {
+          const unit = units[currentUnit];
+          return parseFloat((inches * unit.perInch).toFixed(unit.decimals));
+        }
+        
+        function formatLength(inches) {
+          return toUnit(inches) + units[currentUnit].symbol;
+        }
+        
+        // Read a length field in inches
+        function readLength(id) {
+          const inches = parseFloat(document.getElementById(id).value) / units[currentUnit].perInch;
+          return parseFloat(inches.toFixed(4));
+        }
+        
+        // Switch the display unit, converting the values already entered
+        function setUnit(unitKey) {
+          const ratio = units[unitKey].perInch / units[currentUnit].perInch;
+          
+          document.querySelectorAll('input.length').forEach(function(input) {
+            ['value', 'min', 'max'].forEach(function(attribute) {
+              if (input[attribute] !== '') {
+                input[attribute] = parseFloat((parseFloat(input[attribute]) * ratio).toFixed(4));
+              }
+            });
+            input.step = units[unitKey].step;
+          });
+          document.querySelectorAll('.unit-name').forEach(function(element) {
+            element.textContent = displayName(units[unitKey].name);
+          });
+          
+          currentUnit = unitKey;
+          document.getElementById('unit').value = unitKey;
+          updatePlatformOptions();
+        }
+        
+        // Save the language and reopen the dialog in it
+        document.getElementById('language').addEventListener('change', function() {
+          google.script.run
+            .withSuccessHandler(function() {
+              google.script.run.withFailureHandler(onFailure).setCustomPageSize();
+            })
+            .withFailureHandler(onFailure)
+            .setUserLanguage(this.value);
+        });
+        
+        document.getElementById('unit').addEventListener('change', function() {
+          setUnit(this.value);
+          google.script.run
+            .withSuccessHandler(function() {
+              if (validated) {
+                validate();
+              }
+            })
+            .withFailureHandler(onFailure)
+            .setUserUnit(this.value);
+        });
+        
+        // Label size and margin options with their dimensions in the current unit
+        function labelLengthOptions() {
+          document.querySelectorAll('option[data-width]').forEach(function(option) {
+            option.textContent = option.dataset.label + ' (' + formatLength(parseFloat(option.dataset.width)) +
+              ' × ' + formatLength(parseFloat(option.dataset.height)) + ')';
+          });
+          document.querySelectorAll('option[data-margin]').forEach(function(option) {
+            option.textContent = t('pageSize.marginAllSides', {
+              label: option.dataset.label,
+              length: formatLength(parseFloat(option.dataset.margin))
+            });
+          });
+        }
+        
+        function getPlatform() {
+          return platforms[document.getElementById('platform').value];
+        }
+        
+        // Rebuild the size, paper and ink options for the selected platform
+        function updatePlatformOptions() {
+          const platform = getPlatform();
+          const sizeSelect = document.getElementById('bookSize');
+          const paperSelect = document.getElementById('paperType');
+          const inkSelect = document.getElementById('inkType');
+          const selectedSize = sizeSelect.value;
+          const selectedPaper = paperSelect.value;
+          const selectedInk = inkSelect.value;
+          
+          sizeSelect.innerHTML = '<option value="">' + t('pageSize.selectSize') + '</option>' +
+            platformDropdownHtml[document.getElementById('platform').value] + commonDropdownHtml;
+          
+          // Only platforms with size limits accept custom dimensions
+          if (!platform.limits) {
+            sizeSelect.querySelector('option[value="Custom"]').remove();
+          }
+          sizeSelect.value = selectedSize;
+          if (sizeSelect.value !== selectedSize) {
+            sizeSelect.value = '';
+          }
+          document.getElementById('customFields').style.display = sizeSelect.value === 'Custom' ? 'block' : 'none';
+          
+          paperSelect.innerHTML = '';
+          for (const key in platform.paperTypes) {
+            paperSelect.add(new Option(displayName(platform.paperTypes[key]), key));
+          }
+          paperSelect.value = platform.paperTypes[selectedPaper] ? selectedPaper : 'white';
+          
+          inkSelect.innerHTML = '';
+          for (const key in platform.inkTypes) {
+            const paperbackOnly = platform.hardcoverInkTypes.indexOf(key) === -1;
+            const inkName = displayName(platform.inkTypes[key]);
+            inkSelect.add(new Option(paperbackOnly ? t('pageSize.paperbackOnly', { ink: inkName }) : inkName, key));
+          }
+          inkSelect.value = platform.inkTypes[selectedInk] ? selectedInk : 'black';
+          
+          updateOrientation();
+          
+          const pageCountInput = document.getElementById('pageCount');
+          pageCountInput.min = platform.pageCount.min;
+          pageCountInput.max = platform.pageCount.max;
+          pageCountInput.placeholder = t('pageSize.pagesPlaceholder', { min: platform.pageCount.min, max: platform.pageCount.max });
+          
+          document.getElementById('bleedNote').textContent = t('pageSize.bleedNote', {
+            width: formatLength(platform.bleed.width),
+            height: formatLength(platform.bleed.height),
+            margin: formatLength(platform.minOutsideMarginBleed)
+          });
+          
+          labelLengthOptions();
+          updateInkOptions();
+          updateGutterNote();
+          updatePreview();
+        }
+        
+        document.getElementById('platform').addEventListener('change', updatePlatformOptions);
+        
+        function getSelectedOrientation() {
+          return document.querySelector('input[name="orientation"]:checked').value;
+        }
+        
+        // Set the orientation toggle from the selected size, and the custom size limits from the orientation
+        function updateOrientation() {
+          const option = document.getElementById('bookSize').selectedOptions[0];
+          const isCustom = option && option.value === 'Custom';
+          const orientation = isCustom ?
+            layoutLibrary.getOrientation(readLength('customWidth'), readLength('customHeight')) :
+            option && option.dataset.width ?
+              layoutLibrary.getOrientation(parseFloat(option.dataset.width), parseFloat(option.dataset.height)) : null;
+          const note = document.getElementById('orientationNote');
+          
+          // Custom sizes keep the chosen orientation until both dimensions are entered
+          if (orientation === 'portrait' || orientation === 'landscape') {
+            document.querySelector('input[name="orientation"][value="' + orientation + '"]').checked = true;
+          }
+          document.querySelectorAll('input[name="orientation"]').forEach(function(radio) {
+            radio.disabled = orientation === 'square' || (!orientation && !isCustom);
+          });
+          note.textContent = t(orientation === 'square' ? 'pageSize.squareNote' : 'pageSize.orientationNote');
+          
+          const platform = getPlatform();
+          if (!platform.limits) {
+            return;
+          }
+          const limits = layoutLibrary.getTrimLimits(platform.limits, orientation === 'square' ? 'square' : getSelectedOrientation());
+          const widthInput = document.getElementById('customWidth');
+          const heightInput = document.getElementById('customHeight');
+          const unitName = displayName(units[currentUnit].name);
+          const rangeSuffix = orientation === 'square' ? 'Square' : getSelectedOrientation() === 'landscape' ? 'Landscape' : '';
+          widthInput.min = toUnit(limits.minWidth);
+          widthInput.max = toUnit(limits.maxWidth);
+          widthInput.placeholder = t('pageSize.widthPlaceholder', { min: toUnit(limits.minWidth), max: toUnit(limits.maxWidth), unit: unitName });
+          heightInput.min = toUnit(limits.minHeight);
+          heightInput.max = toUnit(limits.maxHeight);
+          heightInput.placeholder = t('pageSize.heightPlaceholder', { min: toUnit(limits.minHeight), max: toUnit(limits.maxHeight), unit: unitName });
+          document.getElementById('customWidthNote').textContent = t('pageSize.widthRange' + rangeSuffix, {
+            platform: platform.name,
+            min: formatLength(limits.minWidth),
+            max: formatLength(limits.maxWidth)
+          });
+          document.getElementById('customHeightNote').textContent = t('pageSize.heightRange' + rangeSuffix, {
+            platform: platform.name,
+            min: formatLength(limits.minHeight),
+            max: formatLength(limits.maxHeight)
+          });
+        }
+        
+        // Swap the width and height: switch to the rotated preset if the platform lists one,
+        // otherwise to a custom size where the platform allows them
+        function switchOrientation() {
+          const sizeSelect = document.getElementById('bookSize');
+          const option = sizeSelect.selectedOptions[0];
+          const platform = getPlatform();
+          
+          if (option.value === 'Custom') {
+            const width = document.getElementById('customWidth').value;
+            document.getElementById('customWidth').value = document.getElementById('customHeight').value;
+            document.getElementById('customHeight').value = width;
+          } else {
+            const prefix = option.value.match(/^(Paperback|Hardcover) - /);
+            const rotated = Array.prototype.find.call(sizeSelect.options, function(candidate) {
+              return candidate.dataset.width === option.dataset.height && candidate.dataset.height === option.dataset.width &&
+                (candidate.value.match(/^(Paperback|Hardcover) - /) || [''])[0] === (prefix || [''])[0];
+            });
+            const bookType = document.getElementById('bookType').value;
+            
+            if (rotated) {
+              sizeSelect.value = rotated.value;
+            } else if (platform.limits && platform.customBookTypes.indexOf(bookType) !== -1) {
+              sizeSelect.value = 'Custom';
+              document.getElementById('customFields').style.display = 'block';
+              document.getElementById('customWidth').value = toUnit(parseFloat(option.dataset.height));
+              document.getElementById('customHeight').value = toUnit(parseFloat(option.dataset.width));
+            } else {
+              const wanted = getSelectedOrientation();
+              updateOrientation();
+              document.getElementById('orientationNote').textContent = t(wanted === 'landscape' ? 'pageSize.noLandscapeSize' : 'pageSize.noPortraitSize', {
+                platform: platform.name,
+                bookType: t('bookType.' + bookType)
+              });
+              return;
+            }
+          }
+          
+          updateOrientation();
+          updatePreview();
+        }
+        
+        document.querySelectorAll('input[name="orientation"]').forEach(function(radio) {
+          radio.addEventListener('change', switchOrientation);
+        });
+        document.getElementById('customWidth').addEventListener('input', updateOrientation);
+        document.getElementById('customHeight').addEventListener('input', updateOrientation);
         
-        // Function to load saved settings
-        function loadSavedSettings() {
+        // Load saved document or preset settings (in inches) into the form
+        function loadSavedSettings(currentSettings) {
+          // Set platform and fill in its options
+          document.getElementById('platform').value = platforms[currentSettings.platform] ? currentSettings.platform : '${DEFAULT_PLATFORM}';
+          updatePlatformOptions();
+          document.getElementById('paperType').value = currentSettings.paperType || 'white';
+          document.getElementById('inkType').value = currentSettings.inkType || 'black';
+          
           // Set book size dropdown
           if (currentSettings.sizeName) {
             document.getElementById('bookSize').value = currentSettings.sizeName;
@@ -429,8 +1074,9 @@ function setCustomPageSize() {
           
           // Set other form values
           document.getElementById('bookType').value = currentSettings.bookType || 'paperback';
-          document.getElementById('paperType').value = currentSettings.paperType || 'white';
-          document.getElementById('inkType').value = currentSettings.inkType || 'black';
+          
+          document.getElementById('pageCount').value = currentSettings.pageCount || '';
+          document.getElementById('bleed').checked = !!currentSettings.bleed;
           
           // Set margin type
           if (currentSettings.marginType) {
@@ -467,6 +1113,8 @@ function setCustomPageSize() {
           
           // Update ink options based on book type
           updateInkOptions();
+          updateGutterNote();
+          updateOrientation();
         }
         
         // Show custom fields when "Custom" is selected
@@ -486,6 +1134,7 @@ function setCustomPageSize() {
             document.getElementById('bookType').value = 'paperback';
             updateInkOptions();
           }
+          updateOrientation();
         });
         
         // Update ink options based on book type
@@ -494,15 +1143,39 @@ function setCustomPageSize() {
         function updateInkOptions() {
           const bookType = document.getElementById('bookType').value;
           const inkSelect = document.getElementById('inkType');
-          const standardOption = inkSelect.querySelector('option[value="standard"]');
+          const hardcoverInkTypes = getPlatform().hardcoverInkTypes;
           
-          if (bookType === 'hardcover') {
-            standardOption.disabled = true;
-            if (inkSelect.value === 'standard') {
-              inkSelect.value = 'premium';
-            }
+          Array.prototype.forEach.call(inkSelect.options, function(option) {
+            option.disabled = bookType === 'hardcover' && hardcoverInkTypes.indexOf(option.value) === -1;
+          });
+          
+          if (inkSelect.selectedOptions[0] && inkSelect.selectedOptions[0].disabled) {
+            inkSelect.value = hardcoverInkTypes.indexOf('premium') !== -1 ? 'premium' : hardcoverInkTypes[0];
+          }
+        }
+        
+        // Show the minimum inside margin for the entered page count
+        document.getElementById('pageCount').addEventListener('input', updateGutterNote);
+        document.getElementById('bleed').addEventListener('change', updateGutterNote);
+        
+        function updateGutterNote() {
+          const platform = getPlatform();
+          const pageCount = parseInt(document.getElementById('pageCount').value, 10);
+          const minimums = layoutLibrary.getMinimumMargins(pageCount, document.getElementById('bleed').checked,
+            document.getElementById('platform').value);
+          const note = document.getElementById('gutterNote');
+          
+          if (minimums.inside) {
+            note.textContent = t('pageSize.gutterNote', {
+              platform: platform.name,
+              pages: pageCount,
+              inside: formatLength(minimums.inside),
+              outside: formatLength(minimums.outside)
+            });
+          } else if (pageCount) {
+            note.textContent = t('pageSize.pageCountRange', { min: platform.pageCount.min, max: platform.pageCount.max });
           } else {
-            standardOption.disabled = false;
+            note.textContent = t('pageSize.gutterHint', { platform: platform.name });
           }
         }
         
@@ -520,30 +1193,25 @@ function setCustomPageSize() {
           }
         });
         
-        function applySize() {
-          const selectedSize = document.getElementById('bookSize').value;
-          const bookType = document.getElementById('bookType').value;
-          const paperType = document.getElementById('paperType').value;
-          const inkType = document.getElementById('inkType').value;
+        // Collect the form values into a layout spec (see createLayoutSpec)
+        function collectSpec() {
           const marginType = document.getElementById('margins').value;
-          
-          let width, height;
-          let marginSettings = {};
+          let marginSettings;
           
           // Get margin settings based on selected type
           if (marginType === 'custom') {
             marginSettings = {
-              top: parseFloat(document.getElementById('topMargin').value),
-              bottom: parseFloat(document.getElementById('bottomMargin').value),
-              inside: parseFloat(document.getElementById('insideMargin').value),
-              outside: parseFloat(document.getElementById('outsideMargin').value)
+              top: readLength('topMargin'),
+              bottom: readLength('bottomMargin'),
+              inside: readLength('insideMargin'),
+              outside: readLength('outsideMargin')
             };
           } else if (marginType === 'customMirrored') {
             marginSettings = {
-              top: parseFloat(document.getElementById('topMirroredMargin').value),
-              bottom: parseFloat(document.getElementById('bottomMirroredMargin').value),
-              inside: parseFloat(document.getElementById('insideMirroredMargin').value),
-              outside: parseFloat(document.getElementById('outsideMirroredMargin').value),
+              top: readLength('topMirroredMargin'),
+              bottom: readLength('bottomMirroredMargin'),
+              inside: readLength('insideMirroredMargin'),
+              outside: readLength('outsideMirroredMargin'),
               isMirrored: true
             };
           } else {
@@ -552,39 +1220,368 @@ function setCustomPageSize() {
             };
           }
           
-          if (selectedSize === 'Custom') {
-            width = parseFloat(document.getElementById('customWidth').value);
-            height = parseFloat(document.getElementById('customHeight').value);
+          return {
+            sizeName: document.getElementById('bookSize').value,
+            width: readLength('customWidth') || null,
+            height: readLength('customHeight') || null,
+            bookType: document.getElementById('bookType').value,
+            paperType: document.getElementById('paperType').value,
+            inkType: document.getElementById('inkType').value,
+            platform: document.getElementById('platform').value,
+            marginType: marginType,
+            marginSettings: marginSettings,
+            pageCount: parseInt(document.getElementById('pageCount').value, 10) || null,
+            bleed: document.getElementById('bleed').checked
+          };
+        }
+        
+        // Form element that shows the issues for each spec field
+        function getFieldElementId(field, marginType) {
+          const mirrored = marginType === 'customMirrored';
+          const fieldElements = {
+            preset: 'preset',
+            platform: 'platform',
+            sizeName: 'bookSize',
+            width: 'customWidth',
+            height: 'customHeight',
+            bookType: 'bookType',
+            paperType: 'paperType',
+            inkType: 'inkType',
+            pageCount: 'pageCount',
+            marginType: 'margins',
+            margins: 'margins',
+            'margins.top': mirrored ? 'topMirroredMargin' : 'topMargin',
+            'margins.bottom': mirrored ? 'bottomMirroredMargin' : 'bottomMargin',
+            'margins.inside': mirrored ? 'insideMirroredMargin' : 'insideMargin',
+            'margins.outside': mirrored ? 'outsideMirroredMargin' : 'outsideMargin'
+          };
+          return fieldElements[field];
+        }
+        
+        // Show validation issues next to the fields they refer to
+        function showIssues(issues) {
+          const marginType = document.getElementById('margins').value;
+          const generalIssues = document.getElementById('generalIssues');
+          
+          document.querySelectorAll('.field-issue').forEach(function(element) {
+            element.remove();
+          });
+          generalIssues.innerHTML = '';
+          generalIssues.style.display = 'none';
+          
+          issues.forEach(function(issue) {
+            const message = document.createElement('div');
+            message.className = 'field-issue ' + issue.severity;
+            message.textContent = issue.message;
             
-            if (!width || !height || width < ${MIN_WIDTH} || width > ${MAX_WIDTH} || height < ${MIN_HEIGHT} || height > ${MAX_HEIGHT}) {
-              alert('Please enter valid dimensions. Width must be between ${MIN_WIDTH}" and ${MAX_WIDTH}", and height between ${MIN_HEIGHT}" and ${MAX_HEIGHT}".');
-              return;
+            const element = document.getElementById(getFieldElementId(issue.field, marginType));
+            if (element) {
+              element.insertAdjacentElement('afterend', message);
+            } else {
+              generalIssues.appendChild(message);
+              generalIssues.style.display = 'block';
             }
+          });
+        }
+        
+        function hasErrors(issues) {
+          return issues.some(function(issue) {
+            return issue.severity === 'error';
+          });
+        }
+        
+        // Re-check the form on every change once issues have been shown
+        let validated = false;
+        document.addEventListener('change', function(event) {
+          // Unit changes are re-checked once the new unit has been saved
+          if (validated && event.target.id !== 'unit' && event.target.id !== 'previewSpread') {
+            validate();
+          }
+        });
+        
+        function validate(onValid) {
+          google.script.run
+            .withSuccessHandler(function(issues) {
+              validated = true;
+              showIssues(issues);
+              if (onValid && !hasErrors(issues)) {
+                onValid();
+              }
+            })
+            .withFailureHandler(onFailure)
+            .validateLayoutSpec(collectSpec());
+        }
+        
+        function applySize() {
+          validate(function() {
+            const spec = collectSpec();
+            const options = {
+              pageCount: spec.pageCount,
+              bleed: spec.bleed,
+              platform: spec.platform,
+              fitContent: document.getElementById('fitContent').checked
+            };
+            const runner = google.script.run.withSuccessHandler(onApplied).withFailureHandler(onFailure);
             
-            google.script.run.withSuccessHandler(onSuccess).applyCustomPageSize(width, height, bookType, paperType, inkType, marginSettings, marginType);
-          } else if (selectedSize) {
-            google.script.run.withSuccessHandler(onSuccess).applyPageSettings(selectedSize, bookType, paperType, inkType, marginSettings, marginType);
+            if (spec.sizeName === 'Custom') {
+              runner.applyCustomPageSize(spec.width, spec.height, spec.bookType, spec.paperType, spec.inkType, spec.marginSettings, spec.marginType, options);
+            } else {
+              runner.applyPageSettings(spec.sizeName, spec.bookType, spec.paperType, spec.inkType, spec.marginSettings, spec.marginType, options);
+            }
+          });
+        }
+        
+        function onApplied(result) {
+          if (result.success) {
+            alert(result.message);
+            google.script.host.close();
           } else {
-            alert('Please select a page size or enter custom dimensions.');
+            showIssues(result.issues);
           }
         }
         
-        function onSuccess(message) {
-          alert(message);
-          google.script.host.close();
+        function onFailure(error) {
+          showIssues([{ field: null, severity: 'error', message: error.message }]);
         }
         
-        // Initialize ink options and load saved settings
-        document.addEventListener('DOMContentLoaded', function() {
-          loadSavedSettings();
-          updateInkOptions();
-        });
+        // Paper tints for the preview
+        const paperColors = { white: '${COLOR_WHITE}', cream: '${COLOR_CREAM}' };
+        const previewMaxWidth = 390;
+        const previewMaxHeight = 220;
+        
+        // Trim size in inches for the selected size, or null if there isn't one yet
+        function previewSize(spec) {
+          const option = document.getElementById('bookSize').selectedOptions[0];
+          if (spec.sizeName === 'Custom') {
+            return spec.width > 0 && spec.height > 0 ? { width: spec.width, height: spec.height } : null;
+          }
+          if (option && option.dataset.width) {
+            return { width: parseFloat(option.dataset.width), height: parseFloat(option.dataset.height) };
+          }
+          return null;
+        }
+        
+        // Margins in inches as the server will set them
+        function previewMargins(spec) {
+          return layoutLibrary.resolveMargins(spec.marginSettings, {
+            pageCount: spec.pageCount,
+            bleed: spec.bleed,
+            platform: spec.platform
+          });
+        }
+        
+        function svgRect(x, y, width, height, attributes) {
+          return '<rect x="' + x.toFixed(1) + '" y="' + y.toFixed(1) + '" width="' + Math.max(width, 0).toFixed(1) +
+            '" height="' + Math.max(height, 0).toFixed(1) + '" ' + attributes + '/>';
+        }
+        
+        // One page at (x, y); bleed extends the outside edge and the top and bottom
+        // Left-hand pages of a spread have their inside margin on the right
+        function drawPreviewPage(x, y, scale, page, isLeftPage) {
+          const trimX = x + (isLeftPage ? page.bleedWidth * scale : 0);
+          const trimY = y + page.bleedHeight / 2 * scale;
+          const margins = page.margins;
+          const insideLeft = !isLeftPage;
+          let svg = svgRect(x, y, (page.width + page.bleedWidth) * scale, (page.height + page.bleedHeight) * scale,
+            'fill="' + page.paperColor + '" stroke="#999" stroke-width="1"');
+          
+          if (page.mirrored) {
+            svg += svgRect(insideLeft ? trimX : trimX + (page.width - margins.inside) * scale, trimY,
+              margins.inside * scale, page.height * scale, 'fill="#fbbc04" fill-opacity="0.3"');
+          }
+          svg += svgRect(trimX + (insideLeft ? margins.inside : margins.outside) * scale, trimY + margins.top * scale,
+            (page.width - margins.inside - margins.outside) * scale, (page.height - margins.top - margins.bottom) * scale,
+            'fill="#1a73e8" fill-opacity="0.08" stroke="#1a73e8" stroke-dasharray="3,2"');
+          if (page.bleedWidth) {
+            svg += svgRect(trimX, trimY, page.width * scale, page.height * scale,
+              'fill="none" stroke="#d93025" stroke-dasharray="4,2"');
+          }
+          return svg;
+        }
+        
+        // Redraw the scaled preview from the form
+        function updatePreview() {
+          const spec = collectSpec();
+          const size = previewSize(spec);
+          const margins = previewMargins(spec);
+          const preview = document.getElementById('preview');
+          const note = document.getElementById('previewNote');
+          const valid = size && ['top', 'bottom', 'inside', 'outside'].every(function(side) {
+            return margins[side] >= 0;
+          });
+          
+          if (!valid) {
+            preview.textContent = t(size ? 'pageSize.previewNeedsMargins' : 'pageSize.previewNeedsSize');
+            note.textContent = '';
+            return;
+          }
+          
+          const platform = getPlatform();
+          const spread = document.getElementById('previewSpread').checked;
+          const page = {
+            width: size.width,
+            height: size.height,
+            bleedWidth: spec.bleed ? platform.bleed.width : 0,
+            bleedHeight: spec.bleed ? platform.bleed.height : 0,
+            margins: margins,
+            mirrored: spec.marginType === 'mirrored' || spec.marginType === 'customMirrored',
+            paperColor: paperColors[spec.paperType] || paperColors.white
+          };
+          const pageWidth = page.width + page.bleedWidth;
+          const pageHeight = page.height + page.bleedHeight;
+          const scale = Math.min(previewMaxWidth / (spread ? 2 * pageWidth : pageWidth), previewMaxHeight / pageHeight);
+          const svgWidth = (spread ? 2 * pageWidth : pageWidth) * scale;
+          const svgHeight = pageHeight * scale;
+          
+          let svg = '<svg xmlns="http://www.w3.org/2000/svg" role="img" aria-label="' + t('pageSize.previewLabel') + '" width="' + (svgWidth + 2).toFixed(1) +
+            '" height="' + (svgHeight + 2).toFixed(1) + '"><g transform="translate(1,1)">';
+          if (spread) {
+            svg += drawPreviewPage(0, 0, scale, page, true) + drawPreviewPage(pageWidth * scale, 0, scale, page, false);
+            svg += '<line x1="' + (pageWidth * scale).toFixed(1) + '" y1="0" x2="' + (pageWidth * scale).toFixed(1) +
+              '" y2="' + svgHeight.toFixed(1) + '" stroke="#5f6368" stroke-width="1.5"/>';
+          } else {
+            svg += drawPreviewPage(0, 0, scale, page, false);
+          }
+          preview.innerHTML = svg + '</g></svg>';
+          
+          note.textContent = [
+            t('pageSize.previewNote', {
+              width: formatLength(page.width),
+              height: formatLength(page.height),
+              top: formatLength(margins.top),
+              bottom: formatLength(margins.bottom),
+              inside: formatLength(margins.inside),
+              outside: formatLength(margins.outside)
+            }),
+            page.mirrored ? t('pageSize.previewGutter') : '',
+            page.bleedWidth ? t('pageSize.previewBleed') : '',
+            spread ? t('pageSize.previewSpreadNote') : ''
+          ].filter(Boolean).join(' ');
+        }
+        
+        document.addEventListener('input', updatePreview);
+        document.addEventListener('change', updatePreview);
+        
+        // Fill the preset dropdown and enable the buttons that need a preset
+        function showPresets(names, selectedName) {
+          const presetSelect = document.getElementById('preset');
+          presetSelect.innerHTML = '<option value="">' + t(names.length ? 'pageSize.selectPreset' : 'pageSize.noPresets') + '</option>';
+          names.forEach(function(name) {
+            presetSelect.add(new Option(name, name));
+          });
+          presetSelect.value = selectedName;
+          updatePresetButtons();
+        }
+        
+        function updatePresetButtons() {
+          const selected = !!document.getElementById('preset').value;
+          ['loadPresetBtn', 'applyPresetBtn', 'updatePresetBtn', 'renamePresetBtn', 'deletePresetBtn'].forEach(function(id) {
+            document.getElementById(id).disabled = !selected;
+          });
+        }
+        
+        document.getElementById('preset').addEventListener('change', updatePresetButtons);
+        
+        function onPresetsChanged(result) {
+          if (result.success) {
+            showIssues([]);
+            showPresets(result.presets, result.name);
+            document.getElementById('presetNote').textContent = result.message;
+          } else {
+            showIssues(result.issues);
+          }
+        }
+        
+        // Load a preset into the form; its values are in inches
+        function loadPreset() {
+          google.script.run
+            .withSuccessHandler(function(preset) {
+              if (!preset) {
+                showIssues([{ field: 'preset', severity: 'error', message: t('pageSize.presetMissing') }]);
+                return;
+              }
+              const unitKey = currentUnit;
+              setUnit('in');
+              loadSavedSettings(preset);
+              setUnit(unitKey);
+              if (validated) {
+                validate();
+              }
+            })
+            .withFailureHandler(onFailure)
+            .getLayoutPreset(document.getElementById('preset').value);
+        }
+        
+        function applyPreset() {
+          google.script.run
+            .withSuccessHandler(onApplied)
+            .withFailureHandler(onFailure)
+            .applyLayoutPreset(document.getElementById('preset').value);
+        }
+        
+        // Save the form as a preset once it passes validation
+        function savePreset() {
+          const name = prompt(t('pageSize.presetNamePrompt'));
+          if (name === null) {
+            return;
+          }
+          validate(function() {
+            google.script.run
+              .withSuccessHandler(onPresetsChanged)
+              .withFailureHandler(onFailure)
+              .saveLayoutPreset(name, collectSpec(), false);
+          });
+        }
+        
+        function updatePreset() {
+          const name = document.getElementById('preset').value;
+          if (!confirm(t('pageSize.presetReplaceConfirm', { name: name }))) {
+            return;
+          }
+          validate(function() {
+            google.script.run
+              .withSuccessHandler(onPresetsChanged)
+              .withFailureHandler(onFailure)
+              .saveLayoutPreset(name, collectSpec(), true);
+          });
+        }
+        
+        function renamePreset() {
+          const name = document.getElementById('preset').value;
+          const newName = prompt(t('pageSize.presetRenamePrompt', { name: name }), name);
+          if (newName === null) {
+            return;
+          }
+          google.script.run
+            .withSuccessHandler(onPresetsChanged)
+            .withFailureHandler(onFailure)
+            .renameLayoutPreset(name, newName);
+        }
+        
+        function deletePreset() {
+          const name = document.getElementById('preset').value;
+          if (!confirm(t('pageSize.presetDeleteConfirm', { name: name }))) {
+            return;
+          }
+          google.script.run
+            .withSuccessHandler(onPresetsChanged)
+            .withFailureHandler(onFailure)
+            .deleteLayoutPreset(name);
+        }
+        
+        // Initialize ink options, load saved settings (in inches) and show them in the user's unit
+        document.addEventListener('DOMContentLoaded', function() {
+          loadSavedSettings(currentSettings);
+          updateInkOptions();
+          setUnit('${unit}');
+          showPresets(${toScriptJson(presetNames)}, '');
+        });
       </script>
     `)
         .setWidth(450)
         .setHeight(700); // Increased height to accommodate new fields
 
-    ui.showModalDialog(htmlOutput, 'Set Custom Page Size');
+    ui.showModalDialog(htmlOutput, t('pageSize.title'));
 }
 
 /**
@@ -612,16 +1609,42 @@ function showCurrentMargins() {
     const widthInches = pageWidth / POINTS_PER_INCH;
     const heightInches = pageHeight / POINTS_PER_INCH;
 
+    // Show lengths in the user's unit and language, followed by points unless that is the unit
+    const unit = getUserUnit();
+    const language = getUserLanguage();
+    const showPoints = unit !== 'pt';
+    const points = function(inches) {
+        return parseFloat((inches * POINTS_PER_INCH).toFixed(1));
+    };
+    const length = function(inches) {
+        return formatLength(inches, unit) +
+            (showPoints ? ` (${formatMessage(language, 'report.points', { length: points(inches) })})` : '');
+    };
+    const size = function(width, height) {
+        return `${formatLength(width, unit)} × ${formatLength(height, unit)}` +
+            (showPoints ? ` (${formatMessage(language, 'report.points', { length: `${points(width)} × ${points(height)}` })})` : '');
+    };
+
+    // Report trim and bleed size separately when the document has bleed
+    const settings = getDocumentSettings();
+    let sizeReport;
+    if (settings.bleed) {
+        sizeReport = formatMessage(language, 'report.trimSize', { size: size(settings.width, settings.height) }) + '\n' +
+            formatMessage(language, 'report.bleedSize', { size: size(widthInches, heightInches) }) + '\n\n';
+    } else {
+        sizeReport = formatMessage(language, 'report.pageSize', { size: size(widthInches, heightInches) }) + '\n\n';
+    }
+
     // Display the margins and page size
     const ui = DocumentApp.getUi();
     ui.alert(
-        'Page Settings',
-        `Page Size: ${widthInches.toFixed(2)}" × ${heightInches.toFixed(2)}" (${pageWidth} × ${pageHeight} pts)\n\n` +
-        `Margins:\n` +
-        `Top: ${topInches.toFixed(2)}" (${topMargin} pts)\n` +
-        `Bottom: ${bottomInches.toFixed(2)}" (${bottomMargin} pts)\n` +
-        `Left: ${leftInches.toFixed(2)}" (${leftMargin} pts)\n` +
-        `Right: ${rightInches.toFixed(2)}" (${rightMargin} pts)`,
+        formatMessage(language, 'report.title'),
+        sizeReport +
+        formatMessage(language, 'report.margins') + '\n' +
+        formatMessage(language, 'report.top', { length: length(topInches) }) + '\n' +
+        formatMessage(language, 'report.bottom', { length: length(bottomInches) }) + '\n' +
+        formatMessage(language, 'report.left', { length: length(leftInches) }) + '\n' +
+        formatMessage(language, 'report.right', { length: length(rightInches) }),
         ui.ButtonSet.OK
     );
 }
@@ -629,53 +1652,26 @@ function showCurrentMargins() {
 /**
  * Applies predefined page settings based on selected size name
  *
- * @param {string} sizeName - Name of the selected size from KDP_SIZES or COMMON_SIZES
+ * @param {string} sizeName - Name of the selected size from the platform's sizes or COMMON_SIZES
  * @param {string} bookType - Either 'paperback' or 'hardcover'
  * @param {string} paperType - Either 'white' or 'cream'
  * @param {string} inkType - 'black', 'premium', or 'standard'
  * @param {Object} marginSettings - Margin settings object
  * @param {string} marginType - Type of margins to apply
- * @return {string} Status message
+ * @param {Object} [options] - Additional layout options
+ * @param {number} [options.pageCount] - Page count used for the minimum inside margin
+ * @param {boolean} [options.bleed] - Whether to add bleed to the page size
+ * @param {string} [options.platform] - Print platform key from PLATFORMS
+ * @param {boolean} [options.fitContent] - Whether to fit images and tables to the new content width (default true)
+ * @return {Object} Result with success flag, status message and validation issues
  */
-function applyPageSettings(sizeName, bookType, paperType, inkType, marginSettings, marginType) {
-    try {
-        let widthInches, heightInches;
-
-        if (KDP_SIZES[sizeName]) {
-            widthInches = KDP_SIZES[sizeName].width;
-            heightInches = KDP_SIZES[sizeName].height;
-        } else {
-            widthInches = COMMON_SIZES[sizeName].width;
-            heightInches = COMMON_SIZES[sizeName].height;
-        }
-
-        // Convert inches to points
-        const pageWidth = widthInches * POINTS_PER_INCH;
-        const pageHeight = heightInches * POINTS_PER_INCH;
-
-        // Apply the page size to the document
-        const doc = DocumentApp.getActiveDocument();
-        const body = doc.getBody();
-
-        body.setPageWidth(pageWidth);
-        body.setPageHeight(pageHeight);
-
-        // Set background color based on paper type
-        body.setBackgroundColor(paperType === 'cream' ? COLOR_CREAM : COLOR_WHITE);
-
-        // Apply margins
-        applyMargins(body, marginSettings);
+function applyPageSettings(sizeName, bookType, paperType, inkType, marginSettings, marginType, options) {
+    options = options || {};
+    const size = findSize(sizeName, options.platform);
+    const spec = createLayoutSpec(sizeName, size ? size.width : null, size ? size.height : null,
+        bookType, paperType, inkType, marginSettings, marginType, options);
 
-        // Save document properties to remember settings
-        saveDocumentSettings(sizeName, widthInches, heightInches, bookType, paperType, inkType, marginType, marginSettings);
-
-        return "Page size set to " + sizeName.replace(/^(Paperback|Hardcover) - /, '') +
-            " (" + widthInches + "\" × " + heightInches + "\") as " + bookType +
-            " with " + paperType + " paper and " + inkType + " ink.";
-    } catch (error) {
-        Logger.log("Error in applyPageSettings: " + error);
-        return "Error: " + error.toString();
-    }
+    return applyLayoutSpec(spec, options);
 }
 
 /**
@@ -688,42 +1684,112 @@ function applyPageSettings(sizeName, bookType, paperType, inkType, marginSetting
  * @param {string} inkType - 'black', 'premium', or 'standard'
  * @param {Object} marginSettings - Margin settings object
  * @param {string} marginType - Type of margins to apply
- * @return {string} Status message
+ * @param {Object} [options] - Additional layout options
+ * @param {number} [options.pageCount] - Page count used for the minimum inside margin
+ * @param {boolean} [options.bleed] - Whether to add bleed to the page size
+ * @param {string} [options.platform] - Print platform key from PLATFORMS
+ * @param {boolean} [options.fitContent] - Whether to fit images and tables to the new content width (default true)
+ * @return {Object} Result with success flag, status message and validation issues
+ */
+function applyCustomPageSize(widthInches, heightInches, bookType, paperType, inkType, marginSettings, marginType, options) {
+    const spec = createLayoutSpec('Custom', widthInches, heightInches,
+        bookType, paperType, inkType, marginSettings, marginType, options);
+
+    return applyLayoutSpec(spec, options);
+}
+
+/**
+ * Validates a layout spec and applies it to the active document, or to another document
+ * Settings and history are document properties of the document the script is bound to, so they're
+ * only saved when the layout is applied to that document.
+ *
+ * @param {Object} spec - Layout spec from createLayoutSpec
+ * @param {Object} [applyOptions] - Options for applying the spec
+ * @param {boolean} [applyOptions.fitContent] - Whether to fit images and tables to the new content width (default true)
+ * @param {Document} [applyOptions.document] - Document to apply the spec to (default the active document)
+ * @return {Object} Result with success flag, status message and validation issues
  */
-function applyCustomPageSize(widthInches, heightInches, bookType, paperType, inkType, marginSettings, marginType) {
+function applyLayoutSpec(spec, applyOptions) {
+    applyOptions = applyOptions || {};
     try {
-        // Server-side validation
-        if (!widthInches || !heightInches ||
-            widthInches < MIN_WIDTH || widthInches > MAX_WIDTH ||
-            heightInches < MIN_HEIGHT || heightInches > MAX_HEIGHT) {
-            return `Error: Invalid dimensions. Width must be between ${MIN_WIDTH}" and ${MAX_WIDTH}", and height between ${MIN_HEIGHT}" and ${MAX_HEIGHT}".`;
+        const unit = getUserUnit();
+        const language = getUserLanguage();
+        const issues = localizeIssues(validateLayout(spec, unit), language);
+        const errors = issues.filter(function(issue) {
+            return issue.severity === 'error';
+        });
+
+        if (errors.length) {
+            return {
+                success: false,
+                message: errors[0].message,
+                issues: issues
+            };
         }
 
-        // Convert inches to points
-        const pageWidth = widthInches * POINTS_PER_INCH;
-        const pageHeight = heightInches * POINTS_PER_INCH;
+        const platform = getPlatform(spec.platform);
+        const options = {
+            pageCount: spec.pageCount,
+            bleed: spec.bleed,
+            platform: spec.platform,
+            unit: unit
+        };
 
         // Apply the page size to the document
-        const doc = DocumentApp.getActiveDocument();
+        const activeDoc = DocumentApp.getActiveDocument();
+        const doc = applyOptions.document || activeDoc;
+        const isActiveDoc = !!activeDoc && doc.getId() === activeDoc.getId();
         const body = doc.getBody();
 
-        body.setPageWidth(pageWidth);
-        body.setPageHeight(pageHeight);
+        // Keep the current setup so it can be restored from the history
+        if (isActiveDoc) {
+            recordPageSetup(body);
+        }
 
-        // Set background color based on paper type
-        body.setBackgroundColor(paperType === 'cream' ? COLOR_CREAM : COLOR_WHITE);
+        const marginNotes = applyLayoutToBody(body, spec, options);
 
-        // Apply margins
-        applyMargins(body, marginSettings);
+        // Scale images and tables down to the new content width
+        const fit = applyOptions.fitContent === false ? null : fitContentToPage(body, unit, language);
 
         // Save document properties to remember settings
-        saveDocumentSettings('Custom', widthInches, heightInches, bookType, paperType, inkType, marginType, marginSettings);
+        if (isActiveDoc) {
+            saveDocumentSettings(spec.sizeName, spec.width, spec.height, spec.bookType, spec.paperType, spec.inkType,
+                spec.marginType, spec.marginSettings, options);
+        }
 
-        return "Custom page size set to " + widthInches.toFixed(2) + "\" × " + heightInches.toFixed(2) +
-            "\" as " + bookType + " with " + paperType + " paper and " + inkType + " ink.";
+        const description = formatMessage(language, spec.bleed ? 'status.descriptionBleed' : 'status.description', {
+            platform: platform.name,
+            bookType: formatMessage(language, 'bookType.' + spec.bookType),
+            paper: formatMessage(language, 'paper.' + spec.paperType),
+            ink: formatMessage(language, 'ink.' + spec.inkType)
+        }) + formatMarginNotes(marginNotes, language);
+        const message = spec.sizeName === 'Custom' ?
+            formatMessage(language, 'status.customSize', {
+                width: formatLength(spec.width, unit),
+                height: formatLength(spec.height, unit),
+                description: description
+            }) :
+            formatMessage(language, 'status.presetSize', {
+                size: translateName(language, spec.sizeName.replace(/^(Paperback|Hardcover) - /, '')),
+                width: formatLength(spec.width, unit),
+                height: formatLength(spec.height, unit),
+                description: description
+            });
+
+        return {
+            success: true,
+            message: message + formatFitSummary(fit, language),
+            issues: fit ? issues.concat(localizeIssues(fit.unfit.map(function(finding) {
+                return createCatalogIssue('CONTENT_NOT_FITTED', null, finding.key, finding.values, 'warning');
+            }), language)) : issues
+        };
     } catch (error) {
-        Logger.log("Error in applyCustomPageSize: " + error);
-        return "Error: " + error.toString();
+        Logger.log("Error in applyLayoutSpec: " + error);
+        return {
+            success: false,
+            message: error.toString(),
+            issues: [createIssue('UNEXPECTED_ERROR', null, error.toString())]
+        };
     }
 }
 
@@ -731,54 +1797,160 @@ function applyCustomPageSize(widthInches, heightInches, bookType, paperType, ink
 // HELPER FUNCTIONS
 // ========================
 
+/**
+ * Sets a document body's page size, background color and margins from a validated layout spec
+ *
+ * @param {Body} body - Document body
+ * @param {Object} spec - Layout spec from createLayoutSpec
+ * @param {Object} options - Layout options passed to applyMargins (page count, bleed, platform, unit)
+ * @return {Object[]} Notes on any margin adjustments (see resolveMargins)
+ */
+function applyLayoutToBody(body, spec, options) {
+    // Page size in inches, including any bleed, converted to points
+    const layout = resolvePageLayout(spec, options.unit);
+    body.setPageWidth(layout.pageWidth * POINTS_PER_INCH);
+    body.setPageHeight(layout.pageHeight * POINTS_PER_INCH);
+
+    // Set background color based on paper type
+    body.setBackgroundColor(spec.paperType === 'cream' ? COLOR_CREAM : COLOR_WHITE);
+
+    // Apply margins
+    return applyMargins(body, spec.marginSettings, options);
+}
+
 /**
  * Applies margin settings to document body
  *
  * @param {Body} body - Document body object
  * @param {Object} marginSettings - Margin settings object
+ * @param {Object} [options] - Layout options (pageCount, bleed, platform) used for minimums, and the unit for notes
+ * @return {Object[]} Notes describing any margins raised to meet platform minimums (see resolveMargins)
  */
-function applyMargins(body, marginSettings) {
-    if (marginSettings.type) {
-        // Predefined margin settings
-        switch (marginSettings.type) {
-            case 'default':
-                body.setMarginTop(1 * POINTS_PER_INCH);
-                body.setMarginBottom(1 * POINTS_PER_INCH);
-                body.setMarginLeft(1 * POINTS_PER_INCH);
-                body.setMarginRight(1 * POINTS_PER_INCH);
-                break;
-            case 'narrow':
-                body.setMarginTop(0.5 * POINTS_PER_INCH);
-                body.setMarginBottom(0.5 * POINTS_PER_INCH);
-                body.setMarginLeft(0.5 * POINTS_PER_INCH);
-                body.setMarginRight(0.5 * POINTS_PER_INCH);
-                break;
-            case 'wide':
-                body.setMarginTop(1.25 * POINTS_PER_INCH);
-                body.setMarginBottom(1.25 * POINTS_PER_INCH);
-                body.setMarginLeft(1.25 * POINTS_PER_INCH);
-                body.setMarginRight(1.25 * POINTS_PER_INCH);
-                break;
-            case 'mirrored': // Book-style margins
-                body.setMarginTop(1 * POINTS_PER_INCH);
-                body.setMarginBottom(1 * POINTS_PER_INCH);
-                body.setMarginLeft(1.25 * POINTS_PER_INCH); // Inside margin (for binding)
-                body.setMarginRight(0.75 * POINTS_PER_INCH); // Outside margin
-                break;
-        }
-    } else if (marginSettings.isMirrored) {
-        // Custom mirrored margin settings
-        body.setMarginTop(marginSettings.top * POINTS_PER_INCH);
-        body.setMarginBottom(marginSettings.bottom * POINTS_PER_INCH);
-        body.setMarginLeft(marginSettings.inside * POINTS_PER_INCH);
-        body.setMarginRight(marginSettings.outside * POINTS_PER_INCH);
-    } else {
-        // Custom margin settings
-        body.setMarginTop(marginSettings.top * POINTS_PER_INCH);
-        body.setMarginBottom(marginSettings.bottom * POINTS_PER_INCH);
-        body.setMarginLeft(marginSettings.inside * POINTS_PER_INCH);
-        body.setMarginRight(marginSettings.outside * POINTS_PER_INCH);
+function applyMargins(body, marginSettings, options) {
+    const margins = resolveMargins(marginSettings, options);
+
+    body.setMarginTop(margins.top * POINTS_PER_INCH);
+    body.setMarginBottom(margins.bottom * POINTS_PER_INCH);
+    body.setMarginLeft(margins.inside * POINTS_PER_INCH);
+    body.setMarginRight(margins.outside * POINTS_PER_INCH);
+
+    return margins.notes;
+}
+
+/**
+ * Converts a value to JSON for a dialog's inline script
+ * "<" is escaped so text such as "</script>" in user values can't end the script early.
+ *
+ * @param {*} value - Value to embed
+ * @return {string} JavaScript literal
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Builds a dialog script that defines layoutLibrary, holding layout-spec.js functions the dialog shares with the server
+ * The functions are copied from their source with the data they use, so the dialog can't drift from the server.
+ *
+ * @return {string} Script source
+ */
+function getLayoutLibraryScript() {
+    const constants = {
+        UNITS: UNITS,
+        DEFAULT_UNIT: DEFAULT_UNIT,
+        PLATFORMS: PLATFORMS,
+        DEFAULT_PLATFORM: DEFAULT_PLATFORM,
+        SQUARE_TOLERANCE: SQUARE_TOLERANCE
+    };
+    const functions = [getUnit, formatLength, getPlatform, getOrientation, getTrimLimits, getMinimumMargins, resolveMargins];
+
+    return 'const layoutLibrary = (function() {\n' +
+        Object.keys(constants).map(function(name) {
+            return `const ${name} = ${toScriptJson(constants[name])};\n`;
+        }).join('') +
+        functions.map(String).join('\n') +
+        '\nreturn { ' + functions.map(function(fn) {
+            return fn.name + ': ' + fn.name;
+        }).join(', ') + ' };\n})();';
+}
+
+/**
+ * Gets the current user's display unit
+ * Stored per user, so collaborators on a document can each work in their own unit
+ *
+ * @return {string} Unit key from UNITS
+ */
+function getUserUnit() {
+    const unitKey = PropertiesService.getUserProperties().getProperty('kdpFormatterUnit');
+    return UNITS[unitKey] ? unitKey : DEFAULT_UNIT;
+}
+
+/**
+ * Saves the current user's display unit
+ * Called from the page size dialog when the unit is changed
+ *
+ * @param {string} unitKey - Unit key from UNITS
+ */
+function setUserUnit(unitKey) {
+    if (!UNITS[unitKey]) {
+        throw new Error(`Unknown unit "${unitKey}".`);
+    }
+    PropertiesService.getUserProperties().setProperty('kdpFormatterUnit', unitKey);
+}
+
+/**
+ * Gets the current user's language
+ * The language chosen in the page size dialog, or else the one for the user's Google account locale
+ *
+ * @return {string} Language code from LANGUAGES
+ */
+function getUserLanguage() {
+    const language = PropertiesService.getUserProperties().getProperty(USER_LANGUAGE_PROPERTY);
+    return LANGUAGES[language] ? language : getLanguageForLocale(Session.getActiveUserLocale());
+}
+
+/**
+ * Saves the current user's language
+ * Called from the page size dialog when the language is changed
+ *
+ * @param {string} language - Language code from LANGUAGES, or an empty string to follow the Google account locale
+ */
+function setUserLanguage(language) {
+    if (!language) {
+        PropertiesService.getUserProperties().deleteProperty(USER_LANGUAGE_PROPERTY);
+        return;
     }
+    if (!LANGUAGES[language]) {
+        throw new Error(`Unknown language "${language}".`);
+    }
+    PropertiesService.getUserProperties().setProperty(USER_LANGUAGE_PROPERTY, language);
+}
+
+/**
+ * Formats margin adjustment notes for a status message
+ *
+ * @param {Object[]} notes - Notes returned by applyMargins
+ * @param {string} [language] - Language code from LANGUAGES (default DEFAULT_LANGUAGE)
+ * @return {string} Notes as a sentence, or an empty string if there are none
+ */
+function formatMarginNotes(notes, language) {
+    return notes && notes.length ? " " + notes.map(function(note) {
+        return formatIssue(language || DEFAULT_LANGUAGE, note);
+    }).join('; ') + "." : "";
+}
+
+/**
+ * Formats validation issues in a language
+ * Issues from the layout rules carry a message key; the rest keep their message.
+ *
+ * @param {Object[]} issues - Issues from validateLayout or createCatalogIssue
+ * @param {string} language - Language code from LANGUAGES
+ * @return {Object[]} Copies of the issues with their messages in the language
+ */
+function localizeIssues(issues, language) {
+    return issues.map(function(issue) {
+        return issue.key ? Object.assign({}, issue, { message: formatIssue(language, issue) }) : issue;
+    });
 }
 
 /**
@@ -793,21 +1965,5578 @@ function applyMargins(body, marginSettings) {
  * @param {string} inkType - Ink type
  * @param {string} marginType - Margin type (default, narrow, wide, mirrored, custom, customMirrored)
  * @param {Object} marginSettings - Custom margin settings (if any)
+ * @param {Object} [options] - Additional layout options (page count, bleed, platform)
  */
-function saveDocumentSettings(sizeName, width, height, bookType, paperType, inkType, marginType, marginSettings) {
+function saveDocumentSettings(sizeName, width, height, bookType, paperType, inkType, marginType, marginSettings, options) {
+    options = options || {};
     const properties = PropertiesService.getDocumentProperties();
-    const settings = {
+    // Settings saved by the other dialogs (interior style, chapter breaks) are kept
+    const saved = getDocumentSettings();
+    const settings = Object.assign(saved, {
         sizeName: sizeName,
         width: width,
         height: height,
         bookType: bookType,
         paperType: paperType,
         inkType: inkType,
+        platform: options.platform || DEFAULT_PLATFORM,
         marginType: marginType,
-        customMargins: marginType === 'custom' ? marginSettings : null,
-        customMirroredMargins: marginType === 'customMirrored' ? marginSettings : null,
+        pageCount: options.pageCount || null,
+        bleed: !!options.bleed,
+        // Custom margins not in use keep their last values
+        customMargins: marginType === 'custom' ? marginSettings : saved.customMargins,
+        customMirroredMargins: marginType === 'customMirrored' ? marginSettings : saved.customMirroredMargins,
         lastUpdated: new Date().toISOString()
-    };
+    });
+
+    properties.setProperty(SETTINGS_PROPERTY, JSON.stringify(settings));
+}
+
+/**
+ * Updates part of the saved document settings, keeping the rest
+ *
+ * @param {Object} changes - Settings to overwrite
+ */
+function updateDocumentSettings(changes) {
+    const settings = Object.assign(getDocumentSettings(), changes, {
+        lastUpdated: new Date().toISOString()
+    });
+    PropertiesService.getDocumentProperties().setProperty(SETTINGS_PROPERTY, JSON.stringify(settings));
+}
+
+/**
+ * Upgrades settings saved by an older version of the script to the current shape
+ * Settings without a version were saved before versioning was added and count as version 0.
+ *
+ * @param {Object} settings - Saved settings
+ * @return {Object} Settings in the current shape, with missing keys set to their defaults
+ */
+function migrateDocumentSettings(settings) {
+    // Versions that aren't whole numbers from 0 up are treated as unversioned
+    let version = Number.isInteger(settings.version) && settings.version >= 0 ? settings.version : 0;
+
+    while (version < SETTINGS_VERSION) {
+        settings = SETTINGS_MIGRATIONS[version](settings);
+        version++;
+    }
+
+    // Settings from a newer version keep their extra keys and version
+    return Object.assign(getDefaultDocumentSettings(), settings, {
+        version: Math.max(version, SETTINGS_VERSION)
+    });
+}
+
+/**
+ * Migrates unversioned settings to version 1
+ * Early versions saved null for the custom margins not in use, and had no platform, page count,
+ * bleed or feature settings; repairDocumentSettings fills them in.
+ *
+ * @param {Object} settings - Unversioned settings
+ * @return {Object} Version 1 settings
+ */
+function migrateSettingsToV1(settings) {
+    return repairDocumentSettings(Object.assign({}, settings, { version: 1 }));
+}
+
+/**
+ * Resets missing or damaged settings values to their defaults
+ * Keys from newer versions of the script are kept as they are.
+ *
+ * @param {Object} settings - Settings at the current version
+ * @return {Object} Settings with every value in the shape the dialogs expect
+ */
+function repairDocumentSettings(settings) {
+    const defaults = getDefaultDocumentSettings();
+    const repaired = Object.assign({}, defaults, settings);
+
+    ['customMargins', 'customMirroredMargins'].forEach(function(key) {
+        const margins = repaired[key];
+        const valid = isPlainObject(margins) && ['top', 'bottom', 'inside', 'outside'].every(function(side) {
+            return typeof margins[side] === 'number' && !isNaN(margins[side]);
+        });
+        if (!valid) {
+            repaired[key] = defaults[key];
+        }
+    });
+    repaired.customMirroredMargins = Object.assign({}, repaired.customMirroredMargins, { isMirrored: true });
+
+    if (MARGIN_TYPES.indexOf(repaired.marginType) === -1) {
+        repaired.marginType = 'default';
+    }
+    if (!PLATFORMS[repaired.platform]) {
+        repaired.platform = DEFAULT_PLATFORM;
+    }
+    if (typeof repaired.sizeName !== 'string') {
+        repaired.sizeName = defaults.sizeName;
+    }
+    if (!(repaired.width > 0) || !(repaired.height > 0)) {
+        repaired.width = defaults.width;
+        repaired.height = defaults.height;
+    }
+    if (repaired.bookType !== 'paperback' && repaired.bookType !== 'hardcover') {
+        repaired.bookType = defaults.bookType;
+    }
+    const platform = getPlatform(repaired.platform);
+    if (typeof repaired.paperType !== 'string' || !platform.paperTypes[repaired.paperType]) {
+        repaired.paperType = defaults.paperType;
+    }
+    if (typeof repaired.inkType !== 'string' || !platform.inkTypes[repaired.inkType]) {
+        repaired.inkType = defaults.inkType;
+    }
+    if (repaired.pageCount !== null && !(Number.isInteger(repaired.pageCount) && repaired.pageCount > 0)) {
+        repaired.pageCount = null;
+    }
+    repaired.bleed = !!repaired.bleed;
+
+    // Feature settings are either saved objects or null
+    ['interiorStyle', 'chapterBreaks', 'frontMatter', 'headerFooter'].forEach(function(key) {
+        if (!isPlainObject(repaired[key])) {
+            repaired[key] = null;
+        }
+    });
+
+    return repaired;
+}
+
+/**
+ * Shows a warning about the saved settings without interrupting the caller
+ *
+ * @param {string} message - Warning to show
+ */
+function showSettingsWarning(message) {
+    Logger.log('Settings warning: ' + message);
+    try {
+        const ui = DocumentApp.getUi();
+        ui.alert(formatMessage(getUserLanguage(), 'settings.warningTitle'), message, ui.ButtonSet.OK);
+    } catch (error) {
+        // No UI in this context (e.g. a trigger); the log entry has to do
+    }
+}
+
+// ========================
+// COVER CALCULATOR
+// ========================
+
+/**
+ * Displays dialog for working out full-wrap cover dimensions
+ */
+function showCoverCalculator() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+    const isHardcover = settings.bookType === 'hardcover';
+    const minPages = isHardcover ? HARDCOVER_MIN_PAGE_COUNT : MIN_PAGE_COUNT;
+    const maxPages = isHardcover ? HARDCOVER_MAX_PAGE_COUNT : MAX_PAGE_COUNT;
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input { width: 100%; padding: 5px; margin-bottom: 10px; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .error { color: #c5221f; font-size: 12px; margin-bottom: 10px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 15px; }
+        td { padding: 4px; border-bottom: 1px solid #eee; }
+        td.value { text-align: right; white-space: nowrap; }
+      </style>
+      
+      <h3>Cover Calculator</h3>
+      
+      <div class="info-box">
+        Trim size: ${formatLength(settings.width, unit)} × ${formatLength(settings.height, unit)}<br>
+        Book type: ${settings.bookType}, ${settings.paperType} paper, ${settings.inkType} ink
+        ${settings.sizeName ? '' : '<br>No page size has been applied to this document yet, so the default trim size is used.'}
+        ${getPlatform(settings.platform) === PLATFORMS.kdp ? '' : '<br>Cover dimensions follow KDP specifications. Check the ' + getPlatform(settings.platform).name + ' cover template before sending files.'}
+      </div>
+      
+      <div class="form-group">
+        <label for="pageCount">Page Count:</label>
+        <input type="number" id="pageCount" step="1" min="${minPages}" max="${maxPages}" value="${settings.pageCount || ''}">
+      </div>
+      
+      <div id="error" class="error"></div>
+      <div id="results"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button onclick="calculate()">Calculate</button>
+      </div>
+      
+      <script>
+        function calculate() {
+          const pageCount = parseInt(document.getElementById('pageCount').value, 10);
+          document.getElementById('error').textContent = '';
+          
+          if (!pageCount) {
+            document.getElementById('error').textContent = 'Please enter a page count.';
+            return;
+          }
+          if (pageCount < ${minPages} || pageCount > ${maxPages}) {
+            document.getElementById('error').textContent = 'Page count for a ${settings.bookType} must be between ${minPages} and ${maxPages}.';
+            return;
+          }
+          
+          google.script.run
+            .withSuccessHandler(showResults)
+            .withFailureHandler(function(error) {
+              document.getElementById('results').innerHTML = '';
+              document.getElementById('error').textContent = error.message;
+            })
+            .calculateCoverDimensions(pageCount);
+        }
+        
+        const unit = ${toScriptJson(getUnit(unit))};
+        
+        // Show a length in the user's unit, with inches (or mm for inch users) alongside
+        function length(value) {
+          const converted = parseFloat((value * unit.perInch).toFixed(unit.decimals)) + unit.symbol;
+          return converted + (unit.perInch === 1 ? ' (' + (value * 25.4).toFixed(1) + ' mm)' : ' (' + value.toFixed(3) + '")');
+        }
+        
+        function row(label, value) {
+          return '<tr><td>' + label + '</td><td class="value">' + value + '</td></tr>';
+        }
+        
+        function showResults(cover) {
+          let html = '<table>';
+          html += row('Spine width', length(cover.spineWidth));
+          html += row('Spine text', cover.spineTextAllowed ? 'Allowed' : 'Not allowed (${SPINE_TEXT_MIN_PAGES} pages or fewer)');
+          
+          if (cover.bookType === 'hardcover') {
+            html += row('Wrap (each edge)', length(cover.wrap));
+            html += row('Hinge (each side of spine)', length(cover.hinge));
+          } else {
+            html += row('Bleed (each edge)', length(cover.bleed));
+          }
+          
+          html += row('<b>Full cover width</b>', '<b>' + length(cover.width) + '</b>');
+          html += row('<b>Full cover height</b>', '<b>' + length(cover.height) + '</b>');
+          html += row('Full cover (pixels at 300 DPI)', Math.ceil(cover.width * 300) + ' × ' + Math.ceil(cover.height * 300));
+          html += '</table>';
+          
+          document.getElementById('results').innerHTML = html;
+        }
+      </script>
+    `)
+        .setWidth(400)
+        .setHeight(520);
 
-    properties.setProperty('kdpFormatterSettings', JSON.stringify(settings));
-}
\ No newline at end of file
+    ui.showModalDialog(htmlOutput, 'Cover Calculator');
+}
+
+/**
+ * Works out the full-wrap cover dimensions for the current document settings
+ * Called from the cover calculator dialog
+ *
+ * @param {number} pageCount - Page count of the interior
+ * @return {Object} Cover dimensions in inches
+ */
+function calculateCoverDimensions(pageCount) {
+    return getCoverDimensions(getDocumentSettings(), pageCount);
+}
+
+// ========================
+// PREFLIGHT CHECK
+// ========================
+
+/**
+ * Displays the manuscript preflight report
+ * The dialog is modeless so the document stays usable while jumping to findings.
+ */
+function showPreflightCheck() {
+    const ui = DocumentApp.getUi();
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .button-group { text-align: right; margin-top: 15px; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .finding { border-bottom: 1px solid #eee; padding: 8px 0; font-size: 13px; }
+        .category { font-weight: bold; }
+        .error { color: #c5221f; }
+        a { color: #1a73e8; cursor: pointer; margin-left: 5px; }
+      </style>
+      
+      <h3>Preflight Check</h3>
+      
+      <div class="info-box" id="summary">Checking document...</div>
+      <div id="findings"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button onclick="runCheck()">Check Again</button>
+      </div>
+      
+      <script>
+        function runCheck() {
+          document.getElementById('summary').textContent = 'Checking document...';
+          document.getElementById('findings').innerHTML = '';
+          google.script.run
+            .withSuccessHandler(showFindings)
+            .withFailureHandler(showError)
+            .runPreflightCheck();
+        }
+        
+        function showFindings(findings) {
+          const container = document.getElementById('findings');
+          document.getElementById('summary').textContent = findings.length ?
+            findings.length + ' problem(s) found. Click "Go to" to select an element in the document.' :
+            'No problems found.';
+          
+          findings.forEach(function(finding) {
+            const div = document.createElement('div');
+            div.className = 'finding';
+            
+            const category = document.createElement('span');
+            category.className = 'category';
+            category.textContent = finding.category + ': ';
+            div.appendChild(category);
+            div.appendChild(document.createTextNode(finding.message));
+            
+            if (finding.path) {
+              const link = document.createElement('a');
+              link.textContent = 'Go to';
+              link.onclick = function() {
+                google.script.run.withFailureHandler(showError).selectPreflightElement(finding.path);
+              };
+              div.appendChild(link);
+            }
+            
+            container.appendChild(div);
+          });
+        }
+        
+        function showError(error) {
+          const summary = document.getElementById('summary');
+          summary.textContent = error.message;
+          summary.className = 'info-box error';
+        }
+        
+        document.addEventListener('DOMContentLoaded', runCheck);
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(500);
+
+    ui.showModelessDialog(htmlOutput, 'Preflight Check');
+}
+
+/**
+ * Walks the document body and collects preflight findings for the saved platform
+ * Called from the preflight dialog
+ *
+ * @return {Object[]} Findings, each with a category, message and element path
+ */
+function runPreflightCheck() {
+    const body = DocumentApp.getActiveDocument().getBody();
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+    const findings = [];
+
+    // Page size against the chosen book type
+    const sizeFinding = checkPageSize(body, settings, unit);
+    if (sizeFinding) {
+        findings.push(sizeFinding);
+    }
+
+    // Content area available between the left and right margins (in points)
+    const contentWidth = body.getPageWidth() - body.getMarginLeft() - body.getMarginRight();
+    let emptyRun = [];
+
+    walkElements(body, [], function(element, path, parentType) {
+        const type = element.getType();
+
+        // Runs of empty body paragraphs used to push text onto the next page
+        if (parentType === DocumentApp.ElementType.BODY_SECTION) {
+            if (type === DocumentApp.ElementType.PARAGRAPH && isEmptyParagraph(element)) {
+                emptyRun.push(path);
+            } else {
+                flushEmptyRun(emptyRun, findings);
+                emptyRun = [];
+            }
+        }
+
+        if (type === DocumentApp.ElementType.INLINE_IMAGE) {
+            checkImage(element, path, contentWidth, findings, unit);
+        } else if (type === DocumentApp.ElementType.TABLE) {
+            checkTable(element, path, contentWidth, findings, unit);
+        }
+    });
+    flushEmptyRun(emptyRun, findings);
+
+    return findings;
+}
+
+/**
+ * Selects the element at a path found by the preflight check
+ *
+ * @param {number[]} path - Child indexes from the document body
+ */
+function selectPreflightElement(path) {
+    const doc = DocumentApp.getActiveDocument();
+    const element = getElementAtPath(doc.getBody(), path);
+    if (!element) {
+        throw new Error('The document has changed since the check ran. Please check again.');
+    }
+
+    if (element.getType() === DocumentApp.ElementType.PARAGRAPH && isEmptyParagraph(element)) {
+        // Empty paragraphs can't be selected, so place the cursor in them instead
+        doc.setCursor(doc.newPosition(element, 0));
+    } else {
+        doc.setSelection(doc.newRange().addElement(element).build());
+    }
+}
+
+/**
+ * Finds the element at a path of child indexes
+ *
+ * @param {Body} body - Document body
+ * @param {number[]} path - Child indexes from the body
+ * @return {Element|null} Typed element, or null if the path no longer leads to one
+ */
+function getElementAtPath(body, path) {
+    let element = body;
+
+    for (let i = 0; i < path.length; i++) {
+        if (!element.getNumChildren || path[i] >= element.getNumChildren()) {
+            return null;
+        }
+        element = asTypedElement(element.getChild(path[i]));
+    }
+    return element;
+}
+
+/**
+ * Calls a function for every element under a container, depth first
+ *
+ * @param {Element} container - Container element to walk
+ * @param {number[]} path - Child indexes from the body to the container
+ * @param {Function} callback - Called with (element, path, parentType)
+ */
+function walkElements(container, path, callback) {
+    const parentType = container.getType();
+
+    for (let i = 0; i < container.getNumChildren(); i++) {
+        const child = asTypedElement(container.getChild(i));
+        const childPath = path.concat(i);
+
+        callback(child, childPath, parentType);
+
+        if (child.getNumChildren) {
+            walkElements(child, childPath, callback);
+        }
+    }
+}
+
+/**
+ * Casts a generic element to its specific type so type-specific methods are available
+ *
+ * @param {Element} element - Element returned by getChild
+ * @return {Element} Paragraph, ListItem, Table, TableRow, TableCell, InlineImage or Text, or the element itself
+ */
+function asTypedElement(element) {
+    switch (element.getType()) {
+        case DocumentApp.ElementType.PARAGRAPH:
+            return element.asParagraph();
+        case DocumentApp.ElementType.LIST_ITEM:
+            return element.asListItem();
+        case DocumentApp.ElementType.TABLE:
+            return element.asTable();
+        case DocumentApp.ElementType.TABLE_ROW:
+            return element.asTableRow();
+        case DocumentApp.ElementType.TABLE_CELL:
+            return element.asTableCell();
+        case DocumentApp.ElementType.INLINE_IMAGE:
+            return element.asInlineImage();
+        case DocumentApp.ElementType.TEXT:
+            return element.asText();
+        default:
+            return element;
+    }
+}
+
+/**
+ * Checks the page size against the sizes the platform supports for the book type
+ *
+ * @param {Body} body - Document body object
+ * @param {Object} settings - Document settings
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object|null} Finding, or null if the size is supported
+ */
+function checkPageSize(body, settings, unit) {
+    const platform = getPlatform(settings.platform);
+
+    // Compare the trim size, not the bleed size
+    const width = body.getPageWidth() / POINTS_PER_INCH - (settings.bleed ? platform.bleed.width : 0);
+    const height = body.getPageHeight() / POINTS_PER_INCH - (settings.bleed ? platform.bleed.height : 0);
+    const sizeLabel = `${formatLength(width, unit)} × ${formatLength(height, unit)}`;
+
+    const matchesPreset = Object.keys(platform.sizes).some(function(name) {
+        const size = platform.sizes[name];
+        return size.type === settings.bookType &&
+            Math.abs(size.width - width) <= SIZE_TOLERANCE &&
+            Math.abs(size.height - height) <= SIZE_TOLERANCE;
+    });
+
+    if (matchesPreset) {
+        return null;
+    }
+
+    // Page sizes are stored in points, so round off the conversion before the trim size rule decides
+    // the orientation and limits, as it does for custom sizes in the page size dialog
+    const issues = checkTrimSizeRule({
+        sizeName: 'Custom',
+        width: parseFloat(width.toFixed(3)),
+        height: parseFloat(height.toFixed(3)),
+        bookType: settings.bookType
+    }, platform, unit);
+    if (issues.length) {
+        return {
+            category: 'Page size',
+            message: `${sizeLabel} is not a listed ${platform.name} ${settings.bookType} size. ` + issues.map(function(issue) {
+                return issue.message;
+            }).join(' '),
+            path: null
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Checks an inline image's resolution and width
+ *
+ * @param {InlineImage} image - Inline image element
+ * @param {number[]} path - Child indexes from the body
+ * @param {number} contentWidth - Content area width in points
+ * @param {Object[]} findings - Findings to add to
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ */
+function checkImage(image, path, contentWidth, findings, unit) {
+    const placedWidth = image.getWidth() / POINTS_PER_INCH;
+    const placedHeight = image.getHeight() / POINTS_PER_INCH;
+
+    const pixelSize = getImagePixelSize(image.getBlob().getBytes());
+    if (pixelSize) {
+        const dpi = Math.floor(Math.min(pixelSize.width / placedWidth, pixelSize.height / placedHeight));
+        if (dpi < MIN_IMAGE_DPI) {
+            findings.push({
+                category: 'Image resolution',
+                message: `Image is ${pixelSize.width} × ${pixelSize.height} px placed at ${formatLength(placedWidth, unit)} × ${formatLength(placedHeight, unit)} (${dpi} DPI, needs ${MIN_IMAGE_DPI}).`,
+                path: path
+            });
+        }
+    }
+
+    if (image.getWidth() > contentWidth + SIZE_TOLERANCE * POINTS_PER_INCH) {
+        findings.push({
+            category: 'Image width',
+            message: `Image is ${formatLength(placedWidth, unit)} wide but the content area is ${formatLength(contentWidth / POINTS_PER_INCH, unit)}.`,
+            path: path
+        });
+    }
+}
+
+/**
+ * Checks a table's width against the content area
+ * Tables without fixed column widths fit the content area automatically and are skipped.
+ *
+ * @param {Table} table - Table element
+ * @param {number[]} path - Child indexes from the body
+ * @param {number} contentWidth - Content area width in points
+ * @param {Object[]} findings - Findings to add to
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ */
+function checkTable(table, path, contentWidth, findings, unit) {
+    if (table.getNumRows() === 0) {
+        return;
+    }
+
+    let tableWidth = 0;
+    const columns = table.getRow(0).getNumCells();
+    for (let i = 0; i < columns; i++) {
+        const columnWidth = table.getColumnWidth(i);
+        if (!columnWidth) {
+            return;
+        }
+        tableWidth += columnWidth;
+    }
+
+    if (tableWidth > contentWidth + SIZE_TOLERANCE * POINTS_PER_INCH) {
+        findings.push({
+            category: 'Table width',
+            message: `Table is ${formatLength(tableWidth / POINTS_PER_INCH, unit)} wide but the content area is ${formatLength(contentWidth / POINTS_PER_INCH, unit)}.`,
+            path: path
+        });
+    }
+}
+
+/**
+ * Adds a finding for a run of empty paragraphs if it is long enough to be a page spacer
+ *
+ * @param {number[][]} run - Paths of consecutive empty paragraphs
+ * @param {Object[]} findings - Findings to add to
+ */
+function flushEmptyRun(run, findings) {
+    if (run.length >= SPACER_PARAGRAPH_RUN) {
+        findings.push({
+            category: 'Empty paragraphs',
+            message: `${run.length} empty paragraphs in a row. Use a page break instead of empty lines to start a new page.`,
+            path: run[0]
+        });
+    }
+}
+
+/**
+ * Checks whether a paragraph has no text and no other content
+ *
+ * @param {Paragraph} paragraph - Paragraph element
+ * @return {boolean} True if the paragraph is empty
+ */
+function isEmptyParagraph(paragraph) {
+    if (paragraph.getText().trim() !== '') {
+        return false;
+    }
+
+    for (let i = 0; i < paragraph.getNumChildren(); i++) {
+        if (paragraph.getChild(i).getType() !== DocumentApp.ElementType.TEXT) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Reads the pixel size from PNG, JPEG or GIF image data
+ *
+ * @param {number[]} bytes - Image bytes (Apps Script bytes are signed)
+ * @return {Object|null} Width and height in pixels, or null if the format isn't recognised
+ */
+function getImagePixelSize(bytes) {
+    const b = function(i) {
+        return bytes[i] & 0xFF;
+    };
+
+    // PNG: width and height are in the IHDR chunk
+    if (b(0) === 0x89 && b(1) === 0x50 && b(2) === 0x4E && b(3) === 0x47) {
+        return {
+            width: (b(16) << 24 | b(17) << 16 | b(18) << 8 | b(19)) >>> 0,
+            height: (b(20) << 24 | b(21) << 16 | b(22) << 8 | b(23)) >>> 0
+        };
+    }
+
+    // GIF: little-endian logical screen size
+    if (b(0) === 0x47 && b(1) === 0x49 && b(2) === 0x46) {
+        return {
+            width: b(6) | b(7) << 8,
+            height: b(8) | b(9) << 8
+        };
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (b(0) === 0xFF && b(1) === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (b(offset) !== 0xFF) {
+                return null;
+            }
+            const marker = b(offset + 1);
+            const length = b(offset + 2) << 8 | b(offset + 3);
+
+            // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    width: b(offset + 7) << 8 | b(offset + 8),
+                    height: b(offset + 5) << 8 | b(offset + 6)
+                };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+// ========================
+// PRINTING COST AND ROYALTY
+// ========================
+
+/**
+ * Displays dialog for working out printing cost and royalty per marketplace
+ */
+function showRoyaltyCalculator() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input { width: 100%; padding: 5px; margin-bottom: 10px; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .error { color: #c5221f; font-size: 12px; margin-bottom: 10px; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 15px; }
+        th, td { padding: 4px; border-bottom: 1px solid #eee; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        td input { width: 70px; margin: 0; padding: 2px; }
+        .negative { color: #c5221f; }
+      </style>
+      
+      <h3>Printing Cost & Royalty</h3>
+      
+      <div class="info-box">
+        Trim size: ${formatLength(settings.width, getUserUnit())} × ${formatLength(settings.height, getUserUnit())}<br>
+        Book type: ${settings.bookType}, ${settings.inkType} ink
+        ${settings.sizeName ? '' : '<br>No page size has been applied to this document yet, so the default trim size is used.'}
+        ${getPlatform(settings.platform) === PLATFORMS.kdp ? '' : '<br>Costs are KDP printing costs, not ' + getPlatform(settings.platform).name + ' costs.'}
+      </div>
+      
+      <div class="form-group">
+        <label for="pageCount">Page Count:</label>
+        <input type="number" id="pageCount" step="1" min="${MIN_PAGE_COUNT}" max="${MAX_PAGE_COUNT}" value="${settings.pageCount || ''}">
+      </div>
+      
+      <div class="form-group">
+        <label for="listPrice">List Price:</label>
+        <input type="number" id="listPrice" step="0.01" min="0">
+        <div class="note">Used for every marketplace in its own currency. You can change each price in the table.</div>
+      </div>
+      
+      <div id="error" class="error"></div>
+      <div id="results"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button onclick="calculate()">Calculate</button>
+      </div>
+      
+      <script>
+        let costs = null;
+        
+        function calculate() {
+          const pageCount = parseInt(document.getElementById('pageCount').value, 10);
+          document.getElementById('error').textContent = '';
+          
+          if (!pageCount) {
+            document.getElementById('error').textContent = 'Please enter a page count.';
+            return;
+          }
+          
+          google.script.run
+            .withSuccessHandler(showResults)
+            .withFailureHandler(function(error) {
+              costs = null;
+              document.getElementById('results').innerHTML = '';
+              document.getElementById('error').textContent = error.message;
+            })
+            .calculatePrintingCosts(pageCount);
+        }
+        
+        function money(symbol, value) {
+          return (value < 0 ? '-' : '') + symbol + Math.abs(value).toFixed(2);
+        }
+        
+        function showResults(result) {
+          costs = result;
+          const listPrice = document.getElementById('listPrice').value;
+          
+          let html = '<p>Trim size is priced as <b>' + result.trimCategory + '</b>.</p>';
+          html += '<table><tr><th>Marketplace</th><th>Printing</th><th>Min. price</th><th>List price</th><th>Royalty</th></tr>';
+          result.marketplaces.forEach(function(m, i) {
+            html += '<tr><td>' + m.name + '</td>' +
+              '<td>' + money(m.symbol, m.printingCost) + '</td>' +
+              '<td>' + money(m.symbol, m.minListPrice) + '</td>' +
+              '<td><input type="number" step="0.01" min="0" id="price' + i + '" value="' + listPrice + '" oninput="updateRoyalty(' + i + ')"></td>' +
+              '<td id="royalty' + i + '"></td></tr>';
+          });
+          html += '</table>';
+          html += '<div class="note">Royalty is ${ROYALTY_RATE * 100}% of the list price (before VAT, where it applies) minus printing cost.</div>';
+          
+          document.getElementById('results').innerHTML = html;
+          result.marketplaces.forEach(function(m, i) {
+            updateRoyalty(i);
+          });
+        }
+        
+        function updateRoyalty(i) {
+          const m = costs.marketplaces[i];
+          const price = parseFloat(document.getElementById('price' + i).value);
+          const cell = document.getElementById('royalty' + i);
+          
+          if (!price) {
+            cell.textContent = '';
+            return;
+          }
+          
+          const royalty = price / (1 + m.vat) * ${ROYALTY_RATE} - m.printingCost;
+          cell.textContent = money(m.symbol, royalty);
+          cell.className = price < m.minListPrice ? 'negative' : '';
+        }
+        
+        // Copy the list price into every marketplace
+        document.getElementById('listPrice').addEventListener('input', function() {
+          if (costs) {
+            costs.marketplaces.forEach(function(m, i) {
+              document.getElementById('price' + i).value = document.getElementById('listPrice').value;
+              updateRoyalty(i);
+            });
+          }
+        });
+      </script>
+    `)
+        .setWidth(520)
+        .setHeight(600);
+
+    ui.showModalDialog(htmlOutput, 'Printing Cost & Royalty');
+}
+
+/**
+ * Works out printing cost per marketplace for the current document settings
+ * Called from the royalty dialog
+ *
+ * @param {number} pageCount - Page count of the interior
+ * @return {Object} Trim category and cost per marketplace
+ */
+function calculatePrintingCosts(pageCount) {
+    return getPrintingCosts(getDocumentSettings(), pageCount);
+}
+
+/**
+ * Works out KDP printing cost and minimum list price per marketplace
+ *
+ * @param {Object} settings - Document settings (width, height, bookType, inkType)
+ * @param {number} pageCount - Page count of the interior
+ * @return {Object} Trim category ('regular' or 'large') and an entry per marketplace
+ */
+function getPrintingCosts(settings, pageCount) {
+    const trimCategory = getTrimCategory(settings.width, settings.height);
+    const marketplaces = [];
+
+    for (const code in KDP_MARKETPLACES) {
+        const marketplace = KDP_MARKETPLACES[code];
+        const rates = KDP_PRINTING_COSTS[marketplace.currency][settings.bookType];
+        const tiers = rates && rates[settings.inkType];
+
+        if (!tiers) {
+            throw new Error(`KDP doesn't print ${settings.bookType}s with ${settings.inkType} ink.`);
+        }
+
+        const tier = tiers[trimCategory].find(function(t) {
+            return pageCount >= t.minPages && pageCount <= t.maxPages;
+        });
+
+        if (!tier) {
+            const ranges = tiers[trimCategory].map(function(t) {
+                return t.minPages + '-' + t.maxPages;
+            }).join(', ');
+            throw new Error(`Page count ${pageCount} isn't available for ${settings.bookType}s with ${settings.inkType} ink (pages: ${ranges}).`);
+        }
+
+        const printingCost = Math.round((tier.fixed + tier.perPage * pageCount) * 100) / 100;
+
+        marketplaces.push({
+            code: code,
+            name: marketplace.name,
+            currency: marketplace.currency,
+            symbol: marketplace.symbol,
+            vat: marketplace.vat,
+            printingCost: printingCost,
+            // Lowest list price where the royalty covers the printing cost
+            minListPrice: Math.ceil(printingCost / ROYALTY_RATE * (1 + marketplace.vat) * 100) / 100
+        });
+    }
+
+    return {
+        trimCategory: trimCategory,
+        marketplaces: marketplaces
+    };
+}
+
+/**
+ * Works out whether a trim size is priced as regular or large
+ *
+ * @param {number} width - Trim width in inches
+ * @param {number} height - Trim height in inches
+ * @return {string} 'regular' or 'large'
+ */
+function getTrimCategory(width, height) {
+    return width > REGULAR_TRIM_MAX_WIDTH || height > REGULAR_TRIM_MAX_HEIGHT ? 'large' : 'regular';
+}
+
+// ========================
+// VALIDATION
+// ========================
+
+/**
+ * Validates a layout spec from the page size dialog
+ * Called from the dialog before anything is applied
+ *
+ * @param {Object} spec - Layout spec (see createLayoutSpec); preset sizes may leave width and height out
+ * @return {Object[]} Issues, each with code, field, message and severity
+ */
+function validateLayoutSpec(spec) {
+    return localizeIssues(validateLayout(resolveLayoutSpec(spec), getUserUnit()), getUserLanguage());
+}
+
+// ========================
+// INTERIOR STYLE
+// ========================
+
+/**
+ * Displays dialog for applying a body text style to the interior
+ */
+function showInteriorStyle() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+
+    // Defaults for each preset at the document's trim size
+    const defaults = {};
+    let styleOptionsHtml = '';
+    for (const styleKey in INTERIOR_STYLES) {
+        defaults[styleKey] = getInteriorStyleDefaults(styleKey, settings.width);
+        styleOptionsHtml += `<option value="${styleKey}">${INTERIOR_STYLES[styleKey].name}</option>`;
+    }
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        select, input { width: 100%; padding: 5px; margin-bottom: 10px; }
+        input[type="checkbox"] { width: auto; margin-right: 5px; }
+        label.checkbox { font-weight: normal; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .field-issue { font-size: 12px; margin: -5px 0 10px; color: #c5221f; }
+      </style>
+      
+      <h3>Book Interior Style</h3>
+      
+      <div class="info-box">
+        Sets the font, size, spacing, indent and alignment of every body paragraph. Headings, lists and tables are left as they are.<br>
+        Preset defaults are for the ${formatLength(settings.width, unit)} × ${formatLength(settings.height, unit)} trim size.
+      </div>
+      
+      <div class="form-group">
+        <label for="style">Style:</label>
+        <select id="style">
+          ${styleOptionsHtml}
+        </select>
+      </div>
+      
+      <div class="form-group">
+        <label for="fontFamily">Font:</label>
+        <input type="text" id="fontFamily">
+        <div class="note">Any font from the Google Docs font menu</div>
+      </div>
+      
+      <div class="form-group">
+        <label for="fontSize">Font Size (points):</label>
+        <input type="number" id="fontSize" step="0.5" min="${INTERIOR_STYLE_LIMITS.fontSize.min}" max="${INTERIOR_STYLE_LIMITS.fontSize.max}">
+      </div>
+      
+      <div class="form-group">
+        <label for="lineSpacing">Line Spacing:</label>
+        <input type="number" id="lineSpacing" step="0.05" min="${INTERIOR_STYLE_LIMITS.lineSpacing.min}" max="${INTERIOR_STYLE_LIMITS.lineSpacing.max}">
+      </div>
+      
+      <div class="form-group">
+        <label for="firstLineIndent">First-Line Indent (${UNITS[unit].name}):</label>
+        <input type="number" id="firstLineIndent" step="${UNITS[unit].step}" min="0">
+      </div>
+      
+      <div class="form-group">
+        <label for="spaceAfter">Space After Paragraphs (points):</label>
+        <input type="number" id="spaceAfter" step="1" min="${INTERIOR_STYLE_LIMITS.spaceAfter.min}" max="${INTERIOR_STYLE_LIMITS.spaceAfter.max}">
+      </div>
+      
+      <div class="form-group">
+        <label for="alignment">Alignment:</label>
+        <select id="alignment">
+          <option value="justify">Justified</option>
+          <option value="left">Left (ragged right)</option>
+        </select>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="indentFirstParagraph">Indent the first paragraph after a heading or scene break</label>
+      </div>
+      
+      <div id="generalIssues" class="field-issue"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Cancel</button>
+        <button id="applyBtn" onclick="applyStyle()">Apply</button>
+      </div>
+      
+      <script>
+        const savedStyle = ${toScriptJson(settings.interiorStyle)};
+        const defaults = ${toScriptJson(defaults)};
+        const unit = ${toScriptJson(UNITS[unit])};
+        
+        // Fill the form from a style (indent in inches)
+        function fillForm(style) {
+          document.getElementById('style').value = style.style;
+          document.getElementById('fontFamily').value = style.fontFamily;
+          document.getElementById('fontSize').value = style.fontSize;
+          document.getElementById('lineSpacing').value = style.lineSpacing;
+          document.getElementById('firstLineIndent').value = parseFloat((style.firstLineIndent * unit.perInch).toFixed(unit.decimals));
+          document.getElementById('spaceAfter').value = style.spaceAfter;
+          document.getElementById('alignment').value = style.alignment;
+          document.getElementById('indentFirstParagraph').checked = style.indentFirstParagraph;
+        }
+        
+        // Choosing a preset replaces any values entered by hand
+        document.getElementById('style').addEventListener('change', function() {
+          fillForm(defaults[this.value]);
+        });
+        
+        function collectStyle() {
+          const indent = parseFloat(document.getElementById('firstLineIndent').value) / unit.perInch;
+          return {
+            style: document.getElementById('style').value,
+            fontFamily: document.getElementById('fontFamily').value.trim(),
+            fontSize: parseFloat(document.getElementById('fontSize').value),
+            lineSpacing: parseFloat(document.getElementById('lineSpacing').value),
+            firstLineIndent: parseFloat(indent.toFixed(4)),
+            spaceAfter: parseFloat(document.getElementById('spaceAfter').value),
+            alignment: document.getElementById('alignment').value,
+            indentFirstParagraph: document.getElementById('indentFirstParagraph').checked
+          };
+        }
+        
+        // Show validation issues next to the fields they refer to
+        function showIssues(issues) {
+          document.querySelectorAll('.field-issue:not(#generalIssues)').forEach(function(element) {
+            element.remove();
+          });
+          document.getElementById('generalIssues').textContent = '';
+          
+          issues.forEach(function(issue) {
+            const element = issue.field && document.getElementById(issue.field);
+            if (element) {
+              const message = document.createElement('div');
+              message.className = 'field-issue';
+              message.textContent = issue.message;
+              element.insertAdjacentElement('afterend', message);
+            } else {
+              document.getElementById('generalIssues').textContent += issue.message + ' ';
+            }
+          });
+        }
+        
+        function applyStyle() {
+          document.getElementById('applyBtn').disabled = true;
+          google.script.run
+            .withSuccessHandler(function(result) {
+              document.getElementById('applyBtn').disabled = false;
+              if (result.success) {
+                alert(result.message);
+                google.script.host.close();
+              } else {
+                showIssues(result.issues);
+              }
+            })
+            .withFailureHandler(function(error) {
+              document.getElementById('applyBtn').disabled = false;
+              showIssues([{ field: null, message: error.message }]);
+            })
+            .applyInteriorStyle(collectStyle());
+        }
+        
+        // Start from the saved style, or the default preset for this trim size
+        document.addEventListener('DOMContentLoaded', function() {
+          fillForm(savedStyle || defaults['${DEFAULT_INTERIOR_STYLE}']);
+        });
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(650);
+
+    ui.showModalDialog(htmlOutput, 'Book Interior Style');
+}
+
+/**
+ * Looks up an interior style preset's values for a trim width
+ *
+ * @param {string} styleKey - Style key from INTERIOR_STYLES
+ * @param {number} width - Trim width in inches
+ * @return {Object} Style values (fontFamily, fontSize, lineSpacing, firstLineIndent in inches,
+ *     spaceAfter in points, alignment and indentFirstParagraph)
+ */
+function getInteriorStyleDefaults(styleKey, width) {
+    const preset = INTERIOR_STYLES[styleKey] || INTERIOR_STYLES[DEFAULT_INTERIOR_STYLE];
+    const trim = preset.trims.find(function(band) {
+        return width <= band.maxWidth;
+    }) || preset.trims[preset.trims.length - 1];
+
+    return {
+        style: INTERIOR_STYLES[styleKey] ? styleKey : DEFAULT_INTERIOR_STYLE,
+        fontFamily: preset.fontFamily,
+        fontSize: trim.fontSize,
+        lineSpacing: preset.lineSpacing,
+        firstLineIndent: trim.firstLineIndent,
+        spaceAfter: preset.spaceAfter,
+        alignment: preset.alignment,
+        indentFirstParagraph: preset.indentFirstParagraph
+    };
+}
+
+/**
+ * Checks interior style values before they are applied
+ *
+ * @param {Object} style - Style values (see getInteriorStyleDefaults)
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object[]} Issues, each with code, field, message and severity
+ */
+function validateInteriorStyle(style, unit) {
+    const issues = [];
+
+    if (!INTERIOR_STYLES[style.style]) {
+        issues.push(createIssue('UNKNOWN_STYLE', 'style', `Unknown interior style "${style.style}".`));
+    }
+    if (!style.fontFamily) {
+        issues.push(createIssue('FONT_REQUIRED', 'fontFamily', 'Please enter a font.'));
+    }
+    if (style.alignment !== 'justify' && style.alignment !== 'left') {
+        issues.push(createIssue('UNKNOWN_ALIGNMENT', 'alignment', `Unknown alignment "${style.alignment}".`));
+    }
+
+    const labels = {
+        fontSize: 'Font size',
+        lineSpacing: 'Line spacing',
+        firstLineIndent: 'First-line indent',
+        spaceAfter: 'Space after paragraphs'
+    };
+    const format = function(field, value) {
+        if (field === 'firstLineIndent') {
+            return formatLength(value, unit);
+        }
+        return field === 'lineSpacing' ? String(value) : value + ' pt';
+    };
+
+    for (const field in labels) {
+        const limits = INTERIOR_STYLE_LIMITS[field];
+        if (typeof style[field] !== 'number' || isNaN(style[field]) || style[field] < limits.min || style[field] > limits.max) {
+            issues.push(createIssue('STYLE_VALUE_OUT_OF_RANGE', field,
+                `${labels[field]} must be between ${format(field, limits.min)} and ${format(field, limits.max)}.`));
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Applies an interior style to the body paragraphs and saves it with the document settings
+ * Called from the interior style dialog
+ *
+ * @param {Object} style - Style values (see getInteriorStyleDefaults)
+ * @return {Object} Result with success flag, status message and validation issues
+ */
+function applyInteriorStyle(style) {
+    const issues = validateInteriorStyle(style, getUserUnit());
+    if (issues.length) {
+        return {
+            success: false,
+            message: issues[0].message,
+            issues: issues
+        };
+    }
+
+    const body = DocumentApp.getActiveDocument().getBody();
+    const alignment = style.alignment === 'justify' ?
+        DocumentApp.HorizontalAlignment.JUSTIFY : DocumentApp.HorizontalAlignment.LEFT;
+    let styled = 0;
+    let afterBreak = true; // The first paragraph of the document starts a section
+
+    for (let i = 0; i < body.getNumChildren(); i++) {
+        const element = body.getChild(i);
+
+        if (element.getType() !== DocumentApp.ElementType.PARAGRAPH) {
+            afterBreak = false;
+            continue;
+        }
+
+        const paragraph = element.asParagraph();
+        if (paragraph.getHeading() !== DocumentApp.ParagraphHeading.NORMAL) {
+            afterBreak = true;
+            continue;
+        }
+
+        // Centered and right-aligned lines (scene breaks, epigraphs, front matter) keep their layout
+        // and only take the typeface
+        const currentAlignment = paragraph.getAlignment();
+        const setApart = currentAlignment === DocumentApp.HorizontalAlignment.CENTER ||
+            currentAlignment === DocumentApp.HorizontalAlignment.RIGHT;
+        const isEmpty = paragraph.getText().trim() === '';
+
+        if (setApart) {
+            if (!isEmpty) {
+                paragraph.editAsText().setFontFamily(style.fontFamily);
+            }
+        } else {
+            applyBodyTextStyle(paragraph, style);
+            if (!isEmpty) {
+                const indent = afterBreak && !style.indentFirstParagraph ? 0 : style.firstLineIndent;
+                paragraph.setAlignment(alignment);
+                paragraph.setIndentFirstLine(paragraph.getIndentStart() + indent * POINTS_PER_INCH);
+                styled++;
+            }
+        }
+
+        // Text after a scene break starts a new section; empty paragraphs don't change that
+        if (setApart) {
+            afterBreak = true;
+        } else if (!isEmpty) {
+            afterBreak = false;
+        }
+    }
+
+    saveInteriorStyle(style);
+
+    return {
+        success: true,
+        message: `${INTERIOR_STYLES[style.style].name} style applied to ${styled} paragraph${styled === 1 ? '' : 's'} ` +
+            `(${style.fontFamily} ${style.fontSize} pt).`,
+        issues: []
+    };
+}
+
+/**
+ * Sets the font, size and spacing of a body paragraph
+ *
+ * @param {Paragraph} paragraph - Body paragraph
+ * @param {Object} style - Style values (see getInteriorStyleDefaults)
+ */
+function applyBodyTextStyle(paragraph, style) {
+    if (paragraph.getText()) {
+        paragraph.editAsText()
+            .setFontFamily(style.fontFamily)
+            .setFontSize(style.fontSize);
+    }
+    paragraph.setLineSpacing(style.lineSpacing);
+    paragraph.setSpacingBefore(0);
+    paragraph.setSpacingAfter(style.spaceAfter);
+}
+
+/**
+ * Saves the interior style with the rest of the document settings
+ *
+ * @param {Object} style - Style values (see getInteriorStyleDefaults)
+ */
+function saveInteriorStyle(style) {
+    updateDocumentSettings({
+        interiorStyle: {
+            style: style.style,
+            fontFamily: style.fontFamily,
+            fontSize: style.fontSize,
+            lineSpacing: style.lineSpacing,
+            firstLineIndent: style.firstLineIndent,
+            spaceAfter: style.spaceAfter,
+            alignment: style.alignment,
+            indentFirstParagraph: !!style.indentFirstParagraph
+        }
+    });
+}
+
+// ========================
+// CHAPTER BREAKS
+// ========================
+
+/**
+ * Displays dialog for adding page breaks before chapter headings
+ */
+function showChapterBreaks() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const chapterBreaks = settings.chapterBreaks || {
+        heading: DEFAULT_CHAPTER_HEADING,
+        drop: DEFAULT_CHAPTER_DROP,
+        rectoStart: false
+    };
+
+    let headingOptionsHtml = '';
+    CHAPTER_HEADINGS.forEach(function(heading) {
+        headingOptionsHtml += `<option value="${heading}">${getHeadingLabel(heading)}</option>`;
+    });
+
+    let dropOptionsHtml = '';
+    for (const drop in CHAPTER_DROPS) {
+        dropOptionsHtml += `<option value="${drop}">${CHAPTER_DROPS[drop].name}</option>`;
+    }
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        select { width: 100%; padding: 5px; margin-bottom: 10px; }
+        input[type="checkbox"] { width: auto; margin-right: 5px; }
+        label.checkbox { font-weight: normal; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .error { color: #c5221f; font-size: 12px; margin-bottom: 10px; }
+      </style>
+      
+      <h3>Chapter Breaks</h3>
+      
+      <div class="info-box">
+        Starts every chapter on a new page. Breaks added here are replaced each time you apply, so you can run it again after editing.
+      </div>
+      
+      <div class="form-group">
+        <label for="heading">Chapter Heading Style:</label>
+        <select id="heading">
+          ${headingOptionsHtml}
+        </select>
+      </div>
+      
+      <div class="form-group">
+        <label for="drop">Space Above Chapter Titles:</label>
+        <select id="drop">
+          ${dropOptionsHtml}
+        </select>
+        <div class="note">Scaled to the page height</div>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="rectoStart">Start chapters on right-hand pages</label>
+        <div class="note">Adds a blank page where a chapter would start on a left-hand page. Google Docs doesn't report page numbers, so page positions are estimated from the text. Check the result in a PDF before publishing.</div>
+      </div>
+      
+      <div id="error" class="error"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Cancel</button>
+        <button id="removeBtn" onclick="run('removeChapterBreaks')">Remove Breaks</button>
+        <button id="applyBtn" onclick="run('applyChapterBreaks', collectOptions())">Apply</button>
+      </div>
+      
+      <script>
+        const chapterBreaks = ${toScriptJson(chapterBreaks)};
+        
+        function collectOptions() {
+          return {
+            heading: document.getElementById('heading').value,
+            drop: document.getElementById('drop').value,
+            rectoStart: document.getElementById('rectoStart').checked
+          };
+        }
+        
+        function setButtonsDisabled(disabled) {
+          document.getElementById('removeBtn').disabled = disabled;
+          document.getElementById('applyBtn').disabled = disabled;
+        }
+        
+        // Run a server function that returns a result with success flag and message
+        function run(functionName, options) {
+          setButtonsDisabled(true);
+          document.getElementById('error').textContent = '';
+          google.script.run
+            .withSuccessHandler(function(result) {
+              setButtonsDisabled(false);
+              if (result.success) {
+                alert(result.message);
+                google.script.host.close();
+              } else {
+                document.getElementById('error').textContent = result.message;
+              }
+            })
+            .withFailureHandler(function(error) {
+              setButtonsDisabled(false);
+              document.getElementById('error').textContent = error.message;
+            })[functionName](options);
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          document.getElementById('heading').value = chapterBreaks.heading;
+          document.getElementById('drop').value = chapterBreaks.drop;
+          document.getElementById('rectoStart').checked = chapterBreaks.rectoStart;
+        });
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(480);
+
+    ui.showModalDialog(htmlOutput, 'Chapter Breaks');
+}
+
+/**
+ * Adds a page break before each chapter heading and spaces the headings for the page height
+ * Breaks inserted by an earlier run are removed first, so running it again doesn't add more.
+ * Called from the chapter breaks dialog
+ *
+ * @param {Object} options - Chapter break options
+ * @param {string} options.heading - ParagraphHeading key used for chapter titles (see CHAPTER_HEADINGS)
+ * @param {string} options.drop - Space above chapter titles, a key from CHAPTER_DROPS
+ * @param {boolean} options.rectoStart - Whether to add blank pages so chapters start on right-hand pages
+ * @return {Object} Result with success flag and status message
+ */
+function applyChapterBreaks(options) {
+    if (CHAPTER_HEADINGS.indexOf(options.heading) === -1 || !CHAPTER_DROPS[options.drop]) {
+        return {
+            success: false,
+            message: 'Please choose a chapter heading style and the space above chapter titles.'
+        };
+    }
+
+    const doc = DocumentApp.getActiveDocument();
+    const body = doc.getBody();
+    const heading = DocumentApp.ParagraphHeading[options.heading];
+
+    // Find the chapters before changing anything, so a wrong heading style leaves the document as it was
+    const chapters = [];
+    for (let i = 0; i < body.getNumChildren(); i++) {
+        const element = body.getChild(i);
+        if (element.getType() === DocumentApp.ElementType.PARAGRAPH && element.asParagraph().getHeading() === heading) {
+            chapters.push(element.asParagraph());
+        }
+    }
+
+    if (!chapters.length) {
+        return {
+            success: false,
+            message: `No ${getHeadingLabel(options.heading)} paragraphs were found. ` +
+                'Please apply that style to your chapter titles or choose another heading style.'
+        };
+    }
+
+    // Read the section breaks before DocumentApp changes the document, as the Docs API can't see unsaved edits
+    const sectionStarts = getSectionStartChapters(doc.getId(), options.heading);
+    const removed = removeInsertedChapterBreaks(doc);
+
+    // Space chapter titles for the page height before estimating where they fall
+    const pageHeight = body.getPageHeight();
+    chapters.forEach(function(paragraph) {
+        paragraph.setSpacingBefore(Math.round(pageHeight * CHAPTER_DROPS[options.drop].fraction));
+        paragraph.setSpacingAfter(Math.round(pageHeight * CHAPTER_TITLE_SPACE_AFTER));
+    });
+
+    updateDocumentSettings({
+        chapterBreaks: {
+            heading: options.heading,
+            drop: options.drop,
+            rectoStart: !!options.rectoStart
+        }
+    });
+
+    const plan = planChapterBreaks(body, heading, !!options.rectoStart, getPageLayout(body), sectionStarts);
+    let breaks = 0;
+    let blankPages = 0;
+
+    // Insert from the end so the planned chapters keep their positions
+    for (let i = plan.length - 1; i >= 0; i--) {
+        const count = (plan[i].breakBefore ? 1 : 0) + (plan[i].blankPage ? 1 : 0);
+        for (let j = 0; j < count; j++) {
+            const pageBreak = body.insertPageBreak(body.getChildIndex(plan[i].paragraph));
+            doc.addNamedRange(CHAPTER_BREAK_RANGE_NAME, doc.newRange().addElement(pageBreak.getParent()).build());
+        }
+        breaks += plan[i].breakBefore ? 1 : 0;
+        blankPages += plan[i].blankPage ? 1 : 0;
+    }
+
+    let message = `Page breaks added before ${breaks} of ${chapters.length} chapter${chapters.length === 1 ? '' : 's'}` +
+        (breaks < chapters.length ? ` (${chapters.length - breaks} already start${chapters.length - breaks === 1 ? 's' : ''} a new page).` : '.');
+    if (options.rectoStart) {
+        message += ` ${blankPages} blank page${blankPages === 1 ? '' : 's'} added so chapters start on right-hand pages. ` +
+            'Page positions are estimated, so please check them in a PDF before publishing.';
+    }
+    if (removed) {
+        message += ` Replaced ${removed} break${removed === 1 ? '' : 's'} from the last run.`;
+    }
+
+    return {
+        success: true,
+        message: message
+    };
+}
+
+/**
+ * Removes the page breaks added by applyChapterBreaks
+ * Called from the chapter breaks dialog
+ *
+ * @return {Object} Result with success flag and status message
+ */
+function removeChapterBreaks() {
+    const removed = removeInsertedChapterBreaks(DocumentApp.getActiveDocument());
+
+    return {
+        success: true,
+        message: removed ?
+            `Removed ${removed} page break${removed === 1 ? '' : 's'} added by Chapter Breaks.` :
+            'There are no page breaks from Chapter Breaks to remove.'
+    };
+}
+
+/**
+ * Removes the paragraphs holding page breaks that were added by applyChapterBreaks
+ *
+ * @param {Document} doc - Document to clean up
+ * @return {number} Number of breaks removed
+ */
+function removeInsertedChapterBreaks(doc) {
+    let removed = 0;
+
+    doc.getNamedRanges(CHAPTER_BREAK_RANGE_NAME).forEach(function(namedRange) {
+        namedRange.getRange().getRangeElements().forEach(function(rangeElement) {
+            const element = rangeElement.getElement();
+            // Skip breaks the user has already deleted or typed into
+            if (element.getParent() && element.asParagraph().getText() === '') {
+                element.removeFromParent();
+                removed++;
+            }
+        });
+        namedRange.remove();
+    });
+
+    return removed;
+}
+
+/**
+ * Finds the chapters that already start a section, such as those the Headers command starts
+ * DocumentApp can't see section breaks, so they are read with the Docs API when it is turned on.
+ *
+ * @param {string} documentId - Document ID
+ * @param {string} headingKey - ParagraphHeading key used for chapter titles
+ * @return {boolean[]} For each chapter title in document order, whether a section break comes before it
+ *     (only blank paragraphs and page breaks in between); empty without the Docs API
+ */
+function getSectionStartChapters(documentId, headingKey) {
+    if (!isDocsApiAvailable()) {
+        return [];
+    }
+
+    const headingType = headingKey.replace(/^HEADING(\d)$/, 'HEADING_$1');
+    const content = Docs.Documents.get(documentId).body.content;
+    const sectionStarts = [];
+
+    content.forEach(function(element, index) {
+        if (index === 0 || !element.paragraph || element.paragraph.paragraphStyle.namedStyleType !== headingType) {
+            return;
+        }
+        let j = index - 1;
+        while (j > 0 && content[j].paragraph &&
+            (isPageBreakParagraph(content[j].paragraph) || isBlankParagraph(content[j].paragraph))) {
+            j--;
+        }
+        sectionStarts.push(j > 0 && !!content[j].sectionBreak);
+    });
+
+    return sectionStarts;
+}
+
+/**
+ * Gets the name Google Docs shows for a paragraph heading
+ *
+ * @param {string} headingKey - ParagraphHeading key, e.g. HEADING1
+ * @return {string} Style name, e.g. Heading 1
+ */
+function getHeadingLabel(headingKey) {
+    return headingKey === 'TITLE' ? 'Title' : headingKey.replace('HEADING', 'Heading ');
+}
+
+/**
+ * Works out the content area and body text metrics used to estimate page positions
+ *
+ * @param {Body} body - Document body object
+ * @return {Object} Layout with contentWidth and contentHeight in points, fontSize, lineSpacing and spaceAfter
+ */
+function getPageLayout(body) {
+    const style = getDocumentSettings().interiorStyle;
+
+    return {
+        contentWidth: body.getPageWidth() - body.getMarginLeft() - body.getMarginRight(),
+        contentHeight: body.getPageHeight() - body.getMarginTop() - body.getMarginBottom(),
+        fontSize: style ? style.fontSize : DEFAULT_FONT_SIZE,
+        lineSpacing: style ? style.lineSpacing : DEFAULT_LINE_SPACING,
+        spaceAfter: style ? style.spaceAfter : 0
+    };
+}
+
+/**
+ * Decides where chapter page breaks and blank pages go
+ * Page 1 is a right-hand page, so a chapter on an even page needs a blank page before it.
+ *
+ * @param {Body} body - Document body object
+ * @param {ParagraphHeading} heading - Heading used for chapter titles
+ * @param {boolean} rectoStart - Whether chapters must start on right-hand pages
+ * @param {Object} layout - Layout from getPageLayout
+ * @param {boolean[]} [sectionStarts] - Chapters that already start a section (see getSectionStartChapters)
+ * @return {Object[]} Chapters, each with paragraph, breakBefore, blankPage and estimated page
+ */
+function planChapterBreaks(body, heading, rectoStart, layout, sectionStarts) {
+    sectionStarts = sectionStarts || [];
+    const plan = [];
+    let page = 1;
+    let used = 0; // Height used on the current page, in points
+
+    for (let i = 0; i < body.getNumChildren(); i++) {
+        const element = asTypedElement(body.getChild(i));
+        const type = element.getType();
+        const isText = type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM;
+
+        if (type === DocumentApp.ElementType.PARAGRAPH && element.getHeading() === heading) {
+            // A section break already starts a new page, and a page break after it would add a blank one
+            const startsSection = !!sectionStarts[plan.length];
+            const breakBefore = used > 0 && !startsSection;
+            if (used > 0) {
+                page++;
+                used = 0;
+            }
+            const blankPage = rectoStart && page % 2 === 0;
+            if (blankPage) {
+                page++;
+            }
+            plan.push({
+                paragraph: element,
+                breakBefore: breakBefore,
+                blankPage: blankPage,
+                page: page
+            });
+        }
+
+        used += estimateElementHeight(element, layout);
+        while (used > layout.contentHeight) {
+            page++;
+            used -= layout.contentHeight;
+        }
+
+        // Text after a page break (including ones typed by hand) starts on a new page
+        if (isText && containsPageBreak(element)) {
+            page++;
+            used = 0;
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Estimates the height a body element takes up on the page
+ *
+ * @param {Element} element - Typed body element
+ * @param {Object} layout - Layout from getPageLayout
+ * @return {number} Estimated height in points
+ */
+function estimateElementHeight(element, layout) {
+    const type = element.getType();
+
+    if (type === DocumentApp.ElementType.TABLE) {
+        let height = 0;
+        for (let r = 0; r < element.getNumRows(); r++) {
+            const row = element.getRow(r);
+            let rowLines = 1;
+            for (let c = 0; c < row.getNumCells(); c++) {
+                rowLines = Math.max(rowLines, estimateLines(row.getCell(c).getText(),
+                    layout.contentWidth / row.getNumCells(), layout.fontSize));
+            }
+            height += rowLines * layout.fontSize * LINE_HEIGHT * layout.lineSpacing;
+        }
+        return height;
+    }
+
+    if (type !== DocumentApp.ElementType.PARAGRAPH && type !== DocumentApp.ElementType.LIST_ITEM) {
+        return 0;
+    }
+
+    // Headings without a set size are drawn larger than body text
+    const isHeading = element.getHeading() !== DocumentApp.ParagraphHeading.NORMAL;
+    const fontSize = element.editAsText().getFontSize() || layout.fontSize * (isHeading ? 1.5 : 1);
+    const lineSpacing = element.getLineSpacing() || layout.lineSpacing;
+    const spaceAfter = element.getSpacingAfter();
+    let height = estimateLines(element.getText(), layout.contentWidth, fontSize) * fontSize * LINE_HEIGHT * lineSpacing +
+        (element.getSpacingBefore() || 0) + (typeof spaceAfter === 'number' ? spaceAfter : layout.spaceAfter);
+
+    for (let i = 0; i < element.getNumChildren(); i++) {
+        if (element.getChild(i).getType() === DocumentApp.ElementType.INLINE_IMAGE) {
+            height += element.getChild(i).asInlineImage().getHeight();
+        }
+    }
+    return height;
+}
+
+/**
+ * Estimates how many lines a piece of text wraps to
+ *
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @param {number} fontSize - Font size in points
+ * @return {number} Line count (at least 1)
+ */
+function estimateLines(text, width, fontSize) {
+    const charsPerLine = Math.max(1, Math.floor(width / (fontSize * AVERAGE_CHAR_WIDTH)));
+    return Math.max(1, Math.ceil(text.length / charsPerLine));
+}
+
+/**
+ * Checks whether a paragraph or list item contains a page break
+ *
+ * @param {Paragraph|ListItem} paragraph - Paragraph to check
+ * @return {boolean} True if it contains a page break
+ */
+function containsPageBreak(paragraph) {
+    for (let i = 0; i < paragraph.getNumChildren(); i++) {
+        if (paragraph.getChild(i).getType() === DocumentApp.ElementType.PAGE_BREAK) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// ========================
+// FRONT MATTER
+// ========================
+
+/**
+ * Displays dialog for inserting the title, copyright, dedication and contents pages
+ */
+function showFrontMatter() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const frontMatter = settings.frontMatter || {
+        title: DocumentApp.getActiveDocument().getName(),
+        subtitle: '',
+        author: '',
+        isbn: '',
+        edition: '',
+        year: new Date().getFullYear(),
+        rights: DEFAULT_RIGHTS_TEXT,
+        dedication: '',
+        tableOfContents: true
+    };
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input, textarea { width: 100%; padding: 5px; margin-bottom: 10px; box-sizing: border-box; }
+        textarea { height: 60px; font-family: Arial, sans-serif; }
+        input[type="checkbox"] { width: auto; margin-right: 5px; }
+        label.checkbox { font-weight: normal; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .field-issue { font-size: 12px; margin: -5px 0 10px; color: #c5221f; }
+      </style>
+      
+      <h3>Insert Front Matter</h3>
+      
+      <div class="info-box">
+        Adds a title page, copyright page, optional dedication and a table of contents at the start of the document,
+        sized for the ${formatLength(settings.width, getUserUnit())} × ${formatLength(settings.height, getUserUnit())} trim.
+        Running it again replaces the pages it added before.
+      </div>
+      
+      <div class="form-group">
+        <label for="title">Title:</label>
+        <input type="text" id="title">
+      </div>
+      
+      <div class="form-group">
+        <label for="subtitle">Subtitle (optional):</label>
+        <input type="text" id="subtitle">
+      </div>
+      
+      <div class="form-group">
+        <label for="author">Author:</label>
+        <input type="text" id="author">
+      </div>
+      
+      <div class="form-group">
+        <label for="isbn">ISBN (optional):</label>
+        <input type="text" id="isbn" placeholder="978-0-00-000000-0">
+      </div>
+      
+      <div class="form-group">
+        <label for="edition">Edition (optional):</label>
+        <input type="text" id="edition" placeholder="First edition">
+      </div>
+      
+      <div class="form-group">
+        <label for="year">Copyright Year:</label>
+        <input type="number" id="year" step="1">
+      </div>
+      
+      <div class="form-group">
+        <label for="rights">Rights Text:</label>
+        <textarea id="rights"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="dedication">Dedication (optional):</label>
+        <textarea id="dedication"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="tableOfContents">Table of contents</label>
+        <div class="note">Lists the chapter headings as links. Google Docs doesn't report page numbers, so none are shown.</div>
+      </div>
+      
+      <div id="generalIssues" class="field-issue"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Cancel</button>
+        <button id="insertBtn" onclick="insertPages()">Insert</button>
+      </div>
+      
+      <script>
+        const frontMatter = ${toScriptJson(frontMatter)};
+        const fields = ['title', 'subtitle', 'author', 'isbn', 'edition', 'year', 'rights', 'dedication'];
+        
+        function collectValues() {
+          const values = {};
+          fields.forEach(function(field) {
+            values[field] = document.getElementById(field).value.trim();
+          });
+          values.year = parseInt(values.year, 10) || null;
+          values.tableOfContents = document.getElementById('tableOfContents').checked;
+          return values;
+        }
+        
+        // Show validation issues next to the fields they refer to
+        function showIssues(issues) {
+          document.querySelectorAll('.field-issue:not(#generalIssues)').forEach(function(element) {
+            element.remove();
+          });
+          document.getElementById('generalIssues').textContent = '';
+          
+          issues.forEach(function(issue) {
+            const element = issue.field && document.getElementById(issue.field);
+            if (element) {
+              const message = document.createElement('div');
+              message.className = 'field-issue';
+              message.textContent = issue.message;
+              element.insertAdjacentElement('afterend', message);
+            } else {
+              document.getElementById('generalIssues').textContent += issue.message + ' ';
+            }
+          });
+        }
+        
+        function insertPages() {
+          document.getElementById('insertBtn').disabled = true;
+          google.script.run
+            .withSuccessHandler(function(result) {
+              document.getElementById('insertBtn').disabled = false;
+              if (result.success) {
+                alert(result.message);
+                google.script.host.close();
+              } else {
+                showIssues(result.issues);
+              }
+            })
+            .withFailureHandler(function(error) {
+              document.getElementById('insertBtn').disabled = false;
+              showIssues([{ field: null, message: error.message }]);
+            })
+            .insertFrontMatter(collectValues());
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          fields.forEach(function(field) {
+            document.getElementById(field).value = frontMatter[field] || '';
+          });
+          document.getElementById('tableOfContents').checked = frontMatter.tableOfContents;
+        });
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(700);
+
+    ui.showModalDialog(htmlOutput, 'Insert Front Matter');
+}
+
+/**
+ * Checks front matter values before the pages are built
+ *
+ * @param {Object} values - Front matter values (title, subtitle, author, isbn, edition, year, rights, dedication, tableOfContents)
+ * @return {Object[]} Issues, each with code, field, message and severity
+ */
+function validateFrontMatter(values) {
+    const issues = [];
+
+    if (!values.title) {
+        issues.push(createIssue('TITLE_REQUIRED', 'title', 'Please enter the book title.'));
+    }
+    if (!values.author) {
+        issues.push(createIssue('AUTHOR_REQUIRED', 'author', 'Please enter the author name.'));
+    }
+    if (values.isbn && !isValidIsbn(values.isbn)) {
+        issues.push(createIssue('INVALID_ISBN', 'isbn', `${values.isbn} isn't a valid ISBN-10 or ISBN-13.`));
+    }
+    if (!values.year || values.year % 1 !== 0 || values.year < 1000 || values.year > 9999) {
+        issues.push(createIssue('INVALID_YEAR', 'year', 'Please enter the copyright year, e.g. ' + new Date().getFullYear() + '.'));
+    }
+
+    return issues;
+}
+
+/**
+ * Checks an ISBN-10 or ISBN-13 check digit
+ *
+ * @param {string} isbn - ISBN, with or without hyphens and spaces
+ * @return {boolean} True if the ISBN is valid
+ */
+function isValidIsbn(isbn) {
+    const digits = isbn.replace(/[-\s]/g, '').toUpperCase();
+    let sum = 0;
+
+    if (/^\d{9}[\dX]$/.test(digits)) {
+        for (let i = 0; i < 10; i++) {
+            sum += (10 - i) * (digits[i] === 'X' ? 10 : parseInt(digits[i], 10));
+        }
+        return sum % 11 === 0;
+    }
+
+    if (/^\d{13}$/.test(digits)) {
+        for (let i = 0; i < 13; i++) {
+            sum += (i % 2 ? 3 : 1) * parseInt(digits[i], 10);
+        }
+        return sum % 10 === 0;
+    }
+
+    return false;
+}
+
+/**
+ * Builds the front matter pages at the top of the document
+ * Pages added by an earlier run are removed first, and the values are saved with the document settings.
+ * Called from the front matter dialog
+ *
+ * @param {Object} values - Front matter values (see validateFrontMatter)
+ * @return {Object} Result with success flag, status message and validation issues
+ */
+function insertFrontMatter(values) {
+    const issues = validateFrontMatter(values);
+    if (issues.length) {
+        return {
+            success: false,
+            message: issues[0].message,
+            issues: issues
+        };
+    }
+
+    const doc = DocumentApp.getActiveDocument();
+    const body = doc.getBody();
+    const settings = getDocumentSettings();
+    const replaced = removeFrontMatter(doc, settings.frontMatter);
+
+    // Link contents entries to the chapter headings before anything is inserted above them
+    const bookmarkIds = [];
+    const chapterHeading = DocumentApp.ParagraphHeading[settings.chapterBreaks ? settings.chapterBreaks.heading : DEFAULT_CHAPTER_HEADING];
+    const contents = [];
+    if (values.tableOfContents) {
+        for (let i = 0; i < body.getNumChildren(); i++) {
+            const element = body.getChild(i);
+            if (element.getType() === DocumentApp.ElementType.PARAGRAPH && element.asParagraph().getHeading() === chapterHeading &&
+                element.asParagraph().getText().trim()) {
+                const bookmark = doc.addBookmark(doc.newPosition(element, 0));
+                bookmarkIds.push(bookmark.getId());
+                contents.push({ text: element.asParagraph().getText().trim(), bookmarkId: bookmark.getId() });
+            }
+        }
+    }
+
+    const layout = getFrontMatterLayout(settings);
+    const inserted = [];
+    let index = 0;
+
+    const addParagraph = function(text, fontSize, spacingBefore, spacingAfter) {
+        const paragraph = body.insertParagraph(index++, text);
+        paragraph.setHeading(DocumentApp.ParagraphHeading.NORMAL)
+            .setAlignment(DocumentApp.HorizontalAlignment.CENTER)
+            .setIndentStart(0)
+            .setIndentFirstLine(0)
+            .setSpacingBefore(Math.round(spacingBefore || 0))
+            .setSpacingAfter(Math.round(spacingAfter || 0));
+        if (text) {
+            paragraph.editAsText().setFontSize(fontSize).setBold(false).setItalic(false);
+        }
+        inserted.push(paragraph);
+        return paragraph;
+    };
+    const addPageBreak = function() {
+        inserted.push(body.insertPageBreak(index++).getParent());
+    };
+
+    // Title page, with the title a quarter of the way down the page
+    addParagraph(values.title, layout.titleSize, layout.contentHeight / 4, layout.titleSize / 2).editAsText().setBold(true);
+    if (values.subtitle) {
+        addParagraph(values.subtitle, layout.subtitleSize, 0, layout.subtitleSize);
+    }
+    addParagraph(values.author, layout.subtitleSize, layout.contentHeight / 8, 0);
+    addPageBreak();
+
+    // Copyright page, set at the foot of the page
+    const copyrightLines = [`Copyright © ${values.year} ${values.author}`];
+    if (values.rights) {
+        copyrightLines.push(values.rights);
+    }
+    if (values.isbn) {
+        copyrightLines.push('ISBN: ' + values.isbn);
+    }
+    if (values.edition) {
+        copyrightLines.push(values.edition);
+    }
+    const copyright = copyrightLines.map(function(line) {
+        return addParagraph(line, layout.smallSize, 0, layout.smallSize);
+    });
+    const copyrightHeight = copyright.reduce(function(height, paragraph) {
+        return height + estimateElementHeight(paragraph, layout);
+    }, 0);
+    // Leave a few lines spare, as the height is only an estimate
+    copyright[0].setSpacingBefore(Math.round(Math.max(0, layout.contentHeight - copyrightHeight * 1.25 - layout.smallSize * 4)));
+    addPageBreak();
+
+    if (values.dedication) {
+        addParagraph(values.dedication, layout.bodySize, layout.contentHeight / 4, 0).editAsText().setItalic(true);
+        addPageBreak();
+    }
+
+    if (contents.length) {
+        addParagraph('Contents', layout.subtitleSize, 0, layout.subtitleSize * 1.5).editAsText().setBold(true);
+        contents.forEach(function(entry) {
+            addParagraph(entry.text, layout.bodySize, 0, layout.bodySize / 2)
+                .editAsText().setLinkUrl('#bookmark=' + entry.bookmarkId);
+        });
+        addPageBreak();
+    }
+
+    // Mark the pages so the next run can replace them
+    const range = doc.newRange();
+    inserted.forEach(function(paragraph) {
+        range.addElement(paragraph);
+    });
+    doc.addNamedRange(FRONT_MATTER_RANGE_NAME, range.build());
+
+    updateDocumentSettings({
+        frontMatter: {
+            title: values.title,
+            subtitle: values.subtitle || '',
+            author: values.author,
+            isbn: values.isbn || '',
+            edition: values.edition || '',
+            year: values.year,
+            rights: values.rights || '',
+            dedication: values.dedication || '',
+            tableOfContents: !!values.tableOfContents,
+            bookmarkIds: bookmarkIds
+        }
+    });
+
+    let message = (replaced ? 'Front matter updated' : 'Front matter inserted') +
+        ` (title, copyright${values.dedication ? ', dedication' : ''}${contents.length ? ', contents' : ''}).`;
+    if (values.tableOfContents && !contents.length) {
+        message += ` No ${getHeadingLabel(settings.chapterBreaks ? settings.chapterBreaks.heading : DEFAULT_CHAPTER_HEADING)} ` +
+            'chapter headings were found, so the table of contents was left out.';
+    }
+
+    return {
+        success: true,
+        message: message,
+        issues: []
+    };
+}
+
+/**
+ * Removes the front matter pages and contents bookmarks added by insertFrontMatter
+ *
+ * @param {Document} doc - Document to clean up
+ * @param {Object} [frontMatter] - Saved front matter values, with the contents bookmark IDs
+ * @return {boolean} True if earlier front matter was found
+ */
+function removeFrontMatter(doc, frontMatter) {
+    const namedRanges = doc.getNamedRanges(FRONT_MATTER_RANGE_NAME);
+
+    namedRanges.forEach(function(namedRange) {
+        namedRange.getRange().getRangeElements().forEach(function(rangeElement) {
+            const element = rangeElement.getElement();
+            if (element.getParent()) {
+                element.removeFromParent();
+            }
+        });
+        namedRange.remove();
+    });
+
+    ((frontMatter && frontMatter.bookmarkIds) || []).forEach(function(bookmarkId) {
+        const bookmark = doc.getBookmark(bookmarkId);
+        if (bookmark) {
+            bookmark.remove();
+        }
+    });
+
+    return namedRanges.length > 0;
+}
+
+/**
+ * Works out front matter font sizes and the content area from the saved trim size and margins
+ *
+ * @param {Object} settings - Document settings
+ * @return {Object} Layout with contentWidth and contentHeight in points, font sizes, lineSpacing and spaceAfter
+ */
+function getFrontMatterLayout(settings) {
+    const margins = getSavedMargins(settings);
+    const style = settings.interiorStyle;
+    const bodySize = style ? style.fontSize : DEFAULT_FONT_SIZE;
+    const titleSize = Math.round(settings.width * TITLE_FONT_SIZE_PER_INCH);
+
+    return {
+        contentWidth: (settings.width - margins.inside - margins.outside) * POINTS_PER_INCH,
+        contentHeight: (settings.height - margins.top - margins.bottom) * POINTS_PER_INCH,
+        titleSize: titleSize,
+        subtitleSize: Math.round(titleSize * 0.6),
+        bodySize: bodySize,
+        smallSize: Math.max(8, bodySize - 2),
+        fontSize: bodySize,
+        lineSpacing: style ? style.lineSpacing : DEFAULT_LINE_SPACING,
+        spaceAfter: 0
+    };
+}
+
+// ========================
+// HEADERS AND PAGE NUMBERS
+// ========================
+
+/**
+ * Displays dialog for setting up running heads and page numbers
+ */
+function showHeadersAndPageNumbers() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+    const defaults = getHeaderFooterDefaults(settings);
+    const headerFooter = settings.headerFooter || defaults;
+    const margins = getSavedMargins(settings);
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input { width: 100%; padding: 5px; margin-bottom: 10px; box-sizing: border-box; }
+        input[type="checkbox"] { width: auto; margin-right: 5px; }
+        label.checkbox { font-weight: normal; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .field-issue { font-size: 12px; margin: -5px 0 10px; color: #c5221f; }
+      </style>
+      
+      <h3>Headers &amp; Page Numbers</h3>
+      
+      <div class="info-box">
+        Top margin: ${formatLength(margins.top, unit)}, bottom margin: ${formatLength(margins.bottom, unit)}.
+        Headers and footers must sit between the ${getPlatform(settings.platform).name} safe zone and the text.
+        ${isDocsApiAvailable() ? '' : '<br>Turn on the Google Docs API service (Extensions → Apps Script → Services) to put the author on left-hand pages, set the distances, start numbering after the front matter and leave heads off chapter openings.'}
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="runningHeads">Running heads</label>
+      </div>
+      
+      <div class="form-group">
+        <label for="author">Author (left-hand pages):</label>
+        <input type="text" id="author">
+      </div>
+      
+      <div class="form-group">
+        <label for="title">Book Title (right-hand pages):</label>
+        <input type="text" id="title">
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="swapSides">Put the title on left-hand pages and the author on right-hand pages</label>
+      </div>
+      
+      <div class="form-group">
+        <label for="headerDistance">Header Distance from Top Edge (${UNITS[unit].name}):</label>
+        <input type="number" id="headerDistance" step="${UNITS[unit].step}" min="0">
+      </div>
+      
+      <div class="form-group">
+        <label for="footerDistance">Footer Distance from Bottom Edge (${UNITS[unit].name}):</label>
+        <input type="number" id="footerDistance" step="${UNITS[unit].step}" min="0">
+        <div class="note">Google Docs doesn't let scripts insert page numbers. Choose Insert → Page numbers to add them to the footer; the distance and the options below apply to them.</div>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="startAfterFrontMatter">Start page numbers after the front matter</label>
+      </div>
+      
+      <div class="form-group">
+        <label class="checkbox"><input type="checkbox" id="omitOnChapterOpenings">Leave heads and page numbers off chapter-opening pages</label>
+      </div>
+      
+      <div id="generalIssues" class="field-issue"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Cancel</button>
+        <button id="applyBtn" onclick="applyHeaders()">Apply</button>
+      </div>
+      
+      <script>
+        const headerFooter = ${toScriptJson(headerFooter)};
+        const unit = ${toScriptJson(UNITS[unit])};
+        const checkboxes = ['runningHeads', 'swapSides', 'startAfterFrontMatter', 'omitOnChapterOpenings'];
+        const distances = ['headerDistance', 'footerDistance'];
+        
+        function collectOptions() {
+          const options = {
+            author: document.getElementById('author').value.trim(),
+            title: document.getElementById('title').value.trim()
+          };
+          checkboxes.forEach(function(field) {
+            options[field] = document.getElementById(field).checked;
+          });
+          distances.forEach(function(field) {
+            const inches = parseFloat(document.getElementById(field).value) / unit.perInch;
+            options[field] = parseFloat(inches.toFixed(4));
+          });
+          return options;
+        }
+        
+        // Show validation issues next to the fields they refer to
+        function showIssues(issues) {
+          document.querySelectorAll('.field-issue:not(#generalIssues)').forEach(function(element) {
+            element.remove();
+          });
+          document.getElementById('generalIssues').textContent = '';
+          
+          issues.forEach(function(issue) {
+            const element = issue.field && document.getElementById(issue.field);
+            if (element) {
+              const message = document.createElement('div');
+              message.className = 'field-issue';
+              message.textContent = issue.message;
+              element.insertAdjacentElement('afterend', message);
+            } else {
+              document.getElementById('generalIssues').textContent += issue.message + ' ';
+            }
+          });
+        }
+        
+        function applyHeaders() {
+          document.getElementById('applyBtn').disabled = true;
+          google.script.run
+            .withSuccessHandler(function(result) {
+              document.getElementById('applyBtn').disabled = false;
+              if (result.success) {
+                alert(result.message);
+                google.script.host.close();
+              } else {
+                showIssues(result.issues);
+              }
+            })
+            .withFailureHandler(function(error) {
+              document.getElementById('applyBtn').disabled = false;
+              showIssues([{ field: null, message: error.message }]);
+            })
+            .applyHeadersAndPageNumbers(collectOptions());
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          document.getElementById('author').value = headerFooter.author;
+          document.getElementById('title').value = headerFooter.title;
+          checkboxes.forEach(function(field) {
+            document.getElementById(field).checked = headerFooter[field];
+          });
+          distances.forEach(function(field) {
+            document.getElementById(field).value = parseFloat((headerFooter[field] * unit.perInch).toFixed(unit.decimals));
+          });
+        });
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(700);
+
+    ui.showModalDialog(htmlOutput, 'Headers & Page Numbers');
+}
+
+/**
+ * Works out the starting header and footer options for a document
+ * Distances are centred between the platform's minimum outside margin and the text.
+ *
+ * @param {Object} settings - Document settings
+ * @return {Object} Header and footer options (see applyHeadersAndPageNumbers)
+ */
+function getHeaderFooterDefaults(settings) {
+    const margins = getSavedMargins(settings);
+    const minimum = getMinimumMargins(settings.pageCount, settings.bleed, settings.platform).outside;
+    const textHeight = getRunningHeadHeight(settings);
+    const distance = function(margin) {
+        return Math.max(minimum, Math.floor((margin - textHeight) / 2 * 100) / 100);
+    };
+
+    return {
+        author: settings.frontMatter ? settings.frontMatter.author : '',
+        title: settings.frontMatter ? settings.frontMatter.title : DocumentApp.getActiveDocument().getName(),
+        runningHeads: true,
+        swapSides: false,
+        headerDistance: distance(margins.top),
+        footerDistance: distance(margins.bottom),
+        startAfterFrontMatter: !!settings.frontMatter,
+        omitOnChapterOpenings: true
+    };
+}
+
+/**
+ * Gets the running head and page number font size
+ *
+ * @param {Object} settings - Document settings
+ * @return {number} Font size in points
+ */
+function getRunningHeadSize(settings) {
+    const bodySize = settings.interiorStyle ? settings.interiorStyle.fontSize : DEFAULT_FONT_SIZE;
+    return Math.max(MIN_RUNNING_HEAD_SIZE, bodySize - RUNNING_HEAD_SIZE_OFFSET);
+}
+
+/**
+ * Gets the height of a line of running head or page number text
+ *
+ * @param {Object} settings - Document settings
+ * @return {number} Height in inches
+ */
+function getRunningHeadHeight(settings) {
+    return getRunningHeadSize(settings) * LINE_HEIGHT / POINTS_PER_INCH;
+}
+
+/**
+ * Checks header and footer options against the saved margins and the platform's safe zone
+ *
+ * @param {Object} options - Header and footer options (see applyHeadersAndPageNumbers)
+ * @param {Object} settings - Document settings
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object[]} Issues, each with code, field, message and severity
+ */
+function validateHeaderFooter(options, settings, unit) {
+    const issues = [];
+    const platform = getPlatform(settings.platform);
+    const margins = getSavedMargins(settings);
+    const minimum = getMinimumMargins(settings.pageCount, settings.bleed, settings.platform).outside;
+    const textHeight = getRunningHeadHeight(settings);
+
+    if (!options.runningHeads && !isDocsApiAvailable()) {
+        issues.push(createIssue('NOTHING_TO_APPLY', null,
+            'Please choose running heads, or turn on the Google Docs API service to set up the page number footer.'));
+    }
+    if (options.runningHeads && !options.author && !options.title) {
+        issues.push(createIssue('RUNNING_HEAD_TEXT_REQUIRED', 'author', 'Please enter the author, the book title or both.'));
+    }
+
+    const checks = [
+        { enabled: options.runningHeads, field: 'headerDistance', name: 'header', margin: margins.top, side: 'top' },
+        { enabled: true, field: 'footerDistance', name: 'footer', margin: margins.bottom, side: 'bottom' }
+    ];
+    checks.forEach(function(check) {
+        const distance = options[check.field];
+        if (!check.enabled) {
+            return;
+        }
+        if (typeof distance !== 'number' || isNaN(distance) || distance < minimum) {
+            issues.push(createIssue('DISTANCE_IN_SAFE_ZONE', check.field,
+                `The ${check.name} must be at least ${formatLength(minimum, unit)} from the page edge ` +
+                `(${platform.name} minimum${settings.bleed ? ' with bleed' : ''}).`));
+        } else if (distance + textHeight > check.margin) {
+            issues.push(createIssue('DISTANCE_OVERLAPS_TEXT', check.field,
+                `The ${check.name} would run into the text. With a ${check.side} margin of ${formatLength(check.margin, unit)}, ` +
+                `the distance can be at most ${formatLength(check.margin - textHeight, unit)}.`));
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Sets up running heads, and with the Docs API service the header and footer distances and sections
+ * Page numbers themselves can't be inserted by a script; the footer settings apply to ones added with Insert → Page numbers.
+ * Called from the headers and page numbers dialog
+ *
+ * @param {Object} options - Header and footer options
+ * @param {string} options.author - Author name for the running head
+ * @param {string} options.title - Book title for the running head
+ * @param {boolean} options.runningHeads - Whether to add running heads
+ * @param {boolean} options.swapSides - Whether the title goes on left-hand pages and the author on right-hand pages
+ * @param {number} options.headerDistance - Header distance from the top edge in inches
+ * @param {number} options.footerDistance - Footer distance from the bottom edge in inches
+ * @param {boolean} options.startAfterFrontMatter - Whether numbering restarts at 1 after the front matter
+ * @param {boolean} options.omitOnChapterOpenings - Whether chapter-opening pages have no heads or numbers
+ * @return {Object} Result with success flag, status message and validation issues
+ */
+function applyHeadersAndPageNumbers(options) {
+    const settings = getDocumentSettings();
+    const issues = validateHeaderFooter(options, settings, getUserUnit());
+    if (issues.length) {
+        return {
+            success: false,
+            message: issues[0].message,
+            issues: issues
+        };
+    }
+
+    const doc = DocumentApp.getActiveDocument();
+    const fontSize = getRunningHeadSize(settings);
+    const notes = [];
+
+    if (options.runningHeads) {
+        // Right-hand (recto) pages use the default header; left-hand pages get theirs through the Docs API
+        const header = doc.getHeader() || doc.addHeader();
+        writeRunningHead(header, options.swapSides ? options.author : options.title, fontSize);
+    } else if (settings.headerFooter && settings.headerFooter.runningHeads && doc.getHeader()) {
+        // Only clear a header this command wrote
+        doc.getHeader().clear();
+    }
+
+    if (isDocsApiAvailable()) {
+        const layout = applySectionLayout(doc.getId(), options, settings, fontSize);
+        if (options.runningHeads && !layout.hasEvenPageHeader) {
+            notes.push('Google Docs has not created the left-hand page header yet. Click into the header on page 2, then apply again.');
+        }
+        if (layout.sectionBreaks) {
+            notes.push(`${layout.sectionBreaks} section break${layout.sectionBreaks === 1 ? '' : 's'} added.`);
+        }
+        if (!layout.hasPageNumbers) {
+            notes.push('The footer has no page numbers yet. Choose Insert → Page numbers and pick a footer option to add them.');
+        }
+    } else {
+        notes.push('Turn on the Google Docs API service to ' +
+            (options.runningHeads ? `put the ${options.swapSides ? 'title' : 'author'} on left-hand pages and ` : '') +
+            'set the header and footer distances' +
+            (options.startAfterFrontMatter ? ', start numbering after the front matter' : '') +
+            (options.omitOnChapterOpenings ? ', leave chapter openings clear' : '') + '.');
+        notes.push('If the footer has no page numbers yet, choose Insert → Page numbers to add them.');
+    }
+
+    updateDocumentSettings({
+        headerFooter: {
+            author: options.author,
+            title: options.title,
+            runningHeads: !!options.runningHeads,
+            swapSides: !!options.swapSides,
+            headerDistance: options.headerDistance,
+            footerDistance: options.footerDistance,
+            startAfterFrontMatter: !!options.startAfterFrontMatter,
+            omitOnChapterOpenings: !!options.omitOnChapterOpenings
+        }
+    });
+
+    return {
+        success: true,
+        message: [options.runningHeads ? 'Running heads set up.' : 'Header and footer layout set up.'].concat(notes).join(' '),
+        issues: []
+    };
+}
+
+/**
+ * Replaces the default (right-hand page) header with one line of running head text
+ * The text sits on the outside edge of the page, as on a recto page.
+ *
+ * @param {HeaderSection} header - Header to replace
+ * @param {string} text - Running head text
+ * @param {number} fontSize - Running head font size in points
+ */
+function writeRunningHead(header, text, fontSize) {
+    header.setText(text);
+
+    const paragraph = header.getParagraphs()[0];
+    paragraph.setAlignment(DocumentApp.HorizontalAlignment.RIGHT);
+    paragraph.setSpacingBefore(0).setSpacingAfter(0);
+    if (text) {
+        paragraph.editAsText().setFontSize(fontSize).setItalic(true);
+    }
+}
+
+/**
+ * Builds the Docs API requests that replace the text of the left-hand (even) page header
+ * The text sits on the outside edge of the page, as on a verso page.
+ *
+ * @param {Object} header - Header resource from the Docs API
+ * @param {string} segmentId - Header ID
+ * @param {string} text - Running head text
+ * @param {number} fontSize - Running head font size in points
+ * @return {Object[]} Docs API requests
+ */
+function getEvenPageHeaderRequests(header, segmentId, text, fontSize) {
+    const requests = [];
+    const content = header.content || [];
+    const end = content.length ? content[content.length - 1].endIndex - 1 : 0;
+
+    // The final newline of a header can't be deleted
+    if (end > 0) {
+        requests.push({ deleteContentRange: { range: { segmentId: segmentId, startIndex: 0, endIndex: end } } });
+    }
+    if (!text) {
+        return requests;
+    }
+
+    const range = { segmentId: segmentId, startIndex: 0, endIndex: text.length };
+    requests.push({ insertText: { location: { segmentId: segmentId, index: 0 }, text: text } });
+    requests.push({
+        updateTextStyle: {
+            range: range,
+            textStyle: { italic: true, fontSize: { magnitude: fontSize, unit: 'PT' } },
+            fields: 'italic,fontSize'
+        }
+    });
+    requests.push({
+        updateParagraphStyle: {
+            range: range,
+            paragraphStyle: { alignment: 'START', spaceAbove: { magnitude: 0, unit: 'PT' }, spaceBelow: { magnitude: 0, unit: 'PT' } },
+            fields: 'alignment,spaceAbove,spaceBelow'
+        }
+    });
+    return requests;
+}
+
+/**
+ * Creates a paragraph attributes object that sets the font size
+ *
+ * @param {number} fontSize - Font size in points
+ * @return {Object} Attributes for setAttributes
+ */
+function createFontSizeAttributes(fontSize) {
+    const attributes = {};
+    attributes[DocumentApp.Attribute.FONT_SIZE] = fontSize;
+    return attributes;
+}
+
+/**
+ * Checks whether the Google Docs API advanced service is turned on for the script
+ *
+ * @return {boolean} True if the Docs service can be used
+ */
+function isDocsApiAvailable() {
+    return typeof Docs !== 'undefined';
+}
+
+/**
+ * Uses the Docs API to start sections after the front matter and at each chapter, and to set
+ * the header and footer distances, first-page heads, left-hand page heads and page numbering
+ * Page breaks directly before a new section are replaced by the section break, so no blank pages
+ * are added, and sections added by an earlier run are reused.
+ *
+ * @param {string} documentId - Document ID
+ * @param {Object} options - Header and footer options (see applyHeadersAndPageNumbers)
+ * @param {Object} settings - Document settings
+ * @param {number} fontSize - Running head font size in points
+ * @return {Object} Number of section breaks added, whether the footers contain page numbers and
+ *     whether the left-hand page header exists
+ */
+function applySectionLayout(documentId, options, settings, fontSize) {
+    const headingType = (settings.chapterBreaks ? settings.chapterBreaks.heading : DEFAULT_CHAPTER_HEADING)
+        .replace(/^HEADING(\d)$/, 'HEADING_$1');
+    let document = Docs.Documents.get(documentId);
+    let content = document.body.content;
+    let targets = getSectionTargets(document, options, headingType);
+    const requests = [];
+    let sectionBreaks = 0;
+
+    // Work from the end so earlier indexes stay valid
+    for (let t = targets.length - 1; t >= 0; t--) {
+        const index = targets[t].index;
+        const pageBreaks = [];
+        let j = index - 1;
+        while (j > 0 && content[j].paragraph &&
+            (isPageBreakParagraph(content[j].paragraph) || isBlankParagraph(content[j].paragraph))) {
+            if (isPageBreakParagraph(content[j].paragraph)) {
+                pageBreaks.push(content[j]);
+            }
+            j--;
+        }
+
+        if (content[j].sectionBreak) {
+            // Already starts a section; page breaks after the section break would add blank pages
+            pageBreaks.forEach(function(element) {
+                requests.push({ deleteContentRange: { range: { startIndex: element.startIndex, endIndex: element.endIndex } } });
+            });
+        } else if (pageBreaks.length) {
+            // The nearest page break becomes the section break; any earlier ones would add blank pages
+            requests.push({ deleteContentRange: { range: { startIndex: pageBreaks[0].startIndex, endIndex: pageBreaks[0].endIndex } } });
+            requests.push({ insertSectionBreak: { location: { index: pageBreaks[0].startIndex }, sectionType: 'NEXT_PAGE' } });
+            pageBreaks.slice(1).forEach(function(element) {
+                requests.push({ deleteContentRange: { range: { startIndex: element.startIndex, endIndex: element.endIndex } } });
+            });
+            sectionBreaks++;
+        } else {
+            requests.push({ insertSectionBreak: { location: { index: content[index].startIndex }, sectionType: 'NEXT_PAGE' } });
+            sectionBreaks++;
+        }
+    }
+
+    if (requests.length) {
+        Docs.Documents.batchUpdate({ requests: requests }, documentId);
+        document = Docs.Documents.get(documentId);
+        content = document.body.content;
+        targets = getSectionTargets(document, options, headingType);
+    }
+
+    const points = function(inches) {
+        return { magnitude: inches * POINTS_PER_INCH, unit: 'PT' };
+    };
+    const styleRequests = [{
+        updateDocumentStyle: {
+            documentStyle: {
+                marginHeader: points(options.headerDistance),
+                marginFooter: points(options.footerDistance),
+                // The first page is the title page or the first chapter opening
+                useFirstPageHeaderFooter: !!(options.omitOnChapterOpenings || settings.frontMatter),
+                // Left-hand pages carry the author and right-hand pages the title
+                useEvenPageHeaderFooter: !!options.runningHeads
+            },
+            fields: 'marginHeader,marginFooter,useFirstPageHeaderFooter,useEvenPageHeaderFooter'
+        }
+    }];
+
+    content.forEach(function(element, k) {
+        if (k === 0 || !element.sectionBreak || !content[k + 1]) {
+            return;
+        }
+        const target = targets.find(function(candidate) {
+            return candidate.index === k + 1;
+        });
+        const sectionStyle = {
+            marginHeader: points(options.headerDistance),
+            marginFooter: points(options.footerDistance)
+        };
+        let fields = 'marginHeader,marginFooter';
+
+        // Sections this command starts; pageNumberStart is cleared unless set
+        if (target) {
+            sectionStyle.useFirstPageHeaderFooter = target.chapter && !!options.omitOnChapterOpenings;
+            if (target.afterFrontMatter && options.startAfterFrontMatter) {
+                sectionStyle.pageNumberStart = 1;
+            }
+            fields += ',useFirstPageHeaderFooter,pageNumberStart';
+        }
+
+        const start = content[k + 1].startIndex;
+        styleRequests.push({
+            updateSectionStyle: {
+                range: { startIndex: start, endIndex: start + 1 },
+                sectionStyle: sectionStyle,
+                fields: fields
+            }
+        });
+    });
+
+    Docs.Documents.batchUpdate({ requests: styleRequests }, documentId);
+
+    // The even-page header only exists once Google Docs has created it for the document
+    let hasEvenPageHeader = false;
+    if (options.runningHeads) {
+        document = Docs.Documents.get(documentId);
+        const evenPageHeaderId = document.documentStyle.evenPageHeaderId;
+        if (evenPageHeaderId && document.headers && document.headers[evenPageHeaderId]) {
+            const headerRequests = getEvenPageHeaderRequests(document.headers[evenPageHeaderId], evenPageHeaderId,
+                options.swapSides ? options.title : options.author, fontSize);
+            if (headerRequests.length) {
+                Docs.Documents.batchUpdate({ requests: headerRequests }, documentId);
+            }
+            hasEvenPageHeader = true;
+        }
+    }
+
+    const footers = document.footers || {};
+    const hasPageNumbers = Object.keys(footers).some(function(footerId) {
+        return footers[footerId].content.some(function(element) {
+            return element.paragraph && element.paragraph.elements.some(function(paragraphElement) {
+                return paragraphElement.autoText && paragraphElement.autoText.type === 'PAGE_NUMBER';
+            });
+        });
+    });
+
+    return {
+        sectionBreaks: sectionBreaks,
+        hasPageNumbers: hasPageNumbers,
+        hasEvenPageHeader: hasEvenPageHeader
+    };
+}
+
+/**
+ * Finds the body elements (from the Docs API) that should start a new section
+ *
+ * @param {Object} document - Document resource from Docs.Documents.get
+ * @param {Object} options - Header and footer options (see applyHeadersAndPageNumbers)
+ * @param {string} headingType - Docs API named style used for chapter titles, e.g. HEADING_1
+ * @return {Object[]} Targets in document order, each with content index, chapter and afterFrontMatter flags
+ */
+function getSectionTargets(document, options, headingType) {
+    const content = document.body.content;
+    const targets = {};
+
+    // The first text after the front matter's named range
+    const frontMatter = document.namedRanges && document.namedRanges[FRONT_MATTER_RANGE_NAME];
+    if (frontMatter) {
+        let end = 0;
+        frontMatter.namedRanges.forEach(function(namedRange) {
+            namedRange.ranges.forEach(function(range) {
+                end = Math.max(end, range.endIndex);
+            });
+        });
+        const index = content.findIndex(function(element) {
+            return element.startIndex >= end && !(element.paragraph &&
+                (isPageBreakParagraph(element.paragraph) || isBlankParagraph(element.paragraph)) || element.sectionBreak);
+        });
+        if (index > 0) {
+            targets[index] = { index: index, chapter: false, afterFrontMatter: true };
+        }
+    }
+
+    if (options.omitOnChapterOpenings) {
+        content.forEach(function(element, index) {
+            if (index > 0 && element.paragraph && element.paragraph.paragraphStyle.namedStyleType === headingType) {
+                targets[index] = targets[index] || { index: index, chapter: false, afterFrontMatter: false };
+                targets[index].chapter = true;
+            }
+        });
+    }
+
+    return Object.keys(targets).map(function(index) {
+        return targets[index];
+    }).sort(function(a, b) {
+        return a.index - b.index;
+    });
+}
+
+/**
+ * Checks whether a Docs API paragraph holds only page breaks
+ *
+ * @param {Object} paragraph - Paragraph from the Docs API
+ * @return {boolean} True if it has a page break and no text
+ */
+function isPageBreakParagraph(paragraph) {
+    let hasPageBreak = false;
+    const onlyBreaks = paragraph.elements.every(function(element) {
+        if (element.pageBreak) {
+            hasPageBreak = true;
+            return true;
+        }
+        return element.textRun && element.textRun.content.trim() === '';
+    });
+    return onlyBreaks && hasPageBreak;
+}
+
+/**
+ * Checks whether a Docs API paragraph is empty
+ *
+ * @param {Object} paragraph - Paragraph from the Docs API
+ * @return {boolean} True if it has no text or other content
+ */
+function isBlankParagraph(paragraph) {
+    return paragraph.elements.every(function(element) {
+        return element.textRun && element.textRun.content.trim() === '';
+    });
+}
+
+// ========================
+// LAYOUT PRESETS
+// ========================
+
+/**
+ * Gets the current user's saved layout presets
+ * Presets are stored in the same shape as the document settings (sizes and margins in inches)
+ *
+ * @return {Object} Presets keyed by name
+ */
+function getLayoutPresets() {
+    const presetsJson = PropertiesService.getUserProperties().getProperty(LAYOUT_PRESETS_PROPERTY);
+    return presetsJson ? JSON.parse(presetsJson) : {};
+}
+
+/**
+ * Saves the current user's layout presets
+ *
+ * @param {Object} presets - Presets keyed by name
+ */
+function saveLayoutPresets(presets) {
+    PropertiesService.getUserProperties().setProperty(LAYOUT_PRESETS_PROPERTY, JSON.stringify(presets));
+}
+
+/**
+ * Lists the current user's preset names in alphabetical order
+ * Called from the page size dialog
+ *
+ * @return {string[]} Preset names
+ */
+function getLayoutPresetNames() {
+    return Object.keys(getLayoutPresets()).sort(function(a, b) {
+        return a.localeCompare(b);
+    });
+}
+
+/**
+ * Gets one layout preset
+ * Called from the page size dialog to load a preset into the form
+ *
+ * @param {string} name - Preset name
+ * @return {Object|null} Preset settings, or null if there is no preset with that name
+ */
+function getLayoutPreset(name) {
+    return getLayoutPresets()[name] || null;
+}
+
+/**
+ * Checks a preset name
+ *
+ * @param {string} name - Preset name
+ * @param {Object} presets - Existing presets keyed by name
+ * @param {string} [currentName] - Name of the preset being renamed, which may keep its name
+ * @return {Object[]} Issues, each with code, field, message and severity
+ */
+function validatePresetName(name, presets, currentName) {
+    const issues = [];
+    if (!name) {
+        issues.push(createIssue('PRESET_NAME_REQUIRED', 'preset', 'Please enter a name for the preset.'));
+    } else if (name.length > MAX_PRESET_NAME_LENGTH) {
+        issues.push(createIssue('PRESET_NAME_TOO_LONG', 'preset',
+            `Preset names can be at most ${MAX_PRESET_NAME_LENGTH} characters.`));
+    } else if (presets[name] && name !== currentName) {
+        issues.push(createIssue('PRESET_NAME_TAKEN', 'preset', `There is already a preset called "${name}".`));
+    }
+    return issues;
+}
+
+/**
+ * Saves a layout spec as a named preset, creating it or replacing the preset with that name
+ * Called from the page size dialog
+ *
+ * @param {string} name - Preset name
+ * @param {Object} spec - Layout spec from the dialog (see createLayoutSpec)
+ * @param {boolean} [overwrite] - Whether an existing preset with this name may be replaced
+ * @return {Object} Result with success flag, status message, validation issues and the preset names
+ */
+function saveLayoutPreset(name, spec, overwrite) {
+    name = (name || '').trim();
+    const presets = getLayoutPresets();
+    const layout = resolveLayoutSpec(spec);
+    const issues = validatePresetName(name, presets, overwrite ? name : null).concat(
+        validateLayout(layout, getUserUnit()).filter(function(issue) {
+            return issue.severity === 'error';
+        }));
+
+    if (issues.length) {
+        return {
+            success: false,
+            message: issues[0].message,
+            issues: issues
+        };
+    }
+
+    const existed = !!presets[name];
+    presets[name] = {
+        sizeName: layout.sizeName,
+        width: layout.width,
+        height: layout.height,
+        bookType: layout.bookType,
+        paperType: layout.paperType,
+        inkType: layout.inkType,
+        platform: layout.platform,
+        marginType: layout.marginType,
+        pageCount: layout.pageCount,
+        bleed: layout.bleed,
+        customMargins: layout.marginType === 'custom' ? layout.marginSettings : null,
+        customMirroredMargins: layout.marginType === 'customMirrored' ? layout.marginSettings : null,
+        lastUpdated: new Date().toISOString()
+    };
+    saveLayoutPresets(presets);
+
+    return {
+        success: true,
+        message: `Preset "${name}" ${existed ? 'updated' : 'saved'}.`,
+        issues: [],
+        name: name,
+        presets: getLayoutPresetNames()
+    };
+}
+
+/**
+ * Renames a layout preset
+ * Called from the page size dialog
+ *
+ * @param {string} name - Current preset name
+ * @param {string} newName - New preset name
+ * @return {Object} Result with success flag, status message, validation issues and the preset names
+ */
+function renameLayoutPreset(name, newName) {
+    newName = (newName || '').trim();
+    const presets = getLayoutPresets();
+    const issues = presets[name] ?
+        validatePresetName(newName, presets, name) :
+        [createIssue('PRESET_NOT_FOUND', 'preset', `There is no preset called "${name}".`)];
+
+    if (issues.length) {
+        return {
+            success: false,
+            message: issues[0].message,
+            issues: issues
+        };
+    }
+
+    const preset = presets[name];
+    delete presets[name];
+    presets[newName] = preset;
+    saveLayoutPresets(presets);
+
+    return {
+        success: true,
+        message: `Preset "${name}" renamed to "${newName}".`,
+        issues: [],
+        name: newName,
+        presets: getLayoutPresetNames()
+    };
+}
+
+/**
+ * Deletes a layout preset
+ * Called from the page size dialog
+ *
+ * @param {string} name - Preset name
+ * @return {Object} Result with success flag, status message, validation issues and the preset names
+ */
+function deleteLayoutPreset(name) {
+    const presets = getLayoutPresets();
+    if (!presets[name]) {
+        const issue = createIssue('PRESET_NOT_FOUND', 'preset', `There is no preset called "${name}".`);
+        return {
+            success: false,
+            message: issue.message,
+            issues: [issue]
+        };
+    }
+
+    delete presets[name];
+    saveLayoutPresets(presets);
+
+    return {
+        success: true,
+        message: `Preset "${name}" deleted.`,
+        issues: [],
+        name: '',
+        presets: getLayoutPresetNames()
+    };
+}
+
+/**
+ * Applies a layout preset to the active document
+ * Called from the page size dialog
+ *
+ * @param {string} name - Preset name
+ * @return {Object} Result with success flag, status message and validation issues
+ */
+function applyLayoutPreset(name) {
+    const preset = getLayoutPreset(name);
+    if (!preset) {
+        const issue = createIssue('PRESET_NOT_FOUND', 'preset', `There is no preset called "${name}".`);
+        return {
+            success: false,
+            message: issue.message,
+            issues: [issue]
+        };
+    }
+
+    const result = applyLayoutSpec(resolveLayoutSpec(Object.assign({}, preset, {
+        marginSettings: getSavedMarginSettings(preset)
+    })));
+    if (result.success) {
+        result.message = `Preset "${name}" applied. ${result.message}`;
+    }
+    return result;
+}
+
+// ========================
+// LAYOUT SPEC FILES
+// ========================
+
+/**
+ * Displays dialog for downloading the document's layout spec as a JSON file
+ */
+function showExportLayoutSpec() {
+    const ui = DocumentApp.getUi();
+    const file = exportLayoutSpec();
+
+    if (!file.success) {
+        ui.alert(formatMessage(getUserLanguage(), 'title.exportLayoutSpec'), file.message, ui.ButtonSet.OK);
+        return;
+    }
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        textarea { width: 100%; height: 380px; font-family: monospace; font-size: 12px; box-sizing: border-box; }
+        .button-group { text-align: right; margin-top: 10px; }
+        button, a.button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+      </style>
+      
+      <h3>Export Layout Spec</h3>
+      
+      <textarea id="spec" readonly></textarea>
+      <div class="note">Send this file to anyone who needs the same layout. They can apply it with Page Tools → Import Layout Spec.</div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button onclick="copySpec()">Copy</button>
+        <a class="button" id="download">Download</a>
+      </div>
+      
+      <script>
+        const file = ${toScriptJson(file)};
+        
+        function copySpec() {
+          const textarea = document.getElementById('spec');
+          textarea.select();
+          document.execCommand('copy');
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          const download = document.getElementById('download');
+          document.getElementById('spec').value = file.json;
+          download.href = 'data:application/json;charset=utf-8,' + encodeURIComponent(file.json);
+          download.download = file.fileName;
+        });
+      </script>
+    `)
+        .setWidth(500)
+        .setHeight(550);
+
+    ui.showModalDialog(htmlOutput, 'Export Layout Spec');
+}
+
+/**
+ * Builds the layout spec file for the active document
+ * The file holds the settings saved by saveDocumentSettings and, for reference, the margins they resolve to
+ *
+ * @return {Object} Result with success flag, status message, file name and JSON text
+ */
+function exportLayoutSpec() {
+    const settings = getDocumentSettings();
+    if (!settings.sizeName) {
+        return {
+            success: false,
+            message: formatMessage(getUserLanguage(), 'layout.missing')
+        };
+    }
+
+    const layout = {};
+    for (const field in LAYOUT_SPEC_FIELDS) {
+        layout[field] = settings[field] === undefined ? null : settings[field];
+    }
+    const margins = getSavedMargins(settings);
+
+    const spec = {
+        format: LAYOUT_SPEC_FORMAT,
+        version: LAYOUT_SPEC_VERSION,
+        exportedAt: new Date().toISOString(),
+        layout: layout,
+        margins: {
+            top: margins.top,
+            bottom: margins.bottom,
+            inside: margins.inside,
+            outside: margins.outside
+        }
+    };
+    const baseName = DocumentApp.getActiveDocument().getName().replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-');
+
+    return {
+        success: true,
+        message: '',
+        fileName: (baseName || 'document') + '-layout.json',
+        json: JSON.stringify(spec, null, 2)
+    };
+}
+
+/**
+ * Displays dialog for applying a layout spec file to the active document
+ */
+function showImportLayoutSpec() {
+    const ui = DocumentApp.getUi();
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        textarea { width: 100%; height: 250px; font-family: monospace; font-size: 12px; box-sizing: border-box; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .field-issue { font-size: 12px; margin-bottom: 5px; }
+        .field-issue.error { color: #c5221f; }
+        .field-issue.warning { color: #b06000; }
+        .field-issue code { font-weight: bold; }
+      </style>
+      
+      <h3>Import Layout Spec</h3>
+      
+      <div class="form-group">
+        <label for="file">Layout Spec File:</label>
+        <input type="file" id="file" accept=".json,application/json">
+      </div>
+      
+      <div class="form-group">
+        <label for="spec">Or paste the JSON:</label>
+        <textarea id="spec"></textarea>
+        <div class="note">The spec is checked against the platform's requirements before anything in this document changes.</div>
+      </div>
+      
+      <div id="issues"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Cancel</button>
+        <button id="importBtn" onclick="importSpec()">Import</button>
+      </div>
+      
+      <script>
+        // Show each issue with the field in the file it refers to
+        function showIssues(issues) {
+          const container = document.getElementById('issues');
+          container.innerHTML = '';
+          issues.forEach(function(issue) {
+            const message = document.createElement('div');
+            message.className = 'field-issue ' + issue.severity;
+            if (issue.field) {
+              const field = document.createElement('code');
+              field.textContent = issue.field + ': ';
+              message.appendChild(field);
+            }
+            message.appendChild(document.createTextNode(issue.message));
+            container.appendChild(message);
+          });
+        }
+        
+        document.getElementById('file').addEventListener('change', function() {
+          const reader = new FileReader();
+          reader.onload = function() {
+            document.getElementById('spec').value = reader.result;
+          };
+          if (this.files[0]) {
+            reader.readAsText(this.files[0]);
+          }
+        });
+        
+        function importSpec() {
+          document.getElementById('importBtn').disabled = true;
+          google.script.run
+            .withSuccessHandler(function(result) {
+              document.getElementById('importBtn').disabled = false;
+              if (result.success) {
+                alert(result.message);
+                google.script.host.close();
+              } else {
+                showIssues(result.issues);
+              }
+            })
+            .withFailureHandler(function(error) {
+              document.getElementById('importBtn').disabled = false;
+              showIssues([{ field: null, severity: 'error', message: error.message }]);
+            })
+            .importLayoutSpec(document.getElementById('spec').value);
+        }
+      </script>
+    `)
+        .setWidth(500)
+        .setHeight(550);
+
+    ui.showModalDialog(htmlOutput, 'Import Layout Spec');
+}
+
+/**
+ * Validates a layout spec file and applies it to the active document
+ * The layout goes through the same validation as the page size dialog; the resolved margins
+ * in the file are for reference and are worked out again from the layout.
+ * Called from the import dialog
+ *
+ * @param {string} json - Contents of a layout spec file
+ * @return {Object} Result with success flag, status message and validation issues (fields are paths in the file)
+ */
+function importLayoutSpec(json) {
+    const parsed = parseLayoutSpecFile(json);
+    if (parsed.issues.length) {
+        return {
+            success: false,
+            message: parsed.issues[0].message,
+            issues: parsed.issues
+        };
+    }
+
+    const layout = parsed.layout;
+    const result = applyLayoutSpec(getFileLayoutSpec(layout));
+
+    result.issues = result.issues.map(function(issue) {
+        return Object.assign({}, issue, { field: getLayoutSpecFilePath(issue.field, layout.marginType) });
+    });
+    if (result.success) {
+        result.message = 'Layout spec imported. ' + result.message;
+    }
+    return result;
+}
+
+/**
+ * Parses a layout spec file and checks its structure, field names and field types
+ *
+ * @param {string} json - Contents of a layout spec file
+ * @return {Object} The layout from the file, and issues whose fields are paths in the file
+ */
+function parseLayoutSpecFile(json) {
+    let spec;
+    try {
+        spec = JSON.parse(json);
+    } catch (error) {
+        return {
+            layout: null,
+            issues: [createIssue('INVALID_JSON', null, `The file isn't valid JSON (${error.message}).`)]
+        };
+    }
+
+    if (!isPlainObject(spec) || spec.format !== LAYOUT_SPEC_FORMAT) {
+        return {
+            layout: null,
+            issues: [createIssue('UNKNOWN_FORMAT', 'format', `This isn't a layout spec file (expected format "${LAYOUT_SPEC_FORMAT}").`)]
+        };
+    }
+
+    const issues = [];
+    if (!Number.isInteger(spec.version) || spec.version < 1) {
+        issues.push(createIssue('INVALID_VERSION', 'version', 'The version must be a whole number.'));
+    } else if (spec.version > LAYOUT_SPEC_VERSION) {
+        issues.push(createIssue('UNSUPPORTED_VERSION', 'version',
+            `This file is version ${spec.version}, but this copy of the script reads up to version ${LAYOUT_SPEC_VERSION}. Please update the script.`));
+    }
+
+    Object.keys(spec).forEach(function(key) {
+        if (['format', 'version', 'exportedAt', 'layout', 'margins'].indexOf(key) === -1) {
+            issues.push(createIssue('UNKNOWN_FIELD', key, `Unknown field "${key}".`));
+        }
+    });
+    if (spec.margins !== undefined) {
+        checkMarginsField(spec.margins, 'margins', issues);
+    }
+
+    const layout = spec.layout;
+    if (!isPlainObject(layout)) {
+        issues.push(createIssue('LAYOUT_REQUIRED', 'layout', 'The file has no layout object.'));
+        return { layout: null, issues: issues };
+    }
+
+    Object.keys(layout).forEach(function(key) {
+        if (!LAYOUT_SPEC_FIELDS[key]) {
+            issues.push(createIssue('UNKNOWN_FIELD', 'layout.' + key, `Unknown field "${key}".`));
+        }
+    });
+
+    for (const field in LAYOUT_SPEC_FIELDS) {
+        const definition = LAYOUT_SPEC_FIELDS[field];
+        const value = layout[field];
+        const path = 'layout.' + field;
+
+        if (value === undefined || value === null) {
+            if (definition.required) {
+                issues.push(createIssue('FIELD_REQUIRED', path, `"${field}" is required.`));
+            }
+        } else if (definition.type === 'margins') {
+            checkMarginsField(value, path, issues);
+        } else if (typeof value !== definition.type || (definition.type === 'number' && isNaN(value))) {
+            issues.push(createIssue('INVALID_FIELD_TYPE', path, `"${field}" must be a ${definition.type}.`));
+        }
+    }
+
+    if (typeof layout.marginType === 'string' && MARGIN_TYPES.indexOf(layout.marginType) === -1) {
+        issues.push(createIssue('UNKNOWN_MARGIN_TYPE', 'layout.marginType',
+            `Unknown margin type "${layout.marginType}". Expected one of: ${MARGIN_TYPES.join(', ')}.`));
+    } else if (layout.marginType === 'custom' && !layout.customMargins) {
+        issues.push(createIssue('FIELD_REQUIRED', 'layout.customMargins', '"customMargins" is required for custom margins.'));
+    } else if (layout.marginType === 'customMirrored' && !layout.customMirroredMargins) {
+        issues.push(createIssue('FIELD_REQUIRED', 'layout.customMirroredMargins',
+            '"customMirroredMargins" is required for custom mirrored margins.'));
+    }
+
+    return {
+        layout: issues.length ? null : layout,
+        issues: issues
+    };
+}
+
+/**
+ * Builds the layout spec for the layout in a parsed layout spec file
+ *
+ * @param {Object} layout - Layout from parseLayoutSpecFile
+ * @return {Object} Layout spec from resolveLayoutSpec
+ */
+function getFileLayoutSpec(layout) {
+    return resolveLayoutSpec({
+        sizeName: layout.sizeName,
+        width: layout.width,
+        height: layout.height,
+        bookType: layout.bookType,
+        paperType: layout.paperType,
+        inkType: layout.inkType,
+        platform: layout.platform || DEFAULT_PLATFORM,
+        marginType: layout.marginType,
+        marginSettings: getSavedMarginSettings(layout),
+        pageCount: layout.pageCount,
+        bleed: !!layout.bleed
+    });
+}
+
+/**
+ * Checks a margins object in a layout spec file
+ *
+ * @param {*} value - Value from the file
+ * @param {string} path - Path of the value in the file
+ * @param {Object[]} issues - Issues to add to
+ */
+function checkMarginsField(value, path, issues) {
+    if (!isPlainObject(value)) {
+        issues.push(createIssue('INVALID_FIELD_TYPE', path, `"${path.split('.').pop()}" must be an object with top, bottom, inside and outside margins.`));
+        return;
+    }
+
+    Object.keys(value).forEach(function(key) {
+        if (['top', 'bottom', 'inside', 'outside', 'isMirrored'].indexOf(key) === -1) {
+            issues.push(createIssue('UNKNOWN_FIELD', path + '.' + key, `Unknown margin "${key}".`));
+        }
+    });
+    ['top', 'bottom', 'inside', 'outside'].forEach(function(side) {
+        if (typeof value[side] !== 'number' || isNaN(value[side])) {
+            issues.push(createIssue('INVALID_FIELD_TYPE', path + '.' + side, `The ${side} margin must be a number of inches.`));
+        }
+    });
+    if (value.isMirrored !== undefined && typeof value.isMirrored !== 'boolean') {
+        issues.push(createIssue('INVALID_FIELD_TYPE', path + '.isMirrored', '"isMirrored" must be a boolean.'));
+    }
+}
+
+/**
+ * Checks whether a value is a plain JSON object
+ *
+ * @param {*} value - Value to check
+ * @return {boolean} True for objects other than arrays and null
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Maps a layout spec field from validateLayout to its path in a layout spec file
+ *
+ * @param {string|null} field - Layout spec field, e.g. width or margins.top
+ * @param {string} marginType - Margin type of the layout
+ * @return {string|null} Path in the file, e.g. layout.width or layout.customMargins.top
+ */
+function getLayoutSpecFilePath(field, marginType) {
+    if (!field) {
+        return null;
+    }
+    if (field === 'margins') {
+        return 'layout.marginType';
+    }
+    if (field.indexOf('margins.') === 0) {
+        return 'layout.' + (marginType === 'customMirrored' ? 'customMirroredMargins' : 'customMargins') + field.slice('margins'.length);
+    }
+    return 'layout.' + field;
+}
+
+// ========================
+// PAGE SETUP HISTORY
+// ========================
+
+/**
+ * Displays dialog listing earlier page setups, each of which can be restored
+ */
+function showPageSetupHistory() {
+    const ui = DocumentApp.getUi();
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .button-group { text-align: right; margin-top: 15px; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .entry { border-bottom: 1px solid #eee; padding: 8px 0; font-size: 13px; }
+        .entry button { float: right; }
+        .when { font-weight: bold; }
+        .note { font-size: 12px; color: #666; }
+        .error { color: #c5221f; }
+      </style>
+      
+      <h3>Page Setup History</h3>
+      
+      <div class="info-box" id="summary">Loading history...</div>
+      <div id="entries"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+      </div>
+      
+      <script>
+        function loadHistory() {
+          google.script.run
+            .withSuccessHandler(showHistory)
+            .withFailureHandler(showError)
+            .getPageSetupHistory();
+        }
+        
+        function showHistory(entries, message) {
+          const container = document.getElementById('entries');
+          const summary = document.getElementById('summary');
+          container.innerHTML = '';
+          summary.className = 'info-box';
+          summary.textContent = (message ? message + ' ' : '') + (entries.length ?
+            'The page setup is saved here each time it is changed. Restoring a setup saves the current one first.' :
+            'No earlier page setups yet. One is saved each time the page size or margins are applied.');
+          
+          entries.forEach(function(entry) {
+            const div = document.createElement('div');
+            div.className = 'entry';
+            
+            const restore = document.createElement('button');
+            restore.textContent = 'Restore';
+            restore.onclick = function() {
+              restorePageSetup(entry);
+            };
+            div.appendChild(restore);
+            
+            const when = document.createElement('div');
+            when.className = 'when';
+            when.textContent = new Date(entry.timestamp).toLocaleString() + ' by ' + entry.user;
+            div.appendChild(when);
+            
+            const description = document.createElement('div');
+            description.className = 'note';
+            description.textContent = entry.description;
+            div.appendChild(description);
+            
+            container.appendChild(div);
+          });
+        }
+        
+        function restorePageSetup(entry) {
+          if (!confirm('Restore the page setup from ' + new Date(entry.timestamp).toLocaleString() + '?')) {
+            return;
+          }
+          google.script.run
+            .withSuccessHandler(function(result) {
+              if (result.success) {
+                showHistory(result.entries, result.message);
+              } else {
+                showError({ message: result.message });
+              }
+            })
+            .withFailureHandler(showError)
+            .restorePageSetup(entry.id);
+        }
+        
+        function showError(error) {
+          const summary = document.getElementById('summary');
+          summary.textContent = error.message;
+          summary.className = 'info-box error';
+        }
+        
+        document.addEventListener('DOMContentLoaded', loadHistory);
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(500);
+
+    ui.showModalDialog(htmlOutput, 'Page Setup History');
+}
+
+/**
+ * Gets the saved page setups, newest first
+ *
+ * @return {Object[]} History entries (see recordPageSetup)
+ */
+function getPageHistory() {
+    const historyJson = PropertiesService.getDocumentProperties().getProperty(PAGE_HISTORY_PROPERTY);
+    if (!historyJson) {
+        return [];
+    }
+
+    try {
+        const history = JSON.parse(historyJson);
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        Logger.log('Unreadable page setup history: ' + error);
+        return [];
+    }
+}
+
+/**
+ * Saves the page setup history, dropping the oldest entries to stay within the property size limit
+ *
+ * @param {Object[]} history - History entries, newest first
+ */
+function savePageHistory(history) {
+    history = history.slice(0, MAX_PAGE_HISTORY_ENTRIES);
+    let historyJson = JSON.stringify(history);
+    while (historyJson.length > MAX_PROPERTY_LENGTH && history.length > 1) {
+        history.pop();
+        historyJson = JSON.stringify(history);
+    }
+    PropertiesService.getDocumentProperties().setProperty(PAGE_HISTORY_PROPERTY, historyJson);
+}
+
+/**
+ * Adds the body's current page size, background color and margins to the history
+ * The saved layout settings are kept with them, so the dialogs match the page after a restore.
+ *
+ * @param {Body} body - Document body
+ */
+function recordPageSetup(body) {
+    const settings = getDocumentSettings();
+    const layout = {};
+    for (const field in LAYOUT_SPEC_FIELDS) {
+        if (field !== 'lastUpdated') {
+            layout[field] = settings[field] === undefined ? null : settings[field];
+        }
+    }
+
+    const history = getPageHistory();
+    history.unshift({
+        id: Utilities.getUuid(),
+        timestamp: new Date().toISOString(),
+        user: Session.getActiveUser().getEmail() || 'Unknown user',
+        pageWidth: body.getPageWidth(),
+        pageHeight: body.getPageHeight(),
+        backgroundColor: body.getBackgroundColor(),
+        margins: {
+            top: body.getMarginTop(),
+            bottom: body.getMarginBottom(),
+            left: body.getMarginLeft(),
+            right: body.getMarginRight()
+        },
+        // Layout settings are only kept if a page size was saved for the setup
+        settings: settings.sizeName ? layout : null
+    });
+    savePageHistory(history);
+}
+
+/**
+ * Lists the saved page setups for the history dialog
+ * Called from the history dialog
+ *
+ * @return {Object[]} Entries, newest first, each with id, timestamp, user and description
+ */
+function getPageSetupHistory() {
+    const unit = getUserUnit();
+
+    return getPageHistory().map(function(entry) {
+        const points = function(value) {
+            return formatLength(value / POINTS_PER_INCH, unit);
+        };
+        const paper = entry.backgroundColor === COLOR_CREAM ? 'cream' :
+            !entry.backgroundColor || entry.backgroundColor === COLOR_WHITE ? 'white' : entry.backgroundColor;
+        const name = entry.settings && entry.settings.sizeName && entry.settings.sizeName !== 'Custom' ?
+            entry.settings.sizeName.replace(/^(Paperback|Hardcover) - /, '') + ', ' : '';
+
+        return {
+            id: entry.id,
+            timestamp: entry.timestamp,
+            user: entry.user,
+            description: `${name}${points(entry.pageWidth)} × ${points(entry.pageHeight)}, ${paper} paper. ` +
+                `Margins: top ${points(entry.margins.top)}, bottom ${points(entry.margins.bottom)}, ` +
+                `left ${points(entry.margins.left)}, right ${points(entry.margins.right)}.`
+        };
+    });
+}
+
+/**
+ * Restores a saved page setup, first adding the current setup to the history
+ * Called from the history dialog
+ *
+ * @param {string} id - History entry ID
+ * @return {Object} Result with success flag, status message and the updated history entries
+ */
+function restorePageSetup(id) {
+    const entry = getPageHistory().find(function(candidate) {
+        return candidate.id === id;
+    });
+    if (!entry) {
+        return {
+            success: false,
+            message: 'That page setup is no longer in the history.'
+        };
+    }
+
+    const body = DocumentApp.getActiveDocument().getBody();
+    recordPageSetup(body);
+
+    body.setPageWidth(entry.pageWidth);
+    body.setPageHeight(entry.pageHeight);
+    body.setBackgroundColor(entry.backgroundColor);
+    body.setMarginTop(entry.margins.top);
+    body.setMarginBottom(entry.margins.bottom);
+    body.setMarginLeft(entry.margins.left);
+    body.setMarginRight(entry.margins.right);
+
+    if (entry.settings) {
+        updateDocumentSettings(entry.settings);
+    }
+
+    return {
+        success: true,
+        message: `Page setup from ${entry.timestamp.slice(0, 10)} restored.`,
+        entries: getPageSetupHistory()
+    };
+}
+
+// ========================
+// BATCH APPLY
+// ========================
+
+/**
+ * Displays dialog for applying this document's layout to other documents
+ */
+function showBatchApply() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+
+    if (!settings.sizeName) {
+        const language = getUserLanguage();
+        ui.alert(formatMessage(language, 'title.batchApply'), formatMessage(language, 'layout.missing'), ui.ButtonSet.OK);
+        return;
+    }
+
+    const unit = getUserUnit();
+    const job = getBatchJob();
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input, textarea { width: 100%; padding: 5px; margin-bottom: 10px; box-sizing: border-box; }
+        input[type="radio"] { width: auto; margin-right: 5px; }
+        label.radio { font-weight: normal; }
+        textarea { height: 90px; font-size: 12px; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        table { width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 15px; }
+        th, td { padding: 4px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; }
+        .applied { color: #188038; }
+        .skipped { color: #b06000; }
+        .failed, .error { color: #c5221f; }
+      </style>
+      
+      <h3>Apply Layout to Other Docs</h3>
+      
+      <div class="info-box">
+        Applies this document's layout (${settings.sizeName === 'Custom' ? '' : settings.sizeName.replace(/^(Paperback|Hardcover) - /, '') + ', '}${formatLength(settings.width, unit)} × ${formatLength(settings.height, unit)},
+        ${settings.paperType} paper, ${settings.marginType} margins) to each document, the same way as Set Custom Page Size.
+      </div>
+      
+      <div id="form">
+        <div class="form-group">
+          <label class="radio"><input type="radio" name="source" value="folder" checked>Every Google Doc in a Drive folder</label>
+          <label class="radio"><input type="radio" name="source" value="ids">A list of documents</label>
+        </div>
+        
+        <div class="form-group">
+          <label for="target">Folder or Document Links/IDs:</label>
+          <textarea id="target" placeholder="Paste a folder link, or one document link or ID per line"></textarea>
+          <div class="note">Documents you can only view or comment on are skipped.</div>
+        </div>
+      </div>
+      
+      <div class="info-box" id="status" style="display: none;"></div>
+      <div id="report"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button id="discardBtn" onclick="discard()" style="display: none;">Discard</button>
+        <button id="startBtn" onclick="start()">Start</button>
+      </div>
+      
+      <script>
+        let running = false;
+        
+        function setRunning(value) {
+          running = value;
+          document.getElementById('startBtn').disabled = value;
+          document.getElementById('discardBtn').disabled = value;
+        }
+        
+        // Show progress and the per-document report
+        function showStatus(status) {
+          const statusBox = document.getElementById('status');
+          const report = document.getElementById('report');
+          statusBox.style.display = 'block';
+          statusBox.className = 'info-box';
+          
+          if (!status.total) {
+            statusBox.style.display = 'none';
+            report.innerHTML = '';
+            document.getElementById('form').style.display = 'block';
+            document.getElementById('startBtn').textContent = 'Start';
+            document.getElementById('startBtn').style.display = 'inline';
+            document.getElementById('discardBtn').style.display = 'none';
+            return;
+          }
+          
+          const counts = { applied: 0, skipped: 0, failed: 0 };
+          let rows = '';
+          status.results.forEach(function(result) {
+            counts[result.status]++;
+            rows += '<tr><td></td><td class="' + result.status + '"></td><td></td></tr>';
+          });
+          
+          statusBox.textContent = (status.finished ? 'Finished: ' : 'Processed ' + status.results.length + ' of ' + status.total + ': ') +
+            counts.applied + ' applied, ' + counts.skipped + ' skipped, ' + counts.failed + ' failed.' +
+            (status.finished || running ? '' : ' This run was interrupted; click "Resume" to continue where it stopped.');
+          
+          report.innerHTML = rows ? '<table><tr><th>Document</th><th>Result</th><th>Details</th></tr>' + rows + '</table>' : '';
+          report.querySelectorAll('tr').forEach(function(row, i) {
+            if (i === 0) {
+              return;
+            }
+            const result = status.results[i - 1];
+            row.cells[0].textContent = result.name || result.id;
+            row.cells[1].textContent = result.status;
+            row.cells[2].textContent = result.message;
+          });
+          
+          document.getElementById('form').style.display = 'none';
+          document.getElementById('startBtn').textContent = 'Resume';
+          document.getElementById('startBtn').style.display = status.finished ? 'none' : 'inline';
+          document.getElementById('discardBtn').style.display = 'inline';
+          document.getElementById('discardBtn').textContent = status.finished ? 'New Batch' : 'Discard';
+        }
+        
+        function showError(error) {
+          setRunning(false);
+          const statusBox = document.getElementById('status');
+          statusBox.style.display = 'block';
+          statusBox.className = 'info-box error';
+          statusBox.textContent = error.message;
+        }
+        
+        // Each call runs for a few minutes at most; keep calling until the batch is finished
+        function runBatch() {
+          setRunning(true);
+          google.script.run
+            .withSuccessHandler(function(status) {
+              showStatus(status);
+              if (status.finished) {
+                setRunning(false);
+              } else {
+                runBatch();
+              }
+            })
+            .withFailureHandler(showError)
+            .continueBatchApply();
+        }
+        
+        function start() {
+          if (document.getElementById('startBtn').textContent === 'Resume') {
+            runBatch();
+            return;
+          }
+          setRunning(true);
+          google.script.run
+            .withSuccessHandler(function(result) {
+              if (result.success) {
+                showStatus(result.status);
+                runBatch();
+              } else {
+                showError({ message: result.message });
+              }
+            })
+            .withFailureHandler(showError)
+            .startBatchApply({
+              type: document.querySelector('input[name="source"]:checked').value,
+              value: document.getElementById('target').value
+            });
+        }
+        
+        function discard() {
+          google.script.run
+            .withSuccessHandler(showStatus)
+            .withFailureHandler(showError)
+            .discardBatchApply();
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          showStatus(${toScriptJson(getBatchStatus(job))});
+        });
+      </script>
+    `)
+        .setWidth(500)
+        .setHeight(600);
+
+    ui.showModalDialog(htmlOutput, 'Apply Layout to Other Docs');
+}
+
+/**
+ * Finds the Drive IDs in pasted links or IDs
+ *
+ * @param {string} text - Links or IDs, separated by spaces, commas or new lines
+ * @return {string[]} Unique IDs in the order given
+ */
+function parseDriveIds(text) {
+    const ids = [];
+    (text || '').split(/[\s,]+/).forEach(function(token) {
+        const match = token.match(/[-\w]{25,}/);
+        if (match && ids.indexOf(match[0]) === -1) {
+            ids.push(match[0]);
+        }
+    });
+    return ids;
+}
+
+/**
+ * Starts a batch, listing the documents and saving the layout to apply
+ * Called from the batch dialog
+ *
+ * @param {Object} source - Documents to update
+ * @param {string} source.type - 'folder' for every Google Doc in a folder, or 'ids' for a list
+ * @param {string} source.value - Folder link or ID, or document links or IDs
+ * @return {Object} Result with success flag, status message and the batch status
+ */
+function startBatchApply(source) {
+    const settings = getDocumentSettings();
+    const spec = resolveLayoutSpec(Object.assign({}, settings, {
+        marginSettings: getSavedMarginSettings(settings)
+    }));
+    const errors = validateLayout(spec, getUserUnit()).filter(function(issue) {
+        return issue.severity === 'error';
+    });
+
+    if (!settings.sizeName || errors.length) {
+        return {
+            success: false,
+            message: errors.length ? 'This document\'s layout has a problem: ' + errors[0].message :
+                formatMessage(getUserLanguage(), 'layout.missing')
+        };
+    }
+
+    const ids = parseDriveIds(source.value);
+    if (!ids.length) {
+        return {
+            success: false,
+            message: source.type === 'folder' ? 'Please paste a folder link or ID.' : 'Please paste at least one document link or ID.'
+        };
+    }
+
+    let documentIds = ids;
+    if (source.type === 'folder') {
+        if (ids.length > 1) {
+            return {
+                success: false,
+                message: 'Please paste a single folder link or ID.'
+            };
+        }
+
+        let folder;
+        try {
+            folder = DriveApp.getFolderById(ids[0]);
+        } catch (error) {
+            return {
+                success: false,
+                message: 'The folder could not be opened. Check the link and that it is shared with you.'
+            };
+        }
+
+        documentIds = [];
+        const files = folder.getFilesByType(MimeType.GOOGLE_DOCS);
+        while (files.hasNext()) {
+            documentIds.push(files.next().getId());
+        }
+    }
+
+    // This document already has the layout
+    const activeId = DocumentApp.getActiveDocument().getId();
+    documentIds = documentIds.filter(function(id) {
+        return id !== activeId;
+    });
+
+    if (!documentIds.length) {
+        return {
+            success: false,
+            message: source.type === 'folder' ? 'The folder has no other Google Docs.' : 'There are no other documents in the list.'
+        };
+    }
+
+    discardBatchApply();
+    const properties = PropertiesService.getDocumentProperties();
+    const items = {};
+    documentIds.forEach(function(id, index) {
+        items[BATCH_ITEM_PREFIX + index] = JSON.stringify({ id: id });
+    });
+    properties.setProperties(items);
+
+    const job = {
+        spec: spec,
+        total: documentIds.length,
+        next: 0,
+        startedAt: new Date().toISOString()
+    };
+    properties.setProperty(BATCH_JOB_PROPERTY, JSON.stringify(job));
+
+    return {
+        success: true,
+        message: '',
+        status: getBatchStatus(job)
+    };
+}
+
+/**
+ * Applies the batch layout to the next documents until the time budget runs out
+ * Progress is saved after every document, so if the execution is stopped the next call carries on
+ * from the first document without a result.
+ * Called from the batch dialog, repeatedly until the batch is finished
+ *
+ * @return {Object} Batch status (see getBatchStatus)
+ */
+function continueBatchApply() {
+    const started = Date.now();
+    const properties = PropertiesService.getDocumentProperties();
+    const job = getBatchJob();
+
+    if (!job) {
+        return getBatchStatus(null);
+    }
+
+    const options = {
+        pageCount: job.spec.pageCount,
+        bleed: job.spec.bleed,
+        platform: job.spec.platform,
+        unit: getUserUnit()
+    };
+
+    while (job.next < job.total && Date.now() - started < BATCH_TIME_BUDGET_MS) {
+        const key = BATCH_ITEM_PREFIX + job.next;
+        const item = JSON.parse(properties.getProperty(key));
+        Object.assign(item, applyBatchLayout(item.id, job.spec, options));
+
+        properties.setProperty(key, JSON.stringify(item));
+        job.next++;
+        properties.setProperty(BATCH_JOB_PROPERTY, JSON.stringify(job));
+    }
+
+    return getBatchStatus(job);
+}
+
+/**
+ * Applies a layout to one document in a batch
+ *
+ * @param {string} id - Document ID
+ * @param {Object} spec - Validated layout spec
+ * @param {Object} options - Layout options passed to applyMargins
+ * @return {Object} Result with document name, status ('applied', 'skipped' or 'failed') and message
+ */
+function applyBatchLayout(id, spec, options) {
+    let name = '';
+    try {
+        const file = DriveApp.getFileById(id);
+        name = file.getName();
+
+        if (file.getMimeType() !== MimeType.GOOGLE_DOCS) {
+            return { name: name, status: 'skipped', message: 'Not a Google Doc.' };
+        }
+        if (!canEditFile(file)) {
+            return { name: name, status: 'skipped', message: 'You don\'t have permission to edit this document.' };
+        }
+
+        const body = DocumentApp.openById(id).getBody();
+        const notes = formatMarginNotes(applyLayoutToBody(body, spec, options)).trim();
+        const fitSummary = formatFitSummary(fitContentToPage(body, options.unit));
+        return {
+            name: name,
+            status: 'applied',
+            message: (notes || 'Layout applied.') + fitSummary
+        };
+    } catch (error) {
+        const denied = /access|permission/i.test(error.message);
+        return {
+            name: name,
+            status: denied ? 'skipped' : 'failed',
+            message: denied ? 'The document could not be opened for editing (' + error.message + ').' : error.message
+        };
+    }
+}
+
+/**
+ * Checks whether the current user can edit a Drive file, directly or through link sharing
+ *
+ * @param {File} file - Drive file
+ * @return {boolean} False only if the user is known not to have edit access
+ */
+function canEditFile(file) {
+    try {
+        const access = file.getAccess(Session.getActiveUser());
+        return access === DriveApp.Permission.OWNER || access === DriveApp.Permission.EDIT ||
+            file.getSharingPermission() === DriveApp.Permission.EDIT;
+    } catch (error) {
+        // The user's email isn't always available; opening the document decides instead
+        return true;
+    }
+}
+
+/**
+ * Gets the saved batch, if any
+ *
+ * @return {Object|null} Batch with the layout spec, document count and next document index
+ */
+function getBatchJob() {
+    const jobJson = PropertiesService.getDocumentProperties().getProperty(BATCH_JOB_PROPERTY);
+    return jobJson ? JSON.parse(jobJson) : null;
+}
+
+/**
+ * Summarises a batch for the dialog
+ *
+ * @param {Object|null} job - Batch from getBatchJob
+ * @return {Object} Total documents, whether the batch is finished and the results so far
+ */
+function getBatchStatus(job) {
+    if (!job) {
+        return { total: 0, finished: false, results: [] };
+    }
+
+    const properties = PropertiesService.getDocumentProperties();
+    const results = [];
+    for (let i = 0; i < job.next; i++) {
+        results.push(JSON.parse(properties.getProperty(BATCH_ITEM_PREFIX + i)));
+    }
+
+    return {
+        total: job.total,
+        finished: job.next >= job.total,
+        results: results
+    };
+}
+
+/**
+ * Deletes the saved batch and its results
+ * Called from the batch dialog
+ *
+ * @return {Object} Empty batch status
+ */
+function discardBatchApply() {
+    const properties = PropertiesService.getDocumentProperties();
+    properties.getKeys().forEach(function(key) {
+        if (key === BATCH_JOB_PROPERTY || key.indexOf(BATCH_ITEM_PREFIX) === 0) {
+            properties.deleteProperty(key);
+        }
+    });
+    return getBatchStatus(null);
+}
+
+// ========================
+// PRINT PDF EXPORT
+// ========================
+
+/**
+ * Displays dialog for exporting the document as a print-ready PDF
+ */
+function showExportPrintPdf() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+
+    if (!settings.sizeName) {
+        const language = getUserLanguage();
+        ui.alert(formatMessage(language, 'title.exportPrintPdf'), formatMessage(language, 'layout.missing'), ui.ButtonSet.OK);
+        return;
+    }
+
+    const unit = getUserUnit();
+    const doc = DocumentApp.getActiveDocument();
+    const fileName = getPrintPdfFileName(settings.frontMatter && settings.frontMatter.title || doc.getName(), settings);
+    const page = resolvePageLayout(resolveLayoutSpec(Object.assign({}, settings, {
+        marginSettings: getSavedMarginSettings(settings)
+    })), unit);
+    const folderId = PropertiesService.getDocumentProperties().getProperty(PRINT_PDF_FOLDER_PROPERTY);
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input { width: 100%; padding: 5px; margin-bottom: 10px; box-sizing: border-box; }
+        .button-group { text-align: right; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .note { font-size: 12px; color: #666; margin-top: 5px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .field-issue { font-size: 12px; margin-bottom: 5px; }
+        .field-issue.error { color: #c5221f; }
+        .field-issue.warning { color: #b06000; }
+        .success { color: #188038; font-size: 12px; margin-bottom: 5px; }
+      </style>
+      
+      <h3>Export Print PDF</h3>
+      
+      <div class="info-box">
+        File name: <strong id="fileName"></strong><br>
+        Expected page size: ${formatLength(page.pageWidth, unit)} × ${formatLength(page.pageHeight, unit)}
+        (${settings.bookType}${settings.bleed ? ', with bleed' : ''})
+      </div>
+      
+      <div class="form-group">
+        <label for="folder">Drive Folder:</label>
+        <input type="text" id="folder" placeholder="Paste a folder link or ID">
+        <div class="note">Leave blank to save the PDF next to this document. The exported PDF's page size is
+        checked against the saved settings, and a PDF that doesn't match isn't saved.</div>
+      </div>
+      
+      <div id="result"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button id="exportBtn" onclick="exportPdf()">Export</button>
+      </div>
+      
+      <script>
+        function showResult(result) {
+          const container = document.getElementById('result');
+          container.innerHTML = '';
+          if (result.success) {
+            const message = document.createElement('div');
+            message.className = 'success';
+            message.textContent = result.message + ' ';
+            const link = document.createElement('a');
+            link.href = result.file.url;
+            link.target = '_blank';
+            link.textContent = 'Open PDF';
+            message.appendChild(link);
+            container.appendChild(message);
+          }
+          result.issues.forEach(function(issue) {
+            const message = document.createElement('div');
+            message.className = 'field-issue ' + issue.severity;
+            message.textContent = issue.message;
+            container.appendChild(message);
+          });
+        }
+        
+        function exportPdf() {
+          document.getElementById('exportBtn').disabled = true;
+          document.getElementById('result').textContent = 'Exporting...';
+          google.script.run
+            .withSuccessHandler(function(result) {
+              document.getElementById('exportBtn').disabled = false;
+              showResult(result);
+            })
+            .withFailureHandler(function(error) {
+              document.getElementById('exportBtn').disabled = false;
+              showResult({ success: false, issues: [{ severity: 'error', message: error.message }] });
+            })
+            .exportPrintPdf(document.getElementById('folder').value);
+        }
+        
+        document.addEventListener('DOMContentLoaded', function() {
+          document.getElementById('fileName').textContent = ${toScriptJson(fileName)};
+          document.getElementById('folder').value = ${toScriptJson(folderId ? 'https://drive.google.com/drive/folders/' + folderId : '')};
+        });
+      </script>
+    `)
+        .setWidth(500)
+        .setHeight(420);
+
+    ui.showModalDialog(htmlOutput, 'Export Print PDF');
+}
+
+/**
+ * Builds the print PDF file name from the title, trim size and book type
+ * e.g. My_Book_6x9_paperback_interior.pdf
+ *
+ * @param {string} title - Book title
+ * @param {Object} settings - Document settings (width, height, bookType)
+ * @return {string} File name
+ */
+function getPrintPdfFileName(title, settings) {
+    const name = (title || '').trim().replace(/[\s\\/:*?"<>|#%]+/g, '_').replace(/^_+|_+$/g, '') || 'Untitled';
+    const trim = parseFloat(settings.width.toFixed(3)) + 'x' + parseFloat(settings.height.toFixed(3));
+    return `${name}_${trim}_${settings.bookType}_interior.pdf`;
+}
+
+/**
+ * Exports the document as PDF into a Drive folder after checking its page sizes
+ * The PDF is only saved if every page matches the saved trim size (plus bleed, if it's on).
+ * Called from the export dialog
+ *
+ * @param {string} folderText - Folder link or ID; blank for the document's own folder
+ * @return {Object} Result with success flag, status message, issues and the saved file's name and URL
+ */
+function exportPrintPdf(folderText) {
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+    const spec = resolveLayoutSpec(Object.assign({}, settings, {
+        marginSettings: getSavedMarginSettings(settings)
+    }));
+    const errors = validateLayout(spec, unit).filter(function(issue) {
+        return issue.severity === 'error';
+    });
+
+    if (!settings.sizeName || errors.length) {
+        const message = !settings.sizeName ? formatMessage(getUserLanguage(), 'layout.missing') :
+            'This document\'s layout has a problem: ' + errors[0].message;
+        return {
+            success: false,
+            message: message,
+            issues: [createIssue(!settings.sizeName ? 'NO_LAYOUT' : 'INVALID_LAYOUT', null, message)]
+        };
+    }
+
+    const ids = parseDriveIds(folderText);
+    if (ids.length > 1) {
+        return {
+            success: false,
+            message: 'Please paste a single folder link or ID.',
+            issues: [createIssue('MULTIPLE_FOLDERS', 'folder', 'Please paste a single folder link or ID.')]
+        };
+    }
+
+    const doc = DocumentApp.getActiveDocument();
+    const docFile = DriveApp.getFileById(doc.getId());
+    let folder;
+    try {
+        if (ids.length) {
+            folder = DriveApp.getFolderById(ids[0]);
+        } else {
+            const parents = docFile.getParents();
+            folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+        }
+    } catch (error) {
+        const message = 'The folder could not be opened. Check the link and that it is shared with you.';
+        return {
+            success: false,
+            message: message,
+            issues: [createIssue('FOLDER_NOT_FOUND', 'folder', message)]
+        };
+    }
+
+    const fileName = getPrintPdfFileName(settings.frontMatter && settings.frontMatter.title || doc.getName(), settings);
+
+    // Flush pending changes so the export has the latest text and page setup
+    doc.saveAndClose();
+    const pdf = docFile.getAs(MimeType.PDF).setName(fileName);
+
+    const page = resolvePageLayout(spec, unit);
+    const check = checkPdfPageSizes(pdf.getDataAsString('ISO-8859-1'),
+        { width: page.pageWidth * POINTS_PER_INCH, height: page.pageHeight * POINTS_PER_INCH },
+        { width: spec.width * POINTS_PER_INCH, height: spec.height * POINTS_PER_INCH }, unit);
+
+    if (check.issues.some(function(issue) { return issue.severity === 'error'; })) {
+        return {
+            success: false,
+            message: check.issues[0].message,
+            issues: check.issues
+        };
+    }
+
+    const issues = check.issues.slice();
+    if (folder.getFilesByName(fileName).hasNext()) {
+        issues.push(createIssue('DUPLICATE_FILE_NAME', 'folder',
+            `The folder already had a file named ${fileName}; it has been kept, so check you upload the new one.`, 'warning'));
+    }
+
+    const file = folder.createFile(pdf);
+    PropertiesService.getDocumentProperties().setProperty(PRINT_PDF_FOLDER_PROPERTY, folder.getId());
+
+    return {
+        success: true,
+        message: `Saved ${fileName} to "${folder.getName()}"` +
+            (check.pageCount ? `; all ${check.pageCount} pages are ${formatLength(page.pageWidth, unit)} × ${formatLength(page.pageHeight, unit)}.` : '.'),
+        issues: issues,
+        file: {
+            name: fileName,
+            url: file.getUrl()
+        }
+    };
+}
+
+/**
+ * Compares the page boxes in a PDF with the expected page and trim sizes
+ * Each page's MediaBox (inherited from its page tree if the page has none) must match the page
+ * size, and its TrimBox, where present, the trim size. PDFs whose pages are in compressed object
+ * streams can't be read this way.
+ *
+ * @param {string} pdf - PDF file contents, one character per byte
+ * @param {Object} pageSize - Expected page width and height in points, including any bleed
+ * @param {Object} trimSize - Expected trim width and height in points
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object} Number of pages read and issues
+ */
+function checkPdfPageSizes(pdf, pageSize, trimSize, unit) {
+    const pages = readPdfPageBoxes(pdf);
+
+    if (!pages.length) {
+        return {
+            pageCount: 0,
+            issues: [createIssue('PDF_PAGES_UNREADABLE', null,
+                'The page sizes in the exported PDF could not be read. Please check them in a PDF viewer before uploading.', 'warning')]
+        };
+    }
+
+    const formatSize = function(size) {
+        return `${formatLength(size.width / POINTS_PER_INCH, unit)} × ${formatLength(size.height / POINTS_PER_INCH, unit)}`;
+    };
+
+    // Group mismatched pages by box and size so a long book gives one line per size
+    const mismatches = {};
+    pages.forEach(function(page, index) {
+        [['MediaBox', page.mediaBox, pageSize], ['TrimBox', page.trimBox, trimSize]].forEach(function(entry) {
+            const box = entry[1];
+            const expected = entry[2];
+            if (!box || (Math.abs(box.width - expected.width) <= PDF_SIZE_TOLERANCE &&
+                Math.abs(box.height - expected.height) <= PDF_SIZE_TOLERANCE)) {
+                return;
+            }
+            const key = entry[0] + ' ' + formatSize(box);
+            mismatches[key] = mismatches[key] || { box: entry[0], size: formatSize(box), expected: formatSize(expected), pages: [] };
+            mismatches[key].pages.push(index + 1);
+        });
+    });
+
+    const issues = Object.keys(mismatches).map(function(key) {
+        const mismatch = mismatches[key];
+        const listed = mismatch.pages.length > 5 ?
+            mismatch.pages.slice(0, 5).join(', ') + ' and ' + (mismatch.pages.length - 5) + ' more' : mismatch.pages.join(', ');
+        return createIssue('PDF_PAGE_SIZE_MISMATCH', null,
+            `The PDF ${mismatch.box} is ${mismatch.size} instead of ${mismatch.expected} on ${mismatch.pages.length === 1 ? 'page' : 'pages'} ${listed}. ` +
+            'Apply the page size again with Set Custom Page Size, then export again.');
+    });
+
+    return {
+        pageCount: pages.length,
+        issues: issues
+    };
+}
+
+/**
+ * Reads the page boxes of each page in a PDF, in page order
+ *
+ * @param {string} pdf - PDF file contents, one character per byte
+ * @return {Object[]} Pages, each with mediaBox and trimBox (width and height in points, or null)
+ */
+function readPdfPageBoxes(pdf) {
+    const objects = {};
+    const objectPattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)\bendobj\b/g;
+    let match;
+    while ((match = objectPattern.exec(pdf)) !== null) {
+        // Only the dictionary matters; drop any stream data
+        const streamStart = match[2].indexOf('stream');
+        objects[match[1]] = streamStart === -1 ? match[2] : match[2].slice(0, streamStart);
+    }
+
+    const readBox = function(dictionary, name) {
+        const number = '(-?\\d*\\.?\\d+)';
+        const box = dictionary.match(new RegExp('/' + name + '\\s*\\[\\s*' + [number, number, number, number].join('\\s+') + '\\s*\\]'));
+        return box ? {
+            width: Math.abs(parseFloat(box[3]) - parseFloat(box[1])),
+            height: Math.abs(parseFloat(box[4]) - parseFloat(box[2]))
+        } : null;
+    };
+
+    // Page boxes are inherited from the page tree when a page doesn't set them
+    const findBox = function(dictionary, name) {
+        for (let depth = 0; dictionary && depth < 32; depth++) {
+            const box = readBox(dictionary, name);
+            if (box) {
+                return box;
+            }
+            const parent = dictionary.match(/\/Parent\s+(\d+)\s+\d+\s+R/);
+            dictionary = parent ? objects[parent[1]] : null;
+        }
+        return null;
+    };
+
+    // Walk the page tree from the root so pages come out in order
+    const pages = [];
+    const visit = function(id, depth) {
+        const dictionary = objects[id];
+        if (!dictionary || depth > 32) {
+            return;
+        }
+        if (/\/Type\s*\/Page(?![A-Za-z])/.test(dictionary)) {
+            pages.push({
+                mediaBox: findBox(dictionary, 'MediaBox'),
+                trimBox: findBox(dictionary, 'TrimBox')
+            });
+            return;
+        }
+        const kids = dictionary.match(/\/Kids\s*\[([^\]]*)\]/);
+        if (kids) {
+            const refPattern = /(\d+)\s+\d+\s+R/g;
+            let ref;
+            while ((ref = refPattern.exec(kids[1])) !== null) {
+                visit(ref[1], depth + 1);
+            }
+        }
+    };
+
+    const catalogId = Object.keys(objects).find(function(id) {
+        return /\/Type\s*\/Catalog\b/.test(objects[id]);
+    });
+    const root = catalogId ? objects[catalogId].match(/\/Pages\s+(\d+)\s+\d+\s+R/) : null;
+    if (root) {
+        visit(root[1], 0);
+    }
+    return pages;
+}
+
+// ========================
+// FIT IMAGES AND TABLES
+// ========================
+
+/**
+ * Scales inline images and fixed-width tables down to the space between the margins
+ * Run after a page size change. Tables without fixed column widths already fit and are left alone.
+ * Positioned images (which scripts can't resize) and nested tables are listed instead.
+ *
+ * @param {Body} body - Document body, with its new page size and margins
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @param {string} [language] - Language code from LANGUAGES for messages (default DEFAULT_LANGUAGE)
+ * @return {Object} Numbers of images and tables resized, and findings (category, message key and values,
+ *     message, path) for content that doesn't fit
+ */
+function fitContentToPage(body, unit, language) {
+    const contentWidth = body.getPageWidth() - body.getMarginLeft() - body.getMarginRight();
+    const result = { images: 0, tables: 0, unfit: [] };
+    const tablePaths = [];
+
+    walkElements(body, [], function(element, path) {
+        const type = element.getType();
+
+        if (type === DocumentApp.ElementType.TABLE) {
+            const nested = tablePaths.some(function(tablePath) {
+                return tablePath.every(function(index, i) {
+                    return path[i] === index;
+                });
+            });
+            tablePaths.push(path);
+            fitTable(element, path, getAvailableWidth(element, contentWidth), nested, result, unit);
+        } else if (type === DocumentApp.ElementType.INLINE_IMAGE) {
+            fitImage(element, path, getAvailableWidth(element, contentWidth), result, unit);
+        } else if (type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) {
+            element.getPositionedImages().forEach(function(image) {
+                if (image.getWidth() > contentWidth + SIZE_TOLERANCE * POINTS_PER_INCH) {
+                    result.unfit.push({
+                        category: 'Positioned image',
+                        key: 'fit.positionedImage',
+                        values: {
+                            width: formatLength(image.getWidth() / POINTS_PER_INCH, unit),
+                            available: formatLength(contentWidth / POINTS_PER_INCH, unit)
+                        },
+                        path: path
+                    });
+                }
+            });
+        }
+    });
+
+    result.unfit.forEach(function(finding) {
+        finding.message = formatIssue(language || DEFAULT_LANGUAGE, finding);
+    });
+    return result;
+}
+
+/**
+ * Works out the width available to an element: its paragraph's share of the content area, or of its table cell
+ * Columns without a fixed width share their table's width evenly.
+ *
+ * @param {Element} element - Inline image or table
+ * @param {number} contentWidth - Content area width in points
+ * @return {number} Available width in points
+ */
+function getAvailableWidth(element, contentWidth) {
+    let indent = 0;
+    let parent = element.getParent();
+
+    while (parent && parent.getType() !== DocumentApp.ElementType.BODY_SECTION) {
+        const type = parent.getType();
+
+        if (type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) {
+            const paragraph = asTypedElement(parent);
+            indent += (paragraph.getIndentStart() || 0) + (paragraph.getIndentEnd() || 0);
+        } else if (type === DocumentApp.ElementType.TABLE_CELL) {
+            const cell = parent.asTableCell();
+            const row = cell.getParentRow();
+            const table = cell.getParentTable();
+            const cellWidth = table.getColumnWidth(row.getChildIndex(cell)) ||
+                getAvailableWidth(table, contentWidth) / row.getNumCells();
+            return cellWidth - (cell.getPaddingLeft() || 0) - (cell.getPaddingRight() || 0) - indent;
+        }
+        parent = parent.getParent();
+    }
+
+    return contentWidth - indent;
+}
+
+/**
+ * Scales an inline image down to the available width, keeping its proportions
+ *
+ * @param {InlineImage} image - Inline image element
+ * @param {number[]} path - Child indexes from the body
+ * @param {number} availableWidth - Width available in points
+ * @param {Object} result - Fit result to add to (see fitContentToPage)
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ */
+function fitImage(image, path, availableWidth, result, unit) {
+    const width = image.getWidth();
+    if (width <= availableWidth + SIZE_TOLERANCE * POINTS_PER_INCH) {
+        return;
+    }
+
+    // Images are sized in whole points
+    const newWidth = Math.floor(availableWidth);
+    if (newWidth < 1) {
+        result.unfit.push({
+            category: 'Image',
+            key: 'fit.image',
+            values: { width: formatLength(width / POINTS_PER_INCH, unit) },
+            path: path
+        });
+        return;
+    }
+
+    image.setHeight(Math.max(1, Math.round(image.getHeight() * newWidth / width)));
+    image.setWidth(newWidth);
+    result.images++;
+}
+
+/**
+ * Shrinks a table's fixed column widths in proportion so the table fits the available width
+ *
+ * @param {Table} table - Table element
+ * @param {number[]} path - Child indexes from the body
+ * @param {number} availableWidth - Width available in points
+ * @param {boolean} nested - Whether the table is inside another table
+ * @param {Object} result - Fit result to add to (see fitContentToPage)
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ */
+function fitTable(table, path, availableWidth, nested, result, unit) {
+    if (table.getNumRows() === 0) {
+        return;
+    }
+
+    const columnWidths = [];
+    const columns = table.getRow(0).getNumCells();
+    for (let i = 0; i < columns; i++) {
+        const columnWidth = table.getColumnWidth(i);
+        if (!columnWidth) {
+            return;
+        }
+        columnWidths.push(columnWidth);
+    }
+
+    const tableWidth = columnWidths.reduce(function(total, columnWidth) {
+        return total + columnWidth;
+    }, 0);
+    if (tableWidth <= availableWidth + SIZE_TOLERANCE * POINTS_PER_INCH) {
+        return;
+    }
+
+    if (nested) {
+        result.unfit.push({
+            category: 'Nested table',
+            key: 'fit.nestedTable',
+            values: {
+                width: formatLength(tableWidth / POINTS_PER_INCH, unit),
+                available: formatLength(availableWidth / POINTS_PER_INCH, unit)
+            },
+            path: path
+        });
+        return;
+    }
+
+    const scale = availableWidth / tableWidth;
+    columnWidths.forEach(function(columnWidth, i) {
+        table.setColumnWidth(i, columnWidth * scale);
+    });
+    result.tables++;
+}
+
+/**
+ * Formats a fit result for a status message
+ *
+ * @param {Object|null} fit - Result from fitContentToPage, or null if fitting was turned off
+ * @param {string} [language] - Language code from LANGUAGES (default DEFAULT_LANGUAGE)
+ * @return {string} Summary as sentences, or an empty string if nothing was resized or left over
+ */
+function formatFitSummary(fit, language) {
+    if (!fit) {
+        return '';
+    }
+
+    language = language || DEFAULT_LANGUAGE;
+    const resized = [];
+    if (fit.images) {
+        resized.push(formatCount(language, 'status.fitImages', fit.images));
+    }
+    if (fit.tables) {
+        resized.push(formatCount(language, 'status.fitTables', fit.tables));
+    }
+
+    let summary = '';
+    if (resized.length) {
+        const items = resized.length === 2 ?
+            formatMessage(language, 'status.fitAnd', { first: resized[0], second: resized[1] }) : resized[0];
+        summary = ' ' + formatMessage(language, 'status.fitResized', { items: items });
+    }
+    fit.unfit.slice(0, MAX_FIT_MESSAGES).forEach(function(finding) {
+        summary += ' ' + finding.message;
+    });
+    if (fit.unfit.length > MAX_FIT_MESSAGES) {
+        summary += ' ' + formatCount(language, 'status.fitMore', fit.unfit.length - MAX_FIT_MESSAGES);
+    }
+    return summary;
+}
+
+// ========================
+// WEB APP AND API
+// ========================
+
+/**
+ * Handles GET requests to the web app
+ * Every request needs the API key, which is only taken from a POST body, so GET requests are refused.
+ *
+ * @param {Object} e - Apps Script event with the query parameters
+ * @return {TextOutput} JSON response
+ */
+function doGet(e) {
+    return createJsonOutput(createApiError('METHOD_NOT_ALLOWED',
+        'The API key can only be sent in a POST body, so please send every request as a POST.'));
+}
+
+/**
+ * Handles POST requests to the web app
+ * Takes the request from a JSON body; query parameters other than the key fill in anything the body leaves out.
+ *
+ * @param {Object} e - Apps Script event with the query parameters and post data
+ * @return {TextOutput} JSON response
+ */
+function doPost(e) {
+    let body = {};
+    if (e && e.postData && e.postData.contents) {
+        try {
+            body = JSON.parse(e.postData.contents);
+        } catch (error) {
+            return createJsonOutput(createApiError('INVALID_REQUEST', `The request body isn't valid JSON (${error.message}).`));
+        }
+    }
+    if (!isPlainObject(body)) {
+        return createJsonOutput(createApiError('INVALID_REQUEST', 'The request body must be a JSON object.'));
+    }
+    return createJsonOutput(handleApiRequest(Object.assign(getQueryParameters(e), body)));
+}
+
+/**
+ * Gets the query parameters of a web app request without the API key
+ * URLs end up in logs and browser history, so the key is only taken from a POST body.
+ *
+ * @param {Object} e - Apps Script event with the query parameters
+ * @return {Object} Query parameters other than key
+ */
+function getQueryParameters(e) {
+    const parameters = Object.assign({}, e && e.parameter);
+    delete parameters.key;
+    return parameters;
+}
+
+/**
+ * Handles a web app or API request
+ * Also the entry point for the Apps Script API (scripts.run), which passes the request object directly.
+ * Every request is refused until an API key is set.
+ *
+ * @param {Object} request - Request with an action, the API key if one is set, and the action's fields
+ * @return {Object} Response with success flag, and on failure an error code, message and any issues
+ */
+function handleApiRequest(request) {
+    if (!isPlainObject(request)) {
+        return createApiError('INVALID_REQUEST', 'The request must be an object.');
+    }
+
+    const apiKey = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY);
+    if (!apiKey) {
+        return createApiError('NOT_CONFIGURED',
+            `The API is turned off until a key is set. Set one in the script properties under ${API_KEY_PROPERTY}.`);
+    }
+    if (request.key !== apiKey) {
+        return createApiError('UNAUTHORIZED', 'The API key is missing or wrong.');
+    }
+
+    const handler = API_ACTIONS[request.action];
+    if (!handler) {
+        return createApiError(request.action ? 'UNKNOWN_ACTION' : 'INVALID_REQUEST',
+            (request.action ? `Unknown action "${request.action}". ` : 'The request has no action. ') +
+            `Expected one of: ${Object.keys(API_ACTIONS).join(', ')}.`);
+    }
+
+    try {
+        return handler(request);
+    } catch (error) {
+        Logger.log("Error in handleApiRequest: " + error);
+        return createApiError('UNEXPECTED_ERROR', error.toString());
+    }
+}
+
+/**
+ * Lists the trim sizes for a platform and the common paper sizes
+ *
+ * @param {Object} request - Request with an optional platform key (default DEFAULT_PLATFORM)
+ * @return {Object} Response with the platform keys, and the sizes by name with width and height in inches
+ */
+function listPresetsAction(request) {
+    const platformKey = request.platform || DEFAULT_PLATFORM;
+    if (!PLATFORMS[platformKey]) {
+        return createApiError('UNKNOWN_PLATFORM',
+            `Unknown platform "${platformKey}". Expected one of: ${Object.keys(PLATFORMS).join(', ')}.`);
+    }
+
+    return {
+        success: true,
+        platform: platformKey,
+        platforms: Object.keys(PLATFORMS),
+        sizes: getPlatform(platformKey).sizes,
+        commonSizes: COMMON_SIZES
+    };
+}
+
+/**
+ * Reads a document's page size and margins, and its saved settings if it's the document the script is bound to
+ *
+ * @param {Object} request - Request with the document ID
+ * @return {Object} Response with the document name, page size and margins in inches and points, and settings or null
+ */
+function getSettingsAction(request) {
+    const opened = openApiDocument(request.documentId);
+    if (opened.error) {
+        return opened.error;
+    }
+
+    const body = opened.document.getBody();
+    const activeDoc = DocumentApp.getActiveDocument();
+    const settings = activeDoc && activeDoc.getId() === opened.document.getId() ? getDocumentSettings() : null;
+
+    return {
+        success: true,
+        documentId: opened.document.getId(),
+        name: opened.document.getName(),
+        page: {
+            width: toInchesAndPoints(body.getPageWidth()),
+            height: toInchesAndPoints(body.getPageHeight())
+        },
+        margins: {
+            top: toInchesAndPoints(body.getMarginTop()),
+            bottom: toInchesAndPoints(body.getMarginBottom()),
+            left: toInchesAndPoints(body.getMarginLeft()),
+            right: toInchesAndPoints(body.getMarginRight())
+        },
+        // Settings are only saved in the document the script is bound to
+        settings: settings && settings.sizeName ? settings : null
+    };
+}
+
+/**
+ * Applies a layout spec file to a document
+ *
+ * @param {Object} request - Request with the document ID, the layout spec file (as exported by
+ *     exportLayoutSpec) in spec, and an optional fitContent flag (default true)
+ * @return {Object} Response with the status message and any warnings, or the errors with their paths in the spec
+ */
+function applyLayoutAction(request) {
+    const opened = openApiDocument(request.documentId);
+    if (opened.error) {
+        return opened.error;
+    }
+    if (request.spec === undefined || request.spec === null) {
+        return createApiError('INVALID_REQUEST', 'The request has no layout spec.');
+    }
+
+    const parsed = parseLayoutSpecFile(typeof request.spec === 'string' ? request.spec : JSON.stringify(request.spec));
+    if (parsed.issues.length) {
+        return createApiError('INVALID_LAYOUT', parsed.issues[0].message, parsed.issues);
+    }
+
+    const layout = parsed.layout;
+    const result = applyLayoutSpec(getFileLayoutSpec(layout), {
+        document: opened.document,
+        fitContent: request.fitContent !== false && request.fitContent !== 'false'
+    });
+    const issues = result.issues.map(function(issue) {
+        return Object.assign({}, issue, { field: getLayoutSpecFilePath(issue.field, layout.marginType) });
+    });
+
+    if (!result.success) {
+        const unexpected = issues.some(function(issue) {
+            return issue.code === 'UNEXPECTED_ERROR';
+        });
+        return createApiError(unexpected ? 'UNEXPECTED_ERROR' : 'INVALID_LAYOUT', result.message, issues);
+    }
+    return {
+        success: true,
+        documentId: opened.document.getId(),
+        message: result.message,
+        issues: issues
+    };
+}
+
+/**
+ * Opens the document named in a request
+ *
+ * @param {string} documentId - Document ID from the request
+ * @return {Object} The document, or an error response
+ */
+function openApiDocument(documentId) {
+    if (!documentId || typeof documentId !== 'string') {
+        return { error: createApiError('INVALID_REQUEST', 'The request has no documentId.') };
+    }
+    try {
+        return { document: DocumentApp.openById(documentId) };
+    } catch (error) {
+        return {
+            error: createApiError('DOCUMENT_NOT_FOUND',
+                `Document "${documentId}" could not be opened. Check the ID and that the script's account can edit it (${error.message}).`)
+        };
+    }
+}
+
+/**
+ * Builds an error response
+ *
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object[]} [issues] - Issues behind the error
+ * @return {Object} Response with success flag, error code, message and issues
+ */
+function createApiError(code, message, issues) {
+    return {
+        success: false,
+        code: code,
+        message: message,
+        issues: issues || []
+    };
+}
+
+/**
+ * Converts a length in points to inches and points
+ *
+ * @param {number} points - Length in points
+ * @return {Object} Length with inches and points
+ */
+function toInchesAndPoints(points) {
+    return { inches: points / POINTS_PER_INCH, points: points };
+}
+
+/**
+ * Wraps a response as JSON web app output
+ * Apps Script web apps always answer with HTTP 200, so clients check success and code instead.
+ *
+ * @param {Object} response - Response object
+ * @return {TextOutput} JSON output
+ */
+function createJsonOutput(response) {
+    return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// ========================
+// LARGE PRINT
+// ========================
+
+/**
+ * Displays dialog for converting the document to a large-print edition
+ */
+function showLargePrintConverter() {
+    const ui = DocumentApp.getUi();
+    const settings = getDocumentSettings();
+    const unit = getUserUnit();
+    const sizeNames = getLargePrintSizes(settings);
+    const defaultSize = getDefaultLargePrintSize(sizeNames, settings);
+    const undo = getLargePrintUndo();
+
+    let sizeOptionsHtml = '';
+    sizeNames.forEach(function(sizeName) {
+        const size = findSize(sizeName, settings.platform);
+        sizeOptionsHtml += `<option value="${sizeName}"${sizeName === defaultSize ? ' selected' : ''}>` +
+            `${formatLength(size.width, unit)} × ${formatLength(size.height, unit)}</option>`;
+    });
+
+    const htmlOutput = HtmlService
+        .createHtmlOutput(`
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .form-group { margin-bottom: 15px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        select { width: 100%; padding: 5px; margin-bottom: 10px; }
+        .button-group { text-align: right; margin-top: 15px; }
+        button { padding: 5px 10px; margin-left: 10px; }
+        .info-box { background-color: #f0f0f0; padding: 10px; border-radius: 5px; margin-bottom: 15px; font-size: 12px; }
+        .finding { border-bottom: 1px solid #eee; padding: 8px 0; font-size: 13px; }
+        .category { font-weight: bold; }
+        .error { color: #c5221f; }
+        a { color: #1a73e8; cursor: pointer; margin-left: 5px; }
+      </style>
+      
+      <h3>Convert to Large Print</h3>
+      
+      <div class="info-box">
+        Switches the page to a large-print trim size, sets body text to at least
+        ${LARGE_PRINT_MIN_FONT_SIZE} pt with ${INTERIOR_STYLES.largePrint.lineSpacing} line spacing,
+        scales headings to match and widens the margins. The original layout, text sizes and image and
+        table sizes are saved, so the conversion can be undone.
+      </div>
+      
+      <div class="form-group">
+        <label for="sizeName">Large-print trim size (${getPlatform(settings.platform).name} ${settings.bookType}):</label>
+        <select id="sizeName">${sizeOptionsHtml}</select>
+      </div>
+      
+      <div class="info-box" id="status">${undo ?
+        `Converted on ${new Date(undo.timestamp).toLocaleDateString()}. Undo the conversion before converting again.` :
+        sizeNames.length ? 'Ready to convert.' : 'No large-print trim sizes are listed for this platform and book type.'}</div>
+      <div id="findings"></div>
+      
+      <div class="button-group">
+        <button onclick="google.script.host.close()">Close</button>
+        <button id="undo" onclick="undoConversion()"${undo ? '' : ' disabled'}>Undo Conversion</button>
+        <button id="convert" onclick="convert()"${undo || !sizeNames.length ? ' disabled' : ''}>Convert</button>
+      </div>
+      
+      <script>
+        function convert() {
+          setBusy('Converting document...');
+          google.script.run
+            .withSuccessHandler(function(result) {
+              showStatus(result.message, !result.success);
+              document.getElementById('convert').disabled = result.success;
+              document.getElementById('undo').disabled = !result.success;
+              if (result.success) {
+                showFindings(result.findings);
+              }
+            })
+            .withFailureHandler(showError)
+            .convertToLargePrint(document.getElementById('sizeName').value);
+        }
+        
+        function undoConversion() {
+          if (!confirm('Restore the layout and text sizes from before the conversion?')) {
+            return;
+          }
+          setBusy('Restoring document...');
+          google.script.run
+            .withSuccessHandler(function(result) {
+              showStatus(result.message, !result.success);
+              document.getElementById('convert').disabled = !result.success;
+              document.getElementById('undo').disabled = result.success;
+            })
+            .withFailureHandler(showError)
+            .undoLargePrint();
+        }
+        
+        function showFindings(findings) {
+          const container = document.getElementById('findings');
+          if (findings.length) {
+            const summary = document.createElement('p');
+            summary.textContent = findings.length + ' item(s) still break large-print guidelines. ' +
+              'Click "Go to" to select an element in the document.';
+            container.appendChild(summary);
+          }
+          
+          findings.forEach(function(finding) {
+            const div = document.createElement('div');
+            div.className = 'finding';
+            
+            const category = document.createElement('span');
+            category.className = 'category';
+            category.textContent = finding.category + ': ';
+            div.appendChild(category);
+            div.appendChild(document.createTextNode(finding.message));
+            
+            if (finding.path) {
+              const link = document.createElement('a');
+              link.textContent = 'Go to';
+              link.onclick = function() {
+                google.script.run.withFailureHandler(showError).selectPreflightElement(finding.path);
+              };
+              div.appendChild(link);
+            }
+            
+            container.appendChild(div);
+          });
+        }
+        
+        function setBusy(message) {
+          showStatus(message, false);
+          document.getElementById('findings').innerHTML = '';
+          document.getElementById('convert').disabled = true;
+          document.getElementById('undo').disabled = true;
+        }
+        
+        function showStatus(message, isError) {
+          const status = document.getElementById('status');
+          status.textContent = message;
+          status.className = isError ? 'info-box error' : 'info-box';
+        }
+        
+        function showError(error) {
+          showStatus(error.message, true);
+        }
+      </script>
+    `)
+        .setWidth(450)
+        .setHeight(550);
+
+    ui.showModelessDialog(htmlOutput, 'Convert to Large Print');
+}
+
+/**
+ * Lists the large-print trim sizes the platform offers for the document's book type
+ *
+ * @param {Object} settings - Document settings
+ * @return {string[]} Size names, smallest first
+ */
+function getLargePrintSizes(settings) {
+    const sizes = getPlatform(settings.platform).sizes;
+
+    return LARGE_PRINT_TRIMS.map(function(trim) {
+        return Object.keys(sizes).find(function(sizeName) {
+            const size = sizes[sizeName];
+            return size.type === settings.bookType &&
+                Math.abs(size.width - trim.width) < SIZE_TOLERANCE &&
+                Math.abs(size.height - trim.height) < SIZE_TOLERANCE;
+        });
+    }).filter(Boolean);
+}
+
+/**
+ * Picks the smallest large-print trim size that is at least as wide as the current trim
+ *
+ * @param {string[]} sizeNames - Size names from getLargePrintSizes
+ * @param {Object} settings - Document settings
+ * @return {string|null} Size name, or null if there are none
+ */
+function getDefaultLargePrintSize(sizeNames, settings) {
+    return sizeNames.find(function(sizeName) {
+        return findSize(sizeName, settings.platform).width >= settings.width - SIZE_TOLERANCE;
+    }) || sizeNames[sizeNames.length - 1] || null;
+}
+
+/**
+ * Converts the document to a large-print edition
+ * Switches to the trim size, raises body text to the Large Print style size and line spacing,
+ * scales headings by the same amount and widens the margins. Captions are left at their size
+ * so they stay set apart from the body text. The original settings, page setup, text sizes and
+ * image and table sizes are saved first so undoLargePrint can put them back. The interior style
+ * in the settings then records the large-print size and spacing.
+ * Called from the large print dialog
+ *
+ * @param {string} sizeName - Size name from getLargePrintSizes
+ * @return {Object} Result with success flag, status message, validation issues and findings
+ *     (category, message, path) for elements that still break large-print guidelines
+ */
+function convertToLargePrint(sizeName) {
+    const undo = getLargePrintUndo();
+    if (undo) {
+        return {
+            success: false,
+            message: `This document was converted to large print on ${undo.timestamp.slice(0, 10)}. Undo the conversion before converting again.`,
+            issues: []
+        };
+    }
+
+    const settings = getDocumentSettings();
+    if (getLargePrintSizes(settings).indexOf(sizeName) === -1) {
+        return {
+            success: false,
+            message: `"${sizeName}" is not a large-print trim size for a ${getPlatform(settings.platform).name} ${settings.bookType}.`,
+            issues: [createIssue('UNKNOWN_SIZE', 'sizeName', `Unknown large-print trim size "${sizeName}".`)]
+        };
+    }
+
+    const doc = DocumentApp.getActiveDocument();
+    const body = doc.getBody();
+    const size = findSize(sizeName, settings.platform);
+    const style = getInteriorStyleDefaults('largePrint', size.width);
+    const plan = planLargePrintText(body);
+
+    // Keep the current margins where they are already wider than the large-print minimums
+    const margins = {
+        top: Math.max(body.getMarginTop() / POINTS_PER_INCH, LARGE_PRINT_MIN_MARGINS.top),
+        bottom: Math.max(body.getMarginBottom() / POINTS_PER_INCH, LARGE_PRINT_MIN_MARGINS.bottom),
+        inside: Math.max(body.getMarginLeft() / POINTS_PER_INCH, LARGE_PRINT_MIN_MARGINS.inside),
+        outside: Math.max(body.getMarginRight() / POINTS_PER_INCH, LARGE_PRINT_MIN_MARGINS.outside),
+        isMirrored: true
+    };
+    const spec = createLayoutSpec(sizeName, size.width, size.height, settings.bookType, settings.paperType,
+        settings.inkType, margins, 'customMirrored', settings);
+
+    saveLargePrintUndo({
+        timestamp: new Date().toISOString(),
+        settings: settings,
+        pageWidth: body.getPageWidth(),
+        pageHeight: body.getPageHeight(),
+        backgroundColor: body.getBackgroundColor(),
+        margins: {
+            top: body.getMarginTop(),
+            bottom: body.getMarginBottom(),
+            left: body.getMarginLeft(),
+            right: body.getMarginRight()
+        },
+        paragraphs: plan.paragraphs.map(function(entry) {
+            const saved = { i: entry.index, n: entry.element.getText().length, r: entry.runs };
+            if (!entry.heading) {
+                saved.s = entry.element.getLineSpacing();
+            }
+            return saved;
+        }),
+        content: getContentSizes(body)
+    });
+
+    const result = applyLayoutSpec(spec);
+    if (!result.success) {
+        clearLargePrintUndo();
+        return result;
+    }
+
+    // Headings grow by the same factor as the body text
+    const scale = style.fontSize / (settings.interiorStyle ? settings.interiorStyle.fontSize : DEFAULT_FONT_SIZE);
+    let paragraphs = 0;
+    let headings = 0;
+
+    plan.paragraphs.forEach(function(entry) {
+        const text = entry.element.editAsText();
+        const length = entry.element.getText().length;
+
+        entry.runs.forEach(function(run, i) {
+            const end = (i + 1 < entry.runs.length ? entry.runs[i + 1][0] : length) - 1;
+            const fontSize = entry.heading ?
+                Math.min(Math.max(Math.round((run[1] || HEADING_FONT_SIZES[entry.heading]) * scale * 2) / 2, style.fontSize),
+                    INTERIOR_STYLE_LIMITS.fontSize.max) :
+                Math.max(run[1] || 0, style.fontSize);
+            if (fontSize !== run[1]) {
+                text.setFontSize(run[0], end, fontSize);
+            }
+        });
+
+        if (entry.heading) {
+            headings++;
+        } else {
+            entry.element.setLineSpacing(style.lineSpacing);
+            paragraphs++;
+        }
+    });
+
+    // Fields the conversion doesn't change keep their saved values
+    saveInteriorStyle(Object.assign({}, style, settings.interiorStyle, {
+        style: 'largePrint',
+        fontSize: style.fontSize,
+        lineSpacing: style.lineSpacing
+    }));
+
+    const findings = checkLargePrint(doc, plan.captions);
+    let message = `${result.message} Body text set to ${style.fontSize} pt with ${style.lineSpacing} line spacing ` +
+        `in ${paragraphs} paragraph${paragraphs === 1 ? '' : 's'}, and ${headings} heading${headings === 1 ? '' : 's'} scaled to match.`;
+    if (settings.pageCount) {
+        message += ' Larger text adds pages: update the page count in Set Custom Page Size so the gutter stays wide enough.';
+    }
+
+    return {
+        success: true,
+        message: message,
+        issues: result.issues,
+        findings: findings
+    };
+}
+
+/**
+ * Sorts the body paragraphs and list items with text into those the conversion resizes and captions
+ * A caption is a paragraph holding an image, or the first paragraph with text after one.
+ *
+ * @param {Body} body - Document body
+ * @return {Object} Paragraphs to resize and captions, each with the child index, element, heading key
+ *     from HEADING_FONT_SIZES (null for body text) and font size runs as [start offset, size or null] pairs
+ */
+function planLargePrintText(body) {
+    const plan = { paragraphs: [], captions: [] };
+    let afterImage = false;
+
+    for (let i = 0; i < body.getNumChildren(); i++) {
+        const element = asTypedElement(body.getChild(i));
+        const type = element.getType();
+
+        if (type !== DocumentApp.ElementType.PARAGRAPH && type !== DocumentApp.ElementType.LIST_ITEM) {
+            afterImage = false;
+            continue;
+        }
+
+        const hasImage = containsInlineImage(element);
+        if (element.getText().trim() === '') {
+            // Image-only paragraphs mark the next paragraph as a caption; empty ones don't change that
+            afterImage = afterImage || hasImage;
+            continue;
+        }
+
+        const heading = getHeadingKey(element);
+        const text = element.editAsText();
+        const entry = {
+            index: i,
+            element: element,
+            heading: heading,
+            runs: text.getTextAttributeIndices().map(function(start) {
+                return [start, text.getFontSize(start)];
+            })
+        };
+
+        if (!heading && (hasImage || afterImage)) {
+            plan.captions.push(entry);
+        } else {
+            plan.paragraphs.push(entry);
+        }
+        afterImage = false;
+    }
+
+    return plan;
+}
+
+/**
+ * Lists the sizes of the inline images and fixed-width tables, so undoLargePrint can put back those fitting changes
+ *
+ * @param {Body} body - Document body
+ * @return {Object[]} Sizes, each with the element path (p) and an image's width and height (w, h) in points
+ *     or a table's column widths (c) in points
+ */
+function getContentSizes(body) {
+    const sizes = [];
+
+    walkElements(body, [], function(element, path) {
+        const type = element.getType();
+
+        if (type === DocumentApp.ElementType.INLINE_IMAGE) {
+            sizes.push({ p: path, w: element.getWidth(), h: element.getHeight() });
+        } else if (type === DocumentApp.ElementType.TABLE && element.getNumRows() > 0) {
+            const columnWidths = [];
+            for (let i = 0; i < element.getRow(0).getNumCells(); i++) {
+                columnWidths.push(element.getColumnWidth(i));
+            }
+            // Tables without fixed column widths aren't resized
+            if (columnWidths.every(Boolean)) {
+                sizes.push({ p: path, c: columnWidths });
+            }
+        }
+    });
+
+    return sizes;
+}
+
+/**
+ * Puts back image and table sizes listed by getContentSizes
+ *
+ * @param {Body} body - Document body
+ * @param {Object[]} sizes - Sizes from getContentSizes
+ * @return {number} Number of images and tables that were moved or removed, and so kept their sizes
+ */
+function restoreContentSizes(body, sizes) {
+    let skipped = 0;
+
+    sizes.forEach(function(saved) {
+        const element = getElementAtPath(body, saved.p);
+        const type = element ? element.getType() : null;
+
+        if (saved.c && type === DocumentApp.ElementType.TABLE && element.getNumRows() > 0 &&
+            element.getRow(0).getNumCells() === saved.c.length) {
+            saved.c.forEach(function(columnWidth, i) {
+                element.setColumnWidth(i, columnWidth);
+            });
+        } else if (!saved.c && type === DocumentApp.ElementType.INLINE_IMAGE) {
+            element.setWidth(saved.w);
+            element.setHeight(saved.h);
+        } else {
+            skipped++;
+        }
+    });
+
+    return skipped;
+}
+
+/**
+ * Lists the elements that still break large-print guidelines after a conversion
+ *
+ * @param {Document} doc - Document
+ * @param {Object[]} captions - Captions from planLargePrintText
+ * @return {Object[]} Findings, each with a category, message and element path
+ */
+function checkLargePrint(doc, captions) {
+    const findings = [];
+
+    captions.forEach(function(entry) {
+        const fontSize = getSmallestFontSize(entry.runs);
+        if (fontSize < LARGE_PRINT_MIN_FONT_SIZE) {
+            findings.push({
+                category: 'Caption',
+                message: `Caption text is ${fontSize} pt; large print needs at least ${LARGE_PRINT_MIN_FONT_SIZE} pt.`,
+                path: [entry.index]
+            });
+        }
+    });
+
+    walkElements(doc.getBody(), [], function(element, path) {
+        if (element.getType() !== DocumentApp.ElementType.TABLE || element.getNumRows() === 0) {
+            return;
+        }
+
+        const problems = [];
+        const columns = element.getRow(0).getNumCells();
+        if (columns > LARGE_PRINT_MAX_TABLE_COLUMNS) {
+            problems.push(`it has ${columns} columns, which are hard to read at large-print sizes`);
+        }
+
+        let fontSize = Infinity;
+        walkElements(element, path, function(child) {
+            const type = child.getType();
+            if ((type === DocumentApp.ElementType.PARAGRAPH || type === DocumentApp.ElementType.LIST_ITEM) &&
+                child.getText().trim() !== '') {
+                const text = child.editAsText();
+                fontSize = Math.min(fontSize, getSmallestFontSize(text.getTextAttributeIndices().map(function(start) {
+                    return [start, text.getFontSize(start)];
+                })));
+            }
+        });
+        if (fontSize < LARGE_PRINT_MIN_FONT_SIZE) {
+            problems.push(`its text is as small as ${fontSize} pt`);
+        }
+
+        if (problems.length) {
+            findings.push({
+                category: 'Table',
+                message: `Table was left as it is, but ${problems.join(' and ')}.`,
+                path: path
+            });
+        }
+    });
+
+    const footnotes = doc.getFootnotes();
+    if (footnotes.length) {
+        findings.push({
+            category: 'Footnotes',
+            message: `${footnotes.length} footnote${footnotes.length === 1 ? ' is' : 's are'} set in small type at the foot of the page. ` +
+                'Large-print editions usually move notes to the end of the chapter or book.',
+            path: getElementPath(footnotes[0].getParent())
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Finds the smallest font size in a set of text runs
+ *
+ * @param {Array[]} runs - Font size runs as [start offset, size or null] pairs
+ * @return {number} Size in points; runs without a size count as Google Docs normal text
+ */
+function getSmallestFontSize(runs) {
+    return runs.reduce(function(smallest, run) {
+        return Math.min(smallest, run[1] || DEFAULT_FONT_SIZE);
+    }, Infinity);
+}
+
+/**
+ * Checks whether a paragraph or list item holds an inline image
+ *
+ * @param {Paragraph|ListItem} paragraph - Paragraph to check
+ * @return {boolean} True if it holds an inline image
+ */
+function containsInlineImage(paragraph) {
+    for (let i = 0; i < paragraph.getNumChildren(); i++) {
+        if (paragraph.getChild(i).getType() === DocumentApp.ElementType.INLINE_IMAGE) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Looks up the key of a paragraph's heading style
+ *
+ * @param {Paragraph|ListItem} paragraph - Paragraph to check
+ * @return {string|null} Key from HEADING_FONT_SIZES, or null for normal text
+ */
+function getHeadingKey(paragraph) {
+    const heading = paragraph.getHeading();
+    return Object.keys(HEADING_FONT_SIZES).find(function(key) {
+        return DocumentApp.ParagraphHeading[key] === heading;
+    }) || null;
+}
+
+/**
+ * Works out the path of child indexes from the body to an element
+ *
+ * @param {Element} element - Element in the body
+ * @return {number[]|null} Path for selectPreflightElement, or null if the element isn't in the body
+ */
+function getElementPath(element) {
+    const path = [];
+    let parent = element.getParent();
+
+    while (parent) {
+        path.unshift(parent.getChildIndex(element));
+        if (parent.getType() === DocumentApp.ElementType.BODY_SECTION) {
+            return path;
+        }
+        element = parent;
+        parent = parent.getParent();
+    }
+    return null;
+}
+
+/**
+ * Puts back the settings, page setup, text sizes and image and table sizes saved before the large print conversion
+ * Paragraphs edited or moved since the conversion keep their large-print sizes. The large-print
+ * page setup is added to the history first, as with a restore from the history.
+ * Called from the large print dialog
+ *
+ * @return {Object} Result with success flag and status message
+ */
+function undoLargePrint() {
+    const undo = getLargePrintUndo();
+    if (!undo) {
+        return {
+            success: false,
+            message: 'There is no large print conversion to undo.'
+        };
+    }
+
+    const body = DocumentApp.getActiveDocument().getBody();
+    let skipped = 0;
+
+    undo.paragraphs.forEach(function(saved) {
+        const element = saved.i < body.getNumChildren() ? asTypedElement(body.getChild(saved.i)) : null;
+        const type = element ? element.getType() : null;
+        if ((type !== DocumentApp.ElementType.PARAGRAPH && type !== DocumentApp.ElementType.LIST_ITEM) ||
+            element.getText().length !== saved.n) {
+            skipped++;
+            return;
+        }
+
+        const text = element.editAsText();
+        saved.r.forEach(function(run, i) {
+            const end = (i + 1 < saved.r.length ? saved.r[i + 1][0] : saved.n) - 1;
+            // Text without a size of its own goes back to following the paragraph style
+            text.setAttributes(run[0], end, createFontSizeAttributes(run[1]));
+        });
+
+        if (saved.s !== undefined) {
+            if (saved.s) {
+                element.setLineSpacing(saved.s);
+            } else {
+                const attributes = {};
+                attributes[DocumentApp.Attribute.LINE_SPACING] = null;
+                element.setAttributes(attributes);
+            }
+        }
+    });
+
+    // Undo states saved before image and table sizes were kept have no content sizes
+    const skippedContent = restoreContentSizes(body, undo.content || []);
+
+    recordPageSetup(body);
+    body.setPageWidth(undo.pageWidth);
+    body.setPageHeight(undo.pageHeight);
+    body.setBackgroundColor(undo.backgroundColor);
+    body.setMarginTop(undo.margins.top);
+    body.setMarginBottom(undo.margins.bottom);
+    body.setMarginLeft(undo.margins.left);
+    body.setMarginRight(undo.margins.right);
+
+    // Documents without a saved layout go back to having none
+    const properties = PropertiesService.getDocumentProperties();
+    if (undo.settings.sizeName) {
+        properties.setProperty(SETTINGS_PROPERTY, JSON.stringify(undo.settings));
+    } else {
+        properties.deleteProperty(SETTINGS_PROPERTY);
+    }
+    clearLargePrintUndo();
+
+    return {
+        success: true,
+        message: 'The layout, text sizes and image and table sizes from before the large print conversion have been restored.' +
+            (skipped ? ` ${skipped} paragraph${skipped === 1 ? ' was' : 's were'} changed since the conversion and kept the large-print sizes.` : '') +
+            (skippedContent ? ` ${skippedContent} image${skippedContent === 1 ? ' or table was' : 's or tables were'} moved since the conversion and kept ${skippedContent === 1 ? 'its' : 'their'} size.` : '')
+    };
+}
+
+/**
+ * Saves the original document state for undoLargePrint, split into parts that fit the property size limit
+ *
+ * @param {Object} undo - Settings, page setup and text sizes from before the conversion
+ */
+function saveLargePrintUndo(undo) {
+    const undoJson = JSON.stringify(undo);
+    const properties = {};
+    let parts = 0;
+
+    for (let start = 0; start < undoJson.length; start += MAX_PROPERTY_LENGTH) {
+        properties[LARGE_PRINT_UNDO_PREFIX + parts] = undoJson.slice(start, start + MAX_PROPERTY_LENGTH);
+        parts++;
+    }
+    properties[LARGE_PRINT_UNDO_PROPERTY] = String(parts);
+    PropertiesService.getDocumentProperties().setProperties(properties);
+}
+
+/**
+ * Gets the original document state saved by the large print conversion
+ *
+ * @return {Object|null} Saved state (see saveLargePrintUndo), or null if there is none or it can't be read
+ */
+function getLargePrintUndo() {
+    const properties = PropertiesService.getDocumentProperties();
+    const parts = parseInt(properties.getProperty(LARGE_PRINT_UNDO_PROPERTY), 10);
+    if (!parts) {
+        return null;
+    }
+
+    let undoJson = '';
+    for (let i = 0; i < parts; i++) {
+        undoJson += properties.getProperty(LARGE_PRINT_UNDO_PREFIX + i) || '';
+    }
+
+    try {
+        return JSON.parse(undoJson);
+    } catch (error) {
+        Logger.log('Unreadable large print undo state: ' + error);
+        return null;
+    }
+}
+
+/**
+ * Deletes the original document state saved by the large print conversion
+ */
+function clearLargePrintUndo() {
+    const properties = PropertiesService.getDocumentProperties();
+    const parts = parseInt(properties.getProperty(LARGE_PRINT_UNDO_PROPERTY), 10) || 0;
+
+    for (let i = 0; i < parts; i++) {
+        properties.deleteProperty(LARGE_PRINT_UNDO_PREFIX + i);
+    }
+    properties.deleteProperty(LARGE_PRINT_UNDO_PROPERTY);
+}
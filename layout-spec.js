@@ -0,0 +1,1382 @@
+/**
+ * Layout spec library for Custom Page Size for Google Docs
+ *
+ * The size tables, unit conversion, layout validation, margin resolution and cover math, with no
+ * Apps Script services. In Apps Script this file is added next to custom-page-size.js and shares
+ * its global scope; in Node it is a CommonJS module, used by the tests and bin/kdp-layout.js.
+ *
+ * @license GPL-3.0
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * @version 1.1.0
+ * @author Damian Taggart
+ * @link https://github.com/attackant/custom-page-size-for-google-docs
+ */
+
+// ========================
+// CONSTANTS AND DATA
+// ========================
+
+// Conversion constants
+const POINTS_PER_INCH = 72;
+
+// Display units (settings are always stored in inches)
+const UNITS = {
+    'in': { name: 'inches', symbol: '"', perInch: 1, decimals: 3, step: 0.01 },
+    'mm': { name: 'mm', symbol: ' mm', perInch: 25.4, decimals: 2, step: 0.1 },
+    'cm': { name: 'cm', symbol: ' cm', perInch: 2.54, decimals: 3, step: 0.01 },
+    'pt': { name: 'points', symbol: ' pt', perInch: POINTS_PER_INCH, decimals: 1, step: 1 }
+};
+const DEFAULT_UNIT = 'in';
+
+// KDP size constraints for portrait pages; landscape pages swap them (see getTrimLimits)
+const MIN_WIDTH = 4; // Minimum width in inches
+const MAX_WIDTH = 8.5; // Maximum width in inches
+const MIN_HEIGHT = 6; // Minimum height in inches
+const MAX_HEIGHT = 11.69; // Maximum height in inches
+
+// KDP page count limits
+const MIN_PAGE_COUNT = 24;
+const MAX_PAGE_COUNT = 828;
+
+// KDP minimum margins (in inches)
+const KDP_MIN_OUTSIDE_MARGIN = 0.25; // Outside, top and bottom margin without bleed
+const KDP_MIN_OUTSIDE_MARGIN_BLEED = 0.375; // Outside, top and bottom margin with bleed
+
+// Interior bleed added to the trim size (in inches)
+const BLEED_WIDTH = 0.125; // Outside edge only
+const BLEED_HEIGHT = 0.25; // Top and bottom edges
+
+// KDP minimum inside (gutter) margin by page count (in inches)
+const KDP_GUTTER_MARGINS = [
+    { minPages: 24, maxPages: 150, inside: 0.375 },
+    { minPages: 151, maxPages: 300, inside: 0.5 },
+    { minPages: 301, maxPages: 500, inside: 0.625 },
+    { minPages: 501, maxPages: 700, inside: 0.75 },
+    { minPages: 701, maxPages: 828, inside: 0.875 }
+];
+
+// KDP hardcover page count limits
+const HARDCOVER_MIN_PAGE_COUNT = 75;
+const HARDCOVER_MAX_PAGE_COUNT = 550;
+
+// KDP paper thickness per page (in inches), used for spine width
+const PAPER_THICKNESS = {
+    white: 0.002252,
+    cream: 0.0025,
+    color: 0.002347
+};
+
+// KDP cover constants (in inches)
+const COVER_BLEED = 0.125; // Paperback cover bleed on each outside edge
+const HARDCOVER_WRAP = 0.51; // Case laminate wrap around each board edge
+const HARDCOVER_HINGE = 0.4; // Hinge on each side of the hardcover spine
+const SPINE_TEXT_MIN_PAGES = 79; // KDP only allows spine text above this page count
+
+// Define KDP book sizes (in inches)
+const KDP_SIZES = {
+    // Paperback sizes
+    'Paperback - 5 x 8': {
+        width: 5,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.06 x 7.81': {
+        width: 5.06,
+        height: 7.81,
+        type: 'paperback'
+    },
+    'Paperback - 5.25 x 8': {
+        width: 5.25,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'paperback'
+    },
+    'Paperback - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'paperback'
+    },
+    'Paperback - 6.69 x 9.61': {
+        width: 6.69,
+        height: 9.61,
+        type: 'paperback'
+    },
+    'Paperback - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 7.44 x 9.69': {
+        width: 7.44,
+        height: 9.69,
+        type: 'paperback'
+    },
+    'Paperback - 7.5 x 9.25': {
+        width: 7.5,
+        height: 9.25,
+        type: 'paperback'
+    },
+    'Paperback - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 8.25 x 6': {
+        width: 8.25,
+        height: 6,
+        type: 'paperback'
+    },
+    'Paperback - 8.25 x 8.25': {
+        width: 8.25,
+        height: 8.25,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'paperback'
+    },
+
+    // Square and landscape picture book sizes
+    'Paperback - 7 x 7': {
+        width: 7,
+        height: 7,
+        type: 'paperback'
+    },
+    'Paperback - 7.5 x 7.5': {
+        width: 7.5,
+        height: 7.5,
+        type: 'paperback'
+    },
+    'Paperback - 8 x 8': {
+        width: 8,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 10 x 8': {
+        width: 10,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 11 x 8.5': {
+        width: 11,
+        height: 8.5,
+        type: 'paperback'
+    },
+
+    // Hardcover sizes
+    'Hardcover - 5 x 8': {
+        width: 5,
+        height: 8,
+        type: 'hardcover'
+    },
+    'Hardcover - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'hardcover'
+    },
+    'Hardcover - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.25 x 8.25': {
+        width: 8.25,
+        height: 8.25,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'hardcover'
+    },
+};
+
+// Common non-KDP paper sizes
+const COMMON_SIZES = {
+    'Letter': {
+        width: 8.5,
+        height: 11
+    },
+    'Legal': {
+        width: 8.5,
+        height: 14
+    },
+    'Tabloid': {
+        width: 11,
+        height: 17
+    },
+    'A4': {
+        width: 8.27,
+        height: 11.69
+    },
+    'A5': {
+        width: 5.83,
+        height: 8.27
+    },
+    'A3': {
+        width: 11.69,
+        height: 16.54
+    },
+    'Custom': {
+        width: 0,
+        height: 0
+    }
+};
+
+// Define IngramSpark book sizes (in inches)
+const INGRAMSPARK_SIZES = {
+    // Paperback sizes
+    'Paperback - 4 x 6': {
+        width: 4,
+        height: 6,
+        type: 'paperback'
+    },
+    'Paperback - 4.25 x 7': {
+        width: 4.25,
+        height: 7,
+        type: 'paperback'
+    },
+    'Paperback - 4.37 x 7': {
+        width: 4.37,
+        height: 7,
+        type: 'paperback'
+    },
+    'Paperback - 5 x 7': {
+        width: 5,
+        height: 7,
+        type: 'paperback'
+    },
+    'Paperback - 5 x 8': {
+        width: 5,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.06 x 7.81': {
+        width: 5.06,
+        height: 7.81,
+        type: 'paperback'
+    },
+    'Paperback - 5.25 x 8': {
+        width: 5.25,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 5.83 x 8.27': {
+        width: 5.83,
+        height: 8.27,
+        type: 'paperback'
+    },
+    'Paperback - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'paperback'
+    },
+    'Paperback - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'paperback'
+    },
+    'Paperback - 6.69 x 9.61': {
+        width: 6.69,
+        height: 9.61,
+        type: 'paperback'
+    },
+    'Paperback - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 7.44 x 9.69': {
+        width: 7.44,
+        height: 9.69,
+        type: 'paperback'
+    },
+    'Paperback - 7.5 x 9.25': {
+        width: 7.5,
+        height: 9.25,
+        type: 'paperback'
+    },
+    'Paperback - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 8.25 x 11': {
+        width: 8.25,
+        height: 11,
+        type: 'paperback'
+    },
+    'Paperback - 8.27 x 11.69': {
+        width: 8.27,
+        height: 11.69,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'paperback'
+    },
+
+    // Hardcover sizes
+    'Hardcover - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'hardcover'
+    },
+    'Hardcover - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'hardcover'
+    },
+    'Hardcover - 6.69 x 9.61': {
+        width: 6.69,
+        height: 9.61,
+        type: 'hardcover'
+    },
+    'Hardcover - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 7.5 x 9.25': {
+        width: 7.5,
+        height: 9.25,
+        type: 'hardcover'
+    },
+    'Hardcover - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.25 x 11': {
+        width: 8.25,
+        height: 11,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'hardcover'
+    }
+};
+
+// Define Lulu book sizes (in inches)
+const LULU_SIZES = {
+    // Paperback sizes
+    'Paperback - 4.25 x 6.875': {
+        width: 4.25,
+        height: 6.875,
+        type: 'paperback'
+    },
+    'Paperback - 5 x 8': {
+        width: 5,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 5.83 x 8.27': {
+        width: 5.83,
+        height: 8.27,
+        type: 'paperback'
+    },
+    'Paperback - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'paperback'
+    },
+    'Paperback - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'paperback'
+    },
+    'Paperback - 6.625 x 10.25': {
+        width: 6.625,
+        height: 10.25,
+        type: 'paperback'
+    },
+    'Paperback - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 7.44 x 9.68': {
+        width: 7.44,
+        height: 9.68,
+        type: 'paperback'
+    },
+    'Paperback - 7.5 x 7.5': {
+        width: 7.5,
+        height: 7.5,
+        type: 'paperback'
+    },
+    'Paperback - 8.27 x 11.69': {
+        width: 8.27,
+        height: 11.69,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'paperback'
+    },
+
+    // Hardcover sizes
+    'Hardcover - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 5.83 x 8.27': {
+        width: 5.83,
+        height: 8.27,
+        type: 'hardcover'
+    },
+    'Hardcover - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'hardcover'
+    },
+    'Hardcover - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'hardcover'
+    },
+    'Hardcover - 6.625 x 10.25': {
+        width: 6.625,
+        height: 10.25,
+        type: 'hardcover'
+    },
+    'Hardcover - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 7.44 x 9.68': {
+        width: 7.44,
+        height: 9.68,
+        type: 'hardcover'
+    },
+    'Hardcover - 7.5 x 7.5': {
+        width: 7.5,
+        height: 7.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.27 x 11.69': {
+        width: 8.27,
+        height: 11.69,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'hardcover'
+    }
+};
+
+// Define Barnes & Noble Press book sizes (in inches)
+const BN_PRESS_SIZES = {
+    // Paperback sizes
+    'Paperback - 5 x 8': {
+        width: 5,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.25 x 8': {
+        width: 5.25,
+        height: 8,
+        type: 'paperback'
+    },
+    'Paperback - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'paperback'
+    },
+    'Paperback - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'paperback'
+    },
+    'Paperback - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'paperback'
+    },
+    'Paperback - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'paperback'
+    },
+
+    // Hardcover sizes
+    'Hardcover - 5.5 x 8.5': {
+        width: 5.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 6 x 9': {
+        width: 6,
+        height: 9,
+        type: 'hardcover'
+    },
+    'Hardcover - 6.14 x 9.21': {
+        width: 6.14,
+        height: 9.21,
+        type: 'hardcover'
+    },
+    'Hardcover - 7 x 10': {
+        width: 7,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 8 x 10': {
+        width: 8,
+        height: 10,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 8.5': {
+        width: 8.5,
+        height: 8.5,
+        type: 'hardcover'
+    },
+    'Hardcover - 8.5 x 11': {
+        width: 8.5,
+        height: 11,
+        type: 'hardcover'
+    }
+};
+
+// Print-on-demand platform profiles (published guidelines as of March 2025)
+// limits is null for platforms that only print their listed trim sizes.
+// Margin minimums are measured from the page edge, so the bleed values include the bleed itself.
+const PLATFORMS = {
+    'kdp': {
+        name: 'Amazon KDP',
+        sizes: KDP_SIZES,
+        limits: {
+            minWidth: MIN_WIDTH,
+            maxWidth: MAX_WIDTH,
+            minHeight: MIN_HEIGHT,
+            maxHeight: MAX_HEIGHT
+        },
+        customBookTypes: ['paperback'],
+        pageCount: { min: MIN_PAGE_COUNT, max: MAX_PAGE_COUNT },
+        gutterMargins: KDP_GUTTER_MARGINS,
+        minOutsideMargin: KDP_MIN_OUTSIDE_MARGIN,
+        minOutsideMarginBleed: KDP_MIN_OUTSIDE_MARGIN_BLEED,
+        bleed: { width: BLEED_WIDTH, height: BLEED_HEIGHT },
+        paperTypes: { white: 'White', cream: 'Cream' },
+        inkTypes: { black: 'Black', premium: 'Premium Color', standard: 'Standard Color' },
+        hardcoverInkTypes: ['black', 'premium']
+    },
+    'ingramspark': {
+        name: 'IngramSpark',
+        sizes: INGRAMSPARK_SIZES,
+        limits: null,
+        customBookTypes: [],
+        pageCount: { min: 18, max: 1200 },
+        gutterMargins: [
+            { minPages: 18, maxPages: 400, inside: 0.5 },
+            { minPages: 401, maxPages: 1200, inside: 0.75 }
+        ],
+        minOutsideMargin: 0.5,
+        minOutsideMarginBleed: 0.625,
+        bleed: { width: 0.125, height: 0.25 },
+        paperTypes: { white: 'White', cream: 'Creme' },
+        inkTypes: { black: 'Black & White', standard: 'Standard Color', premium: 'Premium Color' },
+        hardcoverInkTypes: ['black', 'standard', 'premium']
+    },
+    'lulu': {
+        name: 'Lulu',
+        sizes: LULU_SIZES,
+        limits: null,
+        customBookTypes: [],
+        pageCount: { min: 32, max: 800 },
+        gutterMargins: [
+            { minPages: 32, maxPages: 60, inside: 0.5 },
+            { minPages: 61, maxPages: 150, inside: 0.625 },
+            { minPages: 151, maxPages: 400, inside: 1 },
+            { minPages: 401, maxPages: 600, inside: 1.125 },
+            { minPages: 601, maxPages: 800, inside: 1.25 }
+        ],
+        minOutsideMargin: 0.5,
+        minOutsideMarginBleed: 0.625,
+        bleed: { width: 0.25, height: 0.25 },
+        paperTypes: { white: 'White', cream: 'Cream' },
+        inkTypes: { black: 'Standard Black & White', standard: 'Standard Color', premium: 'Premium Color' },
+        hardcoverInkTypes: ['black', 'standard', 'premium']
+    },
+    'bnpress': {
+        name: 'Barnes & Noble Press',
+        sizes: BN_PRESS_SIZES,
+        limits: null,
+        customBookTypes: [],
+        pageCount: { min: 24, max: 800 },
+        gutterMargins: [
+            { minPages: 24, maxPages: 300, inside: 0.5 },
+            { minPages: 301, maxPages: 800, inside: 0.75 }
+        ],
+        minOutsideMargin: 0.5,
+        minOutsideMarginBleed: 0.625,
+        bleed: { width: 0.125, height: 0.25 },
+        paperTypes: { white: 'White', cream: 'Cream' },
+        inkTypes: { black: 'Black & White', premium: 'Color' },
+        hardcoverInkTypes: ['black', 'premium']
+    }
+};
+
+// Platform used for documents saved before platforms were added
+const DEFAULT_PLATFORM = 'kdp';
+
+// Width and height closer than this (in inches) make a square page
+const SQUARE_TOLERANCE = 0.001;
+
+// Margin types accepted by resolveMargins
+const MARGIN_TYPES = ['default', 'narrow', 'wide', 'mirrored', 'customMirrored', 'custom'];
+
+// Rules run by validateLayout, in the order their issues are reported
+const LAYOUT_RULES = [
+    checkPlatformRule,
+    checkTrimSizeRule,
+    checkPaperAndInkRule,
+    checkPageCountRule,
+    checkMarginRule
+];
+
+// ========================
+// UNITS
+// ========================
+
+/**
+ * Looks up a display unit
+ *
+ * @param {string} [unitKey] - Unit key from UNITS
+ * @return {Object} Unit, or inches if the key is missing or unknown
+ */
+function getUnit(unitKey) {
+    return UNITS[unitKey] || UNITS[DEFAULT_UNIT];
+}
+
+/**
+ * Formats a length in inches for display in another unit
+ *
+ * @param {number} inches - Length in inches
+ * @param {string} [unitKey] - Unit key from UNITS; defaults to inches
+ * @return {string} Length with its unit symbol, e.g. 6" or 152.4 mm
+ */
+function formatLength(inches, unitKey) {
+    const unit = getUnit(unitKey);
+    return parseFloat((inches * unit.perInch).toFixed(unit.decimals)) + unit.symbol;
+}
+
+// ========================
+// SIZES AND PLATFORMS
+// ========================
+
+/**
+ * Looks up a print platform profile
+ *
+ * @param {string} [platformKey] - Print platform key from PLATFORMS
+ * @return {Object} Platform profile, or the default platform if the key is missing or unknown
+ */
+function getPlatform(platformKey) {
+    return PLATFORMS[platformKey] || PLATFORMS[DEFAULT_PLATFORM];
+}
+
+/**
+ * Looks up a listed trim size on a platform, or a common paper size
+ *
+ * @param {string} sizeName - Size name, e.g. 'Paperback - 6 x 9' or 'Letter'
+ * @param {string} [platformKey] - Print platform key from PLATFORMS
+ * @return {Object|null} Size with width and height in inches and type, or null if the name isn't listed
+ */
+function findSize(sizeName, platformKey) {
+    if (!sizeName || sizeName === 'Custom') {
+        return null;
+    }
+    return getPlatform(platformKey).sizes[sizeName] || COMMON_SIZES[sizeName] || null;
+}
+
+/**
+ * Works out a page's orientation from its dimensions
+ *
+ * @param {number} width - Page width
+ * @param {number} height - Page height, in the same unit
+ * @return {string|null} 'portrait', 'landscape' or 'square', or null if either dimension is missing
+ */
+function getOrientation(width, height) {
+    if (!width || !height) {
+        return null;
+    }
+    if (Math.abs(width - height) < SQUARE_TOLERANCE) {
+        return 'square';
+    }
+    return width > height ? 'landscape' : 'portrait';
+}
+
+/**
+ * Gets a platform's custom trim size limits for an orientation
+ * The platform limits are for portrait pages: the short edge (width) and the long edge (height).
+ * Landscape pages swap them, and square pages must fit both.
+ *
+ * @param {Object} limits - Platform limits (minWidth, maxWidth, minHeight, maxHeight) in inches
+ * @param {string} [orientation] - 'portrait', 'landscape' or 'square'; defaults to portrait
+ * @return {Object} Limits for the width and height in that orientation
+ */
+function getTrimLimits(limits, orientation) {
+    if (orientation === 'landscape') {
+        return {
+            minWidth: limits.minHeight,
+            maxWidth: limits.maxHeight,
+            minHeight: limits.minWidth,
+            maxHeight: limits.maxWidth
+        };
+    }
+    if (orientation === 'square') {
+        const min = Math.max(limits.minWidth, limits.minHeight);
+        const max = Math.min(limits.maxWidth, limits.maxHeight);
+        return { minWidth: min, maxWidth: max, minHeight: min, maxHeight: max };
+    }
+    return {
+        minWidth: limits.minWidth,
+        maxWidth: limits.maxWidth,
+        minHeight: limits.minHeight,
+        maxHeight: limits.maxHeight
+    };
+}
+
+// ========================
+// MARGINS
+// ========================
+
+/**
+ * Works out the margins (in inches) for a margin settings object
+ * Mirrored layouts use the platform minimums for the page count when one is given
+ *
+ * @param {Object} marginSettings - Margin settings object
+ * @param {Object} [options] - Layout options (pageCount, bleed, platform) used for minimums, and the unit for notes
+ * @return {Object} Margins in inches (top, bottom, inside, outside) and notes on any adjustments, each a
+ *     message key and placeholder values from messages.js
+ */
+function resolveMargins(marginSettings, options) {
+    options = options || {};
+    let margins;
+    const platform = getPlatform(options.platform);
+    const minimums = getMinimumMargins(options.pageCount, options.bleed, options.platform);
+
+    if (marginSettings.type) {
+        // Predefined margin settings
+        switch (marginSettings.type) {
+            case 'narrow':
+                margins = { top: 0.5, bottom: 0.5, inside: 0.5, outside: 0.5 };
+                break;
+            case 'wide':
+                margins = { top: 1.25, bottom: 1.25, inside: 1.25, outside: 1.25 };
+                break;
+            case 'mirrored': // Book-style margins
+                margins = {
+                    top: 1,
+                    bottom: 1,
+                    inside: Math.max(1.25, minimums.inside || 0), // Inside margin (for binding), at least the platform minimum
+                    outside: Math.max(0.75, minimums.outside) // Outside margin
+                };
+                break;
+            case 'default':
+            default:
+                margins = { top: 1, bottom: 1, inside: 1, outside: 1 };
+                break;
+        }
+        margins.notes = [];
+    } else {
+        // Custom and custom mirrored margin settings
+        margins = {
+            top: marginSettings.top,
+            bottom: marginSettings.bottom,
+            inside: marginSettings.inside,
+            outside: marginSettings.outside,
+            notes: []
+        };
+
+        // Enforce platform minimums on custom mirrored layouts
+        if (marginSettings.isMirrored) {
+            if (minimums.inside && margins.inside < minimums.inside) {
+                margins.notes.push({ key: 'note.insideMarginRaised', values: {
+                    length: formatLength(minimums.inside, options.unit), platform: platform.name, pages: options.pageCount } });
+                margins.inside = minimums.inside;
+            }
+            ['top', 'bottom', 'outside'].forEach(function(side) {
+                if (margins[side] < minimums.outside) {
+                    margins.notes.push({ key: options.bleed ? 'note.marginRaisedBleed' : 'note.marginRaised', values: {
+                        side: side, length: formatLength(minimums.outside, options.unit), platform: platform.name } });
+                    margins[side] = minimums.outside;
+                }
+            });
+        }
+    }
+
+    return margins;
+}
+
+/**
+ * Looks up a platform's minimum margins for a page count
+ *
+ * @param {number} [pageCount] - Page count
+ * @param {boolean} [bleed] - Whether the interior has bleed
+ * @param {string} [platformKey] - Print platform key from PLATFORMS
+ * @return {Object} Minimum inside and outside margins in inches (inside is null if the page count is unknown)
+ */
+function getMinimumMargins(pageCount, bleed, platformKey) {
+    const platform = getPlatform(platformKey);
+    const range = pageCount ? platform.gutterMargins.find(function(r) {
+        return pageCount >= r.minPages && pageCount <= r.maxPages;
+    }) : null;
+
+    return {
+        inside: range ? range.inside : null,
+        outside: bleed ? platform.minOutsideMarginBleed : platform.minOutsideMargin
+    };
+}
+
+/**
+ * Builds the margin settings passed to applyMargins from saved settings
+ *
+ * @param {Object} settings - Document settings, or a preset or layout in the same shape
+ * @return {Object} Margin settings (a type, or custom margins in inches)
+ */
+function getSavedMarginSettings(settings) {
+    const marginSettings = settings.marginType === 'custom' ? settings.customMargins :
+        settings.marginType === 'customMirrored' ? settings.customMirroredMargins : { type: settings.marginType };
+
+    return marginSettings || { type: 'default' };
+}
+
+/**
+ * Works out the margins (in inches) that applyMargins set for the saved settings
+ *
+ * @param {Object} settings - Document settings
+ * @return {Object} Margins in inches (top, bottom, inside, outside)
+ */
+function getSavedMargins(settings) {
+    return resolveMargins(getSavedMarginSettings(settings), {
+        pageCount: settings.pageCount,
+        bleed: settings.bleed,
+        platform: settings.platform
+    });
+}
+
+// ========================
+// LAYOUT SPECS AND VALIDATION
+// ========================
+
+/**
+ * Builds a layout spec from the values collected by the page size dialog
+ *
+ * @param {string} sizeName - Preset size name, or 'Custom'
+ * @param {number} width - Trim width in inches
+ * @param {number} height - Trim height in inches
+ * @param {string} bookType - Either 'paperback' or 'hardcover'
+ * @param {string} paperType - Either 'white' or 'cream'
+ * @param {string} inkType - 'black', 'premium', or 'standard'
+ * @param {Object} marginSettings - Margin settings object
+ * @param {string} marginType - Type of margins to apply
+ * @param {Object} [options] - Additional layout options (page count, bleed, platform)
+ * @return {Object} Layout spec
+ */
+function createLayoutSpec(sizeName, width, height, bookType, paperType, inkType, marginSettings, marginType, options) {
+    options = options || {};
+    return {
+        sizeName: sizeName,
+        width: width,
+        height: height,
+        bookType: bookType,
+        paperType: paperType,
+        inkType: inkType,
+        platform: options.platform || DEFAULT_PLATFORM,
+        marginType: marginType,
+        marginSettings: marginSettings || { type: marginType },
+        pageCount: options.pageCount || null,
+        bleed: !!options.bleed
+    };
+}
+
+/**
+ * Fills in the width and height of a preset size, giving a full layout spec
+ *
+ * @param {Object} spec - Layout spec (see createLayoutSpec); preset sizes may leave width and height out
+ * @return {Object} Layout spec from createLayoutSpec
+ */
+function resolveLayoutSpec(spec) {
+    const size = findSize(spec.sizeName, spec.platform);
+
+    return createLayoutSpec(spec.sizeName,
+        size ? size.width : spec.width, size ? size.height : spec.height,
+        spec.bookType, spec.paperType, spec.inkType, spec.marginSettings, spec.marginType, spec);
+}
+
+/**
+ * Works out the page size and margins a layout spec gives the document
+ *
+ * @param {Object} spec - Layout spec from createLayoutSpec
+ * @param {string} [unit] - Unit key from UNITS for lengths in notes
+ * @return {Object} Page width and height in inches (including any bleed), margins in inches and margin notes
+ */
+function resolvePageLayout(spec, unit) {
+    const platform = getPlatform(spec.platform);
+    const margins = resolveMargins(spec.marginSettings, {
+        pageCount: spec.pageCount,
+        bleed: spec.bleed,
+        platform: spec.platform,
+        unit: unit
+    });
+
+    return {
+        pageWidth: spec.width + (spec.bleed ? platform.bleed.width : 0),
+        pageHeight: spec.height + (spec.bleed ? platform.bleed.height : 0),
+        margins: {
+            top: margins.top,
+            bottom: margins.bottom,
+            inside: margins.inside,
+            outside: margins.outside
+        },
+        notes: margins.notes
+    };
+}
+
+/**
+ * Runs every layout rule against a spec
+ *
+ * @param {Object} spec - Layout spec from createLayoutSpec
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages; defaults to inches
+ * @return {Object[]} Issues, each with code, field, message, severity ('error' or 'warning'), and the message key and values
+ */
+function validateLayout(spec, unit) {
+    const platform = PLATFORMS[spec.platform];
+    let issues = [];
+
+    for (let i = 0; i < LAYOUT_RULES.length; i++) {
+        issues = issues.concat(LAYOUT_RULES[i](spec, platform, unit));
+
+        // The remaining rules all depend on a known platform
+        if (!platform) {
+            break;
+        }
+    }
+    return issues;
+}
+
+/**
+ * Creates a validation issue
+ *
+ * @param {string} code - Machine-readable issue code
+ * @param {string|null} field - Spec field the issue refers to, or null for the layout as a whole
+ * @param {string} message - Message for the user
+ * @param {string} [severity] - 'error' (blocks applying) or 'warning'; defaults to 'error'
+ * @return {Object} Issue
+ */
+function createIssue(code, field, message, severity) {
+    return {
+        code: code,
+        field: field,
+        message: message,
+        severity: severity || 'error'
+    };
+}
+
+/**
+ * Creates a validation issue from a message in the catalog
+ * The message is in the default language; the key and values let the server format it in the user's language.
+ *
+ * @param {string} code - Machine-readable issue code
+ * @param {string|null} field - Spec field the issue refers to, or null for the layout as a whole
+ * @param {string} key - Message key from messages.js
+ * @param {Object} [values] - Placeholder values by name
+ * @param {string} [severity] - 'error' (blocks applying) or 'warning'; defaults to 'error'
+ * @return {Object} Issue, with the key and values as well as the message
+ */
+function createCatalogIssue(code, field, key, values, severity) {
+    // messages.js shares the global scope in Apps Script and is a separate module in Node
+    const i18n = typeof module !== 'undefined' && module.exports ? require('./messages.js') :
+        { DEFAULT_LANGUAGE: DEFAULT_LANGUAGE, formatIssue: formatIssue };
+    const issue = createIssue(code, field, '', severity);
+
+    issue.key = key;
+    issue.values = values || {};
+    issue.message = i18n.formatIssue(i18n.DEFAULT_LANGUAGE, issue);
+    return issue;
+}
+
+/**
+ * Checks that the platform is known
+ *
+ * @param {Object} spec - Layout spec
+ * @param {Object} platform - Platform profile, or undefined if unknown
+ * @return {Object[]} Issues
+ */
+function checkPlatformRule(spec, platform) {
+    if (!platform) {
+        return [createCatalogIssue('UNKNOWN_PLATFORM', 'platform', 'issue.unknownPlatform', { platform: spec.platform })];
+    }
+    return [];
+}
+
+/**
+ * Checks the trim size against the platform's sizes, hardcover trims and dimension ranges
+ *
+ * @param {Object} spec - Layout spec
+ * @param {Object} platform - Platform profile
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object[]} Issues
+ */
+function checkTrimSizeRule(spec, platform, unit) {
+    if (!spec.sizeName) {
+        return [createCatalogIssue('SIZE_REQUIRED', 'sizeName', 'issue.sizeRequired')];
+    }
+
+    if (spec.sizeName !== 'Custom') {
+        const preset = platform.sizes[spec.sizeName];
+
+        if (!preset && !COMMON_SIZES[spec.sizeName]) {
+            return [createCatalogIssue('UNKNOWN_SIZE', 'sizeName', 'issue.unknownSize',
+                { size: spec.sizeName, platform: platform.name })];
+        }
+        if (preset && preset.type !== spec.bookType) {
+            return [createCatalogIssue('BOOK_TYPE_MISMATCH', 'bookType', 'issue.bookTypeMismatch',
+                { size: spec.sizeName, sizeType: preset.type, bookType: spec.bookType })];
+        }
+        if (!preset && spec.bookType === 'hardcover') {
+            return [createCatalogIssue('HARDCOVER_TRIM_SIZE', 'sizeName', 'issue.hardcoverTrimSize',
+                { platform: platform.name })];
+        }
+        return [];
+    }
+
+    // Custom dimensions
+    const limits = platform.limits;
+    if (!limits || platform.customBookTypes.indexOf(spec.bookType) === -1) {
+        const code = spec.bookType === 'hardcover' ? 'HARDCOVER_TRIM_SIZE' : 'CUSTOM_SIZE_NOT_SUPPORTED';
+        return [createCatalogIssue(code, 'sizeName', 'issue.customSizeNotSupported',
+            { platform: platform.name, bookType: spec.bookType })];
+    }
+
+    // The short and long edges are checked against the limits for the page's orientation
+    const orientation = getOrientation(spec.width, spec.height);
+    const trimLimits = getTrimLimits(limits, orientation);
+    const forOrientation = orientation === 'landscape' ? 'Landscape' : orientation === 'square' ? 'Square' : '';
+    const issues = [];
+    if (!spec.width || spec.width < trimLimits.minWidth || spec.width > trimLimits.maxWidth) {
+        issues.push(createCatalogIssue('WIDTH_OUT_OF_RANGE', 'width', 'issue.widthRange' + forOrientation,
+            { min: formatLength(trimLimits.minWidth, unit), max: formatLength(trimLimits.maxWidth, unit) }));
+    }
+    if (!spec.height || spec.height < trimLimits.minHeight || spec.height > trimLimits.maxHeight) {
+        issues.push(createCatalogIssue('HEIGHT_OUT_OF_RANGE', 'height', 'issue.heightRange' + forOrientation,
+            { min: formatLength(trimLimits.minHeight, unit), max: formatLength(trimLimits.maxHeight, unit) }));
+    }
+    return issues;
+}
+
+/**
+ * Checks paper and ink against the platform's options and the book type
+ *
+ * @param {Object} spec - Layout spec
+ * @param {Object} platform - Platform profile
+ * @return {Object[]} Issues
+ */
+function checkPaperAndInkRule(spec, platform) {
+    const issues = [];
+
+    if (!platform.paperTypes[spec.paperType]) {
+        issues.push(createCatalogIssue('UNSUPPORTED_PAPER', 'paperType', 'issue.unsupportedPaper',
+            { platform: platform.name, paper: spec.paperType }));
+    }
+
+    if (!platform.inkTypes[spec.inkType]) {
+        issues.push(createCatalogIssue('UNSUPPORTED_INK', 'inkType', 'issue.unsupportedInk',
+            { platform: platform.name, ink: spec.inkType }));
+    } else if (spec.bookType === 'hardcover' && platform.hardcoverInkTypes.indexOf(spec.inkType) === -1) {
+        issues.push(createCatalogIssue('HARDCOVER_INK', 'inkType', 'issue.hardcoverInk',
+            { platform: platform.name, ink: spec.inkType }));
+    }
+
+    if (spec.paperType === 'cream' && spec.inkType !== 'black') {
+        issues.push(createCatalogIssue('CREAM_COLOR_INK', 'paperType', 'issue.creamColorInk'));
+    }
+
+    return issues;
+}
+
+/**
+ * Checks that an optional page count is within the platform's limits
+ *
+ * @param {Object} spec - Layout spec
+ * @param {Object} platform - Platform profile
+ * @return {Object[]} Issues
+ */
+function checkPageCountRule(spec, platform) {
+    const limits = platform.pageCount;
+    if (spec.pageCount && (spec.pageCount < limits.min || spec.pageCount > limits.max || spec.pageCount % 1 !== 0)) {
+        return [createCatalogIssue('PAGE_COUNT_OUT_OF_RANGE', 'pageCount', 'issue.pageCountRange',
+            { min: limits.min, max: limits.max })];
+    }
+    return [];
+}
+
+/**
+ * Checks the resolved margins against the platform's minimums
+ * Custom mirrored margins below the minimum are raised when applied, so they are reported as warnings.
+ *
+ * @param {Object} spec - Layout spec
+ * @param {Object} platform - Platform profile
+ * @param {string} [unit] - Unit key from UNITS for lengths in messages
+ * @return {Object[]} Issues
+ */
+function checkMarginRule(spec, platform, unit) {
+    const settings = spec.marginSettings;
+    const sides = ['top', 'bottom', 'inside', 'outside'];
+    const issues = [];
+
+    // Custom margins must be numbers before they can be compared
+    if (!settings.type) {
+        sides.forEach(function(side) {
+            if (typeof settings[side] !== 'number' || isNaN(settings[side]) || settings[side] < 0) {
+                issues.push(createCatalogIssue('INVALID_MARGIN', 'margins.' + side, 'issue.invalidMargin',
+                    { side: side, unit: unit || DEFAULT_UNIT }));
+            }
+        });
+        if (issues.length) {
+            return issues;
+        }
+    }
+
+    const options = {
+        pageCount: spec.pageCount,
+        bleed: spec.bleed,
+        platform: spec.platform,
+        unit: unit
+    };
+    const margins = resolveMargins(settings, options);
+    const minimums = getMinimumMargins(spec.pageCount, spec.bleed, spec.platform);
+
+    margins.notes.forEach(function(note) {
+        issues.push(createCatalogIssue('MARGIN_ADJUSTED', 'margins', note.key, note.values, 'warning'));
+    });
+
+    sides.forEach(function(side) {
+        const minimum = side === 'inside' ? minimums.inside : minimums.outside;
+        if (minimum && margins[side] < minimum) {
+            const key = side === 'inside' ? 'issue.insideMarginBelowMinimum' :
+                spec.bleed ? 'issue.marginBelowMinimumBleed' : 'issue.marginBelowMinimum';
+            issues.push(createCatalogIssue('MARGIN_BELOW_MINIMUM', settings.type ? 'marginType' : 'margins.' + side, key, {
+                side: side,
+                length: formatLength(margins[side], unit),
+                platform: platform.name,
+                minimum: formatLength(minimum, unit),
+                pages: spec.pageCount
+            }));
+        }
+    });
+
+    // Margins must leave room for text
+    if (spec.width && margins.inside + margins.outside >= spec.width) {
+        issues.push(createCatalogIssue('MARGINS_TOO_WIDE', settings.type ? 'marginType' : 'margins.inside',
+            'issue.marginsTooWide'));
+    }
+    if (spec.height && margins.top + margins.bottom >= spec.height) {
+        issues.push(createCatalogIssue('MARGINS_TOO_WIDE', settings.type ? 'marginType' : 'margins.top',
+            'issue.marginsTooTall'));
+    }
+
+    return issues;
+}
+
+// ========================
+// COVER MATH
+// ========================
+
+/**
+ * Works out spine width and full-wrap cover dimensions
+ * Paperback covers add bleed on each outside edge; hardcovers add the case laminate wrap and hinges.
+ *
+ * @param {Object} settings - Document settings (width, height, bookType, paperType, inkType)
+ * @param {number} pageCount - Page count of the interior
+ * @return {Object} Cover dimensions in inches
+ */
+function getCoverDimensions(settings, pageCount) {
+    const isHardcover = settings.bookType === 'hardcover';
+    const minPages = isHardcover ? HARDCOVER_MIN_PAGE_COUNT : MIN_PAGE_COUNT;
+    const maxPages = isHardcover ? HARDCOVER_MAX_PAGE_COUNT : MAX_PAGE_COUNT;
+
+    if (!pageCount || pageCount < minPages || pageCount > maxPages || pageCount % 1 !== 0) {
+        throw new Error(`Page count for a ${settings.bookType} must be a whole number between ${minPages} and ${maxPages}.`);
+    }
+
+    // Color interiors are printed on the color paper stock, whatever paper type is saved
+    const paper = settings.inkType === 'black' ? settings.paperType : 'color';
+    const spineWidth = pageCount * PAPER_THICKNESS[paper];
+
+    const cover = {
+        bookType: settings.bookType,
+        trimWidth: settings.width,
+        trimHeight: settings.height,
+        pageCount: pageCount,
+        paper: paper,
+        spineWidth: spineWidth,
+        spineTextAllowed: pageCount > SPINE_TEXT_MIN_PAGES
+    };
+
+    if (isHardcover) {
+        cover.wrap = HARDCOVER_WRAP;
+        cover.hinge = HARDCOVER_HINGE;
+        cover.width = HARDCOVER_WRAP * 2 + settings.width * 2 + HARDCOVER_HINGE * 2 + spineWidth;
+        cover.height = HARDCOVER_WRAP * 2 + settings.height;
+    } else {
+        cover.bleed = COVER_BLEED;
+        cover.width = COVER_BLEED * 2 + settings.width * 2 + spineWidth;
+        cover.height = COVER_BLEED * 2 + settings.height;
+    }
+
+    return cover;
+}
+
+// ========================
+// NODE EXPORTS
+// ========================
+
+// In Apps Script everything above is a global; Node scripts require this file instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POINTS_PER_INCH,
+        UNITS,
+        DEFAULT_UNIT,
+        MIN_WIDTH,
+        MAX_WIDTH,
+        MIN_HEIGHT,
+        MAX_HEIGHT,
+        MIN_PAGE_COUNT,
+        MAX_PAGE_COUNT,
+        KDP_MIN_OUTSIDE_MARGIN,
+        KDP_MIN_OUTSIDE_MARGIN_BLEED,
+        BLEED_WIDTH,
+        BLEED_HEIGHT,
+        KDP_GUTTER_MARGINS,
+        HARDCOVER_MIN_PAGE_COUNT,
+        HARDCOVER_MAX_PAGE_COUNT,
+        PAPER_THICKNESS,
+        COVER_BLEED,
+        HARDCOVER_WRAP,
+        HARDCOVER_HINGE,
+        SPINE_TEXT_MIN_PAGES,
+        KDP_SIZES,
+        COMMON_SIZES,
+        INGRAMSPARK_SIZES,
+        LULU_SIZES,
+        BN_PRESS_SIZES,
+        PLATFORMS,
+        DEFAULT_PLATFORM,
+        SQUARE_TOLERANCE,
+        MARGIN_TYPES,
+        LAYOUT_RULES,
+        getUnit,
+        formatLength,
+        getPlatform,
+        findSize,
+        getOrientation,
+        getTrimLimits,
+        resolveMargins,
+        getMinimumMargins,
+        getSavedMarginSettings,
+        getSavedMargins,
+        createLayoutSpec,
+        resolveLayoutSpec,
+        resolvePageLayout,
+        validateLayout,
+        createIssue,
+        createCatalogIssue,
+        checkPlatformRule,
+        checkTrimSizeRule,
+        checkPaperAndInkRule,
+        checkPageCountRule,
+        checkMarginRule,
+        getCoverDimensions
+    };
+}
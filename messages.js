@@ -0,0 +1,890 @@
+/**
+ * Message catalog for Custom Page Size for Google Docs
+ *
+ * Dialog labels, reports and status messages in each supported language. In Apps Script this file is
+ * added next to custom-page-size.js and shares its global scope; in Node it is a CommonJS module, used
+ * by the tests.
+ *
+ * Messages use {name} placeholders. Counted messages have .one and .other forms. Keys starting with
+ * "name." translate the display names of sizes, paper, ink and margin presets; the names themselves
+ * stay the keys that settings and presets are saved under.
+ *
+ * @license GPL-3.0
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, version 3 of the License.
+ *
+ * @version 1.1.0
+ * @author Damian Taggart
+ * @link https://github.com/attackant/custom-page-size-for-google-docs
+ */
+
+// ========================
+// LANGUAGES
+// ========================
+
+// Supported languages by code, with their names in that language
+const LANGUAGES = {
+    en: 'English',
+    de: 'Deutsch',
+    es: 'Español',
+    fr: 'Français'
+};
+
+// Used for locales without a catalog, and for messages a catalog leaves out
+const DEFAULT_LANGUAGE = 'en';
+
+// Placeholders in issue and note messages that hold a book type, paper, ink, margin side or unit key,
+// with the prefix of the message keys that translate them
+const TERM_PLACEHOLDERS = {
+    bookType: 'bookType.',
+    sizeType: 'bookType.',
+    paper: 'paper.',
+    ink: 'ink.',
+    side: 'side.',
+    unit: 'unit.'
+};
+
+// ========================
+// MESSAGE CATALOG
+// ========================
+
+const MESSAGES = {
+    en: {
+        // Page size dialog
+        'pageSize.title': 'Set Custom Page Size',
+        'pageSize.heading': 'Set Page Size',
+        'pageSize.intro': 'Select a print platform, then one of its book sizes or a common paper size, or enter custom dimensions compatible with its requirements.',
+        'pageSize.presets': 'Saved Presets',
+        'pageSize.presetLoad': 'Load',
+        'pageSize.presetApply': 'Apply',
+        'pageSize.presetSaveAsNew': 'Save As New',
+        'pageSize.presetUpdate': 'Update',
+        'pageSize.presetRename': 'Rename',
+        'pageSize.presetDelete': 'Delete',
+        'pageSize.presetNote': 'Presets are saved to your account, so they can be applied to any document.',
+        'pageSize.selectPreset': '-- Select a Preset --',
+        'pageSize.noPresets': '-- No Saved Presets --',
+        'pageSize.presetMissing': 'That preset no longer exists.',
+        'pageSize.presetNamePrompt': 'Name for the new preset, e.g. "House 6x9 cream novel":',
+        'pageSize.presetReplaceConfirm': 'Replace the preset "{name}" with the settings in this form?',
+        'pageSize.presetRenamePrompt': 'New name for the preset "{name}":',
+        'pageSize.presetDeleteConfirm': 'Delete the preset "{name}"?',
+        'pageSize.preview': 'Preview',
+        'pageSize.previewSpread': 'Two-page spread',
+        'pageSize.previewLabel': 'Page preview',
+        'pageSize.previewNeedsSize': 'Select a size to see a preview.',
+        'pageSize.previewNeedsMargins': 'Enter all four margins to see a preview.',
+        'pageSize.previewNote': 'Trim {width} × {height}. Margins: top {top}, bottom {bottom}, inside {inside}, outside {outside}. Blue: text area.',
+        'pageSize.previewGutter': 'Yellow: inside margin (gutter).',
+        'pageSize.previewBleed': 'Red dashed line: trim edge; the paper outside it is bleed.',
+        'pageSize.previewSpreadNote': 'Google Docs shows every page with the inside margin on the left; in print it falls at the spine, as shown here.',
+        'pageSize.units': 'Units',
+        'pageSize.language': 'Language',
+        'pageSize.languageAuto': 'Automatic ({language})',
+        'pageSize.languageNote': 'Changing the language reopens this dialog, so apply or save your changes first.',
+        'pageSize.platform': 'Print Platform',
+        'pageSize.bookSize': 'Select Book Size',
+        'pageSize.selectSize': '-- Select a Size --',
+        'pageSize.paperbackSizes': 'Paperback Sizes',
+        'pageSize.paperbackWideSizes': 'Paperback Square & Landscape Sizes',
+        'pageSize.hardcoverSizes': 'Hardcover Sizes',
+        'pageSize.hardcoverWideSizes': 'Hardcover Square & Landscape Sizes',
+        'pageSize.commonSizes': 'Common Sizes',
+        'pageSize.orientation': 'Orientation',
+        'pageSize.orientationNote': 'Switching orientation swaps the width and height.',
+        'pageSize.squareNote': 'Square pages have no orientation.',
+        'pageSize.noLandscapeSize': '{platform} has no landscape {bookType} version of this size.',
+        'pageSize.noPortraitSize': '{platform} has no portrait {bookType} version of this size.',
+        'pageSize.customWidth': 'Custom Width',
+        'pageSize.customHeight': 'Custom Height',
+        'pageSize.widthPlaceholder': 'Width ({min}-{max} {unit})',
+        'pageSize.heightPlaceholder': 'Height ({min}-{max} {unit})',
+        'pageSize.widthRange': '{platform} width must be between {min} and {max}',
+        'pageSize.widthRangeLandscape': '{platform} width must be between {min} and {max} for a landscape page',
+        'pageSize.widthRangeSquare': '{platform} width must be between {min} and {max} for a square page',
+        'pageSize.heightRange': '{platform} height must be between {min} and {max}',
+        'pageSize.heightRangeLandscape': '{platform} height must be between {min} and {max} for a landscape page',
+        'pageSize.heightRangeSquare': '{platform} height must be between {min} and {max} for a square page',
+        'pageSize.bookType': 'Book Type',
+        'pageSize.hardcoverNote': 'Note: Not all sizes are available for hardcover',
+        'pageSize.paperType': 'Paper Type',
+        'pageSize.inkType': 'Ink Type',
+        'pageSize.paperbackOnly': '{ink} (Paperback only)',
+        'pageSize.margins': 'Set Standard Margins',
+        'pageSize.marginAllSides': '{label} ({length} all sides)',
+        'pageSize.pageCount': 'Page Count',
+        'pageSize.pagesPlaceholder': 'Pages ({min}-{max})',
+        'pageSize.gutterNote': '{platform} minimum inside margin for {pages} pages: {inside} (outside: {outside})',
+        'pageSize.pageCountRange': 'Page count must be between {min} and {max}',
+        'pageSize.gutterHint': 'Used to work out the {platform} minimum inside margin for mirrored layouts',
+        'pageSize.bleed': 'Bleed (full-bleed images and backgrounds)',
+        'pageSize.bleedNote': 'Adds {width} to the width and {height} to the height. Outside, top and bottom margins must then be at least {margin}.',
+        'pageSize.fitContent': 'Fit images and tables to the new page',
+        'pageSize.fitContentNote': 'Scales down images and tables wider than the space between the margins.',
+        'pageSize.topMargin': 'Top Margin',
+        'pageSize.bottomMargin': 'Bottom Margin',
+        'pageSize.insideLeftMargin': 'Inside/Left Margin',
+        'pageSize.outsideRightMargin': 'Outside/Right Margin',
+        'pageSize.insideMargin': 'Inside Margin',
+        'pageSize.outsideMargin': 'Outside Margin',
+        'pageSize.insideMarginNote': 'Inside margin should be larger for binding space',
+        'pageSize.cancel': 'Cancel',
+        'pageSize.apply': 'Apply',
+
+        // Current margins report
+        'report.title': 'Page Settings',
+        'report.trimSize': 'Trim Size: {size}',
+        'report.bleedSize': 'Bleed Size: {size}',
+        'report.pageSize': 'Page Size: {size}',
+        'report.margins': 'Margins:',
+        'report.top': 'Top: {length}',
+        'report.bottom': 'Bottom: {length}',
+        'report.left': 'Left: {length}',
+        'report.right': 'Right: {length}',
+        'report.points': '{length} pts',
+
+        // Status messages after applying a layout
+        'status.customSize': 'Custom page size set to {width} × {height} as {description}',
+        'status.presetSize': 'Page size set to {size} ({width} × {height}) as {description}',
+        'status.description': '{platform} {bookType} with {paper} paper and {ink} ink.',
+        'status.descriptionBleed': '{platform} {bookType} with {paper} paper and {ink} ink, with bleed.',
+        'status.fitResized': 'Resized {items} to fit the content area.',
+        'status.fitAnd': '{first} and {second}',
+        'status.fitImages.one': '1 image',
+        'status.fitImages.other': '{count} images',
+        'status.fitTables.one': '1 table',
+        'status.fitTables.other': '{count} tables',
+        'status.fitMore.one': '1 more item didn\'t fit.',
+        'status.fitMore.other': '{count} more items didn\'t fit.',
+
+        // Layout issues, margin notes and content that doesn't fit
+        'issue.unknownPlatform': 'Unknown print platform "{platform}".',
+        'issue.sizeRequired': 'Please select a page size or enter custom dimensions.',
+        'issue.unknownSize': '{size} isn\'t one of the {platform} sizes.',
+        'issue.bookTypeMismatch': '{size} is a {sizeType} size, but the book type is {bookType}.',
+        'issue.hardcoverTrimSize': '{platform} hardcovers must use one of the hardcover sizes.',
+        'issue.customSizeNotSupported': '{platform} doesn\'t print custom {bookType} sizes. Please choose one of its listed sizes.',
+        'issue.widthRange': 'Width must be between {min} and {max}.',
+        'issue.widthRangeLandscape': 'Width must be between {min} and {max} for a landscape page.',
+        'issue.widthRangeSquare': 'Width must be between {min} and {max} for a square page.',
+        'issue.heightRange': 'Height must be between {min} and {max}.',
+        'issue.heightRangeLandscape': 'Height must be between {min} and {max} for a landscape page.',
+        'issue.heightRangeSquare': 'Height must be between {min} and {max} for a square page.',
+        'issue.unsupportedPaper': '{platform} doesn\'t offer {paper} paper.',
+        'issue.unsupportedInk': '{platform} doesn\'t offer {ink} ink.',
+        'issue.hardcoverInk': '{platform} hardcovers can\'t be printed with {ink} ink.',
+        'issue.creamColorInk': 'Cream paper is only available with black ink. Please choose white paper for color interiors.',
+        'issue.pageCountRange': 'Page count must be a whole number between {min} and {max}.',
+        'issue.invalidMargin': 'Please enter the {side} margin in {unit}.',
+        'issue.marginBelowMinimum': 'The {side} margin ({length}) is below the {platform} minimum of {minimum}.',
+        'issue.marginBelowMinimumBleed': 'The {side} margin ({length}) is below the {platform} minimum of {minimum} with bleed.',
+        'issue.insideMarginBelowMinimum': 'The inside margin ({length}) is below the {platform} minimum of {minimum} for {pages} pages.',
+        'issue.marginsTooWide': 'The inside and outside margins are wider than the page.',
+        'issue.marginsTooTall': 'The top and bottom margins are taller than the page.',
+        'note.insideMarginRaised': 'The inside margin was raised to {length} ({platform} minimum for {pages} pages)',
+        'note.marginRaised': 'The {side} margin was raised to {length} ({platform} minimum)',
+        'note.marginRaisedBleed': 'The {side} margin was raised to {length} ({platform} minimum with bleed)',
+        'fit.positionedImage': 'A positioned image is {width} wide but the content area is {available}. Resize it by hand, or set it to "In line" and apply again.',
+        'fit.image': 'An image is {width} wide but there is no room for it between the margins and indents.',
+        'fit.nestedTable': 'A table inside another table is {width} wide but its cell is {available}. Resize its columns by hand.',
+
+        // Saved settings
+        'settings.warningTitle': 'Page Tools',
+        'settings.unreadable': 'The page settings saved in this document could not be read, so the defaults are being used. Set the page size again to save new settings.',
+
+        // Commands that need the saved layout (menu names stay in English, as in the menu)
+        'layout.missing': 'This document has no saved layout yet. Set a page size with Page Tools → Set Custom Page Size first.',
+        'title.exportLayoutSpec': 'Export Layout Spec',
+        'title.batchApply': 'Apply Layout to Other Docs',
+        'title.exportPrintPdf': 'Export Print PDF',
+
+        // Book types, paper, ink, margin sides and units as used in sentences
+        'bookType.paperback': 'paperback',
+        'bookType.hardcover': 'hardcover',
+        'paper.white': 'white',
+        'paper.cream': 'cream',
+        'ink.black': 'black',
+        'ink.premium': 'premium',
+        'ink.standard': 'standard',
+        'side.top': 'top',
+        'side.bottom': 'bottom',
+        'side.inside': 'inside',
+        'side.outside': 'outside',
+        'unit.in': 'inches',
+        'unit.mm': 'mm',
+        'unit.cm': 'cm',
+        'unit.pt': 'points'
+    },
+
+    de: {
+        'pageSize.title': 'Benutzerdefinierte Seitengröße festlegen',
+        'pageSize.heading': 'Seitengröße festlegen',
+        'pageSize.intro': 'Wählen Sie eine Druckplattform und dann eines ihrer Buchformate oder ein gängiges Papierformat, oder geben Sie eigene Maße ein, die ihren Vorgaben entsprechen.',
+        'pageSize.presets': 'Gespeicherte Vorlagen',
+        'pageSize.presetLoad': 'Laden',
+        'pageSize.presetApply': 'Anwenden',
+        'pageSize.presetSaveAsNew': 'Als neu speichern',
+        'pageSize.presetUpdate': 'Aktualisieren',
+        'pageSize.presetRename': 'Umbenennen',
+        'pageSize.presetDelete': 'Löschen',
+        'pageSize.presetNote': 'Vorlagen werden in Ihrem Konto gespeichert und können auf jedes Dokument angewendet werden.',
+        'pageSize.selectPreset': '-- Vorlage auswählen --',
+        'pageSize.noPresets': '-- Keine gespeicherten Vorlagen --',
+        'pageSize.presetMissing': 'Diese Vorlage gibt es nicht mehr.',
+        'pageSize.presetNamePrompt': 'Name der neuen Vorlage, z. B. „Verlag 6x9 Creme Roman“:',
+        'pageSize.presetReplaceConfirm': 'Die Vorlage „{name}“ durch die Einstellungen in diesem Formular ersetzen?',
+        'pageSize.presetRenamePrompt': 'Neuer Name für die Vorlage „{name}“:',
+        'pageSize.presetDeleteConfirm': 'Die Vorlage „{name}“ löschen?',
+        'pageSize.preview': 'Vorschau',
+        'pageSize.previewSpread': 'Doppelseite',
+        'pageSize.previewLabel': 'Seitenvorschau',
+        'pageSize.previewNeedsSize': 'Wählen Sie ein Format, um eine Vorschau zu sehen.',
+        'pageSize.previewNeedsMargins': 'Geben Sie alle vier Ränder ein, um eine Vorschau zu sehen.',
+        'pageSize.previewNote': 'Endformat {width} × {height}. Ränder: oben {top}, unten {bottom}, innen {inside}, außen {outside}. Blau: Satzspiegel.',
+        'pageSize.previewGutter': 'Gelb: Innenrand (Bundsteg).',
+        'pageSize.previewBleed': 'Rot gestrichelte Linie: Schnittkante; das Papier außerhalb ist Beschnitt.',
+        'pageSize.previewSpreadNote': 'Google Docs zeigt den Innenrand auf jeder Seite links; im Druck liegt er am Buchrücken, wie hier gezeigt.',
+        'pageSize.units': 'Einheiten',
+        'pageSize.language': 'Sprache',
+        'pageSize.languageAuto': 'Automatisch ({language})',
+        'pageSize.languageNote': 'Beim Wechsel der Sprache wird dieser Dialog neu geöffnet. Wenden Sie Ihre Änderungen vorher an oder speichern Sie sie.',
+        'pageSize.platform': 'Druckplattform',
+        'pageSize.bookSize': 'Buchformat auswählen',
+        'pageSize.selectSize': '-- Format auswählen --',
+        'pageSize.paperbackSizes': 'Taschenbuchformate',
+        'pageSize.paperbackWideSizes': 'Quadratische und Querformate (Taschenbuch)',
+        'pageSize.hardcoverSizes': 'Hardcover-Formate',
+        'pageSize.hardcoverWideSizes': 'Quadratische und Querformate (Hardcover)',
+        'pageSize.commonSizes': 'Gängige Formate',
+        'pageSize.orientation': 'Ausrichtung',
+        'pageSize.orientationNote': 'Beim Wechsel der Ausrichtung werden Breite und Höhe vertauscht.',
+        'pageSize.squareNote': 'Quadratische Seiten haben keine Ausrichtung.',
+        'pageSize.noLandscapeSize': '{platform} bietet dieses Format nicht im Querformat für {bookType} an.',
+        'pageSize.noPortraitSize': '{platform} bietet dieses Format nicht im Hochformat für {bookType} an.',
+        'pageSize.customWidth': 'Eigene Breite',
+        'pageSize.customHeight': 'Eigene Höhe',
+        'pageSize.widthPlaceholder': 'Breite ({min}-{max} {unit})',
+        'pageSize.heightPlaceholder': 'Höhe ({min}-{max} {unit})',
+        'pageSize.widthRange': 'Die Breite muss bei {platform} zwischen {min} und {max} liegen',
+        'pageSize.widthRangeLandscape': 'Die Breite muss bei {platform} für eine Seite im Querformat zwischen {min} und {max} liegen',
+        'pageSize.widthRangeSquare': 'Die Breite muss bei {platform} für eine quadratische Seite zwischen {min} und {max} liegen',
+        'pageSize.heightRange': 'Die Höhe muss bei {platform} zwischen {min} und {max} liegen',
+        'pageSize.heightRangeLandscape': 'Die Höhe muss bei {platform} für eine Seite im Querformat zwischen {min} und {max} liegen',
+        'pageSize.heightRangeSquare': 'Die Höhe muss bei {platform} für eine quadratische Seite zwischen {min} und {max} liegen',
+        'pageSize.bookType': 'Buchart',
+        'pageSize.hardcoverNote': 'Hinweis: Nicht alle Formate gibt es als Hardcover',
+        'pageSize.paperType': 'Papiersorte',
+        'pageSize.inkType': 'Druckfarbe',
+        'pageSize.paperbackOnly': '{ink} (nur Taschenbuch)',
+        'pageSize.margins': 'Standardränder festlegen',
+        'pageSize.marginAllSides': '{label} ({length} rundum)',
+        'pageSize.pageCount': 'Seitenzahl',
+        'pageSize.pagesPlaceholder': 'Seiten ({min}-{max})',
+        'pageSize.gutterNote': 'Mindest-Innenrand bei {platform} für {pages} Seiten: {inside} (außen: {outside})',
+        'pageSize.pageCountRange': 'Die Seitenzahl muss zwischen {min} und {max} liegen',
+        'pageSize.gutterHint': 'Wird für den Mindest-Innenrand von {platform} bei gespiegelten Rändern verwendet',
+        'pageSize.bleed': 'Beschnitt (randabfallende Bilder und Hintergründe)',
+        'pageSize.bleedNote': 'Fügt der Breite {width} und der Höhe {height} hinzu. Außen-, Ober- und Unterrand müssen dann mindestens {margin} betragen.',
+        'pageSize.fitContent': 'Bilder und Tabellen an die neue Seite anpassen',
+        'pageSize.fitContentNote': 'Verkleinert Bilder und Tabellen, die breiter sind als der Platz zwischen den Rändern.',
+        'pageSize.topMargin': 'Oberer Rand',
+        'pageSize.bottomMargin': 'Unterer Rand',
+        'pageSize.insideLeftMargin': 'Innen-/linker Rand',
+        'pageSize.outsideRightMargin': 'Außen-/rechter Rand',
+        'pageSize.insideMargin': 'Innenrand',
+        'pageSize.outsideMargin': 'Außenrand',
+        'pageSize.insideMarginNote': 'Der Innenrand sollte für die Bindung größer sein',
+        'pageSize.cancel': 'Abbrechen',
+        'pageSize.apply': 'Anwenden',
+
+        'report.title': 'Seiteneinstellungen',
+        'report.trimSize': 'Endformat: {size}',
+        'report.bleedSize': 'Format mit Beschnitt: {size}',
+        'report.pageSize': 'Seitengröße: {size}',
+        'report.margins': 'Ränder:',
+        'report.top': 'Oben: {length}',
+        'report.bottom': 'Unten: {length}',
+        'report.left': 'Links: {length}',
+        'report.right': 'Rechts: {length}',
+        'report.points': '{length} pt',
+
+        'status.customSize': 'Eigene Seitengröße {width} × {height} festgelegt: {description}',
+        'status.presetSize': 'Seitengröße {size} ({width} × {height}) festgelegt: {description}',
+        'status.description': '{platform}, {bookType}, Papier: {paper}, Druck: {ink}.',
+        'status.descriptionBleed': '{platform}, {bookType}, Papier: {paper}, Druck: {ink}, mit Beschnitt.',
+        'status.fitResized': '{items} an den Satzspiegel angepasst.',
+        'status.fitAnd': '{first} und {second}',
+        'status.fitImages.one': '1 Bild',
+        'status.fitImages.other': '{count} Bilder',
+        'status.fitTables.one': '1 Tabelle',
+        'status.fitTables.other': '{count} Tabellen',
+        'status.fitMore.one': '1 weiteres Element passte nicht.',
+        'status.fitMore.other': '{count} weitere Elemente passten nicht.',
+
+        'issue.unknownPlatform': 'Unbekannte Druckplattform „{platform}“.',
+        'issue.sizeRequired': 'Bitte wählen Sie eine Seitengröße oder geben Sie eigene Maße ein.',
+        'issue.unknownSize': '{size} ist keine der Größen von {platform}.',
+        'issue.bookTypeMismatch': '{size} ist eine Größe für {sizeType}, der Buchtyp ist aber {bookType}.',
+        'issue.hardcoverTrimSize': 'Hardcover bei {platform} müssen eine der Hardcover-Größen verwenden.',
+        'issue.customSizeNotSupported': '{platform} druckt keine eigenen Größen für {bookType}. Bitte wählen Sie eine der aufgeführten Größen.',
+        'issue.widthRange': 'Die Breite muss zwischen {min} und {max} liegen.',
+        'issue.widthRangeLandscape': 'Die Breite muss für eine Seite im Querformat zwischen {min} und {max} liegen.',
+        'issue.widthRangeSquare': 'Die Breite muss für eine quadratische Seite zwischen {min} und {max} liegen.',
+        'issue.heightRange': 'Die Höhe muss zwischen {min} und {max} liegen.',
+        'issue.heightRangeLandscape': 'Die Höhe muss für eine Seite im Querformat zwischen {min} und {max} liegen.',
+        'issue.heightRangeSquare': 'Die Höhe muss für eine quadratische Seite zwischen {min} und {max} liegen.',
+        'issue.unsupportedPaper': '{platform} bietet kein Papier „{paper}“ an.',
+        'issue.unsupportedInk': '{platform} bietet keinen Druck „{ink}“ an.',
+        'issue.hardcoverInk': 'Druck „{ink}“ ist für Hardcover bei {platform} nicht verfügbar.',
+        'issue.creamColorInk': 'Cremefarbenes Papier gibt es nur mit Schwarzdruck. Bitte wählen Sie für farbige Innenteile weißes Papier.',
+        'issue.pageCountRange': 'Die Seitenzahl muss eine ganze Zahl zwischen {min} und {max} sein.',
+        'issue.invalidMargin': 'Bitte geben Sie den Rand {side} in {unit} ein.',
+        'issue.marginBelowMinimum': 'Der Rand {side} ({length}) liegt unter dem Minimum von {platform} ({minimum}).',
+        'issue.marginBelowMinimumBleed': 'Der Rand {side} ({length}) liegt unter dem Minimum von {platform} ({minimum} mit Beschnitt).',
+        'issue.insideMarginBelowMinimum': 'Der Rand innen ({length}) liegt unter dem Minimum von {platform} für {pages} Seiten ({minimum}).',
+        'issue.marginsTooWide': 'Die Ränder innen und außen sind breiter als die Seite.',
+        'issue.marginsTooTall': 'Die Ränder oben und unten sind höher als die Seite.',
+        'note.insideMarginRaised': 'Rand innen auf {length} erhöht (Minimum von {platform} für {pages} Seiten)',
+        'note.marginRaised': 'Rand {side} auf {length} erhöht (Minimum von {platform})',
+        'note.marginRaisedBleed': 'Rand {side} auf {length} erhöht (Minimum von {platform} mit Beschnitt)',
+        'fit.positionedImage': 'Ein positioniertes Bild ist {width} breit, der Satzspiegel aber nur {available}. Verkleinern Sie es von Hand oder stellen Sie es auf „Mit Text in Zeile“ und wenden Sie die Einstellungen erneut an.',
+        'fit.image': 'Ein Bild ist {width} breit, aber zwischen den Rändern und Einzügen ist kein Platz dafür.',
+        'fit.nestedTable': 'Eine Tabelle in einer anderen Tabelle ist {width} breit, ihre Zelle aber nur {available}. Passen Sie ihre Spalten von Hand an.',
+
+        'settings.warningTitle': 'Seitenwerkzeuge',
+        'settings.unreadable': 'Die in diesem Dokument gespeicherten Seiteneinstellungen konnten nicht gelesen werden, daher werden die Standardwerte verwendet. Legen Sie die Seitengröße erneut fest, um neue Einstellungen zu speichern.',
+
+        'layout.missing': 'Dieses Dokument hat noch kein gespeichertes Layout. Legen Sie zuerst mit Page Tools → Set Custom Page Size eine Seitengröße fest.',
+        'title.exportLayoutSpec': 'Layout-Spezifikation exportieren',
+        'title.batchApply': 'Layout auf andere Dokumente anwenden',
+        'title.exportPrintPdf': 'Druck-PDF exportieren',
+
+        'bookType.paperback': 'Taschenbuch',
+        'bookType.hardcover': 'Hardcover',
+        'paper.white': 'weiß',
+        'paper.cream': 'creme',
+        'ink.black': 'schwarz',
+        'ink.premium': 'Premium-Farbe',
+        'ink.standard': 'Standardfarbe',
+        'side.top': 'oben',
+        'side.bottom': 'unten',
+        'side.inside': 'innen',
+        'side.outside': 'außen',
+        'unit.in': 'Zoll',
+        'unit.mm': 'mm',
+        'unit.cm': 'cm',
+        'unit.pt': 'Punkt',
+
+        'name.Letter': 'US Letter',
+        'name.Legal': 'US Legal',
+        'name.Tabloid': 'Tabloid',
+        'name.Custom': 'Benutzerdefiniert',
+        'name.Paperback': 'Taschenbuch',
+        'name.Hardcover': 'Hardcover',
+        'name.Portrait': 'Hochformat',
+        'name.Landscape': 'Querformat',
+        'name.White': 'Weiß',
+        'name.Cream': 'Creme',
+        'name.Creme': 'Creme',
+        'name.Black': 'Schwarz',
+        'name.Black & White': 'Schwarzweiß',
+        'name.Standard Black & White': 'Standard-Schwarzweiß',
+        'name.Color': 'Farbe',
+        'name.Standard Color': 'Standardfarbe',
+        'name.Premium Color': 'Premium-Farbe',
+        'name.Default': 'Standard',
+        'name.Narrow': 'Schmal',
+        'name.Wide': 'Breit',
+        'name.Mirrored (Book-style)': 'Gespiegelt (Buchsatz)',
+        'name.Custom Mirrored (Book-style)': 'Eigene gespiegelte Ränder (Buchsatz)',
+        'name.inches': 'Zoll',
+        'name.points': 'Punkt'
+    },
+
+    es: {
+        'pageSize.title': 'Definir tamaño de página personalizado',
+        'pageSize.heading': 'Definir tamaño de página',
+        'pageSize.intro': 'Seleccione una plataforma de impresión y después uno de sus tamaños de libro o un tamaño de papel común, o introduzca medidas propias que cumplan sus requisitos.',
+        'pageSize.presets': 'Ajustes guardados',
+        'pageSize.presetLoad': 'Cargar',
+        'pageSize.presetApply': 'Aplicar',
+        'pageSize.presetSaveAsNew': 'Guardar como nuevo',
+        'pageSize.presetUpdate': 'Actualizar',
+        'pageSize.presetRename': 'Cambiar nombre',
+        'pageSize.presetDelete': 'Eliminar',
+        'pageSize.presetNote': 'Los ajustes se guardan en su cuenta, así que puede aplicarlos a cualquier documento.',
+        'pageSize.selectPreset': '-- Seleccione un ajuste --',
+        'pageSize.noPresets': '-- No hay ajustes guardados --',
+        'pageSize.presetMissing': 'Ese ajuste ya no existe.',
+        'pageSize.presetNamePrompt': 'Nombre del nuevo ajuste, p. ej. «Editorial 6x9 crema novela»:',
+        'pageSize.presetReplaceConfirm': '¿Sustituir el ajuste «{name}» por la configuración de este formulario?',
+        'pageSize.presetRenamePrompt': 'Nuevo nombre para el ajuste «{name}»:',
+        'pageSize.presetDeleteConfirm': '¿Eliminar el ajuste «{name}»?',
+        'pageSize.preview': 'Vista previa',
+        'pageSize.previewSpread': 'Doble página',
+        'pageSize.previewLabel': 'Vista previa de la página',
+        'pageSize.previewNeedsSize': 'Seleccione un tamaño para ver la vista previa.',
+        'pageSize.previewNeedsMargins': 'Introduzca los cuatro márgenes para ver la vista previa.',
+        'pageSize.previewNote': 'Corte {width} × {height}. Márgenes: superior {top}, inferior {bottom}, interior {inside}, exterior {outside}. Azul: área de texto.',
+        'pageSize.previewGutter': 'Amarillo: margen interior (medianil).',
+        'pageSize.previewBleed': 'Línea roja discontinua: borde de corte; el papel fuera de ella es sangrado.',
+        'pageSize.previewSpreadNote': 'Google Docs muestra cada página con el margen interior a la izquierda; en la impresión queda junto al lomo, como se ve aquí.',
+        'pageSize.units': 'Unidades',
+        'pageSize.language': 'Idioma',
+        'pageSize.languageAuto': 'Automático ({language})',
+        'pageSize.languageNote': 'Al cambiar el idioma se vuelve a abrir este cuadro de diálogo, así que aplique o guarde antes sus cambios.',
+        'pageSize.platform': 'Plataforma de impresión',
+        'pageSize.bookSize': 'Seleccione el tamaño del libro',
+        'pageSize.selectSize': '-- Seleccione un tamaño --',
+        'pageSize.paperbackSizes': 'Tamaños de tapa blanda',
+        'pageSize.paperbackWideSizes': 'Tamaños cuadrados y apaisados de tapa blanda',
+        'pageSize.hardcoverSizes': 'Tamaños de tapa dura',
+        'pageSize.hardcoverWideSizes': 'Tamaños cuadrados y apaisados de tapa dura',
+        'pageSize.commonSizes': 'Tamaños comunes',
+        'pageSize.orientation': 'Orientación',
+        'pageSize.orientationNote': 'Al cambiar la orientación se intercambian el ancho y el alto.',
+        'pageSize.squareNote': 'Las páginas cuadradas no tienen orientación.',
+        'pageSize.noLandscapeSize': '{platform} no ofrece este tamaño en horizontal para {bookType}.',
+        'pageSize.noPortraitSize': '{platform} no ofrece este tamaño en vertical para {bookType}.',
+        'pageSize.customWidth': 'Ancho personalizado',
+        'pageSize.customHeight': 'Alto personalizado',
+        'pageSize.widthPlaceholder': 'Ancho ({min}-{max} {unit})',
+        'pageSize.heightPlaceholder': 'Alto ({min}-{max} {unit})',
+        'pageSize.widthRange': 'En {platform} el ancho debe estar entre {min} y {max}',
+        'pageSize.widthRangeLandscape': 'En {platform} el ancho debe estar entre {min} y {max} para una página horizontal',
+        'pageSize.widthRangeSquare': 'En {platform} el ancho debe estar entre {min} y {max} para una página cuadrada',
+        'pageSize.heightRange': 'En {platform} el alto debe estar entre {min} y {max}',
+        'pageSize.heightRangeLandscape': 'En {platform} el alto debe estar entre {min} y {max} para una página horizontal',
+        'pageSize.heightRangeSquare': 'En {platform} el alto debe estar entre {min} y {max} para una página cuadrada',
+        'pageSize.bookType': 'Tipo de libro',
+        'pageSize.hardcoverNote': 'Nota: no todos los tamaños están disponibles en tapa dura',
+        'pageSize.paperType': 'Tipo de papel',
+        'pageSize.inkType': 'Tipo de tinta',
+        'pageSize.paperbackOnly': '{ink} (solo tapa blanda)',
+        'pageSize.margins': 'Márgenes estándar',
+        'pageSize.marginAllSides': '{label} ({length} en todos los lados)',
+        'pageSize.pageCount': 'Número de páginas',
+        'pageSize.pagesPlaceholder': 'Páginas ({min}-{max})',
+        'pageSize.gutterNote': 'Margen interior mínimo de {platform} para {pages} páginas: {inside} (exterior: {outside})',
+        'pageSize.pageCountRange': 'El número de páginas debe estar entre {min} y {max}',
+        'pageSize.gutterHint': 'Se usa para calcular el margen interior mínimo de {platform} en diseños con márgenes simétricos',
+        'pageSize.bleed': 'Sangrado (imágenes y fondos a sangre)',
+        'pageSize.bleedNote': 'Añade {width} al ancho y {height} al alto. Los márgenes exterior, superior e inferior deben ser entonces de al menos {margin}.',
+        'pageSize.fitContent': 'Ajustar imágenes y tablas a la nueva página',
+        'pageSize.fitContentNote': 'Reduce las imágenes y tablas más anchas que el espacio entre los márgenes.',
+        'pageSize.topMargin': 'Margen superior',
+        'pageSize.bottomMargin': 'Margen inferior',
+        'pageSize.insideLeftMargin': 'Margen interior/izquierdo',
+        'pageSize.outsideRightMargin': 'Margen exterior/derecho',
+        'pageSize.insideMargin': 'Margen interior',
+        'pageSize.outsideMargin': 'Margen exterior',
+        'pageSize.insideMarginNote': 'El margen interior debe ser mayor para dejar espacio a la encuadernación',
+        'pageSize.cancel': 'Cancelar',
+        'pageSize.apply': 'Aplicar',
+
+        'report.title': 'Configuración de página',
+        'report.trimSize': 'Tamaño de corte: {size}',
+        'report.bleedSize': 'Tamaño con sangrado: {size}',
+        'report.pageSize': 'Tamaño de página: {size}',
+        'report.margins': 'Márgenes:',
+        'report.top': 'Superior: {length}',
+        'report.bottom': 'Inferior: {length}',
+        'report.left': 'Izquierdo: {length}',
+        'report.right': 'Derecho: {length}',
+        'report.points': '{length} pt',
+
+        'status.customSize': 'Tamaño de página personalizado de {width} × {height} aplicado: {description}',
+        'status.presetSize': 'Tamaño de página {size} ({width} × {height}) aplicado: {description}',
+        'status.description': '{platform}, {bookType}, papel {paper}, tinta {ink}.',
+        'status.descriptionBleed': '{platform}, {bookType}, papel {paper}, tinta {ink}, con sangrado.',
+        'status.fitResized': 'Se han ajustado {items} al área de contenido.',
+        'status.fitAnd': '{first} y {second}',
+        'status.fitImages.one': '1 imagen',
+        'status.fitImages.other': '{count} imágenes',
+        'status.fitTables.one': '1 tabla',
+        'status.fitTables.other': '{count} tablas',
+        'status.fitMore.one': '1 elemento más no cabía.',
+        'status.fitMore.other': '{count} elementos más no cabían.',
+
+        'issue.unknownPlatform': 'Plataforma de impresión desconocida: "{platform}".',
+        'issue.sizeRequired': 'Seleccione un tamaño de página o introduzca dimensiones personalizadas.',
+        'issue.unknownSize': '{size} no es uno de los tamaños de {platform}.',
+        'issue.bookTypeMismatch': '{size} es un tamaño de {sizeType}, pero el tipo de libro es {bookType}.',
+        'issue.hardcoverTrimSize': 'Los libros de tapa dura de {platform} deben usar uno de los tamaños de tapa dura.',
+        'issue.customSizeNotSupported': '{platform} no imprime tamaños personalizados de {bookType}. Elija uno de sus tamaños.',
+        'issue.widthRange': 'El ancho debe estar entre {min} y {max}.',
+        'issue.widthRangeLandscape': 'El ancho debe estar entre {min} y {max} para una página horizontal.',
+        'issue.widthRangeSquare': 'El ancho debe estar entre {min} y {max} para una página cuadrada.',
+        'issue.heightRange': 'El alto debe estar entre {min} y {max}.',
+        'issue.heightRangeLandscape': 'El alto debe estar entre {min} y {max} para una página horizontal.',
+        'issue.heightRangeSquare': 'El alto debe estar entre {min} y {max} para una página cuadrada.',
+        'issue.unsupportedPaper': '{platform} no ofrece papel {paper}.',
+        'issue.unsupportedInk': '{platform} no ofrece tinta {ink}.',
+        'issue.hardcoverInk': 'La tinta {ink} no está disponible para los libros de tapa dura de {platform}.',
+        'issue.creamColorInk': 'El papel crema solo está disponible con tinta negra. Elija papel blanco para interiores en color.',
+        'issue.pageCountRange': 'El número de páginas debe ser un número entero entre {min} y {max}.',
+        'issue.invalidMargin': 'Introduzca el margen {side} en {unit}.',
+        'issue.marginBelowMinimum': 'El margen {side} ({length}) es inferior al mínimo de {platform}, {minimum}.',
+        'issue.marginBelowMinimumBleed': 'El margen {side} ({length}) es inferior al mínimo de {platform} con sangrado, {minimum}.',
+        'issue.insideMarginBelowMinimum': 'El margen interior ({length}) es inferior al mínimo de {platform} para {pages} páginas, {minimum}.',
+        'issue.marginsTooWide': 'Los márgenes interior y exterior son más anchos que la página.',
+        'issue.marginsTooTall': 'Los márgenes superior e inferior son más altos que la página.',
+        'note.insideMarginRaised': 'Margen interior aumentado a {length} (mínimo de {platform} para {pages} páginas)',
+        'note.marginRaised': 'Margen {side} aumentado a {length} (mínimo de {platform})',
+        'note.marginRaisedBleed': 'Margen {side} aumentado a {length} (mínimo de {platform} con sangrado)',
+        'fit.positionedImage': 'Una imagen posicionada mide {width} de ancho, pero el área de contenido mide {available}. Cambie su tamaño a mano, o póngala "En línea" y vuelva a aplicar.',
+        'fit.image': 'Una imagen mide {width} de ancho, pero no queda espacio para ella entre los márgenes y las sangrías.',
+        'fit.nestedTable': 'Una tabla dentro de otra tabla mide {width} de ancho, pero su celda mide {available}. Ajuste sus columnas a mano.',
+
+        'settings.warningTitle': 'Herramientas de página',
+        'settings.unreadable': 'No se pudo leer la configuración de página guardada en este documento, así que se usan los valores predeterminados. Vuelva a definir el tamaño de página para guardar una configuración nueva.',
+
+        'layout.missing': 'Este documento aún no tiene un diseño guardado. Primero defina un tamaño de página con Page Tools → Set Custom Page Size.',
+        'title.exportLayoutSpec': 'Exportar especificación de diseño',
+        'title.batchApply': 'Aplicar el diseño a otros documentos',
+        'title.exportPrintPdf': 'Exportar PDF de impresión',
+
+        'bookType.paperback': 'tapa blanda',
+        'bookType.hardcover': 'tapa dura',
+        'paper.white': 'blanco',
+        'paper.cream': 'crema',
+        'ink.black': 'negra',
+        'ink.premium': 'color prémium',
+        'ink.standard': 'color estándar',
+        'side.top': 'superior',
+        'side.bottom': 'inferior',
+        'side.inside': 'interior',
+        'side.outside': 'exterior',
+        'unit.in': 'pulgadas',
+        'unit.mm': 'mm',
+        'unit.cm': 'cm',
+        'unit.pt': 'puntos',
+
+        'name.Letter': 'Carta',
+        'name.Legal': 'Oficio',
+        'name.Tabloid': 'Tabloide',
+        'name.Custom': 'Personalizado',
+        'name.Paperback': 'Tapa blanda',
+        'name.Hardcover': 'Tapa dura',
+        'name.Portrait': 'Vertical',
+        'name.Landscape': 'Horizontal',
+        'name.White': 'Blanco',
+        'name.Cream': 'Crema',
+        'name.Creme': 'Crema',
+        'name.Black': 'Negro',
+        'name.Black & White': 'Blanco y negro',
+        'name.Standard Black & White': 'Blanco y negro estándar',
+        'name.Color': 'Color',
+        'name.Standard Color': 'Color estándar',
+        'name.Premium Color': 'Color prémium',
+        'name.Default': 'Predeterminados',
+        'name.Narrow': 'Estrechos',
+        'name.Wide': 'Anchos',
+        'name.Mirrored (Book-style)': 'Simétricos (estilo libro)',
+        'name.Custom Mirrored (Book-style)': 'Simétricos personalizados (estilo libro)',
+        'name.inches': 'pulgadas',
+        'name.points': 'puntos'
+    },
+
+    fr: {
+        'pageSize.title': 'Définir un format de page personnalisé',
+        'pageSize.heading': 'Définir le format de page',
+        'pageSize.intro': 'Choisissez une plateforme d\'impression, puis l\'un de ses formats de livre ou un format de papier courant, ou saisissez des dimensions personnalisées conformes à ses exigences.',
+        'pageSize.presets': 'Préréglages enregistrés',
+        'pageSize.presetLoad': 'Charger',
+        'pageSize.presetApply': 'Appliquer',
+        'pageSize.presetSaveAsNew': 'Enregistrer comme nouveau',
+        'pageSize.presetUpdate': 'Mettre à jour',
+        'pageSize.presetRename': 'Renommer',
+        'pageSize.presetDelete': 'Supprimer',
+        'pageSize.presetNote': 'Les préréglages sont enregistrés dans votre compte et peuvent être appliqués à n\'importe quel document.',
+        'pageSize.selectPreset': '-- Choisir un préréglage --',
+        'pageSize.noPresets': '-- Aucun préréglage enregistré --',
+        'pageSize.presetMissing': 'Ce préréglage n\'existe plus.',
+        'pageSize.presetNamePrompt': 'Nom du nouveau préréglage, par ex. « Maison 6x9 crème roman » :',
+        'pageSize.presetReplaceConfirm': 'Remplacer le préréglage « {name} » par les réglages de ce formulaire ?',
+        'pageSize.presetRenamePrompt': 'Nouveau nom du préréglage « {name} » :',
+        'pageSize.presetDeleteConfirm': 'Supprimer le préréglage « {name} » ?',
+        'pageSize.preview': 'Aperçu',
+        'pageSize.previewSpread': 'Double page',
+        'pageSize.previewLabel': 'Aperçu de la page',
+        'pageSize.previewNeedsSize': 'Choisissez un format pour afficher l\'aperçu.',
+        'pageSize.previewNeedsMargins': 'Saisissez les quatre marges pour afficher l\'aperçu.',
+        'pageSize.previewNote': 'Format rogné {width} × {height}. Marges : haut {top}, bas {bottom}, intérieur {inside}, extérieur {outside}. Bleu : zone de texte.',
+        'pageSize.previewGutter': 'Jaune : marge intérieure (petit fond).',
+        'pageSize.previewBleed': 'Ligne rouge en pointillés : bord de coupe ; le papier au-delà est le fond perdu.',
+        'pageSize.previewSpreadNote': 'Google Docs affiche chaque page avec la marge intérieure à gauche ; à l\'impression elle se trouve côté dos, comme ici.',
+        'pageSize.units': 'Unités',
+        'pageSize.language': 'Langue',
+        'pageSize.languageAuto': 'Automatique ({language})',
+        'pageSize.languageNote': 'Changer de langue rouvre cette boîte de dialogue ; appliquez ou enregistrez vos modifications avant.',
+        'pageSize.platform': 'Plateforme d\'impression',
+        'pageSize.bookSize': 'Format du livre',
+        'pageSize.selectSize': '-- Choisir un format --',
+        'pageSize.paperbackSizes': 'Formats brochés',
+        'pageSize.paperbackWideSizes': 'Formats brochés carrés et à l\'italienne',
+        'pageSize.hardcoverSizes': 'Formats reliés',
+        'pageSize.hardcoverWideSizes': 'Formats reliés carrés et à l\'italienne',
+        'pageSize.commonSizes': 'Formats courants',
+        'pageSize.orientation': 'Orientation',
+        'pageSize.orientationNote': 'Changer d\'orientation intervertit la largeur et la hauteur.',
+        'pageSize.squareNote': 'Les pages carrées n\'ont pas d\'orientation.',
+        'pageSize.noLandscapeSize': '{platform} ne propose pas ce format à l\'italienne en {bookType}.',
+        'pageSize.noPortraitSize': '{platform} ne propose pas ce format à la française en {bookType}.',
+        'pageSize.customWidth': 'Largeur personnalisée',
+        'pageSize.customHeight': 'Hauteur personnalisée',
+        'pageSize.widthPlaceholder': 'Largeur ({min}-{max} {unit})',
+        'pageSize.heightPlaceholder': 'Hauteur ({min}-{max} {unit})',
+        'pageSize.widthRange': 'Chez {platform}, la largeur doit être comprise entre {min} et {max}',
+        'pageSize.widthRangeLandscape': 'Chez {platform}, la largeur doit être comprise entre {min} et {max} pour une page à l\'italienne',
+        'pageSize.widthRangeSquare': 'Chez {platform}, la largeur doit être comprise entre {min} et {max} pour une page carrée',
+        'pageSize.heightRange': 'Chez {platform}, la hauteur doit être comprise entre {min} et {max}',
+        'pageSize.heightRangeLandscape': 'Chez {platform}, la hauteur doit être comprise entre {min} et {max} pour une page à l\'italienne',
+        'pageSize.heightRangeSquare': 'Chez {platform}, la hauteur doit être comprise entre {min} et {max} pour une page carrée',
+        'pageSize.bookType': 'Type de livre',
+        'pageSize.hardcoverNote': 'Remarque : tous les formats ne sont pas disponibles en relié',
+        'pageSize.paperType': 'Type de papier',
+        'pageSize.inkType': 'Type d\'encre',
+        'pageSize.paperbackOnly': '{ink} (broché uniquement)',
+        'pageSize.margins': 'Marges standard',
+        'pageSize.marginAllSides': '{label} ({length} sur tous les côtés)',
+        'pageSize.pageCount': 'Nombre de pages',
+        'pageSize.pagesPlaceholder': 'Pages ({min}-{max})',
+        'pageSize.gutterNote': 'Marge intérieure minimale chez {platform} pour {pages} pages : {inside} (extérieur : {outside})',
+        'pageSize.pageCountRange': 'Le nombre de pages doit être compris entre {min} et {max}',
+        'pageSize.gutterHint': 'Sert à calculer la marge intérieure minimale chez {platform} pour les marges en miroir',
+        'pageSize.bleed': 'Fond perdu (images et arrière-plans à fond perdu)',
+        'pageSize.bleedNote': 'Ajoute {width} à la largeur et {height} à la hauteur. Les marges extérieure, haute et basse doivent alors être d\'au moins {margin}.',
+        'pageSize.fitContent': 'Adapter les images et les tableaux à la nouvelle page',
+        'pageSize.fitContentNote': 'Réduit les images et les tableaux plus larges que l\'espace entre les marges.',
+        'pageSize.topMargin': 'Marge haute',
+        'pageSize.bottomMargin': 'Marge basse',
+        'pageSize.insideLeftMargin': 'Marge intérieure/gauche',
+        'pageSize.outsideRightMargin': 'Marge extérieure/droite',
+        'pageSize.insideMargin': 'Marge intérieure',
+        'pageSize.outsideMargin': 'Marge extérieure',
+        'pageSize.insideMarginNote': 'La marge intérieure doit être plus grande pour laisser de la place à la reliure',
+        'pageSize.cancel': 'Annuler',
+        'pageSize.apply': 'Appliquer',
+
+        'report.title': 'Mise en page',
+        'report.trimSize': 'Format rogné : {size}',
+        'report.bleedSize': 'Format avec fond perdu : {size}',
+        'report.pageSize': 'Format de page : {size}',
+        'report.margins': 'Marges :',
+        'report.top': 'Haut : {length}',
+        'report.bottom': 'Bas : {length}',
+        'report.left': 'Gauche : {length}',
+        'report.right': 'Droite : {length}',
+        'report.points': '{length} pt',
+
+        'status.customSize': 'Format de page personnalisé {width} × {height} appliqué : {description}',
+        'status.presetSize': 'Format de page {size} ({width} × {height}) appliqué : {description}',
+        'status.description': '{platform}, {bookType}, papier {paper}, encre {ink}.',
+        'status.descriptionBleed': '{platform}, {bookType}, papier {paper}, encre {ink}, avec fond perdu.',
+        'status.fitResized': '{items} redimensionné(s) pour tenir dans la zone de texte.',
+        'status.fitAnd': '{first} et {second}',
+        'status.fitImages.one': '1 image',
+        'status.fitImages.other': '{count} images',
+        'status.fitTables.one': '1 tableau',
+        'status.fitTables.other': '{count} tableaux',
+        'status.fitMore.one': '1 autre élément ne tenait pas.',
+        'status.fitMore.other': '{count} autres éléments ne tenaient pas.',
+
+        'issue.unknownPlatform': 'Plateforme d\'impression inconnue : « {platform} ».',
+        'issue.sizeRequired': 'Veuillez choisir un format de page ou saisir des dimensions personnalisées.',
+        'issue.unknownSize': '{size} ne fait pas partie des formats {platform}.',
+        'issue.bookTypeMismatch': '{size} est un format {sizeType}, mais le type de livre est {bookType}.',
+        'issue.hardcoverTrimSize': 'Les livres reliés {platform} doivent utiliser l\'un des formats reliés.',
+        'issue.customSizeNotSupported': '{platform} n\'imprime pas de formats personnalisés en {bookType}. Veuillez choisir l\'un de ses formats.',
+        'issue.widthRange': 'La largeur doit être comprise entre {min} et {max}.',
+        'issue.widthRangeLandscape': 'La largeur doit être comprise entre {min} et {max} pour une page à l\'italienne.',
+        'issue.widthRangeSquare': 'La largeur doit être comprise entre {min} et {max} pour une page carrée.',
+        'issue.heightRange': 'La hauteur doit être comprise entre {min} et {max}.',
+        'issue.heightRangeLandscape': 'La hauteur doit être comprise entre {min} et {max} pour une page à l\'italienne.',
+        'issue.heightRangeSquare': 'La hauteur doit être comprise entre {min} et {max} pour une page carrée.',
+        'issue.unsupportedPaper': '{platform} ne propose pas de papier {paper}.',
+        'issue.unsupportedInk': '{platform} ne propose pas d\'encre {ink}.',
+        'issue.hardcoverInk': 'L\'encre {ink} n\'est pas disponible pour les livres reliés {platform}.',
+        'issue.creamColorInk': 'Le papier crème n\'existe qu\'avec l\'encre noire. Veuillez choisir du papier blanc pour les intérieurs en couleur.',
+        'issue.pageCountRange': 'Le nombre de pages doit être un nombre entier compris entre {min} et {max}.',
+        'issue.invalidMargin': 'Veuillez saisir la marge {side} en {unit}.',
+        'issue.marginBelowMinimum': 'La marge {side} ({length}) est inférieure au minimum {platform} de {minimum}.',
+        'issue.marginBelowMinimumBleed': 'La marge {side} ({length}) est inférieure au minimum {platform} de {minimum} avec fond perdu.',
+        'issue.insideMarginBelowMinimum': 'La marge intérieure ({length}) est inférieure au minimum {platform} de {minimum} pour {pages} pages.',
+        'issue.marginsTooWide': 'Les marges intérieure et extérieure sont plus larges que la page.',
+        'issue.marginsTooTall': 'Les marges du haut et du bas sont plus hautes que la page.',
+        'note.insideMarginRaised': 'Marge intérieure portée à {length} (minimum {platform} pour {pages} pages)',
+        'note.marginRaised': 'Marge {side} portée à {length} (minimum {platform})',
+        'note.marginRaisedBleed': 'Marge {side} portée à {length} (minimum {platform} avec fond perdu)',
+        'fit.positionedImage': 'Une image positionnée mesure {width} de large, mais la zone de texte mesure {available}. Redimensionnez-la à la main, ou réglez-la sur « Aligné » et appliquez à nouveau.',
+        'fit.image': 'Une image mesure {width} de large, mais il n\'y a pas de place pour elle entre les marges et les retraits.',
+        'fit.nestedTable': 'Un tableau dans un autre tableau mesure {width} de large, mais sa cellule mesure {available}. Redimensionnez ses colonnes à la main.',
+
+        'settings.warningTitle': 'Outils de page',
+        'settings.unreadable': 'Les réglages de page enregistrés dans ce document sont illisibles ; les valeurs par défaut sont utilisées. Définissez à nouveau le format de page pour enregistrer de nouveaux réglages.',
+
+        'layout.missing': 'Ce document n\'a pas encore de mise en page enregistrée. Définissez d\'abord un format de page avec Page Tools → Set Custom Page Size.',
+        'title.exportLayoutSpec': 'Exporter la spécification de mise en page',
+        'title.batchApply': 'Appliquer la mise en page à d\'autres documents',
+        'title.exportPrintPdf': 'Exporter le PDF d\'impression',
+
+        'bookType.paperback': 'broché',
+        'bookType.hardcover': 'relié',
+        'paper.white': 'blanc',
+        'paper.cream': 'crème',
+        'ink.black': 'noire',
+        'ink.premium': 'couleur premium',
+        'ink.standard': 'couleur standard',
+        'side.top': 'supérieure',
+        'side.bottom': 'inférieure',
+        'side.inside': 'intérieure',
+        'side.outside': 'extérieure',
+        'unit.in': 'pouces',
+        'unit.mm': 'mm',
+        'unit.cm': 'cm',
+        'unit.pt': 'points',
+
+        'name.Letter': 'Lettre US',
+        'name.Legal': 'Légal US',
+        'name.Tabloid': 'Tabloïd',
+        'name.Custom': 'Personnalisé',
+        'name.Paperback': 'Broché',
+        'name.Hardcover': 'Relié',
+        'name.Portrait': 'À la française',
+        'name.Landscape': 'À l\'italienne',
+        'name.White': 'Blanc',
+        'name.Cream': 'Crème',
+        'name.Creme': 'Crème',
+        'name.Black': 'Noir',
+        'name.Black & White': 'Noir et blanc',
+        'name.Standard Black & White': 'Noir et blanc standard',
+        'name.Color': 'Couleur',
+        'name.Standard Color': 'Couleur standard',
+        'name.Premium Color': 'Couleur premium',
+        'name.Default': 'Par défaut',
+        'name.Narrow': 'Étroites',
+        'name.Wide': 'Larges',
+        'name.Mirrored (Book-style)': 'En miroir (style livre)',
+        'name.Custom Mirrored (Book-style)': 'En miroir personnalisées (style livre)',
+        'name.inches': 'pouces',
+        'name.points': 'points'
+    }
+};
+
+// ========================
+// LOOKUP
+// ========================
+
+/**
+ * Picks the catalog language for a locale
+ *
+ * @param {string} locale - Locale such as 'de', 'es_419' or 'fr-CA'
+ * @return {string} Language code from LANGUAGES, or DEFAULT_LANGUAGE if there's no catalog for it
+ */
+function getLanguageForLocale(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Gets the messages for a language, with the default language filling in any it leaves out
+ * The page size dialog gets these so it can format its own messages.
+ *
+ * @param {string} language - Language code from LANGUAGES
+ * @return {Object} Messages by key
+ */
+function getMessages(language) {
+    return Object.assign({}, MESSAGES[DEFAULT_LANGUAGE], MESSAGES[language]);
+}
+
+/**
+ * Formats a message, filling in its placeholders
+ *
+ * @param {string} language - Language code from LANGUAGES
+ * @param {string} key - Message key
+ * @param {Object} [values] - Placeholder values by name
+ * @return {string} Message in the language, in the default language if it has no translation, or the key if neither has it
+ */
+function formatMessage(language, key, values) {
+    const catalog = MESSAGES[language] || {};
+    const message = catalog[key] !== undefined ? catalog[key] :
+        MESSAGES[DEFAULT_LANGUAGE][key] !== undefined ? MESSAGES[DEFAULT_LANGUAGE][key] : key;
+
+    return message.replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return values && values[name] !== undefined ? String(values[name]) : placeholder;
+    });
+}
+
+/**
+ * Formats a counted message, using its .one form for 1 and its .other form otherwise
+ *
+ * @param {string} language - Language code from LANGUAGES
+ * @param {string} key - Message key without the .one or .other suffix
+ * @param {number} count - Count, available to the message as {count}
+ * @return {string} Message
+ */
+function formatCount(language, key, count) {
+    return formatMessage(language, key + (count === 1 ? '.one' : '.other'), { count: count });
+}
+
+/**
+ * Formats an issue, margin note or finding that has a message key and placeholder values
+ * Book types, paper, ink, margin sides and units are translated; size names are translated part by part
+ * (e.g. "Paperback - 6 x 9"); any other value is used as it is.
+ *
+ * @param {string} language - Language code from LANGUAGES
+ * @param {Object} issue - Object with a message key and placeholder values
+ * @return {string} Message
+ */
+function formatIssue(language, issue) {
+    const messages = getMessages(language);
+    const values = {};
+
+    Object.keys(issue.values || {}).forEach(function(name) {
+        const value = issue.values[name];
+        const termKey = TERM_PLACEHOLDERS[name] + value;
+
+        if (name === 'size' && typeof value === 'string') {
+            values[name] = value.split(' - ').map(function(part) {
+                return translateName(language, part);
+            }).join(' - ');
+        } else {
+            values[name] = TERM_PLACEHOLDERS[name] && messages[termKey] !== undefined ? messages[termKey] : value;
+        }
+    });
+    return formatMessage(language, issue.key, values);
+}
+
+/**
+ * Translates the display name of a size, paper, ink or margin preset
+ *
+ * @param {string} language - Language code from LANGUAGES
+ * @param {string} name - English display name, which stays the preset's key
+ * @return {string} Translated name, or the name itself if it isn't translated (e.g. A4, or a platform name)
+ */
+function translateName(language, name) {
+    const catalog = MESSAGES[language] || {};
+    return catalog['name.' + name] !== undefined ? catalog['name.' + name] : name;
+}
+
+// ========================
+// NODE EXPORTS
+// ========================
+
+// In Apps Script everything above is a global; Node scripts require this file instead
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        TERM_PLACEHOLDERS,
+        MESSAGES,
+        getLanguageForLocale,
+        getMessages,
+        formatMessage,
+        formatCount,
+        formatIssue,
+        translateName
+    };
+}
@@ -0,0 +1,415 @@
+/**
+ * Stub Apps Script globals for the tests
+ *
+ * Loads layout-spec.js, messages.js and custom-page-size.js into a fresh VM context, the way Apps Script
+ * shares one global scope between a project's files, with in-memory stand-ins for the services
+ * the page setup functions use and for the body elements they resize.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT_FILES = ['layout-spec.js', 'messages.js', 'custom-page-size.js'];
+
+/**
+ * Creates an in-memory properties store
+ *
+ * @return {Object} Stub with the Properties methods the script uses
+ */
+function createProperties() {
+    const values = {};
+    return {
+        getProperty: function(key) {
+            return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+        },
+        setProperty: function(key, value) {
+            values[key] = String(value);
+        },
+        setProperties: function(properties) {
+            Object.keys(properties).forEach(function(key) {
+                values[key] = String(properties[key]);
+            });
+        },
+        deleteProperty: function(key) {
+            delete values[key];
+        },
+        getProperties: function() {
+            return Object.assign({}, values);
+        },
+        getKeys: function() {
+            return Object.keys(values);
+        }
+    };
+}
+
+/**
+ * Creates a stub element with children
+ *
+ * @param {string} type - ElementType name
+ * @param {Object[]} [children] - Child elements
+ * @return {Object} Stub element
+ */
+function createElement(type, children) {
+    const element = {
+        children: children || [],
+        parent: null,
+        getType: function() { return type; },
+        getParent: function() { return element.parent; },
+        getNumChildren: function() { return element.children.length; },
+        getChild: function(index) { return element.children[index]; },
+        getChildIndex: function(child) { return element.children.indexOf(child); }
+    };
+    ['asParagraph', 'asListItem', 'asTable', 'asTableRow', 'asTableCell'].forEach(function(name) {
+        element[name] = function() { return element; };
+    });
+    element.children.forEach(function(child) {
+        child.parent = element;
+    });
+    return element;
+}
+
+/**
+ * Creates a paragraph holding the given elements
+ * Its text keeps a font size per character, so runs of different sizes can be read and changed.
+ *
+ * @param {Object[]} [children] - Child elements
+ * @param {Object} [options] - Text, font size (null follows the paragraph style), heading key and line spacing
+ * @return {Object} Stub paragraph
+ */
+function createParagraph(children, options) {
+    options = options || {};
+    const paragraph = createElement('PARAGRAPH', children);
+    const text = options.text || '';
+    paragraph.positionedImages = [];
+    paragraph.fontSizes = text.split('').map(function() {
+        return options.fontSize || null;
+    });
+    paragraph.heading = options.heading || 'NORMAL';
+    paragraph.lineSpacing = options.lineSpacing || null;
+    paragraph.getIndentStart = function() { return null; };
+    paragraph.getIndentEnd = function() { return null; };
+    paragraph.getPositionedImages = function() { return paragraph.positionedImages; };
+    paragraph.getText = function() { return text; };
+    paragraph.getHeading = function() { return paragraph.heading; };
+    paragraph.getLineSpacing = function() { return paragraph.lineSpacing; };
+    paragraph.setLineSpacing = function(value) { paragraph.lineSpacing = value; return paragraph; };
+    paragraph.spacingBefore = null;
+    paragraph.spacingAfter = null;
+    paragraph.getSpacingBefore = function() { return paragraph.spacingBefore; };
+    paragraph.getSpacingAfter = function() { return paragraph.spacingAfter; };
+    paragraph.setSpacingBefore = function(value) { paragraph.spacingBefore = value; return paragraph; };
+    paragraph.setSpacingAfter = function(value) { paragraph.spacingAfter = value; return paragraph; };
+    paragraph.removeFromParent = function() {
+        paragraph.parent.children.splice(paragraph.parent.children.indexOf(paragraph), 1);
+        paragraph.parent = null;
+        return paragraph;
+    };
+    paragraph.setAttributes = function(attributes) {
+        if ('LINE_SPACING' in attributes) {
+            paragraph.lineSpacing = attributes.LINE_SPACING;
+        }
+        return paragraph;
+    };
+
+    const setFontSize = function(start, end, value) {
+        for (let i = start; i <= end; i++) {
+            paragraph.fontSizes[i] = value;
+        }
+    };
+    const editable = {
+        getText: function() { return text; },
+        getTextAttributeIndices: function() {
+            return paragraph.fontSizes.reduce(function(indices, value, i) {
+                return i === 0 || value !== paragraph.fontSizes[i - 1] ? indices.concat(i) : indices;
+            }, []);
+        },
+        getFontSize: function(offset) { return paragraph.fontSizes[offset]; },
+        setFontSize: function(start, end, value) {
+            setFontSize(start, end, value);
+            return editable;
+        },
+        setAttributes: function(start, end, attributes) {
+            if ('FONT_SIZE' in attributes) {
+                setFontSize(start, end, attributes.FONT_SIZE);
+            }
+            return editable;
+        }
+    };
+    paragraph.editAsText = function() { return editable; };
+    return paragraph;
+}
+
+/**
+ * Creates an inline image that records its size in points
+ *
+ * @param {number} width - Width in points
+ * @param {number} height - Height in points
+ * @return {Object} Stub image
+ */
+function createImage(width, height) {
+    const image = { size: { width: width, height: height }, parent: null };
+    image.getType = function() { return 'INLINE_IMAGE'; };
+    image.getParent = function() { return image.parent; };
+    image.asInlineImage = function() { return image; };
+    image.getWidth = function() { return image.size.width; };
+    image.getHeight = function() { return image.size.height; };
+    image.setWidth = function(value) { image.size.width = value; return image; };
+    image.setHeight = function(value) { image.size.height = value; return image; };
+    return image;
+}
+
+/**
+ * Creates a one-row table with fixed column widths, one empty paragraph per cell
+ *
+ * @param {number[]} columnWidths - Column widths in points
+ * @return {Object} Stub table
+ */
+function createTable(columnWidths) {
+    const row = createElement('TABLE_ROW', columnWidths.map(function() {
+        return createElement('TABLE_CELL', [createParagraph()]);
+    }));
+    const table = createElement('TABLE', [row]);
+    table.columnWidths = columnWidths.slice();
+    table.getNumRows = function() { return table.children.length; };
+    table.getRow = function(index) { return table.children[index]; };
+    table.getColumnWidth = function(index) { return table.columnWidths[index]; };
+    table.setColumnWidth = function(index, value) { table.columnWidths[index] = value; return table; };
+    row.getNumCells = function() { return row.children.length; };
+    row.children.forEach(function(cell) {
+        cell.getParentRow = function() { return row; };
+        cell.getParentTable = function() { return table; };
+        cell.getPaddingLeft = function() { return 5; };
+        cell.getPaddingRight = function() { return 5; };
+    });
+    return table;
+}
+
+/**
+ * Creates a document body that records its page size, margins and background color
+ * Starts as an empty US Letter page with 1" margins, in points.
+ *
+ * @return {Object} Stub body
+ */
+function createBody() {
+    const page = { width: 612, height: 792, top: 72, bottom: 72, left: 72, right: 72, background: null };
+    const body = createElement('BODY_SECTION');
+    body.page = page;
+    [['PageWidth', 'width'], ['PageHeight', 'height'], ['MarginTop', 'top'], ['MarginBottom', 'bottom'],
+        ['MarginLeft', 'left'], ['MarginRight', 'right'], ['BackgroundColor', 'background']].forEach(function(pair) {
+        body['get' + pair[0]] = function() {
+            return page[pair[1]];
+        };
+        body['set' + pair[0]] = function(value) {
+            page[pair[1]] = value;
+            return body;
+        };
+    });
+    body.insertPageBreak = function(index) {
+        const pageBreak = createElement('PAGE_BREAK');
+        const paragraph = createParagraph([pageBreak]);
+        paragraph.parent = body;
+        body.children.splice(index, 0, paragraph);
+        return pageBreak;
+    };
+    return body;
+}
+
+/**
+ * Creates a header section that records its text and the style of its one paragraph
+ *
+ * @return {Object} Stub header
+ */
+function createHeader() {
+    const header = { text: '', alignment: null, fontSize: null, italic: false };
+    const paragraph = {
+        setAlignment: function(value) { header.alignment = value; return paragraph; },
+        setSpacingBefore: function() { return paragraph; },
+        setSpacingAfter: function() { return paragraph; },
+        editAsText: function() { return text; }
+    };
+    const text = {
+        setFontSize: function(value) { header.fontSize = value; return text; },
+        setItalic: function(value) { header.italic = value; return text; }
+    };
+    header.setText = function(value) { header.text = value; return header; };
+    header.getParagraphs = function() { return [paragraph]; };
+    header.clear = function() { header.text = ''; return header; };
+    return header;
+}
+
+/**
+ * Creates a document with a fresh body
+ * Footnotes can be added to its footnotes list; the header is added on first use.
+ *
+ * @param {string} id - Document ID
+ * @param {string} name - Document name
+ * @return {Object} Stub document
+ */
+function createDocument(id, name) {
+    const body = createBody();
+    const footnotes = [];
+    const namedRanges = [];
+    const document = {
+        body: body,
+        footnotes: footnotes,
+        namedRanges: namedRanges,
+        header: null,
+        getId: function() { return id; },
+        getName: function() { return name; },
+        getBody: function() { return body; },
+        getFootnotes: function() { return footnotes; },
+        getNamedRanges: function(name) {
+            return namedRanges.filter(function(namedRange) {
+                return namedRange.name === name;
+            });
+        },
+        addNamedRange: function(name, range) {
+            const namedRange = {
+                name: name,
+                getRange: function() { return range; },
+                remove: function() { namedRanges.splice(namedRanges.indexOf(namedRange), 1); }
+            };
+            namedRanges.push(namedRange);
+            return namedRange;
+        },
+        newRange: function() {
+            const elements = [];
+            const builder = {
+                addElement: function(element) {
+                    elements.push({ getElement: function() { return element; } });
+                    return builder;
+                },
+                build: function() {
+                    return { getRangeElements: function() { return elements; } };
+                }
+            };
+            return builder;
+        },
+        getHeader: function() { return document.header; },
+        addHeader: function() {
+            document.header = createHeader();
+            return document.header;
+        }
+    };
+    return document;
+}
+
+/**
+ * Loads the Apps Script files into a new context with stub services
+ * The active document has the ID 'active-doc'; other documents can be added to documents by ID
+ * for DocumentApp.openById. The user's locale is session.locale (default 'en_US').
+ *
+ * @return {Object} Context holding the script's functions, plus body, documents, session, documentProperties,
+ *     userProperties, scriptProperties and alerts for inspecting what the script did
+ */
+function loadAppsScript() {
+    const activeDocument = createDocument('active-doc', 'Manuscript');
+    const documents = { 'active-doc': activeDocument };
+    const documentProperties = createProperties();
+    const userProperties = createProperties();
+    const scriptProperties = createProperties();
+    const alerts = [];
+    const session = { locale: 'en_US' };
+    let uuid = 0;
+
+    const context = vm.createContext({
+        body: activeDocument.body,
+        documents: documents,
+        session: session,
+        documentProperties: documentProperties,
+        userProperties: userProperties,
+        scriptProperties: scriptProperties,
+        alerts: alerts,
+        Logger: { log: function() {} },
+        Utilities: {
+            getUuid: function() {
+                uuid++;
+                return 'uuid-' + uuid;
+            }
+        },
+        Session: {
+            getActiveUser: function() {
+                return { getEmail: function() { return 'author@example.com'; } };
+            },
+            getActiveUserLocale: function() {
+                return session.locale;
+            }
+        },
+        PropertiesService: {
+            getDocumentProperties: function() { return documentProperties; },
+            getUserProperties: function() { return userProperties; },
+            getScriptProperties: function() { return scriptProperties; }
+        },
+        ContentService: {
+            MimeType: { JSON: 'JSON' },
+            createTextOutput: function(content) {
+                const output = { content: content, mimeType: null };
+                output.setMimeType = function(mimeType) {
+                    output.mimeType = mimeType;
+                    return output;
+                };
+                return output;
+            }
+        },
+        DocumentApp: {
+            getActiveDocument: function() {
+                return activeDocument;
+            },
+            openById: function(id) {
+                if (!documents[id]) {
+                    throw new Error('Document is missing (perhaps it was deleted, or you don\'t have read access?)');
+                }
+                return documents[id];
+            },
+            ElementType: {
+                BODY_SECTION: 'BODY_SECTION',
+                PARAGRAPH: 'PARAGRAPH',
+                LIST_ITEM: 'LIST_ITEM',
+                TABLE: 'TABLE',
+                TABLE_ROW: 'TABLE_ROW',
+                TABLE_CELL: 'TABLE_CELL',
+                INLINE_IMAGE: 'INLINE_IMAGE',
+                PAGE_BREAK: 'PAGE_BREAK',
+                TEXT: 'TEXT'
+            },
+            HorizontalAlignment: {
+                LEFT: 'LEFT',
+                CENTER: 'CENTER',
+                RIGHT: 'RIGHT',
+                JUSTIFY: 'JUSTIFY'
+            },
+            ParagraphHeading: {
+                NORMAL: 'NORMAL',
+                TITLE: 'TITLE',
+                SUBTITLE: 'SUBTITLE',
+                HEADING1: 'HEADING1',
+                HEADING2: 'HEADING2',
+                HEADING3: 'HEADING3',
+                HEADING4: 'HEADING4',
+                HEADING5: 'HEADING5',
+                HEADING6: 'HEADING6'
+            },
+            Attribute: {
+                FONT_SIZE: 'FONT_SIZE',
+                LINE_SPACING: 'LINE_SPACING'
+            },
+            getUi: function() {
+                return {
+                    ButtonSet: { OK: 'OK' },
+                    alert: function(title, message) {
+                        alerts.push(message);
+                    }
+                };
+            }
+        }
+    });
+
+    SCRIPT_FILES.forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+module.exports = { loadAppsScript, createDocument, createParagraph, createImage, createTable };
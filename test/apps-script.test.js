@@ -0,0 +1,676 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadAppsScript, createDocument, createParagraph, createImage, createTable } = require('./apps-script-stubs.js');
+
+const SETTINGS_PROPERTY = 'kdpFormatterSettings';
+
+test('applyPageSettings sets the page size and margins in points and saves the settings', function() {
+    const script = loadAppsScript();
+    const result = script.applyPageSettings('Paperback - 6 x 9', 'paperback', 'cream', 'black',
+        { type: 'mirrored' }, 'mirrored', { pageCount: 300, bleed: true });
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.deepStrictEqual(script.body.page, {
+        width: 441,
+        height: 666,
+        top: 72,
+        bottom: 72,
+        left: 90,
+        right: 54,
+        background: '#F8F3E6'
+    });
+
+    const settings = JSON.parse(script.documentProperties.getProperty(SETTINGS_PROPERTY));
+    assert.strictEqual(settings.sizeName, 'Paperback - 6 x 9');
+    assert.strictEqual(settings.width, 6);
+    assert.strictEqual(settings.pageCount, 300);
+    assert.strictEqual(settings.bleed, true);
+});
+
+test('applyPageSettings keeps the previous page setup in the history', function() {
+    const script = loadAppsScript();
+    script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    const history = script.getPageSetupHistory();
+    assert.strictEqual(history.length, 1);
+    assert.strictEqual(history[0].id, 'uuid-1');
+});
+
+test('applyCustomPageSize returns issues and leaves the page alone for invalid sizes', function() {
+    const script = loadAppsScript();
+    const result = script.applyCustomPageSize(12, 8, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.issues.length, 1);
+    assert.strictEqual(result.issues[0].code, 'WIDTH_OUT_OF_RANGE');
+    assert.strictEqual(script.body.page.width, 612);
+    assert.strictEqual(script.documentProperties.getProperty(SETTINGS_PROPERTY), null);
+});
+
+test('applyCustomPageSize reports messages in the user unit', function() {
+    const script = loadAppsScript();
+    script.setUserUnit('mm');
+    const result = script.applyCustomPageSize(5, 8, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.strictEqual(result.success, true);
+    assert.match(result.message, /127 mm × 203\.2 mm/);
+});
+
+test('getDocumentSettings migrates unversioned settings', function() {
+    const script = loadAppsScript();
+    script.documentProperties.setProperty(SETTINGS_PROPERTY, JSON.stringify({
+        sizeName: 'Paperback - 6 x 9',
+        width: 6,
+        height: 9,
+        marginType: 'custom',
+        customMargins: { top: 0.5, bottom: 0.5, inside: 0.5, outside: 0.5 },
+        customMirroredMargins: null
+    }));
+    const settings = script.getDocumentSettings();
+
+    assert.strictEqual(settings.version, 1);
+    assert.strictEqual(settings.platform, 'kdp');
+    assert.strictEqual(settings.customMirroredMargins.isMirrored, true);
+    assert.strictEqual(settings.customMargins.top, 0.5);
+});
+
+test('getDocumentSettings treats negative versions as unversioned settings', function() {
+    const script = loadAppsScript();
+    script.documentProperties.setProperty(SETTINGS_PROPERTY, JSON.stringify({ version: -1, sizeName: 'Paperback - 6 x 9' }));
+    const settings = script.getDocumentSettings();
+
+    assert.strictEqual(settings.version, 1);
+    assert.strictEqual(settings.sizeName, 'Paperback - 6 x 9');
+    assert.strictEqual(script.alerts.length, 0);
+});
+
+test('getDocumentSettings repairs damaged values in current settings and saves them', function() {
+    const script = loadAppsScript();
+    script.documentProperties.setProperty(SETTINGS_PROPERTY, JSON.stringify({
+        version: 1,
+        sizeName: 'Paperback - 6 x 9',
+        width: 6,
+        height: 9,
+        customMargins: null,
+        interiorStyle: 'classic',
+        pageCount: -5,
+        paperType: 'glossy',
+        inkType: 7
+    }));
+    const settings = script.getDocumentSettings();
+
+    assert.strictEqual(settings.customMargins.top, 1);
+    assert.strictEqual(settings.interiorStyle, null);
+    assert.strictEqual(settings.pageCount, null);
+    assert.strictEqual(settings.platform, 'kdp');
+    assert.strictEqual(settings.paperType, 'white');
+    assert.strictEqual(settings.inkType, 'black');
+    assert.strictEqual(JSON.parse(script.documentProperties.getProperty(SETTINGS_PROPERTY)).customMargins.top, 1);
+});
+
+test('getDocumentSettings backs up unreadable settings and returns the defaults', function() {
+    const script = loadAppsScript();
+    script.documentProperties.setProperty(SETTINGS_PROPERTY, '{not json');
+    const settings = script.getDocumentSettings();
+
+    assert.strictEqual(settings.sizeName, '');
+    assert.strictEqual(script.documentProperties.getProperty('kdpFormatterSettingsBackup'), '{not json');
+    assert.strictEqual(script.documentProperties.getProperty(SETTINGS_PROPERTY), null);
+    assert.strictEqual(script.alerts.length, 1);
+});
+
+/**
+ * Builds header and footer options for applyHeadersAndPageNumbers
+ *
+ * @param {Object} [overrides] - Options to change
+ * @return {Object} Header and footer options
+ */
+function headerOptions(overrides) {
+    return Object.assign({
+        author: 'A. Writer',
+        title: 'The Book',
+        runningHeads: true,
+        swapSides: false,
+        headerDistance: 0.4,
+        footerDistance: 0.4,
+        startAfterFrontMatter: false,
+        omitOnChapterOpenings: false
+    }, overrides);
+}
+
+test('applyHeadersAndPageNumbers puts the title on right-hand pages and the author on left-hand pages', function() {
+    const script = loadAppsScript();
+    const batches = [];
+    script.Docs = {
+        Documents: {
+            get: function() {
+                return {
+                    body: { content: [{ startIndex: 0, endIndex: 1, sectionBreak: {} }] },
+                    documentStyle: { evenPageHeaderId: 'h.even' },
+                    headers: { 'h.even': { content: [{ startIndex: 0, endIndex: 4 }] } },
+                    footers: {}
+                };
+            },
+            batchUpdate: function(resource) {
+                batches.push(resource.requests);
+            }
+        }
+    };
+
+    const result = script.applyHeadersAndPageNumbers(headerOptions());
+    const header = script.documents['active-doc'].header;
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.deepStrictEqual([header.text, header.alignment, header.italic], ['The Book', 'RIGHT', true]);
+    assert.strictEqual(batches[0][0].updateDocumentStyle.documentStyle.useEvenPageHeaderFooter, true);
+    assert.strictEqual(JSON.stringify(batches[1][0].deleteContentRange.range),
+        JSON.stringify({ segmentId: 'h.even', startIndex: 0, endIndex: 3 }));
+    assert.strictEqual(batches[1][1].insertText.text, 'A. Writer');
+    assert.strictEqual(batches[1][3].updateParagraphStyle.paragraphStyle.alignment, 'START');
+});
+
+test('applyHeadersAndPageNumbers swaps the sides and explains what needs the Docs API', function() {
+    const script = loadAppsScript();
+    const result = script.applyHeadersAndPageNumbers(headerOptions({ swapSides: true }));
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(script.documents['active-doc'].header.text, 'A. Writer');
+    assert.match(result.message, /put the title on left-hand pages/);
+});
+
+test('applyChapterBreaks leaves the document and settings alone when no chapter titles are found', function() {
+    const script = loadAppsScript();
+    const body = script.documents['active-doc'].body;
+    appendToBody(body, [createParagraph([], { text: 'Opening words.' }), createParagraph([], { text: 'Chapter One', heading: 'HEADING1' })]);
+    script.applyChapterBreaks({ heading: 'HEADING1', drop: 'medium', rectoStart: false });
+    const settings = script.documentProperties.getProperty(SETTINGS_PROPERTY);
+    const children = body.children.slice();
+
+    const result = script.applyChapterBreaks({ heading: 'HEADING2', drop: 'large', rectoStart: true });
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.message, /No Heading 2 paragraphs were found/);
+    assert.strictEqual(script.documentProperties.getProperty(SETTINGS_PROPERTY), settings);
+    assert.strictEqual(body.children.length, 3);
+    assert.ok(body.children.every(function(child, i) { return child === children[i]; }));
+});
+
+test('applyChapterBreaks adds no page break before chapters that already start a section', function() {
+    const script = loadAppsScript();
+    const body = script.documents['active-doc'].body;
+    const second = createParagraph([], { text: 'Chapter Two', heading: 'HEADING1' });
+    const third = createParagraph([], { text: 'Chapter Three', heading: 'HEADING1' });
+    appendToBody(body, [createParagraph([], { text: 'Chapter One', heading: 'HEADING1' }),
+        createParagraph([], { text: 'Opening words.' }), second, createParagraph([], { text: 'More words.' }), third]);
+    const docsParagraph = function(startIndex, text, style) {
+        return {
+            startIndex: startIndex,
+            paragraph: { elements: [{ textRun: { content: text + '\n' } }], paragraphStyle: { namedStyleType: style } }
+        };
+    };
+    // Headers & Page Numbers has put a section break before Chapter Two
+    script.Docs = {
+        Documents: {
+            get: function() {
+                return {
+                    body: {
+                        content: [
+                            { startIndex: 0, sectionBreak: {} },
+                            docsParagraph(1, 'Chapter One', 'HEADING_1'),
+                            docsParagraph(13, 'Opening words.', 'NORMAL_TEXT'),
+                            { startIndex: 28, sectionBreak: {} },
+                            docsParagraph(29, 'Chapter Two', 'HEADING_1'),
+                            docsParagraph(41, 'More words.', 'NORMAL_TEXT'),
+                            docsParagraph(53, 'Chapter Three', 'HEADING_1')
+                        ]
+                    }
+                };
+            }
+        }
+    };
+
+    const result = script.applyChapterBreaks({ heading: 'HEADING1', drop: 'medium', rectoStart: false });
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.match(result.message, /Page breaks added before 1 of 3 chapters/);
+    assert.strictEqual(body.getChild(body.getChildIndex(second) - 1).getText(), 'Opening words.');
+    assert.strictEqual(body.getChild(body.getChildIndex(third) - 1).getChild(0).getType(), 'PAGE_BREAK');
+});
+
+test('applyHeadersAndPageNumbers turns the page breaks before a chapter into one section break', function() {
+    const script = loadAppsScript();
+    const batches = [];
+    const paragraph = function(startIndex, endIndex, elements, style) {
+        return { startIndex: startIndex, endIndex: endIndex, paragraph: { elements: elements, paragraphStyle: { namedStyleType: style } } };
+    };
+    script.Docs = {
+        Documents: {
+            get: function() {
+                return {
+                    body: {
+                        content: [
+                            { startIndex: 0, endIndex: 1, sectionBreak: {} },
+                            paragraph(1, 10, [{ textRun: { content: 'Prologue\n' } }], 'NORMAL_TEXT'),
+                            paragraph(10, 12, [{ pageBreak: {} }, { textRun: { content: '\n' } }], 'NORMAL_TEXT'),
+                            paragraph(12, 14, [{ pageBreak: {} }, { textRun: { content: '\n' } }], 'NORMAL_TEXT'),
+                            paragraph(14, 15, [{ textRun: { content: '\n' } }], 'NORMAL_TEXT'),
+                            paragraph(15, 27, [{ textRun: { content: 'Chapter One\n' } }], 'HEADING_1')
+                        ]
+                    },
+                    documentStyle: {},
+                    footers: {}
+                };
+            },
+            batchUpdate: function(resource) {
+                batches.push(resource.requests);
+            }
+        }
+    };
+
+    const result = script.applyHeadersAndPageNumbers(headerOptions({ runningHeads: false, omitOnChapterOpenings: true }));
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.match(result.message, /1 section break added/);
+    assert.strictEqual(JSON.stringify(batches[0]), JSON.stringify([
+        { deleteContentRange: { range: { startIndex: 12, endIndex: 14 } } },
+        { insertSectionBreak: { location: { index: 12 }, sectionType: 'NEXT_PAGE' } },
+        { deleteContentRange: { range: { startIndex: 10, endIndex: 12 } } }
+    ]));
+});
+
+test('toScriptJson keeps user text from ending a dialog script', function() {
+    const script = loadAppsScript();
+    const json = script.toScriptJson({ title: '</script><script>alert(1)</script>' });
+
+    assert.doesNotMatch(json, /</);
+    assert.strictEqual(JSON.parse(json).title, '</script><script>alert(1)</script>');
+});
+
+test('getLayoutLibraryScript gives dialogs the same margin rules as the server', function() {
+    const script = loadAppsScript();
+    const library = new Function(script.getLayoutLibraryScript() + '\nreturn layoutLibrary;')();
+    const options = { pageCount: 700, bleed: true, platform: 'kdp' };
+    const marginSettings = { top: 0.2, bottom: 1, inside: 0.5, outside: 0.5, isMirrored: true };
+
+    assert.strictEqual(JSON.stringify(library.resolveMargins({ type: 'mirrored' }, options)),
+        JSON.stringify(script.resolveMargins({ type: 'mirrored' }, options)));
+    assert.strictEqual(JSON.stringify(library.resolveMargins(marginSettings, options)),
+        JSON.stringify(script.resolveMargins(marginSettings, options)));
+});
+
+test('checkPageSize checks custom pages with the trim size rule from layout-spec.js', function() {
+    const script = loadAppsScript();
+    const settings = script.getDefaultDocumentSettings();
+    const setSize = function(width, height) {
+        script.body.setPageWidth(width * 72);
+        script.body.setPageHeight(height * 72);
+    };
+
+    // Within the square tolerance once rounded, so checked against the square limits
+    setSize(7.2500004, 7.25);
+    assert.strictEqual(script.checkPageSize(script.body, settings), null);
+
+    setSize(9, 9);
+    assert.match(script.checkPageSize(script.body, settings).message,
+        /^9" × 9" is not a listed Amazon KDP paperback size\. Width must be between 6" and 8\.5" for a square page\./);
+});
+
+test('getPrintPdfFileName builds the name from the title, trim size and book type', function() {
+    const script = loadAppsScript();
+
+    assert.strictEqual(script.getPrintPdfFileName('The Long: Road / Home?', { width: 5.06, height: 7.81, bookType: 'hardcover' }),
+        'The_Long_Road_Home_5.06x7.81_hardcover_interior.pdf');
+    assert.strictEqual(script.getPrintPdfFileName('', { width: 6, height: 9, bookType: 'paperback' }),
+        'Untitled_6x9_paperback_interior.pdf');
+});
+
+test('checkPdfPageSizes reports pages whose boxes do not match the layout', function() {
+    const script = loadAppsScript();
+    const pdf = '%PDF-1.4\n' +
+        '1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n' +
+        '2 0 obj\n<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 441 666] >>\nendobj\n' +
+        '3 0 obj\n<< /Type /Page /Parent 2 0 R /TrimBox [0 0 432 648] >>\nendobj\n' +
+        '4 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 432 648] >>\nendobj\n' +
+        '5 0 obj\n<< /Type /Page /Parent 2 0 R >>\nendobj\n';
+    const check = script.checkPdfPageSizes(pdf, { width: 441, height: 666 }, { width: 432, height: 648 });
+
+    assert.strictEqual(check.pageCount, 3);
+    assert.strictEqual(check.issues.length, 1);
+    assert.match(check.issues[0].message, /MediaBox is 6" × 9" instead of 6\.125" × 9\.25" on page 2\./);
+});
+
+test('checkPdfPageSizes warns when the page boxes cannot be read', function() {
+    const script = loadAppsScript();
+    const check = script.checkPdfPageSizes('%PDF-1.5\n', { width: 441, height: 666 }, { width: 432, height: 648 });
+
+    assert.strictEqual(check.pageCount, 0);
+    assert.strictEqual(check.issues[0].severity, 'warning');
+});
+
+test('applyPageSettings fits images and tables to the new content width', function() {
+    const script = loadAppsScript();
+    const image = createImage(468, 300);
+    const table = createTable([300, 168]);
+    const nested = createTable([200, 200]);
+    const paragraph = createParagraph([image]);
+    paragraph.positionedImages.push({ getWidth: function() { return 500; } });
+    table.getRow(0).getChild(0).children.push(nested);
+    nested.parent = table.getRow(0).getChild(0);
+    [paragraph, table].forEach(function(element) {
+        script.body.children.push(element);
+        element.parent = script.body;
+    });
+
+    // 5 x 8 with 1" margins leaves a 3" (216 pt) content area
+    const result = script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.deepStrictEqual(image.size, { width: 216, height: 138 });
+    assert.deepStrictEqual(table.columnWidths.map(Math.round), [138, 78]);
+    assert.deepStrictEqual(nested.columnWidths, [200, 200]);
+    assert.match(result.message, /Resized 1 image and 1 table/);
+    assert.strictEqual(result.issues.length, 2);
+    assert.match(result.issues[0].message, /positioned image/);
+    assert.match(result.issues[1].message, /table inside another table/);
+});
+
+test('applyPageSettings leaves images alone when fitting is turned off', function() {
+    const script = loadAppsScript();
+    const image = createImage(468, 300);
+    const paragraph = createParagraph([image]);
+    script.body.children.push(paragraph);
+    paragraph.parent = script.body;
+
+    script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'white', 'black', { type: 'default' }, 'default',
+        { fitContent: false });
+
+    assert.deepStrictEqual(image.size, { width: 468, height: 300 });
+});
+
+/**
+ * Builds the contents of a layout spec file
+ *
+ * @param {Object} [layout] - Layout fields to change
+ * @param {Object} [fields] - Top-level fields to change
+ * @return {string} File contents
+ */
+function layoutSpecFile(layout, fields) {
+    return JSON.stringify(Object.assign({
+        format: 'kdp-formatter-layout',
+        version: 1,
+        layout: Object.assign({ sizeName: 'Paperback - 6 x 9', bookType: 'paperback', paperType: 'cream',
+            inkType: 'black', marginType: 'default' }, layout)
+    }, fields));
+}
+
+/**
+ * Lists the codes and fields of issues
+ *
+ * @param {Object[]} issues - Issues
+ * @return {string} One code and field per issue, e.g. "UNKNOWN_FIELD layout.colour"
+ */
+function issueFields(issues) {
+    return issues.map(function(issue) {
+        return issue.code + ' ' + issue.field;
+    }).join(', ');
+}
+
+test('parseLayoutSpecFile reports unknown fields and wrong types at their paths in the file', function() {
+    const script = loadAppsScript();
+    const parsed = script.parseLayoutSpecFile(layoutSpecFile(
+        { colour: 'red', pageCount: '300', bleed: 'yes', marginType: 'custom',
+            customMargins: { top: 0.5, bottom: '0.5', inside: 0.75, outside: 0.5, gutter: 0.1 } },
+        { margins: [] }));
+
+    assert.strictEqual(parsed.layout, null);
+    assert.strictEqual(issueFields(parsed.issues), [
+        'INVALID_FIELD_TYPE margins',
+        'UNKNOWN_FIELD layout.colour',
+        'INVALID_FIELD_TYPE layout.pageCount',
+        'INVALID_FIELD_TYPE layout.bleed',
+        'UNKNOWN_FIELD layout.customMargins.gutter',
+        'INVALID_FIELD_TYPE layout.customMargins.bottom'
+    ].join(', '));
+});
+
+test('parseLayoutSpecFile refuses newer versions and custom margin types without their margins', function() {
+    const script = loadAppsScript();
+    const newer = script.parseLayoutSpecFile(layoutSpecFile({}, { version: 2 }));
+    const custom = script.parseLayoutSpecFile(layoutSpecFile({ marginType: 'custom' }));
+    const mirrored = script.parseLayoutSpecFile(layoutSpecFile({ marginType: 'customMirrored',
+        customMargins: { top: 0.5, bottom: 0.5, inside: 0.75, outside: 0.5 } }));
+
+    assert.strictEqual(issueFields(newer.issues), 'UNSUPPORTED_VERSION version');
+    assert.match(newer.issues[0].message, /version 2, but this copy of the script reads up to version 1/);
+    assert.strictEqual(issueFields(custom.issues), 'FIELD_REQUIRED layout.customMargins');
+    assert.strictEqual(issueFields(mirrored.issues), 'FIELD_REQUIRED layout.customMirroredMargins');
+    assert.strictEqual(script.parseLayoutSpecFile(layoutSpecFile()).issues.length, 0);
+});
+
+test('importLayoutSpec reports margin issues at the custom margins in the file', function() {
+    const script = loadAppsScript();
+    const result = script.importLayoutSpec(layoutSpecFile({ marginType: 'customMirrored',
+        customMirroredMargins: { top: 0.1, bottom: 0.5, inside: 0.8, outside: 0.5 } }));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(issueFields(result.issues), 'MARGIN_BELOW_MINIMUM layout.customMirroredMargins.top');
+    assert.strictEqual(script.getLayoutSpecFilePath('margins.outside', 'custom'), 'layout.customMargins.outside');
+    assert.strictEqual(script.getLayoutSpecFilePath('margins', 'custom'), 'layout.marginType');
+    assert.strictEqual(script.getLayoutSpecFilePath('width', 'default'), 'layout.width');
+    assert.strictEqual(script.getLayoutSpecFilePath(null, 'default'), null);
+});
+
+test('handleApiRequest lists the presets for a platform', function() {
+    const script = loadAppsScript();
+    script.scriptProperties.setProperty('kdpFormatterApiKey', 'secret');
+    const response = script.handleApiRequest({ action: 'listPresets', key: 'secret', platform: 'lulu' });
+
+    assert.strictEqual(response.success, true);
+    assert.ok(response.commonSizes.Letter);
+    assert.strictEqual(response.sizes['Paperback - 5.06 x 7.81'], undefined);
+    assert.strictEqual(script.handleApiRequest({ action: 'listPresets', key: 'secret', platform: 'nope' }).code,
+        'UNKNOWN_PLATFORM');
+});
+
+test('doPost applies a layout spec to another document without touching the active document', function() {
+    const script = loadAppsScript();
+    script.documents['doc-2'] = createDocument('doc-2', 'Book Two');
+    script.scriptProperties.setProperty('kdpFormatterApiKey', 'secret');
+    const output = script.doPost({ parameter: {}, postData: { contents: JSON.stringify({
+        action: 'applyLayout',
+        key: 'secret',
+        documentId: 'doc-2',
+        spec: { format: 'kdp-formatter-layout', version: 1, layout: { sizeName: 'Paperback - 6 x 9',
+            bookType: 'paperback', paperType: 'cream', inkType: 'black', marginType: 'default' } }
+    }) } });
+    const response = JSON.parse(output.content);
+
+    assert.strictEqual(output.mimeType, 'JSON');
+    assert.strictEqual(response.success, true, response.message);
+    assert.strictEqual(script.documents['doc-2'].body.page.width, 432);
+    assert.strictEqual(script.body.page.width, 612);
+    assert.strictEqual(script.documentProperties.getProperty(SETTINGS_PROPERTY), null);
+});
+
+test('handleApiRequest returns error codes for bad requests', function() {
+    const script = loadAppsScript();
+    const spec = { format: 'kdp-formatter-layout', version: 1, layout: { sizeName: 'Custom', width: 3, height: 9,
+        bookType: 'paperback', paperType: 'white', inkType: 'black', marginType: 'default' } };
+
+    ['listPresets', 'getSettings', 'applyLayout', 'publish'].forEach(function(action) {
+        assert.strictEqual(script.handleApiRequest({ action: action, documentId: 'active-doc', spec: spec }).code,
+            'NOT_CONFIGURED');
+    });
+
+    script.scriptProperties.setProperty('kdpFormatterApiKey', 'secret');
+    assert.strictEqual(script.handleApiRequest({ action: 'publish', key: 'secret' }).code, 'UNKNOWN_ACTION');
+    assert.strictEqual(script.handleApiRequest({ action: 'getSettings', key: 'secret', documentId: 'missing' }).code,
+        'DOCUMENT_NOT_FOUND');
+    const invalid = script.handleApiRequest({ action: 'applyLayout', key: 'secret', documentId: 'active-doc', spec: spec });
+    assert.strictEqual(invalid.code, 'INVALID_LAYOUT');
+    assert.strictEqual(invalid.issues[0].field, 'layout.width');
+    assert.strictEqual(JSON.parse(script.doPost({ postData: { contents: '{oops' } }).content).code, 'INVALID_REQUEST');
+
+    assert.strictEqual(script.handleApiRequest({ action: 'listPresets' }).code, 'UNAUTHORIZED');
+    assert.strictEqual(script.handleApiRequest({ action: 'listPresets', key: 'secret' }).success, true);
+    assert.strictEqual(JSON.parse(script.doGet({ parameter: { action: 'listPresets', key: 'secret' } }).content).code,
+        'METHOD_NOT_ALLOWED');
+    assert.strictEqual(JSON.parse(script.doPost({ parameter: { key: 'secret' },
+        postData: { contents: JSON.stringify({ action: 'listPresets' }) } }).content).code, 'UNAUTHORIZED');
+    assert.strictEqual(JSON.parse(script.doPost({ parameter: {},
+        postData: { contents: JSON.stringify({ action: 'listPresets', key: 'secret' }) } }).content).success, true);
+});
+
+test('doPost returns the page setup and the saved settings of the active document', function() {
+    const script = loadAppsScript();
+    script.scriptProperties.setProperty('kdpFormatterApiKey', 'secret');
+    script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'white', 'black', { type: 'default' }, 'default');
+    const response = JSON.parse(script.doPost({ parameter: { action: 'getSettings', documentId: 'active-doc' },
+        postData: { contents: JSON.stringify({ key: 'secret' }) } }).content);
+
+    assert.strictEqual(response.success, true);
+    assert.deepStrictEqual(response.page.width, { inches: 5, points: 360 });
+    assert.strictEqual(response.margins.top.inches, 1);
+    assert.strictEqual(response.settings.sizeName, 'Paperback - 5 x 8');
+});
+
+test('applyPageSettings reports the status in the language of the user locale', function() {
+    const script = loadAppsScript();
+    script.session.locale = 'de_DE';
+    const result = script.applyPageSettings('Paperback - 6 x 9', 'paperback', 'cream', 'black', { type: 'default' }, 'default');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.message,
+        'Seitengröße 6 x 9 (6" × 9") festgelegt: Amazon KDP, Taschenbuch, Papier: creme, Druck: schwarz.');
+});
+
+test('applyCustomPageSize reports issues and margin notes in the language of the user locale', function() {
+    const script = loadAppsScript();
+    script.session.locale = 'de_DE';
+    const english = /\b(must|between|width|height|page|landscape|margin|raised)\b/i;
+    const invalid = script.applyCustomPageSize(12, 3, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.strictEqual(invalid.success, false);
+    assert.strictEqual(invalid.issues.length, 2);
+    assert.strictEqual(invalid.issues[0].code, 'WIDTH_OUT_OF_RANGE');
+    assert.doesNotMatch(invalid.message, english);
+    invalid.issues.forEach(function(issue) {
+        assert.doesNotMatch(issue.message, english);
+    });
+
+    const raised = script.applyCustomPageSize(6, 9, 'paperback', 'white', 'black',
+        { top: 0.2, bottom: 1, inside: 1, outside: 1, isMirrored: true }, 'customMirrored');
+    assert.strictEqual(raised.success, true, raised.message);
+    assert.match(raised.message, /Rand oben auf 0\.25" erhöht \(Minimum von Amazon KDP\)\./);
+    assert.strictEqual(raised.issues[0].code, 'MARGIN_ADJUSTED');
+    assert.doesNotMatch(raised.issues[0].message, english);
+});
+
+test('setUserLanguage overrides the locale until it is cleared', function() {
+    const script = loadAppsScript();
+    script.session.locale = 'de';
+    script.setUserLanguage('fr');
+    assert.strictEqual(script.getUserLanguage(), 'fr');
+
+    script.setUserLanguage('');
+    assert.strictEqual(script.getUserLanguage(), 'de');
+    assert.throws(function() {
+        script.setUserLanguage('xx');
+    }, /Unknown language/);
+});
+
+test('showCurrentMargins reports the page setup in the user language', function() {
+    const script = loadAppsScript();
+    script.setUserLanguage('es');
+    script.showCurrentMargins();
+
+    assert.match(script.alerts[0], /^Tamaño de página: 8\.5" × 11" \(612 × 792 pt\)/);
+    assert.match(script.alerts[0], /Superior: 1" \(72 pt\)/);
+});
+
+test('commands that need a saved layout say so in the user language', function() {
+    const script = loadAppsScript();
+    script.session.locale = 'de_DE';
+    script.showBatchApply();
+    script.showExportPrintPdf();
+
+    assert.strictEqual(script.alerts.length, 2);
+    script.alerts.forEach(function(alert) {
+        assert.match(alert, /^Dieses Dokument hat noch kein gespeichertes Layout\./);
+    });
+    assert.strictEqual(script.exportLayoutSpec().message, script.alerts[0]);
+});
+
+/**
+ * Adds elements to the end of a document body
+ *
+ * @param {Object} body - Stub body
+ * @param {Object[]} elements - Stub elements
+ */
+function appendToBody(body, elements) {
+    elements.forEach(function(element) {
+        body.children.push(element);
+        element.parent = body;
+    });
+}
+
+test('convertToLargePrint resizes the text and page and lists what still breaks the guidelines', function() {
+    const script = loadAppsScript();
+    script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    const heading = createParagraph([], { text: 'Chapter One', heading: 'HEADING1' });
+    const paragraph = createParagraph([], { text: 'It was a dark night.', fontSize: 11 });
+    const caption = createParagraph([], { text: 'Figure 1', fontSize: 9 });
+    paragraph.fontSizes[0] = 24;
+    appendToBody(script.body, [heading, paragraph, createParagraph([createImage(100, 100)]), caption,
+        createTable([100, 100, 100, 100])]);
+    script.documents['active-doc'].footnotes.push({ getParent: function() { return paragraph; } });
+
+    const result = script.convertToLargePrint('Paperback - 6 x 9');
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(script.body.page.width, 432);
+    assert.strictEqual(script.body.page.right, 72);
+    assert.deepStrictEqual(paragraph.fontSizes.slice(0, 3), [24, 16, 16]);
+    assert.strictEqual(paragraph.lineSpacing, 1.5);
+    assert.strictEqual(heading.fontSizes[0], 29);
+    assert.strictEqual(caption.fontSizes[0], 9);
+    assert.strictEqual(result.findings.map(function(finding) {
+        return finding.category + ' at ' + finding.path.join('.');
+    }).join(', '), 'Caption at 3, Table at 4, Footnotes at 1');
+    assert.match(result.findings[1].message, /4 columns/);
+    assert.strictEqual(JSON.parse(script.documentProperties.getProperty(SETTINGS_PROPERTY)).interiorStyle.style, 'largePrint');
+
+    assert.strictEqual(script.convertToLargePrint('Paperback - 6 x 9').success, false);
+});
+
+test('undoLargePrint restores the text sizes, page setup and settings from before the conversion', function() {
+    const script = loadAppsScript();
+    script.applyPageSettings('Paperback - 5 x 8', 'paperback', 'cream', 'black', { type: 'default' }, 'default');
+    const settingsJson = script.documentProperties.getProperty(SETTINGS_PROPERTY);
+    const heading = createParagraph([], { text: 'Chapter One', heading: 'HEADING1' });
+    const paragraph = createParagraph([], { text: 'It was a dark night.', lineSpacing: 1.15 });
+    const image = createImage(600, 300);
+    const table = createTable([200, 400]);
+    appendToBody(script.body, [heading, paragraph, createParagraph([image]), table]);
+
+    const conversion = script.convertToLargePrint('Paperback - 7 x 10');
+    assert.match(conversion.message, /Resized 1 image and 1 table/);
+    assert.strictEqual(JSON.parse(script.documentProperties.getProperty(SETTINGS_PROPERTY)).interiorStyle.fontSize, 17);
+    const result = script.undoLargePrint();
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(script.body.page.width, 360);
+    assert.strictEqual(script.body.page.background, '#F8F3E6');
+    assert.deepStrictEqual(heading.fontSizes.slice(0, 2), [null, null]);
+    assert.strictEqual(paragraph.fontSizes[0], null);
+    assert.strictEqual(paragraph.lineSpacing, 1.15);
+    assert.strictEqual(image.size.width, 600);
+    assert.strictEqual(image.size.height, 300);
+    assert.strictEqual(table.columnWidths.join(','), '200,400');
+    assert.strictEqual(script.documentProperties.getProperty(SETTINGS_PROPERTY), settingsJson);
+    assert.strictEqual(script.documentProperties.getKeys().filter(function(key) {
+        return key.indexOf('kdpFormatterLargePrint') === 0;
+    }).length, 0);
+    assert.strictEqual(script.undoLargePrint().success, false);
+});
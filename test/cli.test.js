@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { main } = require('../bin/kdp-layout.js');
+
+test('prints the resolved layout for a preset size', function() {
+    const result = main(['--size', 'Paperback - 6 x 9', '--margins', 'mirrored', '--pages', '400', '--bleed']);
+    const output = JSON.parse(result.output);
+
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(output.spec.bookType, 'paperback');
+    assert.deepStrictEqual(output.page.width, { inches: 6.125, points: 441 });
+    assert.deepStrictEqual(output.margins.inside, { inches: 1.25, points: 90 });
+    assert.deepStrictEqual(output.issues, []);
+});
+
+test('takes the book type from a hardcover size', function() {
+    const output = JSON.parse(main(['--size', 'Hardcover - 6 x 9']).output);
+
+    assert.strictEqual(output.spec.bookType, 'hardcover');
+});
+
+test('accepts custom sizes and custom mirrored margins', function() {
+    const result = main(['--size', 'Custom', '--width', '5.5', '--height', '8.5', '--margins', 'customMirrored',
+        '--top', '0.5', '--bottom', '0.5', '--inside', '0.2', '--outside', '0.5', '--pages', '120']);
+    const output = JSON.parse(result.output);
+
+    assert.strictEqual(result.exitCode, 0);
+    assert.strictEqual(output.margins.inside.inches, 0.375);
+    assert.strictEqual(output.notes.length, 1);
+    assert.strictEqual(output.issues[0].severity, 'warning');
+});
+
+test('exits with 1 and lists the errors for an invalid layout', function() {
+    const result = main(['--size', 'Custom', '--width', '9', '--height', '9', '--unit', 'mm']);
+    const output = JSON.parse(result.output);
+
+    assert.strictEqual(result.exitCode, 1);
+    assert.strictEqual(output.issues[0].code, 'WIDTH_OUT_OF_RANGE');
+    assert.match(output.issues[0].message, /215\.9 mm/);
+    assert.strictEqual(output.page, undefined);
+});
+
+test('exits with 2 for bad arguments', function() {
+    assert.strictEqual(main([]).exitCode, 2);
+    assert.strictEqual(main(['--size', 'Letter', '--margins', 'tight']).exitCode, 2);
+    assert.strictEqual(main(['--size', 'Custom', '--width', 'wide']).exitCode, 2);
+    assert.strictEqual(main(['--size', 'Letter', '--margins', 'custom', '--top', '1']).exitCode, 2);
+    assert.strictEqual(main(['--size', 'Letter', '--colour']).exitCode, 2);
+});
+
+test('lists the platform sizes', function() {
+    const sizes = JSON.parse(main(['--list-sizes', '--platform', 'lulu']).output);
+
+    assert.ok(sizes.Letter);
+    assert.strictEqual(sizes['Paperback - 5.06 x 7.81'], undefined);
+});
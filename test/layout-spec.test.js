@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const layout = require('../layout-spec.js');
+
+/**
+ * Builds a layout spec for a listed size with default options
+ *
+ * @param {string} sizeName - Size name
+ * @param {Object} [overrides] - Spec fields to change
+ * @return {Object} Layout spec
+ */
+function presetSpec(sizeName, overrides) {
+    const size = layout.findSize(sizeName);
+    const spec = layout.createLayoutSpec(sizeName, size.width, size.height, size.type || 'paperback',
+        'white', 'black', { type: 'default' }, 'default');
+    return Object.assign(spec, overrides);
+}
+
+/**
+ * Lists the codes of a set of issues
+ *
+ * @param {Object[]} issues - Issues from validateLayout
+ * @return {string[]} Issue codes
+ */
+function codes(issues) {
+    return issues.map(function(issue) {
+        return issue.code;
+    });
+}
+
+test('formatLength converts inches to the display unit', function() {
+    assert.strictEqual(layout.formatLength(6), '6"');
+    assert.strictEqual(layout.formatLength(6, 'mm'), '152.4 mm');
+    assert.strictEqual(layout.formatLength(0.125, 'pt'), '9 pt');
+    assert.strictEqual(layout.formatLength(1, 'unknown'), '1"');
+});
+
+test('findSize looks up platform sizes and common paper sizes', function() {
+    assert.deepStrictEqual(layout.findSize('Paperback - 6 x 9'), { width: 6, height: 9, type: 'paperback' });
+    assert.strictEqual(layout.findSize('Letter').width, 8.5);
+    assert.strictEqual(layout.findSize('Custom'), null);
+    assert.strictEqual(layout.findSize('Paperback - 5.06 x 7.81', 'lulu'), null);
+});
+
+test('resolveLayoutSpec fills in the size of a preset', function() {
+    const spec = layout.resolveLayoutSpec({ sizeName: 'Paperback - 5 x 8', bookType: 'paperback',
+        paperType: 'cream', inkType: 'black', marginType: 'wide', marginSettings: { type: 'wide' } });
+
+    assert.strictEqual(spec.width, 5);
+    assert.strictEqual(spec.height, 8);
+    assert.strictEqual(spec.platform, layout.DEFAULT_PLATFORM);
+    assert.strictEqual(spec.bleed, false);
+});
+
+test('mirrored margins keep the 1.25" gutter when the page count minimum is smaller', function() {
+    const margins = layout.resolveMargins({ type: 'mirrored' }, { pageCount: 600 });
+
+    assert.strictEqual(layout.getMinimumMargins(600).inside, 0.75);
+    assert.strictEqual(margins.inside, 1.25);
+    assert.strictEqual(margins.outside, 0.75);
+    assert.deepStrictEqual(margins.notes, []);
+});
+
+test('custom mirrored margins are raised to the minimums with notes', function() {
+    const margins = layout.resolveMargins({ top: 0.2, bottom: 1, inside: 0.3, outside: 0.5, isMirrored: true },
+        { pageCount: 200, bleed: true });
+
+    assert.strictEqual(margins.inside, 0.5);
+    assert.strictEqual(margins.top, layout.KDP_MIN_OUTSIDE_MARGIN_BLEED);
+    assert.strictEqual(margins.notes.length, 2);
+    assert.strictEqual(margins.notes[1].key, 'note.marginRaisedBleed');
+    assert.strictEqual(margins.notes[1].values.side, 'top');
+});
+
+test('custom margins are used as given', function() {
+    const margins = layout.resolveMargins({ top: 0.2, bottom: 0.3, inside: 0.4, outside: 0.5 }, { pageCount: 200 });
+
+    assert.deepStrictEqual([margins.top, margins.bottom, margins.inside, margins.outside], [0.2, 0.3, 0.4, 0.5]);
+});
+
+test('resolvePageLayout adds the platform bleed to the page size', function() {
+    const page = layout.resolvePageLayout(presetSpec('Paperback - 6 x 9', { bleed: true }));
+
+    assert.strictEqual(page.pageWidth, 6 + layout.BLEED_WIDTH);
+    assert.strictEqual(page.pageHeight, 9 + layout.BLEED_HEIGHT);
+    assert.deepStrictEqual(page.margins, { top: 1, bottom: 1, inside: 1, outside: 1 });
+});
+
+test('validateLayout accepts a listed size', function() {
+    assert.deepStrictEqual(layout.validateLayout(presetSpec('Paperback - 6 x 9')), []);
+});
+
+test('validateLayout reports custom sizes outside the platform limits', function() {
+    const spec = layout.createLayoutSpec('Custom', 3, 12, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.deepStrictEqual(codes(layout.validateLayout(spec)), ['WIDTH_OUT_OF_RANGE', 'HEIGHT_OUT_OF_RANGE']);
+});
+
+test('getOrientation tells portrait, landscape and square pages apart', function() {
+    assert.strictEqual(layout.getOrientation(6, 9), 'portrait');
+    assert.strictEqual(layout.getOrientation(10, 8), 'landscape');
+    assert.strictEqual(layout.getOrientation(8.5, 8.5), 'square');
+    assert.strictEqual(layout.getOrientation(null, 8), null);
+});
+
+test('getTrimLimits swaps the limits for landscape pages and narrows them for square pages', function() {
+    const limits = layout.PLATFORMS.kdp.limits;
+
+    assert.deepStrictEqual(layout.getTrimLimits(limits, 'landscape'),
+        { minWidth: 6, maxWidth: 11.69, minHeight: 4, maxHeight: 8.5 });
+    assert.deepStrictEqual(layout.getTrimLimits(limits, 'square'),
+        { minWidth: 6, maxWidth: 8.5, minHeight: 6, maxHeight: 8.5 });
+    assert.deepStrictEqual(layout.getTrimLimits(limits), limits);
+});
+
+test('validateLayout checks landscape and square custom sizes by their short and long edges', function() {
+    const custom = function(width, height) {
+        return layout.createLayoutSpec('Custom', width, height, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+    };
+
+    assert.deepStrictEqual(layout.validateLayout(custom(10, 8)), []);
+    assert.deepStrictEqual(codes(layout.validateLayout(custom(12, 8))), ['WIDTH_OUT_OF_RANGE']);
+    assert.match(layout.validateLayout(custom(12, 8))[0].message, /between 6" and 11\.69" for a landscape page/);
+    assert.strictEqual(layout.validateLayout(custom(12, 8))[0].key, 'issue.widthRangeLandscape');
+    assert.deepStrictEqual(codes(layout.validateLayout(custom(9, 9))), ['WIDTH_OUT_OF_RANGE', 'HEIGHT_OUT_OF_RANGE']);
+});
+
+test('picture book presets are listed for KDP paperbacks', function() {
+    assert.deepStrictEqual(layout.validateLayout(presetSpec('Paperback - 10 x 8')), []);
+    assert.deepStrictEqual(layout.validateLayout(presetSpec('Paperback - 8 x 8')), []);
+});
+
+test('validateLayout reports unknown platforms and sizes', function() {
+    assert.deepStrictEqual(codes(layout.validateLayout(presetSpec('Paperback - 6 x 9', { platform: 'nope' }))),
+        ['UNKNOWN_PLATFORM']);
+    assert.deepStrictEqual(codes(layout.validateLayout(presetSpec('Paperback - 6 x 9', { sizeName: 'Folio' }))),
+        ['UNKNOWN_SIZE']);
+});
+
+test('validateLayout reports a book type that does not match the size', function() {
+    const issues = layout.validateLayout(presetSpec('Paperback - 6 x 9', { bookType: 'hardcover' }));
+
+    assert.deepStrictEqual(codes(issues), ['BOOK_TYPE_MISMATCH']);
+    assert.strictEqual(issues[0].field, 'bookType');
+});
+
+test('validateLayout reports page counts outside the platform range', function() {
+    assert.deepStrictEqual(codes(layout.validateLayout(presetSpec('Paperback - 6 x 9', { pageCount: 10 }))),
+        ['PAGE_COUNT_OUT_OF_RANGE']);
+});
+
+test('validateLayout warns about custom mirrored margins below the minimum', function() {
+    const spec = presetSpec('Paperback - 6 x 9', {
+        pageCount: 200,
+        marginType: 'customMirrored',
+        marginSettings: { top: 1, bottom: 1, inside: 0.3, outside: 1, isMirrored: true }
+    });
+    const issues = layout.validateLayout(spec);
+
+    assert.ok(issues.length > 0);
+    issues.forEach(function(issue) {
+        assert.strictEqual(issue.severity, 'warning');
+    });
+});
+
+test('validateLayout formats limits in the requested unit', function() {
+    const spec = layout.createLayoutSpec('Custom', 3, 9, 'paperback', 'white', 'black', { type: 'default' }, 'default');
+
+    assert.match(layout.validateLayout(spec, 'mm')[0].message, /101\.6 mm/);
+});
+
+test('getCoverDimensions works out a paperback wrap with bleed', function() {
+    const cover = layout.getCoverDimensions({ bookType: 'paperback', width: 6, height: 9,
+        paperType: 'white', inkType: 'black' }, 300);
+
+    assert.strictEqual(cover.spineWidth, 300 * layout.PAPER_THICKNESS.white);
+    assert.strictEqual(cover.width, layout.COVER_BLEED * 2 + 12 + cover.spineWidth);
+    assert.strictEqual(cover.height, layout.COVER_BLEED * 2 + 9);
+    assert.strictEqual(cover.spineTextAllowed, true);
+});
+
+test('getCoverDimensions uses color paper for color interiors and adds the hardcover wrap', function() {
+    const cover = layout.getCoverDimensions({ bookType: 'hardcover', width: 6, height: 9,
+        paperType: 'cream', inkType: 'premium' }, 100);
+
+    assert.strictEqual(cover.paper, 'color');
+    assert.strictEqual(cover.height, layout.HARDCOVER_WRAP * 2 + 9);
+    assert.strictEqual(cover.width,
+        layout.HARDCOVER_WRAP * 2 + 12 + layout.HARDCOVER_HINGE * 2 + 100 * layout.PAPER_THICKNESS.color);
+});
+
+test('getCoverDimensions rejects page counts outside the range', function() {
+    assert.throws(function() {
+        layout.getCoverDimensions({ bookType: 'hardcover', width: 6, height: 9, paperType: 'white', inkType: 'black' }, 40);
+    }, /between 75 and 550/);
+});
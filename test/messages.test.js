@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const i18n = require('../messages.js');
+
+/**
+ * Lists the placeholders in a message
+ *
+ * @param {string} message - Message with {name} placeholders
+ * @return {string} Sorted placeholder names, joined with commas
+ */
+function placeholders(message) {
+    return (message.match(/\{\w+\}/g) || []).sort().join(',');
+}
+
+test('every language translates every message with the same placeholders', function() {
+    const english = i18n.MESSAGES[i18n.DEFAULT_LANGUAGE];
+
+    Object.keys(i18n.LANGUAGES).forEach(function(language) {
+        const catalog = i18n.MESSAGES[language];
+        Object.keys(english).forEach(function(key) {
+            assert.strictEqual(typeof catalog[key], 'string', `${language} has no "${key}"`);
+            assert.strictEqual(placeholders(catalog[key]), placeholders(english[key]), `${language} "${key}"`);
+        });
+        Object.keys(catalog).forEach(function(key) {
+            assert.ok(english[key] !== undefined || key.indexOf('name.') === 0, `${language} has an unknown key "${key}"`);
+        });
+    });
+});
+
+test('getLanguageForLocale uses the language part of the locale', function() {
+    assert.strictEqual(i18n.getLanguageForLocale('de'), 'de');
+    assert.strictEqual(i18n.getLanguageForLocale('es_419'), 'es');
+    assert.strictEqual(i18n.getLanguageForLocale('fr-CA'), 'fr');
+    assert.strictEqual(i18n.getLanguageForLocale('ja'), 'en');
+    assert.strictEqual(i18n.getLanguageForLocale(''), 'en');
+});
+
+test('formatMessage fills in placeholders and falls back to English, then the key', function() {
+    assert.strictEqual(i18n.formatMessage('de', 'pageSize.pageCountRange', { min: 24, max: 828 }),
+        'Die Seitenzahl muss zwischen 24 und 828 liegen');
+    assert.strictEqual(i18n.formatMessage('xx', 'pageSize.cancel'), 'Cancel');
+    assert.strictEqual(i18n.formatMessage('fr', 'no.such.key'), 'no.such.key');
+    assert.strictEqual(i18n.formatMessage('en', 'report.top'), 'Top: {length}');
+});
+
+test('formatCount picks the singular or plural form', function() {
+    assert.strictEqual(i18n.formatCount('es', 'status.fitImages', 1), '1 imagen');
+    assert.strictEqual(i18n.formatCount('es', 'status.fitImages', 3), '3 imágenes');
+});
+
+test('formatIssue translates book types, paper, ink, margin sides, units and size names', function() {
+    assert.strictEqual(i18n.formatIssue('fr', { key: 'issue.invalidMargin', values: { side: 'top', unit: 'in' } }),
+        'Veuillez saisir la marge supérieure en pouces.');
+    assert.strictEqual(i18n.formatIssue('fr', { key: 'issue.bookTypeMismatch',
+        values: { size: 'Hardcover - 6 x 9', sizeType: 'hardcover', bookType: 'paperback' } }),
+        'Relié - 6 x 9 est un format relié, mais le type de livre est broché.');
+    assert.strictEqual(i18n.formatIssue('es', { key: 'issue.unsupportedPaper', values: { platform: 'Lulu', paper: 'glossy' } }),
+        'Lulu no ofrece papel glossy.');
+});
+
+test('translateName translates preset names and leaves the rest alone', function() {
+    assert.strictEqual(i18n.translateName('fr', 'Letter'), 'Lettre US');
+    assert.strictEqual(i18n.translateName('de', 'A4'), 'A4');
+    assert.strictEqual(i18n.translateName('en', 'Mirrored (Book-style)'), 'Mirrored (Book-style)');
+});